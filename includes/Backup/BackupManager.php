@@ -0,0 +1,1489 @@
+<?php
+
+/**
+ * Backup Manager
+ *
+ * Creates, lists and restores backups of the active database.
+ *
+ * @package WP_DBAL\Backup
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Backup;
+
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+use WP_DBAL\FileDB\Storage\StorageManager;
+use WP_DBAL\Migration\DataExporter;
+use WP_DBAL\Migration\DataImporter;
+use WP_DBAL\Migration\SchemaExporter;
+use WP_DBAL\Migration\SchemaImporter;
+use WP_DBAL\WebServerProbe;
+
+/**
+ * Backup Manager class.
+ *
+ * The kind of backup depends on the engine:
+ * - sqlite: a copy of the database file, made with VACUUM INTO.
+ * - filedb: a zip archive of the storage directory.
+ * - dump: a JSON lines file with the table schemas followed by the rows,
+ *   for MySQL, PostgreSQL and D1.
+ *
+ * Backups and restores run as a job, one chunk per step, so large databases
+ * don't run into the request time limit. Only one job runs at a time, and its
+ * state is kept in a file in wp-content.
+ *
+ * A restore never leaves the site with only some of its tables replaced: the
+ * rows are copied into staging tables (or a staging directory for FileDB)
+ * first, and swapped in with a single step at the end. Tables that are not
+ * in the backup are left alone.
+ */
+class BackupManager
+{
+	/**
+	 * Number of rows or files handled per step.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_CHUNK_SIZE = 500;
+
+	/**
+	 * Job state file name.
+	 *
+	 * @var string
+	 */
+	private const JOB_FILE = 'wp-dbal-backup-job.php';
+
+	/**
+	 * Line that stops the job state file from being read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_HEADER = "<?php exit; ?>\n";
+
+	/**
+	 * Backup file names: engine, creation time, random part and extension.
+	 *
+	 * @var string
+	 */
+	private const FILE_PATTERN = '/^([a-z0-9]+)-(\d{8}-\d{6})-[a-f0-9]{12}\.(sqlite|zip|jsonl)$/';
+
+	/**
+	 * File extension by backup type.
+	 *
+	 * @var array<string, string>
+	 */
+	private const EXTENSIONS = [
+		'sqlite' => 'sqlite',
+		'filedb' => 'zip',
+		'dump' => 'jsonl',
+	];
+
+	/**
+	 * Prefix of the tables a restore copies the rows into.
+	 *
+	 * @var string
+	 */
+	private const STAGING_PREFIX = 'wpdbal_restore_';
+
+	/**
+	 * Format name in the first line of a dump.
+	 *
+	 * @var string
+	 */
+	private const DUMP_FORMAT = 'wp-dbal-dump';
+
+	/**
+	 * Transient caching whether the web server hands out the backups.
+	 *
+	 * @var string
+	 */
+	private const PUBLIC_TRANSIENT = 'wp_dbal_backups_public';
+
+	/**
+	 * DBAL connection to the active database.
+	 *
+	 * @var Connection
+	 */
+	private Connection $connection;
+
+	/**
+	 * Active database engine.
+	 *
+	 * @var string
+	 */
+	private string $engine;
+
+	/**
+	 * Directory the backups are stored in.
+	 *
+	 * @var string
+	 */
+	private string $directory;
+
+	/**
+	 * Job state file path.
+	 *
+	 * @var string
+	 */
+	private string $jobFile;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Connection $connection DBAL connection to the active database.
+	 * @param string $engine Active database engine.
+	 * @param string|null $directory Backup directory (defaults to WP_DBAL_BACKUP_DIR, or see getDefaultDirectory()).
+	 * @param string|null $jobFile Job state file path (defaults to wp-content/wp-dbal-backup-job.php).
+	 */
+	public function __construct(Connection $connection, string $engine, ?string $directory = null, ?string $jobFile = null)
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+
+		$this->connection = $connection;
+		$this->engine = \strtolower($engine);
+		$this->directory = \rtrim($directory ?? (\defined('WP_DBAL_BACKUP_DIR') ? WP_DBAL_BACKUP_DIR : self::getDefaultDirectory($contentDir)), '/');
+		$this->jobFile = $jobFile ?? $contentDir . '/' . self::JOB_FILE;
+	}
+
+	/**
+	 * Get the directory backups are stored in when WP_DBAL_BACKUP_DIR isn't set.
+	 *
+	 * That is wp-dbal-backups next to the WordPress directory, outside the
+	 * web root on most hosts. When PHP can't write there, the backups go in
+	 * wp-content, in a directory whose name is derived from the site's salts
+	 * so it can't be guessed.
+	 *
+	 * @param string $contentDir wp-content directory.
+	 * @return string Directory path.
+	 */
+	private static function getDefaultDirectory(string $contentDir): string
+	{
+		$outside = \dirname(\rtrim(ABSPATH, '/')) . '/wp-dbal-backups';
+
+		if (\is_dir($outside) ? \is_writable($outside) : \is_writable(\dirname($outside))) {
+			return $outside;
+		}
+
+		return $contentDir . '/wp-dbal-backups-' . \substr(\wp_hash('wp-dbal-backups'), 0, 12);
+	}
+
+	/**
+	 * Get the kind of backup made for the active engine.
+	 *
+	 * @return string "sqlite", "filedb" or "dump".
+	 */
+	public function getType(): string
+	{
+		switch ($this->engine) {
+			case 'sqlite':
+			case 'filedb':
+				return $this->engine;
+
+			default:
+				return 'dump';
+		}
+	}
+
+	/**
+	 * Get the backup directory.
+	 *
+	 * @return string Directory path.
+	 */
+	public function getDirectory(): string
+	{
+		return $this->directory;
+	}
+
+	/**
+	 * Check whether the web server hands out the backups.
+	 *
+	 * Asks the web server for the newest backup when the directory is in the
+	 * web root. The .htaccess file written in the directory doesn't keep
+	 * servers other than Apache from serving it. The answer is cached until
+	 * there is a newer backup, so listing the backups doesn't wait for a
+	 * request each time.
+	 *
+	 * @param bool $recheck Ask the web server again, after its configuration changed.
+	 * @return bool True if a backup could be downloaded without logging in.
+	 */
+	public function isPubliclyReachable(bool $recheck = false): bool
+	{
+		$backups = $this->listBackups();
+		if (empty($backups)) {
+			return false;
+		}
+
+		$cached = $recheck ? false : \get_transient(self::PUBLIC_TRANSIENT);
+		if (\is_array($cached) && ($cached['backup'] ?? null) === $backups[0]['id']) {
+			return (bool) $cached['public'];
+		}
+
+		$public = (new WebServerProbe())->isServed($this->directory . '/' . $backups[0]['id']);
+		\set_transient(self::PUBLIC_TRANSIENT, [ 'backup' => $backups[0]['id'], 'public' => $public ], DAY_IN_SECONDS);
+
+		return $public;
+	}
+
+	/**
+	 * List the backups, newest first.
+	 *
+	 * @return array<int, array<string, mixed>> Backups.
+	 */
+	public function listBackups(): array
+	{
+		$backups = [];
+
+		foreach (\glob($this->directory . '/*') ?: [] as $path) {
+			$backup = $this->describe(\basename($path));
+			if (null !== $backup) {
+				$backups[] = $backup;
+			}
+		}
+
+		\usort($backups, function ($a, $b) {
+			return [ $b['created'], $b['id'] ] <=> [ $a['created'], $a['id'] ];
+		});
+
+		return $backups;
+	}
+
+	/**
+	 * Get the path of a backup.
+	 *
+	 * @param string $id Backup ID (its file name).
+	 * @return string File path.
+	 * @throws \InvalidArgumentException If the backup doesn't exist.
+	 */
+	public function getBackupPath(string $id): string
+	{
+		if (! \preg_match(self::FILE_PATTERN, $id) || ! \is_file($this->directory . '/' . $id)) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: %s: Backup ID. */
+				\__('Backup "%s" not found.', 'wp-dbal'),
+				$id
+			));
+		}
+
+		return $this->directory . '/' . $id;
+	}
+
+	/**
+	 * Delete a backup.
+	 *
+	 * @param string $id Backup ID.
+	 * @return void
+	 * @throws \InvalidArgumentException If the backup doesn't exist or is being restored.
+	 * @throws \RuntimeException If the file can't be deleted.
+	 */
+	public function deleteBackup(string $id): void
+	{
+		$path = $this->getBackupPath($id);
+		$job = $this->getJob();
+
+		if (null !== $job && 'completed' !== $job['phase'] && $job['backup'] === $id) {
+			throw new \InvalidArgumentException(\__('The backup is being restored.', 'wp-dbal'));
+		}
+
+		if (! \unlink($path)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not delete %s.', 'wp-dbal'),
+				$path
+			));
+		}
+	}
+
+	/**
+	 * Get the state of the current or last job.
+	 *
+	 * @return array<string, mixed>|null Job state, or null if there is none.
+	 */
+	public function getJob(): ?array
+	{
+		if (! \file_exists($this->jobFile)) {
+			return null;
+		}
+
+		$content = (string) \file_get_contents($this->jobFile);
+		$job = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+
+		return \is_array($job) ? $job : null;
+	}
+
+	/**
+	 * Start backing up the active database.
+	 *
+	 * @return array<string, mixed> Job state.
+	 * @throws \InvalidArgumentException If another job is running.
+	 * @throws \RuntimeException If the backup can't be started.
+	 */
+	public function startBackup(): array
+	{
+		$this->assertNoJob();
+		$this->ensureDirectory();
+
+		$type = $this->getType();
+		$id = \sprintf('%s-%s-%s.%s', $this->engine, \gmdate('Ymd-His'), \bin2hex(\random_bytes(6)), self::EXTENSIONS[$type]);
+		$part = $this->directory . '/' . $id . '.part';
+
+		$job = [
+			'action' => 'backup',
+			'backup' => $id,
+			'type' => $type,
+			'engine' => $this->engine,
+			'phase' => 'copy',
+			'done' => 0,
+			'total' => 1,
+			'error' => null,
+			'started_at' => \time(),
+			'updated_at' => \time(),
+		];
+
+		switch ($type) {
+			case 'sqlite':
+				$this->getSqlitePath();
+				break;
+
+			case 'filedb':
+				if (! \class_exists(\ZipArchive::class)) {
+					throw new \RuntimeException(\__('The zip PHP extension is needed to back up FileDB databases.', 'wp-dbal'));
+				}
+
+				$job['base_path'] = $this->getFileDbPath();
+				$job['total'] = $this->writeFileList($job['base_path'], $part . '.files');
+				$job['offset'] = 0;
+				break;
+
+			default:
+				$job = $this->startDump($job, $part);
+				break;
+		}
+
+		$this->save($job);
+
+		return $job;
+	}
+
+	/**
+	 * Start restoring a backup.
+	 *
+	 * @param string $id Backup ID.
+	 * @return array<string, mixed> Job state.
+	 * @throws \InvalidArgumentException If the backup can't be restored or another job is running.
+	 * @throws \RuntimeException If the backup can't be read.
+	 */
+	public function startRestore(string $id): array
+	{
+		$this->assertNoJob();
+
+		$path = $this->getBackupPath($id);
+		$backup = $this->describe($id);
+
+		if ($backup['engine'] !== $this->engine) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: %s: Database engine. */
+				\__('This backup was made with the %s engine and can only be restored while the site uses it.', 'wp-dbal'),
+				$backup['engine']
+			));
+		}
+
+		$job = [
+			'action' => 'restore',
+			'backup' => $id,
+			'type' => $backup['type'],
+			'engine' => $this->engine,
+			'phase' => 'schema',
+			'done' => 0,
+			'total' => 0,
+			'error' => null,
+			'started_at' => \time(),
+			'updated_at' => \time(),
+		];
+
+		switch ($backup['type']) {
+			case 'filedb':
+				$job = $this->startFileDbRestore($job, $path);
+				break;
+
+			case 'sqlite':
+				$source = $this->openSqliteBackup($path);
+				$tables = \array_values(\array_filter(
+					$source->createSchemaManager()->listTableNames(),
+					fn($table) => ! \str_starts_with($table, 'sqlite_')
+				));
+
+				$job['schemas'] = (new SchemaExporter())->exportSchemas($source, $tables);
+				$job['tables'] = \array_keys($job['schemas']);
+				$job['table'] = 0;
+				$job['offset'] = 0;
+
+				$exporter = new DataExporter();
+				foreach ($job['tables'] as $table) {
+					$job['total'] += $exporter->getTableRowCount($source, $table);
+				}
+
+				$source->close();
+				break;
+
+			default:
+				$handle = $this->openFile($path, 'rb');
+				$header = \json_decode((string) \fgets($handle), true);
+				$job['offset'] = \ftell($handle);
+				\fclose($handle);
+
+				if (! \is_array($header) || self::DUMP_FORMAT !== ($header['format'] ?? null)) {
+					throw new \RuntimeException(\sprintf(
+						/* translators: %s: Backup ID. */
+						\__('%s is not a WP-DBAL dump.', 'wp-dbal'),
+						$id
+					));
+				}
+
+				$job['schemas'] = $header['schemas'];
+				$job['tables'] = \array_keys($header['schemas']);
+				$job['total'] = (int) \array_sum($header['rows']);
+				break;
+		}
+
+		$this->save($job);
+
+		return $job;
+	}
+
+	/**
+	 * Run the next step of the job.
+	 *
+	 * A failed step keeps its position, so calling this again retries it.
+	 *
+	 * @param int $chunkSize Number of rows or files to handle.
+	 * @return array<string, mixed> Job state, with "busy" set if another request is running a step.
+	 * @throws \InvalidArgumentException If no job was started.
+	 */
+	public function step(int $chunkSize = self::DEFAULT_CHUNK_SIZE): array
+	{
+		$job = $this->getJob();
+		if (null === $job) {
+			throw new \InvalidArgumentException(\__('No backup or restore has been started.', 'wp-dbal'));
+		}
+
+		$lock = \fopen($this->jobFile . '.lock', 'c');
+		if (! $lock || ! \flock($lock, LOCK_EX | LOCK_NB)) {
+			if ($lock) {
+				\fclose($lock);
+			}
+
+			return \array_merge($job, [ 'busy' => true ]);
+		}
+
+		try {
+			// Read again, the request holding the lock may have changed it.
+			$job = $this->getJob();
+
+			if (null === $job) {
+				throw new \InvalidArgumentException(\__('No backup or restore has been started.', 'wp-dbal'));
+			}
+
+			if ('completed' === $job['phase']) {
+				return $job;
+			}
+
+			$job['error'] = null;
+			$chunkSize = \max(1, $chunkSize);
+
+			try {
+				$job = 'backup' === $job['action']
+					? $this->backupStep($job, $chunkSize)
+					: $this->restoreStep($job, $chunkSize);
+			} catch (\Exception $e) {
+				// Keep the in-flight chunk marker the step may have saved.
+				$job = $this->getJob() ?? $job;
+				$job['error'] = $e->getMessage();
+			}
+
+			$job['updated_at'] = \time();
+			$this->save($job);
+
+			return $job;
+		} finally {
+			\flock($lock, LOCK_UN);
+			\fclose($lock);
+		}
+	}
+
+	/**
+	 * Stop the job and remove what it left behind.
+	 *
+	 * @return void
+	 * @throws \InvalidArgumentException If the restore is swapping the tables in.
+	 */
+	public function cancel(): void
+	{
+		$job = $this->getJob();
+		if (null === $job) {
+			return;
+		}
+
+		if ('swap' === $job['phase']) {
+			throw new \InvalidArgumentException(\__('The restore is replacing the tables and can no longer be cancelled.', 'wp-dbal'));
+		}
+
+		if ('completed' !== $job['phase']) {
+			if ('backup' === $job['action']) {
+				$part = $this->directory . '/' . $job['backup'] . '.part';
+				foreach ([ $part, $part . '.files' ] as $file) {
+					if (\file_exists($file)) {
+						\unlink($file);
+					}
+				}
+				$this->deleteDirectory($part . '.d');
+			} elseif ('filedb' === $job['type']) {
+				if ('extract' === $job['phase']) {
+					$this->deleteDirectory($job['staging_path']);
+				}
+			} else {
+				$schemaManager = $this->connection->createSchemaManager();
+				foreach ($job['tables'] as $table) {
+					if ($schemaManager->tablesExist([ self::STAGING_PREFIX . $table ])) {
+						$schemaManager->dropTable(self::STAGING_PREFIX . $table);
+					}
+				}
+			}
+		}
+
+		\unlink($this->jobFile);
+	}
+
+	/**
+	 * Run the next step of a backup.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param int $chunkSize Number of rows or files to handle.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the step fails.
+	 */
+	private function backupStep(array $job, int $chunkSize): array
+	{
+		$part = $this->directory . '/' . $job['backup'] . '.part';
+
+		switch ($job['type']) {
+			case 'sqlite':
+				$this->copySqlite($part);
+				$job['done'] = 1;
+				break;
+
+			case 'filedb':
+				if ('archive' === $job['phase']) {
+					$this->archiveDirectory($part . '.d', $part);
+					$this->deleteDirectory($part . '.d');
+					\unlink($part . '.files');
+					break;
+				}
+
+				// The files are copied aside a chunk at a time and zipped in
+				// one go at the end: reopening the archive for every chunk
+				// would rewrite it each time.
+				$files = $this->readFileList($part . '.files', $job['offset'], $chunkSize);
+
+				foreach ($files as $file) {
+					// Rows deleted since the files were listed.
+					if (! \is_file($job['base_path'] . '/' . $file)) {
+						continue;
+					}
+
+					$target = $part . '.d/' . $file;
+					if (! \is_dir(\dirname($target)) && ! \mkdir(\dirname($target), 0755, true)) {
+						throw new \RuntimeException(\sprintf(
+							/* translators: %s: Directory path. */
+							\__('Could not create %s.', 'wp-dbal'),
+							\dirname($target)
+						));
+					}
+
+					if (! \copy($job['base_path'] . '/' . $file, $target)) {
+						throw new \RuntimeException(\sprintf(
+							/* translators: %s: File path. */
+							\__('Could not copy %s.', 'wp-dbal'),
+							$file
+						));
+					}
+				}
+
+				$job['offset'] += \count($files);
+				$job['done'] = $job['offset'];
+
+				if ($job['offset'] >= $job['total']) {
+					$job['phase'] = 'archive';
+				}
+
+				return $job;
+
+			default:
+				$job = $this->dumpChunk($job, $part, $chunkSize);
+
+				if ($job['table'] < \count($job['tables'])) {
+					return $job;
+				}
+				break;
+		}
+
+		if (! \rename($part, $this->directory . '/' . $job['backup'])) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not rename %s.', 'wp-dbal'),
+				$part
+			));
+		}
+
+		$job['phase'] = 'completed';
+		$job['done'] = $job['total'];
+
+		return $job;
+	}
+
+	/**
+	 * Run the next step of a restore.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param int $chunkSize Number of rows or files to handle.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the step fails.
+	 */
+	private function restoreStep(array $job, int $chunkSize): array
+	{
+		if ('filedb' === $job['type']) {
+			return $this->restoreFileDbStep($job, $chunkSize);
+		}
+
+		switch ($job['phase']) {
+			case 'schema':
+				$this->createStagingTables($job);
+				$job['phase'] = 'data';
+				break;
+
+			case 'data':
+				$job = 'sqlite' === $job['type']
+					? $this->restoreSqliteChunk($job, $chunkSize)
+					: $this->restoreDumpChunk($job);
+				break;
+
+			case 'swap':
+				$job = $this->swapTables($job);
+				break;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Write the first line of a dump and set up the job to export the rows.
+	 *
+	 * Only the tables with the WordPress table prefix are dumped.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param string $part Path the dump is written to.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the dump can't be written.
+	 */
+	private function startDump(array $job, string $part): array
+	{
+		global $wpdb;
+
+		$tables = \array_values(\array_filter(
+			$this->connection->createSchemaManager()->listTableNames(),
+			fn($table) => \str_starts_with($table, $wpdb->prefix)
+		));
+		\sort($tables);
+
+		$exporter = new DataExporter();
+		$rows = [];
+		foreach ($tables as $table) {
+			$rows[$table] = $exporter->getTableRowCount($this->connection, $table);
+		}
+
+		$header = [
+			'format' => self::DUMP_FORMAT,
+			'version' => 1,
+			'engine' => $this->engine,
+			'created' => \time(),
+			'rows' => $rows,
+			'schemas' => (new SchemaExporter())->exportSchemas($this->connection, $tables),
+		];
+
+		$handle = $this->openFile($part, 'wb');
+		$written = \fwrite($handle, $this->encodeLine($header));
+		\fclose($handle);
+
+		if (false === $written) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not write %s.', 'wp-dbal'),
+				$part
+			));
+		}
+
+		$job['tables'] = $tables;
+		$job['table'] = 0;
+		$job['offset'] = 0;
+		$job['bytes'] = $written;
+		$job['total'] = (int) \array_sum($rows);
+
+		return $job;
+	}
+
+	/**
+	 * Append the next chunk of rows to a dump.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param string $part Path the dump is written to.
+	 * @param int $chunkSize Number of rows to export.
+	 * @return array<string, mixed> Job state, past the last table once every table is dumped.
+	 * @throws \RuntimeException If the dump can't be written.
+	 */
+	private function dumpChunk(array $job, string $part, int $chunkSize): array
+	{
+		$exporter = new DataExporter();
+
+		while ($job['table'] < \count($job['tables'])) {
+			$table = $job['tables'][$job['table']];
+			$rows = $exporter->exportTableChunk($this->connection, $table, $job['offset'], $chunkSize);
+
+			if (empty($rows)) {
+				$job['table']++;
+				$job['offset'] = 0;
+				continue;
+			}
+
+			// Drop what a failed step may have written after the last saved position.
+			$handle = $this->openFile($part, 'r+b');
+			\ftruncate($handle, $job['bytes']);
+			\fseek($handle, $job['bytes']);
+			$written = \fwrite($handle, $this->encodeLine([ 'table' => $table, 'rows' => $rows ]));
+			\fclose($handle);
+
+			if (false === $written) {
+				throw new \RuntimeException(\sprintf(
+					/* translators: %s: File path. */
+					\__('Could not write %s.', 'wp-dbal'),
+					$part
+				));
+			}
+
+			$job['bytes'] += $written;
+			$job['offset'] += \count($rows);
+			$job['done'] += \count($rows);
+
+			return $job;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Create the staging tables the rows are restored into.
+	 *
+	 * They only get their primary keys; the other indexes are created after
+	 * they are swapped in, so they keep their names.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return void
+	 */
+	private function createStagingTables(array $job): void
+	{
+		$schemas = [];
+
+		foreach ($job['schemas'] as $table => $schema) {
+			$schema['name'] = self::STAGING_PREFIX . $table;
+			$schema['indexes'] = \array_filter($schema['indexes'], fn($index) => $index['primary']);
+			$schema['foreignKeys'] = [];
+
+			$schemas[$schema['name']] = $schema;
+		}
+
+		(new SchemaImporter())->importSchemas($this->connection, $schemas, $this->engine);
+	}
+
+	/**
+	 * Copy the next chunk of rows from a SQLite backup into the staging tables.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param int $chunkSize Number of rows to copy.
+	 * @return array<string, mixed> Job state.
+	 */
+	private function restoreSqliteChunk(array $job, int $chunkSize): array
+	{
+		$source = $this->openSqliteBackup($this->getBackupPath($job['backup']));
+		$exporter = new DataExporter();
+
+		try {
+			while ($job['table'] < \count($job['tables'])) {
+				$table = $job['tables'][$job['table']];
+				$rows = $exporter->exportTableChunk($source, $table, $job['offset'], $chunkSize);
+
+				if (empty($rows)) {
+					$job['table']++;
+					$job['offset'] = 0;
+					continue;
+				}
+
+				$job = $this->importChunk($job, $table, $rows);
+
+				$job['offset'] += \count($rows);
+				$job['done'] += \count($rows);
+
+				return $job;
+			}
+		} finally {
+			$source->close();
+		}
+
+		$job['phase'] = 'swap';
+
+		return $job;
+	}
+
+	/**
+	 * Copy the next line of rows from a dump into the staging tables.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the dump can't be read.
+	 */
+	private function restoreDumpChunk(array $job): array
+	{
+		$handle = $this->openFile($this->getBackupPath($job['backup']), 'rb');
+		\fseek($handle, $job['offset']);
+		$line = \fgets($handle);
+		$offset = \ftell($handle);
+		\fclose($handle);
+
+		if (false === $line || '' === \trim($line)) {
+			$job['phase'] = 'swap';
+			return $job;
+		}
+
+		$chunk = \json_decode($line, true);
+		if (! \is_array($chunk) || ! isset($job['schemas'][$chunk['table'] ?? null])) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %d: Byte offset. */
+				\__('The dump is damaged after byte %d.', 'wp-dbal'),
+				$job['offset']
+			));
+		}
+
+		$job = $this->importChunk($job, $chunk['table'], $chunk['rows']);
+
+		$job['offset'] = $offset;
+		$job['done'] += \count($chunk['rows']);
+
+		return $job;
+	}
+
+	/**
+	 * Import rows into a staging table.
+	 *
+	 * The chunk is marked as in flight before its rows are imported, so a
+	 * step retried after dying half way removes them first instead of
+	 * importing them twice.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param string $table Table the rows belong to.
+	 * @param array<int, array<string, mixed>> $rows Rows to import.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the rows of an interrupted import can't be removed.
+	 */
+	private function importChunk(array $job, string $table, array $rows): array
+	{
+		$importer = new DataImporter();
+		$staging = self::STAGING_PREFIX . $table;
+		$keyColumns = [];
+
+		foreach ($job['schemas'][$table]['indexes'] ?? [] as $index) {
+			if ($index['primary']) {
+				$keyColumns = $index['columns'];
+				break;
+			}
+		}
+
+		$needsImport = empty($job['importing_chunk'])
+			|| $importer->prepareChunkRetry($this->connection, $staging, $keyColumns, $rows, $job['importing_chunk']['rows_before'] ?? null);
+
+		if ($needsImport) {
+			// Without a primary key, a retry can only go by the row count from before.
+			$job['importing_chunk'] = [
+				'rows_before' => empty($keyColumns) ? $importer->countRows($this->connection, $staging) : null,
+			];
+			$this->save($job);
+
+			$importer->importTableChunk($this->connection, $staging, $rows, $this->engine);
+		}
+
+		$job['importing_chunk'] = null;
+
+		return $job;
+	}
+
+	/**
+	 * Replace the tables with the staging tables.
+	 *
+	 * Every table is swapped in the same request, so the site never runs on a
+	 * mix of restored and current tables for long. Tables swapped before a
+	 * failure are remembered, so a retry carries on with the next one.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return array<string, mixed> Job state.
+	 */
+	private function swapTables(array $job): array
+	{
+		$schemaManager = $this->connection->createSchemaManager();
+		$importer = new SchemaImporter();
+		$job['swapped'] = $job['swapped'] ?? [];
+
+		foreach ($job['tables'] as $table) {
+			if (\in_array($table, $job['swapped'], true)) {
+				continue;
+			}
+
+			try {
+				if ($schemaManager->tablesExist([ $table ])) {
+					$schemaManager->dropTable($table);
+				}
+
+				$schemaManager->renameTable(self::STAGING_PREFIX . $table, $table);
+				$importer->importIndexes($this->connection, $job['schemas'][$table], $this->engine);
+			} catch (\Exception $e) {
+				$job['error'] = \sprintf(
+					/* translators: 1: Table name, 2: Error message. */
+					\__('Could not replace %1$s: %2$s', 'wp-dbal'),
+					$table,
+					$e->getMessage()
+				);
+				return $job;
+			}
+
+			$job['swapped'][] = $table;
+		}
+
+		$this->finishRestore();
+		$job['phase'] = 'completed';
+
+		return $job;
+	}
+
+	/**
+	 * Set up the job to restore a FileDB archive.
+	 *
+	 * The archive is extracted next to the storage directory, which is swapped
+	 * with it at the end.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param string $path Archive path.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the archive can't be opened.
+	 */
+	private function startFileDbRestore(array $job, string $path): array
+	{
+		if (! \class_exists(\ZipArchive::class)) {
+			throw new \RuntimeException(\__('The zip PHP extension is needed to restore FileDB databases.', 'wp-dbal'));
+		}
+
+		$zip = new \ZipArchive();
+		if (true !== $zip->open($path, \ZipArchive::RDONLY)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not open %s.', 'wp-dbal'),
+				$path
+			));
+		}
+
+		$job['total'] = $zip->numFiles;
+		$zip->close();
+
+		$job['base_path'] = $this->getFileDbPath();
+		$job['staging_path'] = $job['base_path'] . '-restore';
+		$job['phase'] = 'extract';
+		$job['offset'] = 0;
+
+		// Left over from a cancelled restore.
+		$this->deleteDirectory($job['staging_path']);
+
+		return $job;
+	}
+
+	/**
+	 * Run the next step of a FileDB restore.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @param int $chunkSize Number of files to handle.
+	 * @return array<string, mixed> Job state.
+	 * @throws \RuntimeException If the step fails.
+	 */
+	private function restoreFileDbStep(array $job, int $chunkSize): array
+	{
+		switch ($job['phase']) {
+			case 'extract':
+				$path = $this->getBackupPath($job['backup']);
+				$zip = new \ZipArchive();
+				if (true !== $zip->open($path, \ZipArchive::RDONLY)) {
+					throw new \RuntimeException(\sprintf(
+						/* translators: %s: File path. */
+						\__('Could not open %s.', 'wp-dbal'),
+						$path
+					));
+				}
+
+				$entries = [];
+				$last = \min($job['offset'] + $chunkSize, $zip->numFiles);
+				for ($i = $job['offset']; $i < $last; $i++) {
+					$name = (string) $zip->getNameIndex($i);
+
+					if (\str_starts_with($name, '/') || \in_array('..', \explode('/', $name), true)) {
+						$zip->close();
+						throw new \RuntimeException(\sprintf(
+							/* translators: %s: Path in the archive. */
+							\__('The archive contains an unsafe path: %s.', 'wp-dbal'),
+							$name
+						));
+					}
+
+					$entries[] = $name;
+				}
+
+				$extracted = empty($entries) || $zip->extractTo($job['staging_path'], $entries);
+				$zip->close();
+
+				if (! $extracted) {
+					throw new \RuntimeException(\sprintf(
+						/* translators: %s: File path. */
+						\__('Could not extract %s.', 'wp-dbal'),
+						$path
+					));
+				}
+
+				$job['offset'] = $last;
+				$job['done'] = $last;
+
+				if ($last >= $job['total']) {
+					$job['phase'] = 'swap';
+				}
+				break;
+
+			case 'swap':
+				$job['old_path'] = $job['base_path'] . '-old-' . \gmdate('Ymd-His');
+
+				if (! \rename($job['base_path'], $job['old_path'])) {
+					throw new \RuntimeException(\sprintf(
+						/* translators: %s: Directory path. */
+						\__('Could not move %s.', 'wp-dbal'),
+						$job['base_path']
+					));
+				}
+
+				if (! \rename($job['staging_path'], $job['base_path'])) {
+					\rename($job['old_path'], $job['base_path']);
+					throw new \RuntimeException(\sprintf(
+						/* translators: %s: Directory path. */
+						\__('Could not move %s.', 'wp-dbal'),
+						$job['staging_path']
+					));
+				}
+
+				$this->finishRestore();
+
+				$job['phase'] = 'cleanup';
+				$job['done'] = 0;
+				$job['total'] = \iterator_count($this->iterateDirectory($job['old_path']));
+				break;
+
+			case 'cleanup':
+				$deleted = 0;
+				foreach ($this->iterateDirectory($job['old_path']) as $file) {
+					if ($deleted >= $chunkSize) {
+						return $job;
+					}
+
+					$file->isDir() ? \rmdir($file->getPathname()) : \unlink($file->getPathname());
+					$deleted++;
+					$job['done']++;
+				}
+
+				if (\is_dir($job['old_path'])) {
+					\rmdir($job['old_path']);
+				}
+
+				$job['phase'] = 'completed';
+				$job['done'] = $job['total'];
+				break;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Copy the SQLite database to a file.
+	 *
+	 * Falls back to the SQLite3 backup API when VACUUM INTO is not available
+	 * (SQLite before 3.27).
+	 *
+	 * @param string $target Target path.
+	 * @return void
+	 * @throws \RuntimeException If the copy fails or doesn't pass a quick check.
+	 */
+	private function copySqlite(string $target): void
+	{
+		if (\file_exists($target)) {
+			\unlink($target);
+		}
+
+		try {
+			$this->connection->executeStatement('VACUUM INTO ' . $this->connection->quote($target));
+		} catch (\Exception $e) {
+			if (! \class_exists(\SQLite3::class)) {
+				throw new \RuntimeException(\sprintf(
+					/* translators: %s: Error message. */
+					\__('Could not copy the database: %s', 'wp-dbal'),
+					$e->getMessage()
+				));
+			}
+
+			$source = new \SQLite3($this->getSqlitePath(), \SQLITE3_OPEN_READONLY);
+			$copy = new \SQLite3($target);
+			$copied = $source->backup($copy);
+			$copy->close();
+			$source->close();
+
+			if (! $copied) {
+				throw new \RuntimeException(\__('Could not copy the database.', 'wp-dbal'));
+			}
+		}
+
+		$copy = $this->openSqliteBackup($target);
+		$check = $copy->fetchOne('PRAGMA quick_check');
+		$copy->close();
+
+		if ('ok' !== $check) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: Result of the check. */
+				\__('The copy of the database failed a quick check: %s', 'wp-dbal'),
+				$check
+			));
+		}
+	}
+
+	/**
+	 * Clear what still refers to the replaced data.
+	 *
+	 * @return void
+	 */
+	private function finishRestore(): void
+	{
+		if (\function_exists('wp_cache_flush')) {
+			\wp_cache_flush();
+		}
+
+		// FileDB PHP files at the same paths could be served from the opcode cache.
+		if (\function_exists('opcache_reset')) {
+			\opcache_reset();
+		}
+	}
+
+	/**
+	 * Describe a backup from its file name.
+	 *
+	 * @param string $id Backup ID.
+	 * @return array<string, mixed>|null Backup, or null if the file isn't a backup.
+	 */
+	private function describe(string $id): ?array
+	{
+		if (! \preg_match(self::FILE_PATTERN, $id, $matches)) {
+			return null;
+		}
+
+		$path = $this->directory . '/' . $id;
+
+		return [
+			'id' => $id,
+			'engine' => $matches[1],
+			'type' => \array_search($matches[3], self::EXTENSIONS, true),
+			'size' => (int) \filesize($path),
+			'created' => (int) \filemtime($path),
+		];
+	}
+
+	/**
+	 * Make sure no job is running.
+	 *
+	 * @return void
+	 * @throws \InvalidArgumentException If a job is running.
+	 */
+	private function assertNoJob(): void
+	{
+		$job = $this->getJob();
+
+		if (null !== $job && 'completed' !== $job['phase']) {
+			throw new \InvalidArgumentException(
+				'backup' === $job['action'] ? \__('Another backup has not finished yet.', 'wp-dbal') : \__('A restore has not finished yet.', 'wp-dbal')
+			);
+		}
+	}
+
+	/**
+	 * Create the backup directory and keep Apache from serving it.
+	 *
+	 * Other web servers need to be configured to deny access, see
+	 * isPubliclyReachable().
+	 *
+	 * @return void
+	 * @throws \RuntimeException If the directory can't be created.
+	 */
+	private function ensureDirectory(): void
+	{
+		if (! \is_dir($this->directory) && ! \mkdir($this->directory, 0755, true)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: Directory path. */
+				\__('Could not create %s.', 'wp-dbal'),
+				$this->directory
+			));
+		}
+
+		$files = [
+			'.htaccess' => "<IfModule mod_authz_core.c>\nRequire all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\nDeny from all\n</IfModule>\n",
+			'index.php' => "<?php\n// Silence is golden.\n",
+		];
+
+		foreach ($files as $name => $content) {
+			if (! \file_exists($this->directory . '/' . $name)) {
+				\file_put_contents($this->directory . '/' . $name, $content);
+			}
+		}
+	}
+
+	/**
+	 * Get the path of the SQLite database file.
+	 *
+	 * @return string File path.
+	 * @throws \RuntimeException If the connection doesn't use a SQLite file.
+	 */
+	private function getSqlitePath(): string
+	{
+		$params = $this->connection->getParams();
+
+		if ('pdo_sqlite' !== ($params['driver'] ?? null) || empty($params['path'])) {
+			throw new \RuntimeException(\__('The SQLite connection does not use a database file.', 'wp-dbal'));
+		}
+
+		return $params['path'];
+	}
+
+	/**
+	 * Get the FileDB storage path.
+	 *
+	 * @return string Directory path.
+	 * @throws \RuntimeException If the connection is not a FileDB connection.
+	 */
+	private function getFileDbPath(): string
+	{
+		$storage = $this->connection->getNativeConnection();
+
+		if (! $storage instanceof StorageManager) {
+			throw new \RuntimeException(\__('The connection is not a FileDB connection.', 'wp-dbal'));
+		}
+
+		return \rtrim($storage->getBasePath(), '/');
+	}
+
+	/**
+	 * Open a SQLite backup.
+	 *
+	 * @param string $path File path.
+	 * @return Connection Connection to the backup.
+	 */
+	private function openSqliteBackup(string $path): Connection
+	{
+		return DriverManager::getConnection([
+			'driver' => 'pdo_sqlite',
+			'path' => $path,
+		]);
+	}
+
+	/**
+	 * List the files of a directory, one relative path per line.
+	 *
+	 * @param string $directory Directory to list.
+	 * @param string $list Path of the list file.
+	 * @return int Number of files.
+	 * @throws \RuntimeException If the list can't be written.
+	 */
+	private function writeFileList(string $directory, string $list): int
+	{
+		$handle = $this->openFile($list, 'wb');
+		$count = 0;
+
+		foreach ($this->iterateDirectory($directory) as $file) {
+			if ($file->isFile()) {
+				\fwrite($handle, \substr($file->getPathname(), \strlen($directory) + 1) . "\n");
+				$count++;
+			}
+		}
+
+		\fclose($handle);
+
+		return $count;
+	}
+
+	/**
+	 * Read part of a file list.
+	 *
+	 * @param string $list Path of the list file.
+	 * @param int $offset First line to read.
+	 * @param int $limit Number of lines to read.
+	 * @return array<int, string> Relative paths.
+	 */
+	private function readFileList(string $list, int $offset, int $limit): array
+	{
+		$file = new \SplFileObject($list, 'rb');
+		$file->seek($offset);
+		$files = [];
+
+		while (\count($files) < $limit && ! $file->eof()) {
+			$line = \rtrim((string) $file->current(), "\n");
+			if ('' !== $line) {
+				$files[] = $line;
+			}
+			$file->next();
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Zip the files of a directory.
+	 *
+	 * @param string $directory Directory to zip.
+	 * @param string $archive Archive path.
+	 * @return void
+	 * @throws \RuntimeException If the archive can't be written.
+	 */
+	private function archiveDirectory(string $directory, string $archive): void
+	{
+		$zip = new \ZipArchive();
+		if (true !== $zip->open($archive, \ZipArchive::CREATE | \ZipArchive::OVERWRITE)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not open %s.', 'wp-dbal'),
+				$archive
+			));
+		}
+
+		foreach ($this->iterateDirectory($directory) as $file) {
+			if ($file->isFile()) {
+				$zip->addFile($file->getPathname(), \substr($file->getPathname(), \strlen($directory) + 1));
+			}
+		}
+
+		if (! $zip->close()) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not write %s.', 'wp-dbal'),
+				$archive
+			));
+		}
+	}
+
+	/**
+	 * Iterate over a directory, children before their directory.
+	 *
+	 * @param string $directory Directory path.
+	 * @return \Iterator<string, \SplFileInfo> Files and directories.
+	 */
+	private function iterateDirectory(string $directory): \Iterator
+	{
+		if (! \is_dir($directory)) {
+			return new \EmptyIterator();
+		}
+
+		return new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator($directory, \FilesystemIterator::SKIP_DOTS),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+	}
+
+	/**
+	 * Delete a directory and everything in it.
+	 *
+	 * @param string $directory Directory path.
+	 * @return void
+	 */
+	private function deleteDirectory(string $directory): void
+	{
+		foreach ($this->iterateDirectory($directory) as $file) {
+			$file->isDir() ? \rmdir($file->getPathname()) : \unlink($file->getPathname());
+		}
+
+		if (\is_dir($directory)) {
+			\rmdir($directory);
+		}
+	}
+
+	/**
+	 * Open a file.
+	 *
+	 * @param string $path File path.
+	 * @param string $mode fopen() mode.
+	 * @return resource File handle.
+	 * @throws \RuntimeException If the file can't be opened.
+	 */
+	private function openFile(string $path, string $mode)
+	{
+		$handle = \fopen($path, $mode);
+
+		if (false === $handle) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not open %s.', 'wp-dbal'),
+				$path
+			));
+		}
+
+		return $handle;
+	}
+
+	/**
+	 * Encode a line of a dump.
+	 *
+	 * @param array<string, mixed> $data Line data.
+	 * @return string JSON followed by a new line.
+	 * @throws \RuntimeException If the data can't be encoded.
+	 */
+	private function encodeLine(array $data): string
+	{
+		$json = \wp_json_encode($data);
+
+		if (false === $json) {
+			throw new \RuntimeException(\__('Could not encode the rows as JSON.', 'wp-dbal'));
+		}
+
+		return $json . "\n";
+	}
+
+	/**
+	 * Save the job state.
+	 *
+	 * @param array<string, mixed> $job Job state.
+	 * @return void
+	 * @throws \RuntimeException If the state can't be written.
+	 */
+	private function save(array $job): void
+	{
+		$tmp = $this->jobFile . '.tmp';
+
+		if (false === \file_put_contents($tmp, self::FILE_HEADER . \json_encode($job)) || ! \rename($tmp, $this->jobFile)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not save %s.', 'wp-dbal'),
+				$this->jobFile
+			));
+		}
+	}
+}
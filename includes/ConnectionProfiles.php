@@ -0,0 +1,450 @@
+<?php
+
+/**
+ * Connection Profiles
+ *
+ * Named sets of connection parameters that can be reused in the migration
+ * form and the configuration editor.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+/**
+ * Connection Profiles class.
+ *
+ * Profiles are stored in a state file in wp-content rather than in an option,
+ * so they stay available after the site switches to another database. Secret
+ * parameters are encrypted with a key derived from the WordPress salts and are
+ * never returned; a form that uses a profile sends its ID instead, and the
+ * secrets are filled in on the server by resolve().
+ */
+class ConnectionProfiles
+{
+	/**
+	 * Engines a profile can be saved for.
+	 *
+	 * @var array<int, string>
+	 */
+	public const ENGINES = [ 'mysql', 'pgsql', 'sqlite', 'filedb', 'd1' ];
+
+	/**
+	 * Connection parameters that are encrypted and never returned.
+	 *
+	 * @var array<int, string>
+	 */
+	public const SECRET_KEYS = [ 'password', 'api_token' ];
+
+	/**
+	 * Format marker of exported profiles.
+	 *
+	 * @var string
+	 */
+	public const EXPORT_FORMAT = 'wp-dbal-profiles';
+
+	/**
+	 * State file name. It is a PHP file that exits, so it can't be read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_NAME = 'wp-dbal-profiles.php';
+
+	/**
+	 * Cipher used for secrets.
+	 *
+	 * @var string
+	 */
+	private const CIPHER = 'aes-256-gcm';
+
+	/**
+	 * State file path.
+	 *
+	 * @var string
+	 */
+	private string $file;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $file State file path (defaults to wp-content/wp-dbal-profiles.php).
+	 */
+	public function __construct(?string $file = null)
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+		$this->file = $file ?? $contentDir . '/' . self::FILE_NAME;
+	}
+
+	/**
+	 * List the profiles, without their secrets.
+	 *
+	 * @return array<int, array<string, mixed>> Profiles, sorted by name.
+	 */
+	public function all(): array
+	{
+		$profiles = \array_map([ $this, 'toPublic' ], \array_values($this->read()));
+
+		\usort($profiles, function ($a, $b) {
+			return \strcasecmp($a['name'], $b['name']);
+		});
+
+		return $profiles;
+	}
+
+	/**
+	 * Create or update a profile.
+	 *
+	 * An empty secret keeps the one already saved for the profile, so a
+	 * profile can be edited without entering its password again.
+	 *
+	 * @param string|null $id Profile ID, or null for a new profile.
+	 * @param string $name Profile name.
+	 * @param string $engine Database engine.
+	 * @param array<string, mixed> $params Connection parameters.
+	 * @return array<string, mixed> Saved profile, without its secrets.
+	 * @throws \InvalidArgumentException If the profile is invalid.
+	 * @throws \RuntimeException If the profile can't be saved.
+	 */
+	public function save(?string $id, string $name, string $engine, array $params): array
+	{
+		$profiles = $this->read();
+
+		if (null !== $id && ! isset($profiles[$id])) {
+			throw new \InvalidArgumentException(\__('Connection profile not found', 'wp-dbal'));
+		}
+
+		$profile = $this->buildProfile($profiles, $id, $name, $engine, $params);
+		$profiles[$profile['id']] = $profile;
+		$this->write($profiles);
+
+		return $this->toPublic($profile);
+	}
+
+	/**
+	 * Delete a profile.
+	 *
+	 * @param string $id Profile ID.
+	 * @return void
+	 * @throws \InvalidArgumentException If the profile does not exist.
+	 * @throws \RuntimeException If the profiles can't be saved.
+	 */
+	public function delete(string $id): void
+	{
+		$profiles = $this->read();
+
+		if (! isset($profiles[$id])) {
+			throw new \InvalidArgumentException(\__('Connection profile not found', 'wp-dbal'));
+		}
+
+		unset($profiles[$id]);
+		$this->write($profiles);
+	}
+
+	/**
+	 * Fill in the secrets of the profile that connection parameters refer to.
+	 *
+	 * Parameters without a "profile" key are returned as they are. Secrets
+	 * that were entered in the form take precedence over the saved ones.
+	 *
+	 * @param array<string, mixed> $params Connection parameters.
+	 * @return array<string, mixed> Connection parameters without the profile reference.
+	 * @throws \InvalidArgumentException If the profile does not exist.
+	 * @throws \RuntimeException If a saved secret can't be decrypted.
+	 */
+	public function resolve(array $params): array
+	{
+		if (empty($params['profile'])) {
+			unset($params['profile']);
+
+			return $params;
+		}
+
+		$profile = $this->read()[(string) $params['profile']] ?? null;
+		unset($params['profile']);
+
+		if (null === $profile) {
+			throw new \InvalidArgumentException(\__('The selected connection profile no longer exists', 'wp-dbal'));
+		}
+
+		foreach ($profile['secrets'] as $key => $encrypted) {
+			if ('' !== (string) ($params[$key] ?? '')) {
+				continue;
+			}
+
+			$value = $this->decrypt($encrypted);
+			if (null === $value) {
+				throw new \RuntimeException(\sprintf(
+					/* translators: 1: Parameter name, 2: Profile name. */
+					\__('The saved %1$s of connection profile "%2$s" can no longer be decrypted, probably because the WordPress salts changed. Enter it again and save the profile.', 'wp-dbal'),
+					$key,
+					$profile['name']
+				));
+			}
+
+			$params[$key] = $value;
+		}
+
+		return $params;
+	}
+
+	/**
+	 * Export the profiles without their secrets.
+	 *
+	 * @return array<string, mixed> Export data.
+	 */
+	public function export(): array
+	{
+		$profiles = [];
+		foreach ($this->all() as $profile) {
+			$profiles[] = [
+				'name' => $profile['name'],
+				'engine' => $profile['engine'],
+				'params' => $profile['params'],
+			];
+		}
+
+		return [
+			'format' => self::EXPORT_FORMAT,
+			'version' => 1,
+			'exported_at' => \time(),
+			'profiles' => $profiles,
+		];
+	}
+
+	/**
+	 * Import exported profiles.
+	 *
+	 * A profile with the name of an existing one updates it and keeps its
+	 * saved secrets. Secrets in the imported data are ignored. Nothing is
+	 * saved unless every profile is valid.
+	 *
+	 * @param array<string, mixed> $data Export data.
+	 * @return int Number of imported profiles.
+	 * @throws \InvalidArgumentException If the data or one of its profiles is invalid.
+	 * @throws \RuntimeException If the profiles can't be saved.
+	 */
+	public function import(array $data): int
+	{
+		if (self::EXPORT_FORMAT !== ($data['format'] ?? null) || ! \is_array($data['profiles'] ?? null)) {
+			throw new \InvalidArgumentException(\__('This is not a WP-DBAL connection profile export', 'wp-dbal'));
+		}
+
+		$profiles = $this->read();
+
+		foreach ($data['profiles'] as $item) {
+			if (! \is_array($item) || ! \is_string($item['name'] ?? null) || ! \is_string($item['engine'] ?? null)) {
+				throw new \InvalidArgumentException(\__('The export contains an invalid profile', 'wp-dbal'));
+			}
+
+			$params = \is_array($item['params'] ?? null) ? $item['params'] : [];
+			$params = \array_diff_key($params, \array_flip(self::SECRET_KEYS));
+
+			$profile = $this->buildProfile($profiles, $this->findByName($profiles, $item['name']), $item['name'], $item['engine'], $params);
+			$profiles[$profile['id']] = $profile;
+		}
+
+		$this->write($profiles);
+
+		return \count($data['profiles']);
+	}
+
+	/**
+	 * Validate a profile and merge it with the saved one.
+	 *
+	 * @param array<string, array<string, mixed>> $profiles Saved profiles.
+	 * @param string|null $id Profile ID, or null for a new profile.
+	 * @param string $name Profile name.
+	 * @param string $engine Database engine.
+	 * @param array<string, mixed> $params Connection parameters.
+	 * @return array<string, mixed> Profile as stored.
+	 * @throws \InvalidArgumentException If the profile is invalid.
+	 * @throws \RuntimeException If a secret can't be encrypted.
+	 */
+	private function buildProfile(array $profiles, ?string $id, string $name, string $engine, array $params): array
+	{
+		$name = \trim($name);
+		$engine = \strtolower($engine);
+
+		if ('' === $name) {
+			throw new \InvalidArgumentException(\__('A connection profile needs a name', 'wp-dbal'));
+		}
+
+		if (! \in_array($engine, self::ENGINES, true)) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: %s: Database engine. */
+				\__('Unsupported database engine: %s', 'wp-dbal'),
+				$engine
+			));
+		}
+
+		$existing = $this->findByName($profiles, $name);
+		if (null !== $existing && $existing !== $id) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: %s: Profile name. */
+				\__('A connection profile named "%s" already exists', 'wp-dbal'),
+				$name
+			));
+		}
+
+		$previous = null === $id ? null : $profiles[$id];
+		$profile = [
+			'id' => $id ?? \bin2hex(\random_bytes(8)),
+			'name' => $name,
+			'engine' => $engine,
+			'params' => [],
+			'secrets' => [],
+			'created_at' => $previous['created_at'] ?? \time(),
+			'updated_at' => \time(),
+		];
+
+		foreach ($params as $key => $value) {
+			// Only plain values; the profile reference itself is never stored.
+			if ('profile' === $key || ! \is_scalar($value)) {
+				continue;
+			}
+
+			if (\in_array($key, self::SECRET_KEYS, true)) {
+				if ('' !== (string) $value) {
+					$profile['secrets'][$key] = $this->encrypt((string) $value);
+				}
+				continue;
+			}
+
+			$profile['params'][$key] = $value;
+		}
+
+		// Keep the saved secrets that weren't entered again, unless the engine changed.
+		if (null !== $previous && $previous['engine'] === $engine) {
+			$profile['secrets'] += $previous['secrets'];
+		}
+
+		return $profile;
+	}
+
+	/**
+	 * Find a profile by name, ignoring case.
+	 *
+	 * @param array<string, array<string, mixed>> $profiles Saved profiles.
+	 * @param string $name Profile name.
+	 * @return string|null Profile ID, or null if there is no such profile.
+	 */
+	private function findByName(array $profiles, string $name): ?string
+	{
+		foreach ($profiles as $id => $profile) {
+			if (0 === \strcasecmp($profile['name'], \trim($name))) {
+				return (string) $id;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the public view of a profile.
+	 *
+	 * @param array<string, mixed> $profile Profile as stored.
+	 * @return array<string, mixed> Profile with the names of its saved secrets instead of their values.
+	 */
+	private function toPublic(array $profile): array
+	{
+		return [
+			'id' => $profile['id'],
+			'name' => $profile['name'],
+			'engine' => $profile['engine'],
+			'params' => $profile['params'],
+			'secrets' => \array_keys($profile['secrets']),
+			'updated_at' => $profile['updated_at'],
+		];
+	}
+
+	/**
+	 * Encrypt a secret.
+	 *
+	 * @param string $value Secret.
+	 * @return string Base64 of the IV, tag and ciphertext.
+	 * @throws \RuntimeException If OpenSSL is not available.
+	 */
+	private function encrypt(string $value): string
+	{
+		if (! \function_exists('openssl_encrypt')) {
+			throw new \RuntimeException(\__('Passwords and tokens can only be saved in a profile when the OpenSSL PHP extension is available', 'wp-dbal'));
+		}
+
+		$iv = \random_bytes(12);
+		$tag = '';
+		$ciphertext = \openssl_encrypt($value, self::CIPHER, $this->getKey(), OPENSSL_RAW_DATA, $iv, $tag);
+
+		if (false === $ciphertext) {
+			throw new \RuntimeException(\__('Failed to encrypt the secret', 'wp-dbal'));
+		}
+
+		return \base64_encode($iv . $tag . $ciphertext);
+	}
+
+	/**
+	 * Decrypt a secret.
+	 *
+	 * @param string $encrypted Value returned by encrypt().
+	 * @return string|null Secret, or null if it can't be decrypted with the current key.
+	 */
+	private function decrypt(string $encrypted): ?string
+	{
+		$data = \base64_decode($encrypted, true);
+
+		if (false === $data || \strlen($data) < 28 || ! \function_exists('openssl_decrypt')) {
+			return null;
+		}
+
+		$value = \openssl_decrypt(\substr($data, 28), self::CIPHER, $this->getKey(), OPENSSL_RAW_DATA, \substr($data, 0, 12), \substr($data, 12, 16));
+
+		return false === $value ? null : $value;
+	}
+
+	/**
+	 * Get the encryption key.
+	 *
+	 * @return string Binary key derived from the WordPress auth salt.
+	 */
+	private function getKey(): string
+	{
+		return \hash_hmac('sha256', 'wp-dbal-connection-profiles', \wp_salt('auth'), true);
+	}
+
+	/**
+	 * Read the saved profiles.
+	 *
+	 * @return array<string, array<string, mixed>> Profiles keyed by ID.
+	 */
+	private function read(): array
+	{
+		if (! \file_exists($this->file)) {
+			return [];
+		}
+
+		$content = (string) \file_get_contents($this->file);
+		$profiles = \json_decode(\substr($content, (int) \strpos($content, "\n") + 1), true);
+
+		return \is_array($profiles) ? $profiles : [];
+	}
+
+	/**
+	 * Save the profiles.
+	 *
+	 * Written to a temporary file first, so a concurrent request never reads half a file.
+	 *
+	 * @param array<string, array<string, mixed>> $profiles Profiles keyed by ID.
+	 * @return void
+	 * @throws \RuntimeException If the file can't be written.
+	 */
+	private function write(array $profiles): void
+	{
+		$content = "<?php exit; ?>\n" . \json_encode($profiles);
+		$temp = $this->file . '.tmp';
+
+		if (false === \file_put_contents($temp, $content, LOCK_EX) || ! \rename($temp, $this->file)) {
+			throw new \RuntimeException(\__('Failed to save the connection profiles. Check that wp-content is writable.', 'wp-dbal'));
+		}
+	}
+}
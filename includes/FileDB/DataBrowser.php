@@ -0,0 +1,325 @@
+<?php
+
+/**
+ * Data Browser - Browses and edits FileDB tables from the admin.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\FileDB;
+
+use Doctrine\DBAL\Connection as DBALConnection;
+use WP_DBAL\FileDB\Storage\StorageManager;
+
+/**
+ * Lists FileDB tables and pages through, updates and deletes their rows.
+ *
+ * Table and schema information is read from the storage directly, but rows
+ * are read and written with SQL through the connection, so updates and
+ * deletes keep the indexes in step like any other query.
+ */
+class DataBrowser
+{
+	/**
+	 * Maximum rows per page.
+	 *
+	 * @var int
+	 */
+	public const MAX_PER_PAGE = 200;
+
+	/**
+	 * DBAL connection to the FileDB database.
+	 *
+	 * @var DBALConnection
+	 */
+	protected DBALConnection $connection;
+
+	/**
+	 * FileDB storage.
+	 *
+	 * @var StorageManager
+	 */
+	protected StorageManager $storage;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param DBALConnection $connection DBAL connection using the FileDB driver.
+	 * @throws \InvalidArgumentException If the connection is not a FileDB connection.
+	 */
+	public function __construct(DBALConnection $connection)
+	{
+		$storage = $connection->getNativeConnection();
+
+		if (!$storage instanceof StorageManager) {
+			throw new \InvalidArgumentException('The data browser only works with FileDB connections.');
+		}
+
+		$this->connection = $connection;
+		$this->storage    = $storage;
+	}
+
+	/**
+	 * List all tables.
+	 *
+	 * @return list<array{name: string, columns: int, rows: int, primary_key: list<string>, auto_increment: int}> Tables.
+	 */
+	public function listTables(): array
+	{
+		$schemaManager = $this->storage->getSchemaManager();
+		$tables        = [];
+
+		foreach ($schemaManager->listTables() as $table) {
+			$schema = $schemaManager->getSchema($table) ?? [];
+
+			$tables[] = [
+				'name'           => $table,
+				'columns'        => \count($schema['columns'] ?? []),
+				'rows'           => $this->countRowFiles($table),
+				'primary_key'    => $schemaManager->getPrimaryKey($table),
+				'auto_increment' => (int) ($schemaManager->getMetadata($table)['autoIncrement'] ?? 0),
+			];
+		}
+
+		\usort($tables, fn($a, $b) => \strcmp($a['name'], $b['name']));
+
+		return $tables;
+	}
+
+	/**
+	 * Get a table's schema and metadata.
+	 *
+	 * @param string $table The table name.
+	 * @return array{name: string, columns: array<string, array<string, mixed>>, primary_key: list<string>, metadata: array<string, mixed>} Table details.
+	 */
+	public function getTable(string $table): array
+	{
+		$this->assertTable($table);
+
+		$schemaManager = $this->storage->getSchemaManager();
+
+		return [
+			'name'        => $table,
+			'columns'     => $this->getColumns($table),
+			'primary_key' => $schemaManager->getPrimaryKey($table),
+			'metadata'    => $schemaManager->getMetadata($table),
+		];
+	}
+
+	/**
+	 * Get a page of rows.
+	 *
+	 * @param string                $table   The table name.
+	 * @param int                   $page    Page number, starting at 1.
+	 * @param int                   $perPage Rows per page.
+	 * @param array<string, string> $filters Column => text the column must contain.
+	 * @return array{rows: list<array<string, mixed>>, total: int, page: int, per_page: int} Rows.
+	 */
+	public function getRows(string $table, int $page = 1, int $perPage = 50, array $filters = []): array
+	{
+		$this->assertTable($table);
+
+		$page    = \max(1, $page);
+		$perPage = \min(self::MAX_PER_PAGE, \max(1, $perPage));
+
+		[$where, $params] = $this->buildFilters($table, $filters);
+		$from = ' FROM ' . $this->connection->quoteIdentifier($table) . $where;
+
+		$total = (int) $this->connection->fetchOne('SELECT COUNT(*)' . $from, $params);
+
+		$orderBy = \implode(', ', \array_map(
+			fn($column) => $this->connection->quoteIdentifier($column),
+			$this->storage->getSchemaManager()->getPrimaryKey($table)
+		));
+
+		$rows = $this->connection->fetchAllAssociative(
+			'SELECT *' . $from . ' ORDER BY ' . $orderBy . ' LIMIT ' . $perPage . ' OFFSET ' . (($page - 1) * $perPage),
+			$params
+		);
+
+		return [
+			'rows'     => $rows,
+			'total'    => $total,
+			'page'     => $page,
+			'per_page' => $perPage,
+		];
+	}
+
+	/**
+	 * Update a row.
+	 *
+	 * @param string               $table  The table name.
+	 * @param array<string, mixed> $key    Primary key column => value.
+	 * @param array<string, mixed> $values Column => new value.
+	 * @return int Number of updated rows.
+	 */
+	public function updateRow(string $table, array $key, array $values): int
+	{
+		$this->assertTable($table);
+		$this->assertColumns($table, \array_keys($values));
+
+		if (empty($values)) {
+			return 0;
+		}
+
+		return $this->connection->update(
+			$this->connection->quoteIdentifier($table),
+			$this->quoteKeys($values),
+			$this->quoteKeys($this->checkKey($table, $key))
+		);
+	}
+
+	/**
+	 * Delete a row.
+	 *
+	 * @param string               $table The table name.
+	 * @param array<string, mixed> $key   Primary key column => value.
+	 * @return int Number of deleted rows.
+	 */
+	public function deleteRow(string $table, array $key): int
+	{
+		$this->assertTable($table);
+
+		return $this->connection->delete(
+			$this->connection->quoteIdentifier($table),
+			$this->quoteKeys($this->checkKey($table, $key))
+		);
+	}
+
+	/**
+	 * Get the column definitions of a table.
+	 *
+	 * Tables created without a schema get their columns from the first row.
+	 *
+	 * @param string $table The table name.
+	 * @return array<string, array<string, mixed>> Column definitions keyed by name.
+	 */
+	protected function getColumns(string $table): array
+	{
+		$schema = $this->storage->getSchemaManager()->getSchema($table);
+
+		if (!empty($schema['columns'])) {
+			return $schema['columns'];
+		}
+
+		$row = $this->connection->fetchAssociative('SELECT * FROM ' . $this->connection->quoteIdentifier($table) . ' LIMIT 1');
+
+		$columns = [];
+		foreach (\array_keys($row ?: []) as $column) {
+			$columns[$column] = [
+				'name' => $column,
+				'type' => 'unknown',
+			];
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Build the WHERE clause for column filters.
+	 *
+	 * @param string                $table   The table name.
+	 * @param array<string, string> $filters Column => text the column must contain.
+	 * @return array{0: string, 1: list<string>} WHERE clause and parameters.
+	 */
+	protected function buildFilters(string $table, array $filters): array
+	{
+		$filters = \array_filter($filters, fn($value) => '' !== (string) $value);
+		$this->assertColumns($table, \array_keys($filters));
+
+		$conditions = [];
+		$params     = [];
+		foreach ($filters as $column => $value) {
+			$conditions[] = $this->connection->quoteIdentifier($column) . ' LIKE ?';
+			$params[]     = '%' . \addcslashes((string) $value, '%_\\') . '%';
+		}
+
+		return [$conditions ? ' WHERE ' . \implode(' AND ', $conditions) : '', $params];
+	}
+
+	/**
+	 * Check that a key identifies a row by its full primary key.
+	 *
+	 * @param string               $table The table name.
+	 * @param array<string, mixed> $key   Primary key column => value.
+	 * @return array<string, mixed> The key, in primary key column order.
+	 * @throws \InvalidArgumentException If a primary key column is missing.
+	 */
+	protected function checkKey(string $table, array $key): array
+	{
+		$checked = [];
+		foreach ($this->storage->getSchemaManager()->getPrimaryKey($table) as $column) {
+			if (!\array_key_exists($column, $key)) {
+				throw new \InvalidArgumentException(\sprintf('Missing primary key column "%s".', $column));
+			}
+
+			$checked[$column] = $key[$column];
+		}
+
+		return $checked;
+	}
+
+	/**
+	 * Quote the column names of an array.
+	 *
+	 * @param array<string, mixed> $values Column => value.
+	 * @return array<string, mixed> Quoted column => value.
+	 */
+	protected function quoteKeys(array $values): array
+	{
+		$quoted = [];
+		foreach ($values as $column => $value) {
+			$quoted[$this->connection->quoteIdentifier($column)] = $value;
+		}
+
+		return $quoted;
+	}
+
+	/**
+	 * Make sure a table exists.
+	 *
+	 * @param string $table The table name.
+	 * @return void
+	 * @throws \InvalidArgumentException If the table doesn't exist.
+	 */
+	protected function assertTable(string $table): void
+	{
+		if (!\in_array($table, $this->storage->getSchemaManager()->listTables(), true)) {
+			throw new \InvalidArgumentException(\sprintf('Table "%s" does not exist.', $table));
+		}
+	}
+
+	/**
+	 * Make sure columns exist in a table.
+	 *
+	 * @param string       $table   The table name.
+	 * @param list<string> $columns Column names.
+	 * @return void
+	 * @throws \InvalidArgumentException If a column doesn't exist.
+	 */
+	protected function assertColumns(string $table, array $columns): void
+	{
+		$known = $this->getColumns($table);
+
+		foreach ($columns as $column) {
+			if (!isset($known[$column])) {
+				throw new \InvalidArgumentException(\sprintf('Column "%s" does not exist in table "%s".', $column, $table));
+			}
+		}
+	}
+
+	/**
+	 * Count the row files of a table without reading them.
+	 *
+	 * @param string $table The table name.
+	 * @return int Number of rows.
+	 */
+	protected function countRowFiles(string $table): int
+	{
+		$extension = \defined('DB_FILEDB_FORMAT') && 'php' === DB_FILEDB_FORMAT ? 'php' : 'json';
+
+		return \count(\glob($this->storage->getBasePath() . '/tables/' . $table . '/*.' . $extension) ?: []);
+	}
+}
@@ -0,0 +1,542 @@
+<?php
+
+/**
+ * Format Converter - Converts FileDB storage between the JSON and PHP formats.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\FileDB;
+
+use WP_DBAL\FileDB\Util\FormatHandler;
+
+/**
+ * Converts every row, schema, metadata and index file of a FileDB database
+ * to the other format, in chunks that can be resumed.
+ *
+ * The converted files are written next to the original ones. The site keeps
+ * reading the original format until DB_FILEDB_FORMAT is changed, so the
+ * conversion can run while the site is live. Files changed in the meantime
+ * are converted again when the copies are verified, right before the switch.
+ *
+ * The job goes through these phases:
+ * - copy: convert the files, a chunk at a time.
+ * - verify: convert the files changed since they were copied and compare the row and file counts.
+ * - ready: waiting for DB_FILEDB_FORMAT to be changed.
+ * - cleanup: delete the files in the old format, a chunk at a time.
+ * - completed: nothing left to do.
+ *
+ * The job state is kept in a file in wp-content rather than in the database
+ * that is being converted.
+ */
+class FormatConverter
+{
+	/**
+	 * Number of files handled per step.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_CHUNK_SIZE = 500;
+
+	/**
+	 * State file name.
+	 *
+	 * @var string
+	 */
+	private const FILE_NAME = 'wp-dbal-filedb-conversion.php';
+
+	/**
+	 * Line that stops the state file from being read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_HEADER = "<?php exit; ?>\n";
+
+	/**
+	 * State file path.
+	 *
+	 * @var string
+	 */
+	private string $file;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $file State file path (defaults to wp-content/wp-dbal-filedb-conversion.php).
+	 */
+	public function __construct(?string $file = null)
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+		$this->file = $file ?? $contentDir . '/' . self::FILE_NAME;
+	}
+
+	/**
+	 * Get the state of the conversion.
+	 *
+	 * @return array<string, mixed>|null State, or null if no conversion was started.
+	 */
+	public function getState(): ?array
+	{
+		if (!\file_exists($this->file)) {
+			return null;
+		}
+
+		$content = (string) \file_get_contents($this->file);
+		$state   = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+
+		return \is_array($state) ? $state : null;
+	}
+
+	/**
+	 * Start a conversion.
+	 *
+	 * @param string $basePath FileDB storage path.
+	 * @param string $source   Current format.
+	 * @param string $target   Format to convert to.
+	 * @return array<string, mixed> State.
+	 * @throws \InvalidArgumentException If the formats are invalid or another conversion is running.
+	 * @throws \RuntimeException If the state can't be saved.
+	 */
+	public function start(string $basePath, string $source, string $target): array
+	{
+		if (!\in_array($source, ['json', 'php'], true) || !\in_array($target, ['json', 'php'], true) || $source === $target) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: 1: Current format, 2: Format to convert to. */
+				\__('Cannot convert from "%1$s" to "%2$s".', 'wp-dbal'),
+				$source,
+				$target
+			));
+		}
+
+		$state = $this->getState();
+		if (null !== $state && 'completed' !== $state['phase']) {
+			throw new \InvalidArgumentException(\__('Another conversion has not finished yet.', 'wp-dbal'));
+		}
+
+		$directories = $this->listDirectories($basePath);
+
+		$state = [
+			'phase'       => 'copy',
+			'base_path'   => $basePath,
+			'source'      => $source,
+			'target'      => $target,
+			'directories' => $directories,
+			'directory'   => 0,
+			'offset'      => 0,
+			'files_done'  => 0,
+			'files_total' => $this->countFiles($basePath, $directories, $source),
+			'counts'      => [],
+			'error'       => null,
+			'started_at'  => \time(),
+			'updated_at'  => \time(),
+		];
+
+		$this->save($state);
+
+		return $state;
+	}
+
+	/**
+	 * Run the next step of the conversion.
+	 *
+	 * A failed step keeps its position, so calling this again retries it.
+	 *
+	 * @param string $currentFormat Format the site currently uses.
+	 * @param int    $chunkSize     Number of files to handle.
+	 * @return array<string, mixed> State.
+	 * @throws \InvalidArgumentException If no conversion is running.
+	 */
+	public function step(string $currentFormat, int $chunkSize = self::DEFAULT_CHUNK_SIZE): array
+	{
+		$state = $this->getState();
+		if (null === $state) {
+			throw new \InvalidArgumentException(\__('No conversion has been started.', 'wp-dbal'));
+		}
+
+		$state['error'] = null;
+
+		try {
+			switch ($state['phase']) {
+				case 'copy':
+					$state = $this->copyChunk($state, \max(1, $chunkSize));
+					break;
+
+				case 'verify':
+					$state = $this->verify($state);
+					break;
+
+				case 'ready':
+					// The switch happened, so the old files can go.
+					if ($currentFormat === $state['target']) {
+						$state['phase']      = 'cleanup';
+						$state['directory']  = 0;
+						$state['offset']     = 0;
+						$state['files_done'] = 0;
+					}
+					break;
+
+				case 'cleanup':
+					$state = $this->cleanupChunk($state, \max(1, $chunkSize));
+					break;
+			}
+		} catch (\RuntimeException $e) {
+			$state['error'] = $e->getMessage();
+		}
+
+		$state['updated_at'] = \time();
+		$this->save($state);
+
+		return $state;
+	}
+
+	/**
+	 * Convert the files changed since they were copied and compare the row and
+	 * file counts again.
+	 *
+	 * Called right before DB_FILEDB_FORMAT is changed.
+	 *
+	 * @return array<string, mixed> State, in the ready phase if the copies match.
+	 * @throws \InvalidArgumentException If the conversion isn't waiting for the switch.
+	 */
+	public function prepareSwitch(): array
+	{
+		$state = $this->getState();
+		if (null === $state || 'ready' !== $state['phase']) {
+			throw new \InvalidArgumentException(\__('The conversion is not ready to switch formats.', 'wp-dbal'));
+		}
+
+		$state['error'] = null;
+
+		try {
+			$state = $this->verify($state);
+		} catch (\RuntimeException $e) {
+			$state['error'] = $e->getMessage();
+		}
+
+		$state['updated_at'] = \time();
+		$this->save($state);
+
+		return $state;
+	}
+
+	/**
+	 * Forget the conversion.
+	 *
+	 * Converted files left behind are overwritten by the next conversion.
+	 *
+	 * @return void
+	 */
+	public function cancel(): void
+	{
+		if (\file_exists($this->file)) {
+			\unlink($this->file);
+		}
+	}
+
+	/**
+	 * Convert the next chunk of files.
+	 *
+	 * @param array<string, mixed> $state     State.
+	 * @param int                  $chunkSize Number of files to convert.
+	 * @return array<string, mixed> State.
+	 * @throws \RuntimeException If a file can't be converted.
+	 */
+	private function copyChunk(array $state, int $chunkSize): array
+	{
+		$source = new FormatHandler($state['source']);
+		$target = new FormatHandler($state['target']);
+
+		while ($chunkSize > 0 && $state['directory'] < \count($state['directories'])) {
+			$dir   = $state['base_path'] . $state['directories'][$state['directory']];
+			$files = \array_slice($this->listFiles($dir, $source), $state['offset'], $chunkSize);
+
+			foreach ($files as $name) {
+				$this->convertFile($dir . '/' . $name, $source, $target);
+				$state['offset']++;
+				$state['files_done']++;
+				$chunkSize--;
+			}
+
+			if ($chunkSize > 0) {
+				$state['directory']++;
+				$state['offset'] = 0;
+			}
+		}
+
+		if ($state['directory'] >= \count($state['directories'])) {
+			$state['phase'] = 'verify';
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Bring the converted files up to date and compare the counts.
+	 *
+	 * Table directories are compared by the rows that can be read in each
+	 * format, the other directories by their number of files. Directories are
+	 * listed again, so tables created during the copy are included.
+	 *
+	 * @param array<string, mixed> $state State.
+	 * @return array<string, mixed> State, in the ready phase if the counts match.
+	 * @throws \RuntimeException If a file can't be converted.
+	 */
+	private function verify(array $state): array
+	{
+		$source = new FormatHandler($state['source']);
+		$target = new FormatHandler($state['target']);
+
+		\clearstatcache();
+
+		$state['directories'] = $this->listDirectories($state['base_path']);
+		$state['counts']      = [];
+		$mismatches           = [];
+
+		foreach ($state['directories'] as $relative) {
+			$dir = $state['base_path'] . $relative;
+
+			$sourceFiles = $this->listFiles($dir, $source);
+			$targetFiles = $this->listFiles($dir, $target);
+
+			foreach ($sourceFiles as $name) {
+				$sourcePath = $dir . '/' . $name;
+				$targetPath = $target->buildPath(\substr($sourcePath, 0, -\strlen($source->getExtension()) - 1));
+
+				if (!\file_exists($targetPath) || \filemtime($sourcePath) >= \filemtime($targetPath)) {
+					$this->convertFile($sourcePath, $source, $target);
+				}
+			}
+
+			// Rows deleted since they were copied.
+			$sourceNames = \array_map(fn($name) => \substr($name, 0, -\strlen($source->getExtension()) - 1), $sourceFiles);
+			foreach ($targetFiles as $name) {
+				if (!\in_array(\substr($name, 0, -\strlen($target->getExtension()) - 1), $sourceNames, true)) {
+					$target->delete($dir . '/' . $name);
+				}
+			}
+
+			if (\str_starts_with($relative, '/tables/')) {
+				$counts = [
+					'source' => $this->countRows($dir, $source),
+					'target' => $this->countRows($dir, $target),
+				];
+
+				$state['counts'][\substr($relative, \strlen('/tables/'))] = $counts;
+			} else {
+				$counts = [
+					'source' => \count($sourceFiles),
+					'target' => \count($this->listFiles($dir, $target)),
+				];
+			}
+
+			if ($counts['source'] !== $counts['target']) {
+				$mismatches[] = \ltrim($relative, '/');
+			}
+		}
+
+		// The counts are kept, so the tables that differ can be shown.
+		if ($mismatches) {
+			$state['error'] = \sprintf(
+				/* translators: %s: Comma-separated list of directories. */
+				\__('The number of rows or files differs in: %s.', 'wp-dbal'),
+				\implode(', ', $mismatches)
+			);
+
+			return $state;
+		}
+
+		$state['phase'] = 'ready';
+
+		return $state;
+	}
+
+	/**
+	 * Delete the next chunk of files in the old format.
+	 *
+	 * @param array<string, mixed> $state     State.
+	 * @param int                  $chunkSize Number of files to delete.
+	 * @return array<string, mixed> State.
+	 */
+	private function cleanupChunk(array $state, int $chunkSize): array
+	{
+		$source = new FormatHandler($state['source']);
+
+		// Deleted files drop out of the listing, so there is no offset to keep.
+		while ($chunkSize > 0 && $state['directory'] < \count($state['directories'])) {
+			$dir   = $state['base_path'] . $state['directories'][$state['directory']];
+			$files = \array_slice($this->listFiles($dir, $source), 0, $chunkSize);
+
+			foreach ($files as $name) {
+				$source->delete($dir . '/' . $name);
+				$state['files_done']++;
+				$chunkSize--;
+			}
+
+			if ($chunkSize > 0) {
+				$state['directory']++;
+			}
+		}
+
+		if ($state['directory'] >= \count($state['directories'])) {
+			$state['phase'] = 'completed';
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Convert a file to the target format and check the result.
+	 *
+	 * @param string        $path   Path of the file in the source format.
+	 * @param FormatHandler $source Source format.
+	 * @param FormatHandler $target Target format.
+	 * @return void
+	 * @throws \RuntimeException If the file can't be read, written or read back.
+	 */
+	private function convertFile(string $path, FormatHandler $source, FormatHandler $target): void
+	{
+		$data = $source->read($path);
+		if (null === $data) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not read %s.', 'wp-dbal'),
+				$path
+			));
+		}
+
+		$targetPath = $target->buildPath(\substr($path, 0, -\strlen($source->getExtension()) - 1));
+
+		if (!$target->write($targetPath, $data)) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: File path. */
+				\__('Could not write %s.', 'wp-dbal'),
+				$targetPath
+			));
+		}
+
+		// A PHP file written in the same second could otherwise be read from the opcode cache.
+		if (\function_exists('opcache_invalidate')) {
+			\opcache_invalidate($targetPath, true);
+		}
+
+		if ($target->read($targetPath) !== $data) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: 1: Converted file path, 2: Original file path. */
+				\__('%1$s does not match %2$s after converting it.', 'wp-dbal'),
+				$targetPath,
+				$path
+			));
+		}
+	}
+
+	/**
+	 * List the directories of a FileDB database.
+	 *
+	 * @param string $basePath FileDB storage path.
+	 * @return list<string> Directories relative to the storage path, with a leading slash.
+	 */
+	private function listDirectories(string $basePath): array
+	{
+		$directories = [];
+
+		foreach (['/_schema', '/_meta', '/_indexes', '/tables'] as $dir) {
+			if (!\is_dir($basePath . $dir)) {
+				continue;
+			}
+
+			$directories[] = $dir;
+
+			foreach (\glob($basePath . $dir . '/*', \GLOB_ONLYDIR) ?: [] as $subdir) {
+				$directories[] = $dir . '/' . \basename($subdir);
+			}
+		}
+
+		return $directories;
+	}
+
+	/**
+	 * List the files of a directory in a format, sorted by name.
+	 *
+	 * @param string        $dir    Directory path.
+	 * @param FormatHandler $format Format.
+	 * @return list<string> File names.
+	 */
+	private function listFiles(string $dir, FormatHandler $format): array
+	{
+		$extension = '.' . $format->getExtension();
+		$files     = [];
+
+		// The directory of a table dropped during the conversion.
+		if (!\is_dir($dir)) {
+			return $files;
+		}
+
+		foreach (\scandir($dir) ?: [] as $file) {
+			if (\str_ends_with($file, $extension) && \is_file($dir . '/' . $file)) {
+				$files[] = $file;
+			}
+		}
+
+		\sort($files, \SORT_STRING);
+
+		return $files;
+	}
+
+	/**
+	 * Count the rows of a table directory that can be read in a format.
+	 *
+	 * @param string        $dir    Table directory path.
+	 * @param FormatHandler $format Format.
+	 * @return int Number of rows.
+	 */
+	private function countRows(string $dir, FormatHandler $format): int
+	{
+		$rows = 0;
+
+		foreach ($this->listFiles($dir, $format) as $name) {
+			if (null !== $format->read($dir . '/' . $name)) {
+				$rows++;
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Count the files of a database in a format.
+	 *
+	 * @param string        $basePath    FileDB storage path.
+	 * @param list<string>  $directories Directories relative to the storage path.
+	 * @param string        $format      Format.
+	 * @return int Number of files.
+	 */
+	private function countFiles(string $basePath, array $directories, string $format): int
+	{
+		$handler = new FormatHandler($format);
+		$total   = 0;
+
+		foreach ($directories as $dir) {
+			$total += \count($this->listFiles($basePath . $dir, $handler));
+		}
+
+		return $total;
+	}
+
+	/**
+	 * Save the state.
+	 *
+	 * @param array<string, mixed> $state State.
+	 * @return void
+	 * @throws \RuntimeException If the state can't be saved.
+	 */
+	private function save(array $state): void
+	{
+		$temp = $this->file . '.tmp';
+
+		if (false === \file_put_contents($temp, self::FILE_HEADER . \json_encode($state), LOCK_EX) || !\rename($temp, $this->file)) {
+			throw new \RuntimeException(\__('Could not save the conversion state.', 'wp-dbal'));
+		}
+	}
+}
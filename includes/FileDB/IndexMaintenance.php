@@ -0,0 +1,194 @@
+<?php
+
+/**
+ * Index Maintenance - Inspects and rebuilds FileDB indexes from the admin.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\FileDB;
+
+use Doctrine\DBAL\Connection as DBALConnection;
+use WP_DBAL\FileDB\Storage\StorageManager;
+
+/**
+ * Lists, checks and rebuilds the indexes of FileDB tables, and chooses
+ * which columns of a table are indexed.
+ */
+class IndexMaintenance
+{
+	/**
+	 * FileDB storage.
+	 *
+	 * @var StorageManager
+	 */
+	protected StorageManager $storage;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param DBALConnection $connection DBAL connection using the FileDB driver.
+	 * @throws \InvalidArgumentException If the connection is not a FileDB connection.
+	 */
+	public function __construct(DBALConnection $connection)
+	{
+		$storage = $connection->getNativeConnection();
+
+		if (!$storage instanceof StorageManager) {
+			throw new \InvalidArgumentException('Index maintenance only works with FileDB connections.');
+		}
+
+		$this->storage = $storage;
+	}
+
+	/**
+	 * Check if indexing is enabled.
+	 *
+	 * @return bool True if enabled.
+	 */
+	public function isEnabled(): bool
+	{
+		return $this->storage->getIndexManager()->isEnabled();
+	}
+
+	/**
+	 * List the indexes of all tables.
+	 *
+	 * @return list<array<string, mixed>> Tables with their columns and indexes.
+	 */
+	public function listIndexes(): array
+	{
+		$tables = [];
+
+		foreach ($this->storage->getSchemaManager()->listTables() as $table) {
+			$tables[] = $this->getTable($table);
+		}
+
+		\usort($tables, fn($a, $b) => \strcmp($a['table'], $b['table']));
+
+		return $tables;
+	}
+
+	/**
+	 * Get the columns and indexes of a table.
+	 *
+	 * @param string $table The table name.
+	 * @return array{table: string, columns: list<string>, indexed_columns: list<string>|null, indexes: list<array<string, mixed>>, entries: int, size: int} Table indexes.
+	 */
+	public function getTable(string $table): array
+	{
+		$this->assertTable($table);
+
+		$indexManager = $this->storage->getIndexManager();
+		$indexes      = $indexManager->getTableStats($table);
+
+		return [
+			'table'           => $table,
+			'columns'         => $this->getColumns($table, $indexes),
+			'indexed_columns' => $indexManager->getIndexedColumns($table),
+			'indexes'         => $indexes,
+			'entries'         => (int) \array_sum(\array_column($indexes, 'entries')),
+			'size'            => (int) \array_sum(\array_column($indexes, 'size')),
+		];
+	}
+
+	/**
+	 * Compare the indexes of a table with its row data.
+	 *
+	 * @param string $table The table name.
+	 * @return array<string, string> Status by column, see IndexManager::checkTable().
+	 */
+	public function check(string $table): array
+	{
+		$this->assertTable($table);
+
+		return $this->storage->getIndexManager()->checkTable(
+			$table,
+			$this->storage->getAllRows($table),
+			$this->storage->getSchemaManager()->getPrimaryKey($table)
+		);
+	}
+
+	/**
+	 * Rebuild the indexes of a table from its row data.
+	 *
+	 * @param string $table The table name.
+	 * @return array<string, mixed> Table indexes after rebuilding.
+	 */
+	public function rebuild(string $table): array
+	{
+		$this->assertTable($table);
+
+		$this->storage->getIndexManager()->rebuildTable(
+			$table,
+			$this->storage->getAllRows($table),
+			$this->storage->getSchemaManager()->getPrimaryKey($table)
+		);
+
+		return $this->getTable($table);
+	}
+
+	/**
+	 * Choose the indexed columns of a table and rebuild its indexes.
+	 *
+	 * @param string            $table   The table name.
+	 * @param list<string>|null $columns The columns to index, or null to index all columns.
+	 * @return array<string, mixed> Table indexes after rebuilding.
+	 * @throws \InvalidArgumentException If a column doesn't exist.
+	 */
+	public function setIndexedColumns(string $table, ?array $columns): array
+	{
+		$this->assertTable($table);
+
+		if (null !== $columns) {
+			$known = $this->getColumns($table, $this->storage->getIndexManager()->getTableStats($table));
+
+			foreach ($columns as $column) {
+				if (!\in_array($column, $known, true)) {
+					throw new \InvalidArgumentException(\sprintf('Column "%s" does not exist in table "%s".', $column, $table));
+				}
+			}
+		}
+
+		$this->storage->getIndexManager()->setIndexedColumns($table, $columns);
+
+		return $this->rebuild($table);
+	}
+
+	/**
+	 * Get the column names of a table.
+	 *
+	 * Tables created without a schema get their columns from the existing
+	 * index files.
+	 *
+	 * @param string                          $table   The table name.
+	 * @param list<array{column: string}>     $indexes Index statistics of the table.
+	 * @return list<string> Column names.
+	 */
+	protected function getColumns(string $table, array $indexes): array
+	{
+		$schema = $this->storage->getSchemaManager()->getSchema($table);
+
+		if (!empty($schema['columns'])) {
+			return \array_map('strval', \array_keys($schema['columns']));
+		}
+
+		return \array_column($indexes, 'column');
+	}
+
+	/**
+	 * Make sure a table exists.
+	 *
+	 * @param string $table The table name.
+	 * @return void
+	 * @throws \InvalidArgumentException If the table doesn't exist.
+	 */
+	protected function assertTable(string $table): void
+	{
+		if (!\in_array($table, $this->storage->getSchemaManager()->listTables(), true)) {
+			throw new \InvalidArgumentException(\sprintf('Table "%s" does not exist.', $table));
+		}
+	}
+}
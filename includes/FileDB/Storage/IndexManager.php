@@ -13,10 +13,13 @@ namespace WP_DBAL\FileDB\Storage;
 use WP_DBAL\FileDB\Util\FormatHandler;
 
 /**
- * Manages indexes for all table columns.
+ * Manages indexes for table columns.
  *
  * Indexes map column values to primary key IDs for fast lookups.
  * Format: {"value1": [id1, id2], "value2": [id3, id4]}
+ *
+ * All columns are indexed unless the indexed columns of a table have been
+ * chosen, in which case they are stored in _indexes/_columns.
  */
 class IndexManager
 {
@@ -55,6 +58,13 @@ class IndexManager
 	 */
 	protected array $dirty = [];
 
+	/**
+	 * Indexed columns by table, for tables that don't index all columns.
+	 *
+	 * @var array<string, list<string>>|null
+	 */
+	protected ?array $indexedColumns = null;
+
 	/**
 	 * Constructor.
 	 *
@@ -221,6 +231,10 @@ class IndexManager
 	 */
 	protected function addToIndex(string $table, string $column, mixed $value, int|string $primaryId): void
 	{
+		if (!$this->isColumnIndexed($table, $column)) {
+			return;
+		}
+
 		$index = $this->getIndex($table, $column);
 		$key   = $this->normalizeValue($value);
 
@@ -248,6 +262,10 @@ class IndexManager
 	 */
 	protected function removeFromIndex(string $table, string $column, mixed $value, int|string $primaryId): void
 	{
+		if (!$this->isColumnIndexed($table, $column)) {
+			return;
+		}
+
 		$index = $this->getIndex($table, $column);
 		$key   = $this->normalizeValue($value);
 
@@ -345,16 +363,226 @@ class IndexManager
 			return;
 		}
 
-		// Clear existing indexes for this table.
-		$this->indexes[$table] = [];
+		// Remove the existing index files, so columns that are no longer
+		// indexed or no longer have values don't keep stale entries.
+		foreach ($this->getIndexFiles($table) as $path) {
+			$this->format->delete($path);
+		}
+
+		$this->indexes[$table] = $this->buildIndexes($table, $rows, $pk);
+		$this->dirty[$table]   = \array_fill_keys(\array_keys($this->indexes[$table]), true);
+
+		$this->flush();
+	}
+
+	/**
+	 * Compare the index files of a table with its row data.
+	 *
+	 * Each column gets one of these statuses:
+	 * - ok: the index matches the rows.
+	 * - stale: the index doesn't match the rows.
+	 * - missing: the column has values but no index file.
+	 * - unreadable: the index file can't be read.
+	 * - unused: the index file belongs to a column that isn't indexed.
+	 *
+	 * @param string                     $table The table name.
+	 * @param list<array<string, mixed>> $rows  All rows in the table.
+	 * @param list<string>               $pk    Primary key columns.
+	 * @return array<string, string> Status by column.
+	 */
+	public function checkTable(string $table, array $rows, array $pk): array
+	{
+		if (!$this->enabled) {
+			return [];
+		}
+
+		$expected = $this->buildIndexes($table, $rows, $pk);
+		$files    = $this->getIndexFiles($table);
+		$statuses = [];
+
+		foreach ($files as $column => $path) {
+			$column = (string) $column;
+
+			if (!$this->isColumnIndexed($table, $column)) {
+				$statuses[$column] = 'unused';
+				continue;
+			}
+
+			$index = $this->format->read($path);
+
+			if (null === $index) {
+				$statuses[$column] = 'unreadable';
+				continue;
+			}
+
+			$matches = $this->canonicalize($index) === $this->canonicalize($expected[$column] ?? []);
+
+			$statuses[$column] = $matches ? 'ok' : 'stale';
+		}
+
+		foreach (\array_keys($expected) as $column) {
+			if (!isset($statuses[$column])) {
+				$statuses[$column] = 'missing';
+			}
+		}
+
+		\ksort($statuses);
+
+		return $statuses;
+	}
+
+	/**
+	 * Get statistics about the index files of a table.
+	 *
+	 * @param string $table The table name.
+	 * @return list<array{column: string, entries: int|null, size: int}> Statistics by column, entries is null if the file can't be read.
+	 */
+	public function getTableStats(string $table): array
+	{
+		$stats = [];
+
+		foreach ($this->getIndexFiles($table) as $column => $path) {
+			$index = $this->format->read($path);
+
+			$stats[] = [
+				'column'  => (string) $column,
+				'entries' => null === $index ? null : \count($index),
+				'size'    => (int) \filesize($path),
+			];
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * Get the indexed columns of a table.
+	 *
+	 * @param string $table The table name.
+	 * @return list<string>|null The indexed columns, or null if all columns are indexed.
+	 */
+	public function getIndexedColumns(string $table): ?array
+	{
+		if (null === $this->indexedColumns) {
+			$this->indexedColumns = $this->format->read($this->getColumnsConfigPath()) ?? [];
+		}
+
+		return $this->indexedColumns[$table] ?? null;
+	}
+
+	/**
+	 * Choose the indexed columns of a table.
+	 *
+	 * Index files of columns that are no longer indexed are deleted. Newly
+	 * indexed columns are only filled by rebuilding the table.
+	 *
+	 * @param string            $table   The table name.
+	 * @param list<string>|null $columns The columns to index, or null to index all columns.
+	 * @return void
+	 */
+	public function setIndexedColumns(string $table, ?array $columns): void
+	{
+		$this->getIndexedColumns($table);
+
+		if (null === $columns) {
+			unset($this->indexedColumns[$table]);
+		} else {
+			$this->indexedColumns[$table] = \array_values(\array_unique($columns));
+		}
+
+		$this->format->write($this->getColumnsConfigPath(), $this->indexedColumns);
+
+		foreach ($this->getIndexFiles($table) as $column => $path) {
+			if (!$this->isColumnIndexed($table, (string) $column)) {
+				$this->format->delete($path);
+				unset($this->indexes[$table][$column], $this->dirty[$table][$column]);
+			}
+		}
+	}
+
+	/**
+	 * Check if a column of a table is indexed.
+	 *
+	 * @param string $table  The table name.
+	 * @param string $column The column name.
+	 * @return bool True if the column is indexed.
+	 */
+	public function isColumnIndexed(string $table, string $column): bool
+	{
+		$columns = $this->getIndexedColumns($table);
+
+		return null === $columns || \in_array($column, $columns, true);
+	}
+
+	/**
+	 * Build the indexes of a table from its rows.
+	 *
+	 * @param string                     $table The table name.
+	 * @param list<array<string, mixed>> $rows  All rows in the table.
+	 * @param list<string>               $pk    Primary key columns.
+	 * @return array<string, array<string, list<int|string>>> Indexes by column.
+	 */
+	protected function buildIndexes(string $table, array $rows, array $pk): array
+	{
+		$indexes = [];
 
 		foreach ($rows as $row) {
-			// Get primary key value.
 			$pkValue = $this->getPrimaryKeyValue($row, $pk);
-			$this->addRow($table, $pkValue, $row);
+
+			foreach ($row as $column => $value) {
+				if ($this->isColumnIndexed($table, (string) $column)) {
+					$indexes[$column][$this->normalizeValue($value)][] = $pkValue;
+				}
+			}
 		}
 
-		$this->flush();
+		return $indexes;
+	}
+
+	/**
+	 * Put an index in a canonical order, so two indexes can be compared.
+	 *
+	 * @param array<string, list<int|string>> $index The index.
+	 * @return array<string, list<string>> The sorted index.
+	 */
+	protected function canonicalize(array $index): array
+	{
+		foreach ($index as $key => $ids) {
+			$ids = \array_map('strval', (array) $ids);
+			\sort($ids);
+			$index[$key] = $ids;
+		}
+
+		\ksort($index, SORT_STRING);
+
+		return $index;
+	}
+
+	/**
+	 * Get the index files of a table.
+	 *
+	 * @param string $table The table name.
+	 * @return array<string, string> File paths by column.
+	 */
+	protected function getIndexFiles(string $table): array
+	{
+		$extension = '.' . $this->format->getExtension();
+		$files     = [];
+
+		foreach (\glob($this->basePath . '/_indexes/' . $table . '/*' . $extension) ?: [] as $path) {
+			$files[\basename($path, $extension)] = $path;
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Get the file path of the indexed columns configuration.
+	 *
+	 * @return string The file path.
+	 */
+	protected function getColumnsConfigPath(): string
+	{
+		return $this->format->buildPath($this->basePath . '/_indexes/_columns');
 	}
 
 	/**
@@ -240,18 +240,15 @@ class FormatHandler
 		$lines = [];
 
 		foreach ($array as $key => $value) {
-			$keyStr = $isSequential ? '' : (\is_string($key) ? "'" . \addslashes($key) . "' => " : $key . ' => ');
+			$keyStr = $isSequential ? '' : \var_export($key, true) . ' => ';
 
 			if (\is_array($value)) {
 				$lines[] = $nextIndent . $keyStr . $this->exportArray($value, $depth + 1);
-			} elseif (\is_string($value)) {
-				$lines[] = $nextIndent . $keyStr . "'" . \addslashes($value) . "'";
-			} elseif (\is_bool($value)) {
-				$lines[] = $nextIndent . $keyStr . ($value ? 'true' : 'false');
 			} elseif (null === $value) {
 				$lines[] = $nextIndent . $keyStr . 'null';
 			} else {
-				$lines[] = $nextIndent . $keyStr . $value;
+				// var_export() escapes strings for single quotes and keeps floats as floats.
+				$lines[] = $nextIndent . $keyStr . \var_export($value, true);
 			}
 		}
 
@@ -0,0 +1,711 @@
+<?php
+
+/**
+ * Health Checks
+ *
+ * Checks the WP-DBAL setup for Site Health and the status card.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+use WP_DBAL\FileDB\Util\FormatHandler;
+
+/**
+ * Health Checks class.
+ *
+ * Each check returns a result with a plain text description; the Site Health
+ * callbacks wrap it in the format WordPress expects.
+ */
+class HealthChecks
+{
+	/**
+	 * PHP extensions each engine needs.
+	 *
+	 * @var array<string, array<int, string>>
+	 */
+	private const REQUIRED_EXTENSIONS = [
+		'mysql' => [ 'pdo_mysql' ],
+		'pgsql' => [ 'pdo_pgsql' ],
+		'postgresql' => [ 'pdo_pgsql' ],
+		'sqlite' => [ 'pdo_sqlite' ],
+		'd1' => [ 'curl', 'json' ],
+		'filedb' => [ 'json' ],
+	];
+
+	/**
+	 * wp-config.php constants that only apply to one engine.
+	 *
+	 * @var array<string, array<int, string>>
+	 */
+	private const ENGINE_CONSTANTS = [
+		'sqlite' => [ 'DB_SQLITE_PATH' ],
+		'filedb' => [ 'DB_FILEDB_PATH', 'DB_FILEDB_FORMAT', 'DB_FILEDB_INDEXES' ],
+		'd1' => [ 'DB_D1_ACCOUNT_ID', 'DB_D1_DATABASE_ID', 'DB_D1_API_TOKEN' ],
+	];
+
+	/**
+	 * Checks that make HTTP requests, run asynchronously by Site Health.
+	 *
+	 * @var array<int, string>
+	 */
+	private const ASYNC_CHECKS = [ 'storage', 'd1_token' ];
+
+	/**
+	 * Database engine to check.
+	 *
+	 * @var string|null
+	 */
+	private ?string $engine;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $engine Database engine to check (defaults to DB_ENGINE).
+	 */
+	public function __construct(?string $engine = null)
+	{
+		$this->engine = $engine;
+	}
+
+	/**
+	 * Register the Site Health tests.
+	 *
+	 * @param array<string, array<string, mixed>> $tests Site Health tests.
+	 * @return array<string, array<string, mixed>> Site Health tests.
+	 */
+	public function registerTests(array $tests): array
+	{
+		foreach ($this->getChecks() as $check => $label) {
+			$test = 'wp_dbal_' . $check;
+
+			if (\in_array($check, self::ASYNC_CHECKS, true)) {
+				$tests['async'][$test] = [
+					'label' => $label,
+					'test' => \rest_url('wp-dbal/v1/admin/site-health/' . $check),
+					'has_rest' => true,
+					'async_direct_test' => fn() => $this->toSiteHealth($check, $this->run($check)),
+				];
+			} else {
+				$tests['direct'][$test] = [
+					'label' => $label,
+					'test' => fn() => $this->toSiteHealth($check, $this->run($check)),
+				];
+			}
+		}
+
+		return $tests;
+	}
+
+	/**
+	 * Add the WP-DBAL section to the Site Health debug information.
+	 *
+	 * @param array<string, array<string, mixed>> $info Debug information.
+	 * @return array<string, array<string, mixed>> Debug information.
+	 */
+	public function addDebugInformation(array $info): array
+	{
+		global $wpdb;
+
+		$engine = $this->engine ?? Plugin::getInstance()->getDbEngine();
+		$fields = [
+			'version' => [
+				'label' => \__('Version', 'wp-dbal'),
+				'value' => WP_DBAL_VERSION,
+			],
+			'engine' => [
+				'label' => \__('Database engine', 'wp-dbal'),
+				'value' => $engine,
+			],
+			'dropin' => [
+				'label' => \__('Drop-in', 'wp-dbal'),
+				'value' => \defined('WP_DBAL_DROPIN_VERSION') ? WP_DBAL_DROPIN_VERSION : \__('Not loaded', 'wp-dbal'),
+			],
+			'dbal' => [
+				'label' => \__('Doctrine DBAL', 'wp-dbal'),
+				'value' => \class_exists(\Doctrine\DBAL\Connection::class) ? \__('Loaded', 'wp-dbal') : \__('Not loaded', 'wp-dbal'),
+			],
+			'server' => [
+				'label' => \__('Database server', 'wp-dbal'),
+				'value' => $wpdb instanceof WP_DBAL_DB ? $wpdb->db_server_info() : \__('Not using WP-DBAL', 'wp-dbal'),
+			],
+			'extensions' => [
+				'label' => \__('PDO drivers', 'wp-dbal'),
+				'value' => \class_exists(\PDO::class) ? \implode(', ', \PDO::getAvailableDrivers()) : \__('PDO not available', 'wp-dbal'),
+			],
+		];
+
+		if ('sqlite' === $engine) {
+			$fields['sqlite_path'] = [
+				'label' => \__('SQLite database', 'wp-dbal'),
+				'value' => $this->getStoragePath('sqlite'),
+				'private' => true,
+			];
+			$fields['sqlite_journal_mode'] = [
+				'label' => \__('SQLite journal mode', 'wp-dbal'),
+				'value' => $this->getSqliteJournalMode() ?? \__('Unknown', 'wp-dbal'),
+			];
+		}
+
+		if ('filedb' === $engine) {
+			$fields['filedb_path'] = [
+				'label' => \__('FileDB storage', 'wp-dbal'),
+				'value' => $this->getStoragePath('filedb'),
+				'private' => true,
+			];
+			$fields['filedb_format'] = [
+				'label' => \__('FileDB format', 'wp-dbal'),
+				'value' => \defined('DB_FILEDB_FORMAT') ? DB_FILEDB_FORMAT : 'json',
+			];
+			$fields['filedb_indexes'] = [
+				'label' => \__('FileDB indexes', 'wp-dbal'),
+				'value' => $this->isFileDbIndexingEnabled() ? \__('Enabled', 'wp-dbal') : \__('Disabled', 'wp-dbal'),
+			];
+		}
+
+		if ('d1' === $engine) {
+			$fields['d1_account'] = [
+				'label' => \__('D1 account ID', 'wp-dbal'),
+				'value' => \defined('DB_D1_ACCOUNT_ID') ? DB_D1_ACCOUNT_ID : '',
+				'private' => true,
+			];
+			$fields['d1_database'] = [
+				'label' => \__('D1 database ID', 'wp-dbal'),
+				'value' => \defined('DB_D1_DATABASE_ID') ? DB_D1_DATABASE_ID : '',
+				'private' => true,
+			];
+		}
+
+		$info['wp-dbal'] = [
+			'label' => \__('WP-DBAL', 'wp-dbal'),
+			'fields' => $fields,
+		];
+
+		return $info;
+	}
+
+	/**
+	 * Get the available checks.
+	 *
+	 * @return array<string, string> Check labels keyed by check name.
+	 */
+	public function getChecks(): array
+	{
+		return [
+			'dropin' => \__('WP-DBAL drop-in', 'wp-dbal'),
+			'dependencies' => \__('WP-DBAL dependencies', 'wp-dbal'),
+			'extensions' => \__('PHP extensions for the database engine', 'wp-dbal'),
+			'constants' => \__('WP-DBAL configuration constants', 'wp-dbal'),
+			'storage' => \__('Database storage location', 'wp-dbal'),
+			'sqlite_journal' => \__('SQLite journal mode', 'wp-dbal'),
+			'filedb_indexes' => \__('FileDB indexes', 'wp-dbal'),
+			'd1_token' => \__('Cloudflare D1 API token', 'wp-dbal'),
+		];
+	}
+
+	/**
+	 * Run all checks that apply to the current engine.
+	 *
+	 * @return array<int, array{test: string, label: string, status: string, description: string}> Results.
+	 */
+	public function runAll(): array
+	{
+		$results = [];
+		foreach (\array_keys($this->getChecks()) as $check) {
+			$result = $this->run($check);
+
+			if (null !== $result) {
+				$results[] = $result;
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Run a single check.
+	 *
+	 * @param string $check Check name.
+	 * @return array{test: string, label: string, status: string, description: string}|null Result, or null if the check doesn't apply to the current engine.
+	 */
+	public function run(string $check): ?array
+	{
+		$engine = $this->engine ?? Plugin::getInstance()->getDbEngine();
+
+		$result = match ($check) {
+			'dropin' => $this->checkDropin(),
+			'dependencies' => $this->checkDependencies(),
+			'extensions' => $this->checkExtensions($engine),
+			'constants' => $this->checkConstants($engine),
+			'storage' => \in_array($engine, [ 'sqlite', 'filedb' ], true) ? $this->checkStorage($engine) : null,
+			'sqlite_journal' => 'sqlite' === $engine ? $this->checkSqliteJournal() : null,
+			'filedb_indexes' => 'filedb' === $engine ? $this->checkFileDbIndexes() : null,
+			'd1_token' => 'd1' === $engine ? $this->checkD1Token() : null,
+			default => null,
+		};
+
+		if (null === $result) {
+			return null;
+		}
+
+		return \array_merge([ 'test' => $check ], $result);
+	}
+
+	/**
+	 * Convert a check result to the Site Health format.
+	 *
+	 * @param string $check Check name.
+	 * @param array<string, string>|null $result Check result.
+	 * @return array<string, mixed> Site Health result.
+	 */
+	public function toSiteHealth(string $check, ?array $result): array
+	{
+		$result = $result ?? [
+			'label' => \sprintf(
+				/* translators: %s: Check name. */
+				\__('%s: not applicable to this database engine', 'wp-dbal'),
+				$this->getChecks()[$check] ?? $check
+			),
+			'status' => 'good',
+			'description' => '',
+		];
+
+		return [
+			'label' => $result['label'],
+			'status' => $result['status'],
+			'badge' => [
+				'label' => \__('Database', 'wp-dbal'),
+				'color' => 'good' === $result['status'] ? 'blue' : ('critical' === $result['status'] ? 'red' : 'orange'),
+			],
+			'description' => '' !== $result['description'] ? '<p>' . \esc_html($result['description']) . '</p>' : '',
+			'actions' => \sprintf(
+				'<a href="%s">%s</a>',
+				\esc_url(\admin_url('tools.php?page=wp-dbal')),
+				\esc_html__('WP-DBAL settings', 'wp-dbal')
+			),
+			'test' => 'wp_dbal_' . $check,
+		];
+	}
+
+	/**
+	 * Check that the drop-in is installed, belongs to WP-DBAL and is loaded.
+	 *
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkDropin(): array
+	{
+		global $wpdb;
+
+		$dropin = WP_CONTENT_DIR . '/db.php';
+
+		if (! \file_exists($dropin)) {
+			return $this->result('critical', \__('The WP-DBAL drop-in is not installed', 'wp-dbal'), \__('Without wp-content/db.php, WordPress uses its own MySQL database layer and WP-DBAL has no effect.', 'wp-dbal'));
+		}
+
+		$content = (string) \file_get_contents($dropin);
+
+		if (! \str_contains($content, 'WP_DBAL')) {
+			return $this->result('critical', \__('Another plugin owns the database drop-in', 'wp-dbal'), \__('wp-content/db.php was not installed by WP-DBAL. Deactivate the plugin that installed it before using WP-DBAL.', 'wp-dbal'));
+		}
+
+		if (! \str_contains($content, WP_DBAL_PLUGIN_DIR)) {
+			return $this->result('critical', \__('The WP-DBAL drop-in points to another location', 'wp-dbal'), \__('The drop-in loads WP-DBAL from a different directory than this plugin. Reinstall it from the WP-DBAL settings.', 'wp-dbal'));
+		}
+
+		if (! $wpdb instanceof WP_DBAL_DB) {
+			return $this->result('critical', \__('The WP-DBAL drop-in is installed but not loaded', 'wp-dbal'), \__('The database layer is not WP-DBAL. The Composer dependencies may be missing.', 'wp-dbal'));
+		}
+
+		return $this->result('good', \__('The WP-DBAL drop-in is installed and loaded', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check that the Composer dependencies are loaded.
+	 *
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkDependencies(): array
+	{
+		$missing = [];
+		foreach ([ \Doctrine\DBAL\Connection::class => 'doctrine/dbal', \PhpMyAdmin\SqlParser\Parser::class => 'phpmyadmin/sql-parser' ] as $class => $package) {
+			if (! \class_exists($class)) {
+				$missing[] = $package;
+			}
+		}
+
+		if ($missing) {
+			return $this->result(
+				'critical',
+				\__('WP-DBAL dependencies are missing', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Package names. */
+					\__('These Composer packages are not loaded: %s. Run "composer install" in the plugin directory.', 'wp-dbal'),
+					\implode(', ', $missing)
+				)
+			);
+		}
+
+		return $this->result('good', \__('WP-DBAL dependencies are loaded', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check that the PHP extensions the engine needs are loaded.
+	 *
+	 * @param string $engine Database engine.
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkExtensions(string $engine): array
+	{
+		$missing = \array_values(\array_filter(
+			self::REQUIRED_EXTENSIONS[$engine] ?? [],
+			fn($extension) => ! \extension_loaded($extension)
+		));
+
+		if ($missing) {
+			return $this->result(
+				'critical',
+				\__('PHP extensions for the database engine are missing', 'wp-dbal'),
+				\sprintf(
+					/* translators: 1: Database engine, 2: Extension names. */
+					\__('The %1$s engine needs these PHP extensions: %2$s.', 'wp-dbal'),
+					$engine,
+					\implode(', ', $missing)
+				)
+			);
+		}
+
+		return $this->result('good', \__('The PHP extensions for the database engine are loaded', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check the wp-config.php constants against DB_ENGINE.
+	 *
+	 * @param string $engine Database engine.
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkConstants(string $engine): array
+	{
+		global $wpdb;
+
+		if (! isset(self::REQUIRED_EXTENSIONS[$engine])) {
+			return $this->result(
+				'critical',
+				\__('DB_ENGINE is not a supported engine', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Database engine. */
+					\__('DB_ENGINE is set to "%s", which WP-DBAL does not support.', 'wp-dbal'),
+					$engine
+				)
+			);
+		}
+
+		if ($wpdb instanceof WP_DBAL_DB && $wpdb->getDbEngine() !== $engine) {
+			return $this->result(
+				'critical',
+				\__('The database layer runs a different engine than DB_ENGINE', 'wp-dbal'),
+				\sprintf(
+					/* translators: 1: Running engine, 2: Configured engine. */
+					\__('WP-DBAL is running on %1$s but DB_ENGINE is %2$s. Another file may define DB_ENGINE before wp-config.php.', 'wp-dbal'),
+					$wpdb->getDbEngine(),
+					$engine
+				)
+			);
+		}
+
+		if ('d1' === $engine) {
+			$missing = \array_filter(self::ENGINE_CONSTANTS['d1'], fn($constant) => ! \defined($constant) || '' === \constant($constant));
+
+			if ($missing) {
+				return $this->result(
+					'critical',
+					\__('Cloudflare D1 constants are missing', 'wp-dbal'),
+					\sprintf(
+						/* translators: %s: Constant names. */
+						\__('Define %s in wp-config.php.', 'wp-dbal'),
+						\implode(', ', $missing)
+					)
+				);
+			}
+		}
+
+		$problems = [];
+
+		if (\defined('DB_DBAL_OPTIONS') && \is_array(DB_DBAL_OPTIONS)) {
+			$driver = DB_DBAL_OPTIONS['driver'] ?? null;
+			$expected = [ 'mysql' => 'pdo_mysql', 'pgsql' => 'pdo_pgsql', 'postgresql' => 'pdo_pgsql', 'sqlite' => 'pdo_sqlite' ][$engine] ?? null;
+
+			if (null !== $driver && $driver !== $expected) {
+				$problems[] = \sprintf(
+					/* translators: 1: Driver name, 2: Database engine. */
+					\__('DB_DBAL_OPTIONS uses the %1$s driver, which does not match the %2$s engine; DB_DBAL_OPTIONS takes precedence.', 'wp-dbal'),
+					$driver,
+					$engine
+				);
+			}
+		}
+
+		if ('filedb' === $engine && \defined('DB_FILEDB_FORMAT') && ! \in_array(DB_FILEDB_FORMAT, [ 'json', 'php' ], true)) {
+			$problems[] = \sprintf(
+				/* translators: %s: Format. */
+				\__('DB_FILEDB_FORMAT is "%s"; only json and php are supported, so json is used.', 'wp-dbal'),
+				DB_FILEDB_FORMAT
+			);
+		}
+
+		$unused = [];
+		foreach (self::ENGINE_CONSTANTS as $constantEngine => $constants) {
+			if ($constantEngine === $engine) {
+				continue;
+			}
+
+			foreach ($constants as $constant) {
+				if (\defined($constant)) {
+					$unused[] = $constant;
+				}
+			}
+		}
+
+		if ($unused) {
+			$problems[] = \sprintf(
+				/* translators: 1: Constant names, 2: Database engine. */
+				\__('%1$s belong to another engine and are ignored while DB_ENGINE is %2$s.', 'wp-dbal'),
+				\implode(', ', $unused),
+				$engine
+			);
+		}
+
+		if ($problems) {
+			return $this->result('recommended', \__('Some WP-DBAL constants disagree with DB_ENGINE', 'wp-dbal'), \implode(' ', $problems));
+		}
+
+		return $this->result('good', \__('The WP-DBAL constants match DB_ENGINE', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check that the SQLite or FileDB storage is writable and not served over HTTP.
+	 *
+	 * @param string $engine Database engine.
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkStorage(string $engine): array
+	{
+		$path = $this->getStoragePath($engine);
+		$directory = 'sqlite' === $engine ? \dirname($path) : $path;
+
+		if (! \wp_is_writable($directory) || ('sqlite' === $engine && \file_exists($path) && ! \wp_is_writable($path))) {
+			return $this->result(
+				'critical',
+				\__('The database storage is not writable', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Path. */
+					\__('PHP cannot write to %s, so WordPress cannot save anything.', 'wp-dbal'),
+					$path
+				)
+			);
+		}
+
+		$probe = 'sqlite' === $engine ? $path : $this->getFileDbProbe($path);
+
+		if (null !== $probe && (new WebServerProbe())->isServed($probe)) {
+			return $this->result(
+				'critical',
+				\__('The database can be downloaded over HTTP', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Path. */
+					\__('The web server serves files from %s. Move the database outside the web root or deny access to it in the server configuration.', 'wp-dbal'),
+					$directory
+				)
+			);
+		}
+
+		return $this->result('good', \__('The database storage is writable and not publicly accessible', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check the SQLite journal mode.
+	 *
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkSqliteJournal(): array
+	{
+		$mode = $this->getSqliteJournalMode();
+
+		if (null === $mode) {
+			return $this->result('recommended', \__('The SQLite journal mode could not be read', 'wp-dbal'), '');
+		}
+
+		if ('wal' !== $mode) {
+			return $this->result(
+				'recommended',
+				\__('SQLite is not using write-ahead logging', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Journal mode. */
+					\__('The journal mode is %s. WAL lets pages be read while another request writes, which helps sites with concurrent traffic.', 'wp-dbal'),
+					\strtoupper($mode)
+				)
+			);
+		}
+
+		return $this->result('good', \__('SQLite uses write-ahead logging', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check that every FileDB index file can be read.
+	 *
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkFileDbIndexes(): array
+	{
+		if (! $this->isFileDbIndexingEnabled()) {
+			return $this->result('recommended', \__('FileDB indexes are disabled', 'wp-dbal'), \__('DB_FILEDB_INDEXES is off, so every lookup reads whole tables.', 'wp-dbal'));
+		}
+
+		$format = new FormatHandler(\defined('DB_FILEDB_FORMAT') ? DB_FILEDB_FORMAT : 'json');
+		$indexDir = $this->getStoragePath('filedb') . '/_indexes';
+		$broken = [];
+
+		foreach (\glob($indexDir . '/*/*.' . $format->getExtension()) ?: [] as $file) {
+			if (null === $format->read($file)) {
+				$broken[] = \basename(\dirname($file)) . '.' . \basename($file, '.' . $format->getExtension());
+			}
+		}
+
+		if ($broken) {
+			return $this->result(
+				'critical',
+				\__('Some FileDB indexes are unreadable', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Index names (table.column). */
+					\__('These indexes could not be read and lookups on them return no rows: %s.', 'wp-dbal'),
+					\implode(', ', \array_slice($broken, 0, 20))
+				)
+			);
+		}
+
+		return $this->result('good', \__('FileDB indexes are readable', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Check that the Cloudflare API token is valid.
+	 *
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function checkD1Token(): array
+	{
+		if (! \defined('DB_D1_API_TOKEN') || '' === DB_D1_API_TOKEN) {
+			return $this->result('critical', \__('No Cloudflare D1 API token is configured', 'wp-dbal'), \__('Define DB_D1_API_TOKEN in wp-config.php.', 'wp-dbal'));
+		}
+
+		$response = \wp_remote_get(
+			'https://api.cloudflare.com/client/v4/user/tokens/verify',
+			[
+				'timeout' => 10,
+				'headers' => [ 'Authorization' => 'Bearer ' . DB_D1_API_TOKEN ],
+			]
+		);
+
+		if (\is_wp_error($response)) {
+			return $this->result(
+				'recommended',
+				\__('The Cloudflare D1 API token could not be verified', 'wp-dbal'),
+				$response->get_error_message()
+			);
+		}
+
+		$body = \json_decode(\wp_remote_retrieve_body($response), true);
+
+		if (empty($body['success']) || 'active' !== ($body['result']['status'] ?? null)) {
+			return $this->result(
+				'critical',
+				\__('The Cloudflare D1 API token is not valid', 'wp-dbal'),
+				\sprintf(
+					/* translators: %s: Token status or error. */
+					\__('Cloudflare reports the token as: %s.', 'wp-dbal'),
+					$body['result']['status'] ?? ($body['errors'][0]['message'] ?? \__('invalid', 'wp-dbal'))
+				)
+			);
+		}
+
+		return $this->result('good', \__('The Cloudflare D1 API token is active', 'wp-dbal'), '');
+	}
+
+	/**
+	 * Get the storage path of a file-based engine, as the database layer resolves it.
+	 *
+	 * @param string $engine Database engine ("sqlite" or "filedb").
+	 * @return string Database file (SQLite) or storage directory (FileDB).
+	 */
+	private function getStoragePath(string $engine): string
+	{
+		if ('sqlite' === $engine) {
+			return \defined('DB_SQLITE_PATH') ? DB_SQLITE_PATH : WP_CONTENT_DIR . '/database/.ht.sqlite';
+		}
+
+		return \defined('DB_FILEDB_PATH') ? DB_FILEDB_PATH : WP_CONTENT_DIR . '/file-db';
+	}
+
+	/**
+	 * Find a FileDB file that would be exposed if the storage is served over HTTP.
+	 *
+	 * @param string $path FileDB storage directory.
+	 * @return string|null File path, or null if the storage has no files yet.
+	 */
+	private function getFileDbProbe(string $path): ?string
+	{
+		$files = \glob($path . '/_schema/*') ?: [];
+
+		return $files[0] ?? null;
+	}
+
+	/**
+	 * Read the SQLite journal mode.
+	 *
+	 * @return string|null Journal mode in lower case, or null if it can't be read.
+	 */
+	private function getSqliteJournalMode(): ?string
+	{
+		global $wpdb;
+
+		$connection = $wpdb instanceof WP_DBAL_DB ? $wpdb->getDbalConnection() : null;
+
+		if (null === $connection) {
+			return null;
+		}
+
+		try {
+			return \strtolower((string) $connection->fetchOne('PRAGMA journal_mode'));
+		} catch (\Exception $e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Check whether FileDB indexing is enabled.
+	 *
+	 * @return bool True if enabled.
+	 */
+	private function isFileDbIndexingEnabled(): bool
+	{
+		return \defined('DB_FILEDB_INDEXES') ? (bool) DB_FILEDB_INDEXES : true;
+	}
+
+	/**
+	 * Build a check result.
+	 *
+	 * @param string $status Result status ("good", "recommended" or "critical").
+	 * @param string $label Result label.
+	 * @param string $description Plain text description.
+	 * @return array{label: string, status: string, description: string}
+	 */
+	private function result(string $status, string $label, string $description): array
+	{
+		return [
+			'label' => $label,
+			'status' => $status,
+			'description' => $description,
+		];
+	}
+}
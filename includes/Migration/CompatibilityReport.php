@@ -0,0 +1,350 @@
+<?php
+
+/**
+ * Compatibility Report
+ *
+ * Describes how exported schemas will be recreated on a target engine.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+/**
+ * Compatibility Report class.
+ *
+ * Runs the same type mapping as the schema importer without touching the
+ * target database, and flags conversions that lose information.
+ */
+class CompatibilityReport
+{
+	/**
+	 * Engines based on SQLite.
+	 *
+	 * @var array<int, string>
+	 */
+	private const SQLITE_ENGINES = [ 'sqlite', 'd1' ];
+
+	/**
+	 * Engines that understand MySQL-specific column and index options.
+	 *
+	 * @var array<int, string>
+	 */
+	private const MYSQL_ENGINES = [ 'mysql', 'filedb' ];
+
+	/**
+	 * Type families, used to tell harmless type changes from lossy ones.
+	 *
+	 * @var array<string, string>
+	 */
+	private const TYPE_FAMILIES = [
+		'bigint' => 'integer',
+		'integer' => 'integer',
+		'smallint' => 'integer',
+		'boolean' => 'integer',
+		'string' => 'text',
+		'text' => 'text',
+		'ascii_string' => 'text',
+		'guid' => 'text',
+		'float' => 'float',
+		'decimal' => 'decimal',
+		'datetime' => 'datetime',
+		'datetime_immutable' => 'datetime',
+		'datetimetz' => 'datetime',
+		'datetimetz_immutable' => 'datetime',
+		'date' => 'date',
+		'date_immutable' => 'date',
+		'time' => 'time',
+		'time_immutable' => 'time',
+		'blob' => 'binary',
+		'binary' => 'binary',
+		'json' => 'json',
+	];
+
+	/**
+	 * Schema importer used for type mapping.
+	 *
+	 * @var SchemaImporter
+	 */
+	private SchemaImporter $importer;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct()
+	{
+		$this->importer = new SchemaImporter();
+	}
+
+	/**
+	 * Build the report.
+	 *
+	 * @param array<string, array<string, mixed>> $schemas Schema definitions from SchemaExporter.
+	 * @param string $sourceEngine Source database engine.
+	 * @param string $targetEngine Target database engine.
+	 * @return array<string, mixed> Report.
+	 */
+	public function build(array $schemas, string $sourceEngine, string $targetEngine): array
+	{
+		$targetEngine = \strtolower($targetEngine);
+		$tables = [];
+		$summary = [
+			'tables' => 0,
+			'columns' => 0,
+			'warnings' => 0,
+			'dropped_indexes' => 0,
+			'dropped_foreign_keys' => 0,
+		];
+
+		foreach ($schemas as $tableName => $schemaDef) {
+			$table = [
+				'name' => $tableName,
+				'columns' => [],
+				'indexes' => [],
+				'foreign_keys' => [],
+				'warnings' => 0,
+			];
+
+			foreach ($schemaDef['columns'] as $columnDef) {
+				$column = $this->checkColumn($columnDef, $targetEngine);
+				$table['warnings'] += $this->countWarnings($column['issues']);
+				$table['columns'][] = $column;
+			}
+
+			foreach ($schemaDef['indexes'] as $indexDef) {
+				$index = $this->checkIndex($indexDef, $tableName, $targetEngine);
+				$table['warnings'] += $this->countWarnings($index['issues']);
+				$table['indexes'][] = $index;
+				if (! $index['kept']) {
+					$summary['dropped_indexes']++;
+				}
+			}
+
+			$keepForeignKeys = $this->importer->supportsForeignKeys($targetEngine);
+			foreach ($schemaDef['foreignKeys'] as $fkDef) {
+				$table['foreign_keys'][] = [
+					'name' => $fkDef['name'],
+					'columns' => $fkDef['localColumns'],
+					'references' => $fkDef['foreignTable'] . '(' . \implode(', ', $fkDef['foreignColumns']) . ')',
+					'kept' => $keepForeignKeys,
+				];
+				if (! $keepForeignKeys) {
+					$table['warnings']++;
+					$summary['dropped_foreign_keys']++;
+				}
+			}
+
+			$summary['tables']++;
+			$summary['columns'] += \count($table['columns']);
+			$summary['warnings'] += $table['warnings'];
+			$tables[] = $table;
+		}
+
+		return [
+			'source_engine' => $sourceEngine,
+			'target_engine' => $targetEngine,
+			'generated_at' => \time(),
+			'summary' => $summary,
+			'tables' => $tables,
+		];
+	}
+
+	/**
+	 * Check how a column maps to the target engine.
+	 *
+	 * @param array<string, mixed> $columnDef Column definition.
+	 * @param string $targetEngine Target engine.
+	 * @return array<string, mixed> Column report.
+	 */
+	private function checkColumn(array $columnDef, string $targetEngine): array
+	{
+		$sourceType = \strtolower((string) $columnDef['type']);
+		$targetType = $this->importer->mapColumnType($sourceType, $targetEngine, $columnDef['name'] ?? '');
+		$issues = [];
+
+		if ($sourceType !== $targetType) {
+			$sameFamily = isset(self::TYPE_FAMILIES[$sourceType], self::TYPE_FAMILIES[$targetType])
+				&& self::TYPE_FAMILIES[$sourceType] === self::TYPE_FAMILIES[$targetType];
+
+			$issues[] = $this->issue(
+				$sameFamily ? 'info' : 'warning',
+				'type_changed',
+				\sprintf(
+					/* translators: 1: Source type, 2: Target type. */
+					\__('Type changes from %1$s to %2$s.', 'wp-dbal'),
+					$sourceType,
+					$targetType
+				)
+			);
+		}
+
+		// The importer creates every column signed.
+		if (! empty($columnDef['unsigned'])) {
+			$issues[] = $this->issue(
+				'warning',
+				'unsigned',
+				\__('Unsigned attribute is dropped; values above the signed maximum may not fit.', 'wp-dbal')
+			);
+		}
+
+		if ('enum' === $sourceType || ! empty($columnDef['values'])) {
+			$issues[] = $this->issue(
+				'warning',
+				'enum',
+				\sprintf(
+					/* translators: 1: Target type, 2: Allowed values. */
+					\__('ENUM becomes a plain %1$s column; the allowed values (%2$s) are no longer enforced.', 'wp-dbal'),
+					$targetType,
+					\implode(', ', $columnDef['values'] ?? [])
+				)
+			);
+		}
+
+		$default = $columnDef['default'] ?? null;
+		if (\is_string($default) && \str_starts_with($default, '0000-00-00')) {
+			$targetFamily = self::TYPE_FAMILIES[$targetType] ?? '';
+
+			if (! \in_array($targetFamily, [ 'datetime', 'date' ], true)) {
+				$issues[] = $this->issue(
+					'info',
+					'zero_date',
+					\sprintf(
+						/* translators: %s: Default value. */
+						\__('Zero date default %s is kept as plain text.', 'wp-dbal'),
+						$default
+					)
+				);
+			} else {
+				$issues[] = $this->issue(
+					'warning',
+					'zero_date',
+					\sprintf(
+						/* translators: %s: Default value. */
+						\in_array($targetEngine, self::MYSQL_ENGINES, true)
+							? \__('Zero date default %s is rejected when the target server runs with NO_ZERO_DATE (strict mode).', 'wp-dbal')
+							: \__('Zero date default %s is not a valid date on the target.', 'wp-dbal'),
+						$default
+					)
+				);
+			}
+		}
+
+		if (! empty($columnDef['collation'])) {
+			$issues[] = $this->issue(
+				\in_array($targetEngine, self::MYSQL_ENGINES, true) ? 'info' : 'warning',
+				'collation',
+				\sprintf(
+					/* translators: %s: Collation name. */
+					\__('Collation %s is not carried over; the target default collation applies to sorting and comparisons.', 'wp-dbal'),
+					$columnDef['collation']
+				)
+			);
+		}
+
+		return [
+			'name' => $columnDef['name'],
+			'source_type' => $sourceType,
+			'target_type' => $targetType,
+			'length' => $columnDef['length'] ?? null,
+			'notnull' => $columnDef['notnull'] ?? true,
+			'default' => $default,
+			'issues' => $issues,
+		];
+	}
+
+	/**
+	 * Check how an index is recreated on the target engine.
+	 *
+	 * @param array<string, mixed> $indexDef Index definition.
+	 * @param string $tableName Table name.
+	 * @param string $targetEngine Target engine.
+	 * @return array<string, mixed> Index report.
+	 */
+	private function checkIndex(array $indexDef, string $tableName, string $targetEngine): array
+	{
+		$issues = [];
+		$kept = true;
+		$targetName = $indexDef['name'];
+		$flags = \array_map('strtolower', $indexDef['flags'] ?? []);
+		$isMysqlLike = \in_array($targetEngine, self::MYSQL_ENGINES, true);
+
+		// Mirrors the renaming done by SchemaImporter for SQLite-based engines.
+		if (! $indexDef['primary'] && \in_array($targetEngine, self::SQLITE_ENGINES, true) && ! \str_starts_with($targetName, $tableName . '_')) {
+			$targetName = $tableName . '_' . $targetName;
+			$issues[] = $this->issue(
+				'info',
+				'renamed',
+				\sprintf(
+					/* translators: %s: New index name. */
+					\__('Renamed to %s because index names must be unique per database.', 'wp-dbal'),
+					$targetName
+				)
+			);
+		}
+
+		if (\array_intersect($flags, [ 'fulltext', 'spatial' ]) && ! $isMysqlLike) {
+			$kept = false;
+			$issues[] = $this->issue(
+				'warning',
+				'unsupported_index',
+				\sprintf(
+					/* translators: %s: Index type. */
+					\__('%s indexes are not supported on the target and will not be usable.', 'wp-dbal'),
+					\strtoupper(\implode('/', \array_intersect($flags, [ 'fulltext', 'spatial' ])))
+				)
+			);
+		}
+
+		if (! empty(\array_filter($indexDef['lengths'] ?? []))) {
+			$issues[] = $this->issue(
+				$indexDef['unique'] ? 'warning' : 'info',
+				'prefix_length',
+				$indexDef['unique']
+					? \__('Prefix lengths are dropped, so uniqueness now applies to the full column value.', 'wp-dbal')
+					: \__('Prefix lengths are dropped; the index covers the full column value.', 'wp-dbal')
+			);
+		}
+
+		return [
+			'name' => $indexDef['name'],
+			'target_name' => $targetName,
+			'columns' => $indexDef['columns'],
+			'unique' => $indexDef['unique'],
+			'primary' => $indexDef['primary'],
+			'kept' => $kept,
+			'issues' => $issues,
+		];
+	}
+
+	/**
+	 * Build an issue entry.
+	 *
+	 * @param string $severity Severity ('info' or 'warning').
+	 * @param string $code Issue code.
+	 * @param string $message Human-readable message.
+	 * @return array{severity: string, code: string, message: string}
+	 */
+	private function issue(string $severity, string $code, string $message): array
+	{
+		return [
+			'severity' => $severity,
+			'code' => $code,
+			'message' => $message,
+		];
+	}
+
+	/**
+	 * Count warning-level issues.
+	 *
+	 * @param array<int, array{severity: string, code: string, message: string}> $issues Issues.
+	 * @return int Number of warnings.
+	 */
+	private function countWarnings(array $issues): int
+	{
+		return \count(\array_filter($issues, function ($issue) {
+			return 'warning' === $issue['severity'];
+		}));
+	}
+}
@@ -12,26 +12,129 @@ declare(strict_types=1);
 
 namespace WP_DBAL\Migration;
 
+use WP_DBAL\ConnectionProfiles;
+
 /**
  * Config Writer class.
  */
 class ConfigWriter
 {
+	/**
+	 * Constants whose values are masked in previews.
+	 *
+	 * @var array<int, string>
+	 */
+	private const SECRET_CONSTANTS = [
+		'DB_PASSWORD',
+		'DB_D1_API_TOKEN',
+		'AUTH_KEY',
+		'SECURE_AUTH_KEY',
+		'LOGGED_IN_KEY',
+		'NONCE_KEY',
+		'AUTH_SALT',
+		'SECURE_AUTH_SALT',
+		'LOGGED_IN_SALT',
+		'NONCE_SALT',
+	];
+
+	/**
+	 * File name pattern of wp-config.php backups.
+	 *
+	 * Backups written before the random suffix was added match too, so they
+	 * can still be restored and get pruned.
+	 *
+	 * @var string
+	 */
+	private const BACKUP_PATTERN = '/^wp-config-backup-\d{8}-\d{6}(?:-[0-9a-f]{16})?\.php$/';
+
+	/**
+	 * Number of wp-config.php backups to keep.
+	 *
+	 * @var int
+	 */
+	private const BACKUPS_KEPT = 3;
+
+	/**
+	 * Path to wp-config.php, if one was given.
+	 *
+	 * @var string|null
+	 */
+	private ?string $configPath;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $configPath Path to wp-config.php (defaults to the one WordPress loaded).
+	 */
+	public function __construct(?string $configPath = null)
+	{
+		$this->configPath = $configPath;
+	}
+
+	/**
+	 * Preview the changes to wp-config.php without writing them.
+	 *
+	 * Secrets are masked in both versions. The hash identifies the current
+	 * file content, so the update can refuse to write if the file changed
+	 * after the preview.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @return array{success: bool, path?: string, hash?: string, before?: string, after?: string, changed?: bool, error?: string}
+	 */
+	public function previewConfig(string $targetEngine, array $connectionParams): array
+	{
+		$configPath = $this->getConfigPath();
+		if (null === $configPath) {
+			return [
+				'success' => false,
+				'error' => \__('wp-config.php not found', 'wp-dbal'),
+			];
+		}
+
+		$content = \file_get_contents($configPath);
+		if (false === $content) {
+			return [
+				'success' => false,
+				'error' => \__('Failed to read wp-config.php', 'wp-dbal'),
+			];
+		}
+
+		try {
+			$connectionParams = ( new ConnectionProfiles() )->resolve($connectionParams);
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => $e->getMessage(),
+			];
+		}
+
+		$updated = $this->applyChanges($content, $targetEngine, $connectionParams);
+
+		return [
+			'success' => true,
+			'path' => $configPath,
+			'hash' => \hash('sha256', $content),
+			'before' => $this->maskSecrets($content),
+			'after' => $this->maskSecrets($updated),
+			'changed' => $content !== $updated,
+		];
+	}
+
 	/**
 	 * Update wp-config.php with new database engine.
 	 *
+	 * The current file is backed up next to it before it is overwritten.
+	 *
 	 * @param string $targetEngine Target database engine.
 	 * @param array<string, mixed> $connectionParams Connection parameters.
-	 * @return array{success: bool, error?: string}
+	 * @param string|null $expectedHash Hash from the preview; the update is refused if the file changed since.
+	 * @return array{success: bool, path?: string, backup?: string, error?: string, conflict?: bool}
 	 */
-	public function updateConfig(string $targetEngine, array $connectionParams): array
+	public function updateConfig(string $targetEngine, array $connectionParams, ?string $expectedHash = null): array
 	{
-		
-		$configPath = file_exists( ABSPATH . 'wp-config.php') 
-			? ABSPATH . 'wp-config.php' 
-			: dirname(ABSPATH) . '/wp-config.php';
-		
-		if (! \file_exists($configPath)) {
+		$configPath = $this->getConfigPath();
+		if (null === $configPath) {
 			return [
 				'success' => false,
 				'error' => \__('wp-config.php not found', 'wp-dbal'),
@@ -47,13 +150,77 @@ class ConfigWriter
 			];
 		}
 
-		// Update or add DB_ENGINE constant.
-		$content = $this->updateConstant($content, 'DB_ENGINE', $targetEngine);
+		if (null !== $expectedHash && ! \hash_equals(\hash('sha256', $content), $expectedHash)) {
+			return [
+				'success' => false,
+				'conflict' => true,
+				'error' => \__('wp-config.php has changed since the preview. Review the changes again.', 'wp-dbal'),
+			];
+		}
 
-		// Update engine-specific constants.
-		$content = $this->updateEngineConstants($content, $targetEngine, $connectionParams);
+		try {
+			$connectionParams = ( new ConnectionProfiles() )->resolve($connectionParams);
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => $e->getMessage(),
+			];
+		}
+
+		$updated = $this->applyChanges($content, $targetEngine, $connectionParams);
+
+		$backup = $this->writeBackup($configPath, $content);
+		if (null === $backup) {
+			return [
+				'success' => false,
+				'error' => \__('Failed to back up wp-config.php', 'wp-dbal'),
+			];
+		}
 
 		// Write updated config.
+		return ( false === \file_put_contents($configPath, $updated, LOCK_EX) ) ? [
+			'success' => false,
+			'error' => \__('Failed to write wp-config.php', 'wp-dbal'),
+		] : [
+			'success' => true,
+			'path' => $configPath,
+			'backup' => $backup,
+		];
+	}
+
+	/**
+	 * Restore wp-config.php from a backup.
+	 *
+	 * @param string $backup Backup file name, as returned by updateConfig().
+	 * @return array{success: bool, error?: string}
+	 */
+	public function restoreBackup(string $backup): array
+	{
+		$configPath = $this->getConfigPath();
+		if (null === $configPath) {
+			return [
+				'success' => false,
+				'error' => \__('wp-config.php not found', 'wp-dbal'),
+			];
+		}
+
+		// Only plain backup names are accepted, so no other file can be copied over wp-config.php.
+		$backupPath = \dirname($configPath) . '/' . $backup;
+		if (! \preg_match(self::BACKUP_PATTERN, $backup) || ! \is_file($backupPath)) {
+			return [
+				'success' => false,
+				'error' => \__('Backup not found', 'wp-dbal'),
+			];
+		}
+
+		$content = \file_get_contents($backupPath);
+		if (false === $content) {
+			return [
+				'success' => false,
+				'error' => \__('Failed to read the backup', 'wp-dbal'),
+			];
+		}
+
 		return ( false === \file_put_contents($configPath, $content, LOCK_EX) ) ? [
 			'success' => false,
 			'error' => \__('Failed to write wp-config.php', 'wp-dbal'),
@@ -62,6 +229,108 @@ class ConfigWriter
 		];
 	}
 
+	/**
+	 * Locate wp-config.php, which may live one directory above ABSPATH.
+	 *
+	 * @return string|null Path to wp-config.php or null if not found.
+	 */
+	private function getConfigPath(): ?string
+	{
+		if (null !== $this->configPath) {
+			return \file_exists($this->configPath) ? $this->configPath : null;
+		}
+
+		$configPath = \file_exists(ABSPATH . 'wp-config.php')
+			? ABSPATH . 'wp-config.php'
+			: \dirname(ABSPATH) . '/wp-config.php';
+
+		return \file_exists($configPath) ? $configPath : null;
+	}
+
+	/**
+	 * Apply the constants for a database engine to config content.
+	 *
+	 * @param string $content Config file content.
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @return string Updated content.
+	 */
+	private function applyChanges(string $content, string $targetEngine, array $connectionParams): string
+	{
+		// Update or add DB_ENGINE constant.
+		$content = $this->updateConstant($content, 'DB_ENGINE', $targetEngine);
+
+		// Update engine-specific constants.
+		return $this->updateEngineConstants($content, $targetEngine, $connectionParams);
+	}
+
+	/**
+	 * Write a backup of wp-config.php next to it.
+	 *
+	 * The backup holds the database credentials and salts, so its name gets a
+	 * random suffix and only the most recent backups are kept.
+	 *
+	 * @param string $configPath Path to wp-config.php.
+	 * @param string $content Current config content.
+	 * @return string|null Backup file name, or null on failure.
+	 */
+	private function writeBackup(string $configPath, string $content): ?string
+	{
+		$backup = 'wp-config-backup-' . \gmdate('Ymd-His') . '-' . \bin2hex(\random_bytes(8)) . '.php';
+
+		if (false === \file_put_contents(\dirname($configPath) . '/' . $backup, $content, LOCK_EX)) {
+			return null;
+		}
+
+		$this->pruneBackups(\dirname($configPath), $backup);
+
+		return $backup;
+	}
+
+	/**
+	 * Delete all but the most recent wp-config.php backups.
+	 *
+	 * @param string $directory Directory holding wp-config.php.
+	 * @param string $latest Name of the backup that was just written, which is always kept.
+	 * @return void
+	 */
+	private function pruneBackups(string $directory, string $latest): void
+	{
+		$backups = \array_diff(\preg_grep(self::BACKUP_PATTERN, \scandir($directory) ?: []), [ $latest ]);
+
+		// The names start with the time they were written, so they sort newest first.
+		\rsort($backups);
+
+		foreach (\array_slice($backups, self::BACKUPS_KEPT - 1) as $file) {
+			\unlink($directory . '/' . $file);
+		}
+	}
+
+	/**
+	 * Mask secret values in config content.
+	 *
+	 * Covers the secret constants and passwords inside array constants such as DB_DBAL_OPTIONS.
+	 *
+	 * @param string $content Config file content.
+	 * @return string Content with secrets masked.
+	 */
+	private function maskSecrets(string $content): string
+	{
+		$quoted = '([\'"])(?:\\\\.|(?!\3).)*\3';
+
+		$content = (string) \preg_replace(
+			'/(define\s*\(\s*([\'"])(?:' . \implode('|', self::SECRET_CONSTANTS) . ')\2\s*,\s*)' . $quoted . '/i',
+			"\$1'********'",
+			$content
+		);
+
+		return (string) \preg_replace(
+			'/(([\'"])password\2\s*=>\s*)' . $quoted . '/i',
+			"\$1'********'",
+			$content
+		);
+	}
+
 	/**
 	 * Update or add a constant in wp-config.php.
 	 *
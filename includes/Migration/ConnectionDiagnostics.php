@@ -0,0 +1,672 @@
+<?php
+
+/**
+ * Connection Diagnostics
+ *
+ * Works out why a connection to a target database fails.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+
+/**
+ * Connection diagnostics class.
+ *
+ * Runs the steps of a connection one at a time, from the PHP extension to a
+ * test query, and reports each as pass, fail or skip. A failed step names a
+ * likely cause and a fix; the steps after it are skipped.
+ */
+class ConnectionDiagnostics
+{
+	/**
+	 * Cloudflare API base URL.
+	 *
+	 * @var string
+	 */
+	private const CLOUDFLARE_API = 'https://api.cloudflare.com/client/v4';
+
+	/**
+	 * Seconds to wait for a port or an API request.
+	 *
+	 * @var int
+	 */
+	private const TIMEOUT = 5;
+
+	/**
+	 * PHP extension needed by each DBAL driver.
+	 *
+	 * @var array<string, string>
+	 */
+	private const EXTENSIONS = [
+		'pdo_mysql' => 'pdo_mysql',
+		'mysqli' => 'mysqli',
+		'pdo_pgsql' => 'pdo_pgsql',
+		'pgsql' => 'pgsql',
+		'pdo_sqlite' => 'pdo_sqlite',
+		'sqlite3' => 'sqlite3',
+	];
+
+	/**
+	 * Connection opened by the login step, reused by the test query.
+	 *
+	 * @var Connection|null
+	 */
+	private ?Connection $connection = null;
+
+	/**
+	 * Error of the login step: "auth", "database" or "other".
+	 *
+	 * @var string|null
+	 */
+	private ?string $connectError = null;
+
+	/**
+	 * Raw message of the login error.
+	 *
+	 * @var string
+	 */
+	private string $connectMessage = '';
+
+	/**
+	 * Diagnose a connection.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @return array<int, array{id: string, label: string, status: string, message: string, cause: string|null, fix: string|null}> Checks in the order they ran.
+	 */
+	public function run(array $params): array
+	{
+		$this->connection = null;
+		$this->connectError = null;
+		$this->connectMessage = '';
+
+		$results = [];
+		$failed = false;
+
+		foreach ($this->getChecks($params) as $id => [ $label, $check ]) {
+			if ($failed) {
+				$result = $this->result('skip', \__('Skipped because an earlier check failed.', 'wp-dbal'));
+			} else {
+				try {
+					$result = $check();
+				} catch (\Throwable $e) {
+					$result = $this->result('fail', $e->getMessage());
+				}
+				$failed = 'fail' === $result['status'];
+			}
+
+			$results[] = [ 'id' => $id, 'label' => $label ] + $result;
+		}
+
+		$this->connection?->close();
+		$this->connection = null;
+
+		return $results;
+	}
+
+	/**
+	 * Get the checks that apply to the connection parameters.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @return array<string, array{0: string, 1: callable}> Labels and checks keyed by check ID.
+	 */
+	private function getChecks(array $params): array
+	{
+		$driver = \is_string($params['driver'] ?? null) ? $params['driver'] : '';
+		$driverClass = $params['driverClass'] ?? null;
+		$isD1 = \WP_DBAL\D1\Driver::class === $driverClass;
+		$checks = [];
+
+		if (isset(self::EXTENSIONS[ $driver ])) {
+			$extension = self::EXTENSIONS[ $driver ];
+			$checks['extension'] = [
+				\sprintf(
+					/* translators: %s: PHP extension name. */
+					\__('PHP extension %s is loaded', 'wp-dbal'),
+					$extension
+				),
+				fn() => $this->checkExtension($extension),
+			];
+		}
+
+		if (\in_array($driver, [ 'pdo_mysql', 'mysqli', 'pdo_pgsql', 'pgsql' ], true)) {
+			[ $host, $port ] = $this->splitHost($params);
+			$isMysql = \in_array($driver, [ 'pdo_mysql', 'mysqli' ], true);
+
+			$checks['dns'] = [
+				\__('Host name resolves', 'wp-dbal'),
+				fn() => $this->checkDns($host),
+			];
+			$checks['port'] = [
+				\__('Port is reachable', 'wp-dbal'),
+				fn() => $this->checkPort($host, $port, $isMysql),
+			];
+			$checks['auth'] = [
+				\__('User name and password are accepted', 'wp-dbal'),
+				fn() => $this->checkLogin($params, $isMysql),
+			];
+			$checks['database'] = [
+				\__('Database exists', 'wp-dbal'),
+				fn() => $this->checkDatabase($params),
+			];
+		} elseif (\in_array($driver, [ 'pdo_sqlite', 'sqlite3' ], true) && empty($params['memory'])) {
+			$checks['directory'] = [
+				\__('Database directory is writable', 'wp-dbal'),
+				fn() => $this->checkSqliteDirectory((string) ($params['path'] ?? '')),
+			];
+		} elseif (\WP_DBAL\FileDB\Driver::class === $driverClass) {
+			$checks['directory'] = [
+				\__('Storage directory is writable', 'wp-dbal'),
+				fn() => $this->checkStorageDirectory((string) ($params['path'] ?? '')),
+			];
+		} elseif ($isD1) {
+			$checks['d1_token'] = [
+				\__('Cloudflare API token is active', 'wp-dbal'),
+				fn() => $this->checkD1Token($params),
+			];
+			$checks['d1_database'] = [
+				\__('Token can access the D1 database', 'wp-dbal'),
+				fn() => $this->checkD1Database($params),
+			];
+		}
+
+		$checks['query'] = [
+			\__('Test query runs', 'wp-dbal'),
+			fn() => $this->checkQuery($params, $isD1),
+		];
+
+		return $checks;
+	}
+
+	/**
+	 * Check that a PHP extension is loaded.
+	 *
+	 * @param string $extension Extension name.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkExtension(string $extension): array
+	{
+		if ($this->isExtensionLoaded($extension)) {
+			return $this->result('pass', '');
+		}
+
+		return $this->result(
+			'fail',
+			\sprintf(
+				/* translators: %s: PHP extension name. */
+				\__('The %s extension is not installed or not enabled.', 'wp-dbal'),
+				$extension
+			),
+			\__('PHP cannot talk to this database without the extension.', 'wp-dbal'),
+			\sprintf(
+				/* translators: %s: PHP extension name. */
+				\__('Install the %s extension for the PHP version that runs WordPress (for example with your package manager), enable it in php.ini and restart PHP.', 'wp-dbal'),
+				$extension
+			)
+		);
+	}
+
+	/**
+	 * Check that the host name resolves.
+	 *
+	 * @param string|null $host Host name, or null for a socket.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkDns(?string $host): array
+	{
+		if (null === $host) {
+			return $this->result('skip', \__('The connection uses a socket.', 'wp-dbal'));
+		}
+
+		if (false !== \filter_var($host, FILTER_VALIDATE_IP)) {
+			return $this->result('skip', \__('The host is an IP address.', 'wp-dbal'));
+		}
+
+		if (false !== \gethostbynamel($host) || ! empty(@\dns_get_record($host, DNS_AAAA))) {
+			return $this->result('pass', '');
+		}
+
+		return $this->result(
+			'fail',
+			\sprintf(
+				/* translators: %s: Host name. */
+				\__('%s could not be resolved to an address.', 'wp-dbal'),
+				$host
+			),
+			\__('The host name is misspelled, or this server cannot look it up.', 'wp-dbal'),
+			\__('Check the host name. If the database runs on this server, try localhost or 127.0.0.1.', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Check that the database port accepts connections.
+	 *
+	 * @param string|null $host Host name, or null for a socket.
+	 * @param int $port Port.
+	 * @param bool $isMysql Whether the server is MySQL.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkPort(?string $host, int $port, bool $isMysql): array
+	{
+		if (null === $host) {
+			return $this->result('skip', \__('The connection uses a socket.', 'wp-dbal'));
+		}
+
+		// The MySQL client library connects to "localhost" through the socket.
+		if ($isMysql && 'localhost' === \strtolower($host)) {
+			return $this->result('skip', \__('MySQL connects to localhost through its socket.', 'wp-dbal'));
+		}
+
+		$errorCode = 0;
+		$errorMessage = '';
+		$socket = @\fsockopen($host, $port, $errorCode, $errorMessage, self::TIMEOUT);
+
+		if (false !== $socket) {
+			\fclose($socket);
+
+			return $this->result('pass', '');
+		}
+
+		return $this->result(
+			'fail',
+			\sprintf(
+				/* translators: 1: Host name, 2: Port, 3: Error message. */
+				\__('Could not open a connection to %1$s:%2$d (%3$s).', 'wp-dbal'),
+				$host,
+				$port,
+				'' !== $errorMessage ? $errorMessage : \__('timed out', 'wp-dbal')
+			),
+			\__('The database server is not running, listens on another port or address, or a firewall blocks the connection.', 'wp-dbal'),
+			\__('Check that the server is running and listens on this port for remote connections (bind-address in MySQL, listen_addresses in PostgreSQL), and that the firewall lets this web server in.', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Log in to the database server.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @param bool $isMysql Whether the server is MySQL.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkLogin(array $params, bool $isMysql): array
+	{
+		try {
+			$this->connection = $this->connect($params);
+			$this->connection->getNativeConnection();
+
+			return $this->result('pass', '');
+		} catch (\Throwable $e) {
+			$this->connection = null;
+			$this->connectMessage = $e->getMessage();
+			$this->connectError = $this->classifyConnectError($e);
+		}
+
+		if ('database' === $this->connectError) {
+			return $this->result('pass', \__('The server accepted the login and reported the database as missing.', 'wp-dbal'));
+		}
+
+		if ('auth' === $this->connectError) {
+			return $this->result(
+				'fail',
+				$this->connectMessage,
+				\__('The user name or password is wrong, or the user may not connect from this server.', 'wp-dbal'),
+				$isMysql
+					? \__('Check the credentials, and that the MySQL user exists for the host this web server connects from (user@host).', 'wp-dbal')
+					: \__('Check the credentials, and that pg_hba.conf allows password logins for this user from this server.', 'wp-dbal')
+			);
+		}
+
+		return $this->result(
+			'fail',
+			$this->connectMessage,
+			\__('The server refused the connection.', 'wp-dbal'),
+			\__('Read the error above and the database server log.', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Check that the database exists, from the result of the login.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkDatabase(array $params): array
+	{
+		if ('database' !== $this->connectError) {
+			return $this->result('pass', '');
+		}
+
+		$name = (string) ($params['dbname'] ?? '');
+
+		return $this->result(
+			'fail',
+			$this->connectMessage,
+			\sprintf(
+				/* translators: %s: Database name. */
+				\__('There is no database named "%s" on the server.', 'wp-dbal'),
+				$name
+			),
+			\sprintf(
+				/* translators: %s: Database name. */
+				\__('Create it (CREATE DATABASE %s;) and grant the user access, or fix the database name.', 'wp-dbal'),
+				$name
+			)
+		);
+	}
+
+	/**
+	 * Check the directory of a SQLite database file.
+	 *
+	 * @param string $path Database file path.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkSqliteDirectory(string $path): array
+	{
+		$directory = \dirname($path);
+
+		if (\file_exists($path) && ! \is_writable($path)) {
+			return $this->notWritable($path, \__('The database file exists but is read-only for PHP.', 'wp-dbal'));
+		}
+
+		if (! \is_dir($directory)) {
+			return $this->notWritable($directory, \__('The directory does not exist and could not be created.', 'wp-dbal'));
+		}
+
+		// SQLite writes its journal next to the database file.
+		if (! \is_writable($directory)) {
+			return $this->notWritable($directory, \__('SQLite needs to create journal files next to the database file.', 'wp-dbal'));
+		}
+
+		return $this->result('pass', '');
+	}
+
+	/**
+	 * Check a FileDB storage directory, or the directory it will be created in.
+	 *
+	 * @param string $path Storage directory.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkStorageDirectory(string $path): array
+	{
+		if (\is_dir($path)) {
+			return \is_writable($path)
+				? $this->result('pass', '')
+				: $this->notWritable($path, \__('FileDB stores every table as files in this directory.', 'wp-dbal'));
+		}
+
+		// The directory is created on first use, so its nearest existing parent must be writable.
+		$parent = \dirname($path);
+		while (! \is_dir($parent) && \dirname($parent) !== $parent) {
+			$parent = \dirname($parent);
+		}
+
+		return \is_writable($parent)
+			? $this->result('pass', \__('The directory will be created on first use.', 'wp-dbal'))
+			: $this->notWritable($parent, \__('The storage directory does not exist and cannot be created here.', 'wp-dbal'));
+	}
+
+	/**
+	 * Check that the Cloudflare API token is active.
+	 *
+	 * @param array<string, mixed> $params D1 connection parameters.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkD1Token(array $params): array
+	{
+		// User tokens and account tokens are verified at different endpoints.
+		foreach ([ '/user/tokens/verify', '/accounts/' . \rawurlencode((string) ($params['account_id'] ?? '')) . '/tokens/verify' ] as $endpoint) {
+			[ $code, $body ] = $this->cloudflareRequest($endpoint, $params);
+
+			if (200 === $code && 'active' === ($body['result']['status'] ?? null)) {
+				return $this->result('pass', '');
+			}
+		}
+
+		return $this->result(
+			'fail',
+			$this->cloudflareError($code, $body),
+			\__('The API token is wrong, expired or disabled.', 'wp-dbal'),
+			\__('Create a new API token in the Cloudflare dashboard (My Profile > API Tokens) and enter it again.', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Check that the API token can see the D1 database.
+	 *
+	 * @param array<string, mixed> $params D1 connection parameters.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkD1Database(array $params): array
+	{
+		[ $code, $body ] = $this->cloudflareRequest(
+			\sprintf(
+				'/accounts/%s/d1/database/%s',
+				\rawurlencode((string) ($params['account_id'] ?? '')),
+				\rawurlencode((string) ($params['database_id'] ?? ''))
+			),
+			$params
+		);
+
+		if (200 === $code) {
+			return $this->result('pass', '');
+		}
+
+		if (401 === $code || 403 === $code) {
+			return $this->result(
+				'fail',
+				$this->cloudflareError($code, $body),
+				\__('The API token has no D1 permission for this account.', 'wp-dbal'),
+				\__('Edit the token in the Cloudflare dashboard and add the "Account > D1 > Edit" permission for this account.', 'wp-dbal')
+			);
+		}
+
+		return $this->result(
+			'fail',
+			$this->cloudflareError($code, $body),
+			\__('The account ID or database ID is wrong.', 'wp-dbal'),
+			\__('Copy both IDs from the D1 database page in the Cloudflare dashboard.', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Run a test query.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @param bool $isD1 Whether the database is Cloudflare D1.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function checkQuery(array $params, bool $isD1): array
+	{
+		try {
+			$connection = $this->connection ?? $this->connect($params);
+			$this->connection = $connection;
+			$connection->fetchOne('SELECT 1');
+
+			return $this->result('pass', '');
+		} catch (\Throwable $e) {
+			if ($isD1 && \preg_match('/\b403\b|Authentication error|not authori[sz]ed|permission/i', $e->getMessage())) {
+				return $this->result(
+					'fail',
+					$e->getMessage(),
+					\__('The token can read the database but not run queries on it.', 'wp-dbal'),
+					\__('Give the token the "Account > D1 > Edit" permission; "Read" is not enough to run queries.', 'wp-dbal')
+				);
+			}
+
+			return $this->result(
+				'fail',
+				$e->getMessage(),
+				\__('The connection opened, but the database did not answer a query.', 'wp-dbal'),
+				\__('Read the error above; the user may lack privileges, or the file may be damaged.', 'wp-dbal')
+			);
+		}
+	}
+
+	/**
+	 * Check whether a PHP extension is loaded.
+	 *
+	 * @param string $extension Extension name.
+	 * @return bool True if the extension is loaded.
+	 */
+	protected function isExtensionLoaded(string $extension): bool
+	{
+		return \extension_loaded($extension);
+	}
+
+	/**
+	 * Create a connection to the database.
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @return Connection Connection, not connected yet.
+	 */
+	protected function connect(array $params): Connection
+	{
+		return DriverManager::getConnection($params);
+	}
+
+	/**
+	 * Tell a login error from a missing database.
+	 *
+	 * @param \Throwable $e Connection error.
+	 * @return string "auth", "database" or "other".
+	 */
+	private function classifyConnectError(\Throwable $e): string
+	{
+		$message = $e->getMessage();
+
+		if ($e instanceof \Doctrine\DBAL\Exception\DatabaseDoesNotExist
+			|| \preg_match('/SQLSTATE\[3D000\]|Unknown database|database "[^"]*" does not exist|\b1049\b/i', $message)
+		) {
+			return 'database';
+		}
+
+		if (\preg_match('/SQLSTATE\[28(000|P01)\]|Access denied for user|password authentication failed|no password supplied|\b1045\b/i', $message)) {
+			return 'auth';
+		}
+
+		return 'other';
+	}
+
+	/**
+	 * Get the host and port of a connection, as the driver uses them.
+	 *
+	 * Understands a DB_HOST style "host:port" or "host:/socket".
+	 *
+	 * @param array<string, mixed> $params DBAL connection parameters.
+	 * @return array{0: string|null, 1: int} Host (null for a socket) and port.
+	 */
+	private function splitHost(array $params): array
+	{
+		$host = (string) ($params['host'] ?? 'localhost');
+		$isMysql = \in_array($params['driver'] ?? '', [ 'pdo_mysql', 'mysqli' ], true);
+		$port = (int) ($params['port'] ?? ($isMysql ? 3306 : 5432));
+
+		if (! empty($params['unix_socket']) || \str_starts_with($host, '/') || \str_contains($host, ':/')) {
+			return [ null, $port ];
+		}
+
+		if (\preg_match('/^\[(.+)\](?::(\d+))?$/', $host, $matches)) {
+			return [ $matches[1], isset($matches[2]) ? (int) $matches[2] : $port ];
+		}
+
+		if (1 === \substr_count($host, ':')) {
+			[ $host, $hostPort ] = \explode(':', $host);
+
+			return [ $host, (int) $hostPort ];
+		}
+
+		return [ $host, $port ];
+	}
+
+	/**
+	 * Send a GET request to the Cloudflare API.
+	 *
+	 * @param string $endpoint Endpoint path.
+	 * @param array<string, mixed> $params D1 connection parameters.
+	 * @return array{0: int, 1: array<string, mixed>} HTTP status (0 if the request failed) and decoded body.
+	 */
+	private function cloudflareRequest(string $endpoint, array $params): array
+	{
+		$response = \wp_safe_remote_get(
+			self::CLOUDFLARE_API . $endpoint,
+			[
+				'timeout' => self::TIMEOUT,
+				'headers' => [ 'Authorization' => 'Bearer ' . ($params['api_token'] ?? '') ],
+			]
+		);
+
+		if (\is_wp_error($response)) {
+			return [ 0, [ 'errors' => [ [ 'message' => $response->get_error_message() ] ] ] ];
+		}
+
+		$body = \json_decode(\wp_remote_retrieve_body($response), true);
+
+		return [ (int) \wp_remote_retrieve_response_code($response), \is_array($body) ? $body : [] ];
+	}
+
+	/**
+	 * Describe a failed Cloudflare API response.
+	 *
+	 * @param int $code HTTP status.
+	 * @param array<string, mixed> $body Decoded body.
+	 * @return string Error message.
+	 */
+	private function cloudflareError(int $code, array $body): string
+	{
+		$message = $body['errors'][0]['message'] ?? \__('No error message', 'wp-dbal');
+
+		return 0 === $code
+			? $message
+			: \sprintf(
+				/* translators: 1: HTTP status code, 2: Error message. */
+				\__('Cloudflare answered with HTTP %1$d: %2$s', 'wp-dbal'),
+				$code,
+				$message
+			);
+	}
+
+	/**
+	 * Build a failed check for a path PHP cannot write to.
+	 *
+	 * @param string $path Path.
+	 * @param string $cause Likely cause.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function notWritable(string $path, string $cause): array
+	{
+		return $this->result(
+			'fail',
+			\sprintf(
+				/* translators: %s: File or directory path. */
+				\__('PHP cannot write to %s.', 'wp-dbal'),
+				$path
+			),
+			$cause,
+			\__('Create the directory if needed and give the user that runs PHP write access to it (for example with chown or chmod).', 'wp-dbal')
+		);
+	}
+
+	/**
+	 * Build a check result.
+	 *
+	 * @param string $status "pass", "fail" or "skip".
+	 * @param string $message What the check found.
+	 * @param string|null $cause Likely cause of a failure.
+	 * @param string|null $fix How to fix a failure.
+	 * @return array{status: string, message: string, cause: string|null, fix: string|null}
+	 */
+	private function result(string $status, string $message, ?string $cause = null, ?string $fix = null): array
+	{
+		return [
+			'status' => $status,
+			'message' => $message,
+			'cause' => $cause,
+			'fix' => $fix,
+		];
+	}
+}
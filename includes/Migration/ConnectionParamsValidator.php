@@ -0,0 +1,326 @@
+<?php
+
+/**
+ * Connection Parameters Validator
+ *
+ * Checks connection parameters before they are used to connect or written to wp-config.php.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+/**
+ * Connection parameters validator class.
+ *
+ * Returns an error code per field, so the admin UI can show its own message
+ * next to the input. The rules match the built-in engine registry in
+ * src/engines/builtin.js. Engines without rules, and custom DBAL options,
+ * are left to the driver.
+ *
+ * Storage paths have to stay inside the WordPress directory or wp-content,
+ * unless their directory is listed in the WP_DBAL_ALLOWED_PATHS constant,
+ * so the admin forms can't point the database at any file PHP can write.
+ */
+class ConnectionParamsValidator
+{
+	/**
+	 * Rules per engine and field, checked in order.
+	 *
+	 * @var array<string, array<string, array<int, string>>>
+	 */
+	private const RULES = [
+		'mysql' => [
+			'host' => [ 'host' ],
+			'port' => [ 'port' ],
+			'dbname' => [ 'required' ],
+			'user' => [ 'required' ],
+		],
+		'pgsql' => [
+			'host' => [ 'host' ],
+			'port' => [ 'port' ],
+			'dbname' => [ 'required' ],
+			'user' => [ 'required' ],
+		],
+		'sqlite' => [
+			'path' => [ 'path' ],
+		],
+		'filedb' => [
+			'path' => [ 'path' ],
+			'format' => [ 'filedb_format' ],
+		],
+		'd1' => [
+			'account_id' => [ 'required', 'd1_account_id' ],
+			'database_id' => [ 'required', 'd1_database_id' ],
+			'api_token' => [ 'secret' ],
+		],
+	];
+
+	/**
+	 * Engine aliases.
+	 *
+	 * @var array<string, string>
+	 */
+	private const ALIASES = [
+		'postgresql' => 'pgsql',
+	];
+
+	/**
+	 * Supported FileDB formats.
+	 *
+	 * @var array<int, string>
+	 */
+	private const FILEDB_FORMATS = [ 'json', 'php' ];
+
+	/**
+	 * Directories storage paths may be in.
+	 *
+	 * @var array<int, string>
+	 */
+	private array $allowedPaths;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param array<int, string>|null $allowedPaths Directories storage paths may be in (defaults to getAllowedPaths()).
+	 */
+	public function __construct(?array $allowedPaths = null)
+	{
+		$this->allowedPaths = \array_map([ $this, 'resolvePath' ], $allowedPaths ?? self::getAllowedPaths());
+	}
+
+	/**
+	 * Get the directories storage paths may be in.
+	 *
+	 * These are the WordPress directory, wp-content and the absolute paths in
+	 * the WP_DBAL_ALLOWED_PATHS constant (an array or a single path).
+	 *
+	 * @return array<int, string> Directory paths, without a trailing slash.
+	 */
+	public static function getAllowedPaths(): array
+	{
+		$paths = [ ABSPATH, \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content' ];
+
+		if (\defined('WP_DBAL_ALLOWED_PATHS')) {
+			$paths = \array_merge($paths, (array) WP_DBAL_ALLOWED_PATHS);
+		}
+
+		return \array_values(\array_unique(\array_map(function ($path) {
+			return \rtrim(\str_replace('\\', '/', (string) $path), '/');
+		}, $paths)));
+	}
+
+	/**
+	 * Validate connection parameters.
+	 *
+	 * Error codes: required, invalid_number, out_of_range, invalid_hostname,
+	 * invalid_path, path_not_allowed, invalid_option and invalid_format.
+	 *
+	 * @param string $engine Database engine.
+	 * @param array<string, mixed> $params Connection parameters.
+	 * @return array<string, string> Error codes keyed by field; empty if the parameters are valid.
+	 */
+	public function validate(string $engine, array $params): array
+	{
+		$engine = \strtolower($engine);
+		$engine = self::ALIASES[ $engine ] ?? $engine;
+
+		if (! isset(self::RULES[ $engine ]) || (! empty($params['dbal_options']) && \is_array($params['dbal_options']))) {
+			return [];
+		}
+
+		$errors = [];
+
+		foreach (self::RULES[ $engine ] as $field => $rules) {
+			$value = $params[ $field ] ?? null;
+
+			if (\is_string($value)) {
+				$value = \trim($value);
+			}
+
+			if (null === $value || '' === $value) {
+				// A connection profile fills in its saved secrets.
+				if (\in_array('required', $rules, true) || (\in_array('secret', $rules, true) && empty($params['profile']))) {
+					$errors[ $field ] = 'required';
+				}
+
+				continue;
+			}
+
+			foreach ($rules as $rule) {
+				$error = $this->checkRule($rule, $value);
+
+				if (null !== $error) {
+					$errors[ $field ] = $error;
+					break;
+				}
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Check a non-empty value against a rule.
+	 *
+	 * @param string $rule Rule name.
+	 * @param mixed $value Field value.
+	 * @return string|null Error code, or null if the value passes.
+	 */
+	private function checkRule(string $rule, $value): ?string
+	{
+		if ('port' === $rule) {
+			if (! \is_int($value) && ! (\is_string($value) && \ctype_digit($value))) {
+				return 'invalid_number';
+			}
+
+			$port = (int) $value;
+
+			return $port >= 1 && $port <= 65535 ? null : 'out_of_range';
+		}
+
+		if (\in_array($rule, [ 'required', 'secret' ], true)) {
+			return null;
+		}
+
+		if (! \is_string($value)) {
+			return 'invalid_format';
+		}
+
+		switch ($rule) {
+			case 'host':
+				return $this->isValidHost($value) ? null : 'invalid_hostname';
+
+			case 'path':
+				if (! $this->isValidPath($value)) {
+					return 'invalid_path';
+				}
+
+				return $this->isAllowedPath($value) ? null : 'path_not_allowed';
+
+			case 'filedb_format':
+				return \in_array($value, self::FILEDB_FORMATS, true) ? null : 'invalid_option';
+
+			case 'd1_account_id':
+				return \preg_match('/^[0-9a-f]{32}$/i', $value) ? null : 'invalid_format';
+
+			case 'd1_database_id':
+				return \preg_match('/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i', $value) ? null : 'invalid_format';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check a database host.
+	 *
+	 * Accepts a host name or IP address with an optional port or socket
+	 * suffix, as in DB_HOST, or a socket directory.
+	 *
+	 * @param string $host Database host.
+	 * @return bool True if the host is valid.
+	 */
+	private function isValidHost(string $host): bool
+	{
+		if (\str_starts_with($host, '/')) {
+			return true;
+		}
+
+		if (false !== \filter_var($host, FILTER_VALIDATE_IP)) {
+			return true;
+		}
+
+		if (\preg_match('/^\[([0-9a-f:.]+)\](?::\d+)?$/i', $host, $matches)) {
+			return false !== \filter_var($matches[1], FILTER_VALIDATE_IP, FILTER_FLAG_IPV6);
+		}
+
+		if (! \preg_match('/^([^:\/]+)(?::(?:\d+|\/.+))?$/', $host, $matches)) {
+			return false;
+		}
+
+		return false !== \filter_var($matches[1], FILTER_VALIDATE_DOMAIN, FILTER_FLAG_HOSTNAME);
+	}
+
+	/**
+	 * Check a storage path.
+	 *
+	 * Relative paths are resolved against the WordPress root, and a ".." segment
+	 * would quietly move them out of it.
+	 *
+	 * @param string $path Storage path.
+	 * @return bool True if the path is valid.
+	 */
+	private function isValidPath(string $path): bool
+	{
+		if (\str_contains($path, "\0")) {
+			return false;
+		}
+
+		return ! \in_array('..', \preg_split('#[\\\\/]#', $path), true);
+	}
+
+	/**
+	 * Check that a storage path is in one of the allowed directories.
+	 *
+	 * Symbolic links in the part of the path that exists are followed, so a
+	 * link inside wp-content can't lead out of it.
+	 *
+	 * @param string $path Storage path, without ".." segments.
+	 * @return bool True if the path is allowed.
+	 */
+	private function isAllowedPath(string $path): bool
+	{
+		$path = $this->resolvePath($path);
+
+		foreach ($this->allowedPaths as $allowed) {
+			if ($path === $allowed || \str_starts_with($path, $allowed . '/')) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Resolve a path the way the drop-in does, following symbolic links.
+	 *
+	 * Relative paths are resolved against the WordPress root. The path doesn't
+	 * have to exist: its deepest existing directory is resolved and the rest
+	 * is appended.
+	 *
+	 * @param string $path Path.
+	 * @return string Absolute path with forward slashes and no trailing slash.
+	 */
+	private function resolvePath(string $path): string
+	{
+		$path = \str_replace('\\', '/', $path);
+
+		if (! \str_starts_with($path, '/') && ! \preg_match('#^[a-z]:/#i', $path)) {
+			$path = \rtrim(\str_replace('\\', '/', ABSPATH), '/') . '/' . $path;
+		}
+
+		$missing = [];
+		$existing = \rtrim($path, '/');
+
+		while ('' !== $existing && false === \realpath($existing)) {
+			\array_unshift($missing, \basename($existing));
+			$parent = \dirname($existing);
+
+			if ($parent === $existing) {
+				break;
+			}
+
+			$existing = $parent;
+		}
+
+		$resolved = \realpath('' === $existing ? '/' : $existing);
+		$resolved = false === $resolved ? $existing : \str_replace('\\', '/', $resolved);
+		$segments = \array_filter($missing, function ($segment) {
+			return '' !== $segment && '.' !== $segment;
+		});
+
+		return \rtrim(\implode('/', \array_merge([ \rtrim($resolved, '/') ], $segments)), '/');
+	}
+}
@@ -65,5 +65,47 @@ class DataExporter
 		$result = $queryBuilder->executeQuery();
 		return (int) $result->fetchOne();
 	}
+
+	/**
+	 * Remove transient rows from an exported chunk.
+	 *
+	 * Transients live in the options table (`option_name`) and, on multisite,
+	 * in the sitemeta table (`meta_key`). Rows of other tables are returned unchanged.
+	 *
+	 * @param array<int, array<string, mixed>> $rows Exported rows.
+	 * @return array<int, array<string, mixed>> Rows without transients.
+	 */
+	public function excludeTransients(array $rows): array
+	{
+		return \array_values(\array_filter($rows, function ($row) {
+			$column = $this->getTransientColumn(\array_keys($row));
+			$key = null !== $column ? $row[$column] : null;
+
+			if (! \is_string($key)) {
+				return true;
+			}
+
+			return \strpos($key, '_transient_') !== 0 && \strpos($key, '_site_transient_') !== 0;
+		}));
+	}
+
+	/**
+	 * Get the column holding transient names for a table.
+	 *
+	 * @param array<int, string> $columns Column names of the table.
+	 * @return string|null Column name, or null if the table holds no transients.
+	 */
+	public function getTransientColumn(array $columns): ?string
+	{
+		if (\in_array('option_name', $columns, true)) {
+			return 'option_name';
+		}
+
+		if (\in_array('site_id', $columns, true) && \in_array('meta_key', $columns, true)) {
+			return 'meta_key';
+		}
+
+		return null;
+	}
 }
 
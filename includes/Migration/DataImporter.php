@@ -305,6 +305,94 @@ class DataImporter
 		};
 	}
 
+	/**
+	 * Prepare a chunk whose import was interrupted for another attempt.
+	 *
+	 * With a primary key, the rows the interrupted import wrote are deleted.
+	 * Without one, the rows can't be told apart, so the row count recorded
+	 * before the import decides: nothing written means import again, the whole
+	 * chunk written means skip it, and anything in between can't be undone.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param string $table Table name.
+	 * @param array<int, string> $keyColumns Primary key columns (empty if the table has none).
+	 * @param array<int, array<string, mixed>> $rows Rows of the chunk.
+	 * @param int|null $rowsBefore Row count of the table before the interrupted import.
+	 * @return bool Whether the chunk still has to be imported.
+	 * @throws \RuntimeException If the rows of a table without a primary key can't be undone.
+	 */
+	public function prepareChunkRetry(Connection $connection, string $table, array $keyColumns, array $rows, ?int $rowsBefore): bool
+	{
+		if (! empty($keyColumns)) {
+			$this->deleteRowsByKey($connection, $table, $keyColumns, $rows);
+			return true;
+		}
+
+		$rowCount = $this->countRows($connection, $table);
+
+		if ($rowCount === $rowsBefore) {
+			return true;
+		}
+
+		if (null !== $rowsBefore && $rowCount === $rowsBefore + \count($rows)) {
+			return false;
+		}
+
+		throw new \RuntimeException(
+			\sprintf(
+				'Table "%s" has no primary key, so the rows of an interrupted import can\'t be removed. Empty the table on the target and migrate it again.',
+				$table
+			)
+		);
+	}
+
+	/**
+	 * Count the rows of a table.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @param string $table Table name.
+	 * @return int Row count.
+	 */
+	public function countRows(Connection $connection, string $table): int
+	{
+		return (int) $connection->fetchOne('SELECT COUNT(*) FROM ' . $connection->quoteIdentifier($table));
+	}
+
+	/**
+	 * Delete rows from a table by their primary key.
+	 *
+	 * Used to undo a partially imported chunk before it is imported again.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param string $table Table name.
+	 * @param array<int, string> $keyColumns Primary key columns.
+	 * @param array<int, array<string, mixed>> $rows Rows whose keys should be deleted.
+	 * @return int Number of deleted rows.
+	 */
+	public function deleteRowsByKey(Connection $connection, string $table, array $keyColumns, array $rows): int
+	{
+		$deleted = 0;
+
+		foreach (\array_chunk($rows, 100) as $batch) {
+			$queryBuilder = $connection->createQueryBuilder();
+			$queryBuilder->delete($connection->quoteIdentifier($table));
+
+			$conditions = [];
+			foreach ($batch as $row) {
+				$parts = [];
+				foreach ($keyColumns as $keyColumn) {
+					$parts[] = $connection->quoteIdentifier($keyColumn) . ' = ' . $queryBuilder->createNamedParameter($row[$keyColumn] ?? null);
+				}
+				$conditions[] = '(' . \implode(' AND ', $parts) . ')';
+			}
+
+			$queryBuilder->where(\implode(' OR ', $conditions));
+			$deleted += (int) $queryBuilder->executeStatement();
+		}
+
+		return $deleted;
+	}
+
 	/**
 	 * Generate a unique identifier for PRIMARY KEY columns.
 	 *
@@ -0,0 +1,229 @@
+<?php
+
+/**
+ * Migration History
+ *
+ * Keeps a permanent record of finished migration sessions.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+/**
+ * Migration History class.
+ *
+ * The history is stored in a file next to the progress files rather than in
+ * an option, so it survives switching the site to another engine. The file
+ * is a PHP file that exits right away, since it sits in the uploads directory
+ * and holds table names and error messages.
+ */
+class MigrationHistory
+{
+	/**
+	 * Maximum number of entries kept.
+	 *
+	 * @var int
+	 */
+	private const MAX_ENTRIES = 100;
+
+	/**
+	 * Header that keeps the history file from being served.
+	 *
+	 * @var string
+	 */
+	private const FILE_HEADER = "<?php exit; ?>\n";
+
+	/**
+	 * History file path.
+	 *
+	 * @var string
+	 */
+	private string $file;
+
+	/**
+	 * Path of the plain JSON file earlier versions kept the history in.
+	 *
+	 * @var string
+	 */
+	private string $legacyFile;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string $directory Directory holding the history file.
+	 */
+	public function __construct(string $directory)
+	{
+		$this->file = $directory . '/history.php';
+		$this->legacyFile = $directory . '/history.json';
+	}
+
+	/**
+	 * Record a session, replacing an earlier entry for the same session.
+	 *
+	 * @param array<string, mixed> $progress Progress data.
+	 * @return bool True on success, false on failure.
+	 */
+	public function record(array $progress): bool
+	{
+		if (empty($progress['session_id'])) {
+			return false;
+		}
+
+		$entries = $this->read();
+		$entries[$progress['session_id']] = $this->buildEntry($progress, $entries[$progress['session_id']] ?? null);
+
+		// Drop the oldest entries beyond the limit.
+		\uasort($entries, function ($a, $b) {
+			return $b['started_at'] <=> $a['started_at'];
+		});
+		$entries = \array_slice($entries, 0, self::MAX_ENTRIES, true);
+
+		return $this->write($entries);
+	}
+
+	/**
+	 * Get all entries without their per-table details, most recent first.
+	 *
+	 * @return array<int, array<string, mixed>> History entries.
+	 */
+	public function all(): array
+	{
+		$entries = [];
+		foreach ($this->read() as $entry) {
+			unset($entry['tables'], $entry['errors']);
+			$entries[] = $this->withUser($entry);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Get a single entry.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return array<string, mixed>|null History entry or null if not found.
+	 */
+	public function get(string $sessionId): ?array
+	{
+		$entries = $this->read();
+
+		return isset($entries[$sessionId]) ? $this->withUser($entries[$sessionId]) : null;
+	}
+
+	/**
+	 * Read the history file.
+	 *
+	 * @return array<string, array<string, mixed>> Entries keyed by session ID.
+	 */
+	private function read(): array
+	{
+		if (\file_exists($this->file)) {
+			$content = (string) \file_get_contents($this->file);
+			$entries = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+		} elseif (\file_exists($this->legacyFile)) {
+			$entries = \json_decode((string) \file_get_contents($this->legacyFile), true);
+		} else {
+			return [];
+		}
+
+		return \is_array($entries) ? $entries : [];
+	}
+
+	/**
+	 * Write the history file and remove the plain JSON file of earlier versions.
+	 *
+	 * Written to a temporary file first, so a concurrent request never reads half a file.
+	 *
+	 * @param array<string, array<string, mixed>> $entries Entries keyed by session ID.
+	 * @return bool True on success, false on failure.
+	 */
+	private function write(array $entries): bool
+	{
+		$temp = $this->file . '.tmp';
+
+		if (false === \file_put_contents($temp, self::FILE_HEADER . \json_encode($entries), LOCK_EX) || ! \rename($temp, $this->file)) {
+			return false;
+		}
+
+		if (\file_exists($this->legacyFile)) {
+			\unlink($this->legacyFile);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Build a history entry from progress data.
+	 *
+	 * Connection parameters are left out so no credentials end up in the history.
+	 *
+	 * @param array<string, mixed> $progress Progress data.
+	 * @param array<string, mixed>|null $previous Previous entry for the session.
+	 * @return array<string, mixed> History entry.
+	 */
+	private function buildEntry(array $progress, ?array $previous): array
+	{
+		$verification = [];
+		foreach ($progress['verification']['tables'] ?? [] as $table => $result) {
+			$verification[$table] = $result['status'];
+		}
+
+		$tables = [];
+		foreach ($progress['table_rows'] ?? [] as $table => $counts) {
+			$tables[$table] = [
+				'table' => $table,
+				'rows_total' => $counts['total'],
+				'rows_exported' => $counts['exported'],
+				'rows_imported' => $counts['imported'],
+				'verification' => null,
+			];
+		}
+
+		// Re-copied tables only report their own counts; keep the earlier ones for the rest.
+		if ($previous) {
+			$tables = \array_merge($previous['tables'] ?? [], $tables);
+		}
+
+		foreach ($verification as $table => $status) {
+			if (isset($tables[$table])) {
+				$tables[$table]['verification'] = $status;
+			}
+		}
+
+		return [
+			'session_id' => $progress['session_id'],
+			'user_id' => $progress['user_id'] ?? 0,
+			'source_engine' => $progress['source_engine'] ?? '',
+			'target_engine' => $progress['target_engine'] ?? '',
+			'status' => $progress['status'] ?? '',
+			'step' => $progress['step'] ?? '',
+			'started_at' => $progress['created_at'] ?? 0,
+			'ended_at' => $progress['updated_at'] ?? \time(),
+			'rows_total' => $tables ? \array_sum(\array_column($tables, 'rows_total')) : ($progress['rows_total'] ?? 0),
+			'rows_imported' => $tables ? \array_sum(\array_column($tables, 'rows_imported')) : ($progress['rows_imported'] ?? 0),
+			'tables_total' => \count($tables) ?: ($progress['tables_total'] ?? 0),
+			'error' => $progress['error'] ?? null,
+			'errors' => $progress['errors'] ?? [],
+			'verified' => 'completed' === ($progress['verification']['status'] ?? null),
+			'tables' => $tables,
+		];
+	}
+
+	/**
+	 * Add the display name of the user who started the migration.
+	 *
+	 * @param array<string, mixed> $entry History entry.
+	 * @return array<string, mixed> History entry.
+	 */
+	private function withUser(array $entry): array
+	{
+		$user = $entry['user_id'] ? \get_userdata((int) $entry['user_id']) : false;
+		$entry['user'] = $user ? $user->display_name : '';
+
+		return $entry;
+	}
+}
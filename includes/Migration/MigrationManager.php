@@ -19,12 +19,73 @@ use WP_DBAL\Migration\SchemaExporter;
 use WP_DBAL\Migration\DataExporter;
 use WP_DBAL\Migration\SchemaImporter;
 use WP_DBAL\Migration\DataImporter;
+use WP_DBAL\Migration\CompatibilityReport;
+use WP_DBAL\Migration\SchemaComparator;
+use WP_DBAL\Migration\Verifier;
+use WP_DBAL\Migration\MigrationHistory;
+use WP_DBAL\ConnectionProfiles;
 
 /**
  * Migration Manager class.
  */
 class MigrationManager
 {
+	/**
+	 * Seconds without activity after which a session is considered stalled.
+	 *
+	 * @var int
+	 */
+	private const STALLED_AFTER = 60;
+
+	/**
+	 * Seconds without activity after which a session expires.
+	 *
+	 * @var int
+	 */
+	private const SESSION_TTL = DAY_IN_SECONDS;
+
+	/**
+	 * Rows exported per chunk request unless the client asks for another size.
+	 *
+	 * @var int
+	 */
+	private const DEFAULT_BATCH_SIZE = 1000;
+
+	/**
+	 * Smallest chunk size a client may request.
+	 *
+	 * @var int
+	 */
+	private const MIN_BATCH_SIZE = 10;
+
+	/**
+	 * Largest chunk size a client may request.
+	 *
+	 * @var int
+	 */
+	private const MAX_BATCH_SIZE = 50000;
+
+	/**
+	 * Rows compared per verification request.
+	 *
+	 * @var int
+	 */
+	private const VERIFY_BATCH_SIZE = 500;
+
+	/**
+	 * Maximum number of differing primary keys kept per table.
+	 *
+	 * @var int
+	 */
+	private const VERIFY_SAMPLE_KEYS = 10;
+
+	/**
+	 * Statuses after which a session is recorded in the history.
+	 *
+	 * @var array<int, string>
+	 */
+	private const FINAL_STATUSES = [ 'completed', 'failed', 'cancelled', 'discarded' ];
+
 	/**
 	 * Progress file directory.
 	 *
@@ -32,6 +93,13 @@ class MigrationManager
 	 */
 	private string $progressDir;
 
+	/**
+	 * Migration history.
+	 *
+	 * @var MigrationHistory
+	 */
+	private MigrationHistory $history;
+
 	/**
 	 * Constructor.
 	 */
@@ -44,6 +112,8 @@ class MigrationManager
 		if (! \is_dir($this->progressDir)) {
 			\wp_mkdir_p($this->progressDir);
 		}
+
+		$this->history = new MigrationHistory($this->progressDir);
 	}
 
 	/**
@@ -90,6 +160,77 @@ class MigrationManager
 		return $tables ?: [];
 	}
 
+	/**
+	 * List all source tables with their row counts.
+	 *
+	 * Includes tables without the WordPress prefix so custom tables can be
+	 * picked for migration too.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @return array<int, array{name: string, rows: int, prefixed: bool}> Table list.
+	 */
+	public function listSourceTables(Connection $connection): array
+	{
+		global $wpdb;
+		$prefix = $wpdb->prefix;
+
+		$exporter = new DataExporter();
+		$list = [];
+
+		foreach ($this->getSourceTableNames($connection) as $table) {
+			$list[] = [
+				'name' => $table,
+				'rows' => $exporter->getTableRowCount($connection, $table),
+				'prefixed' => \strpos($table, $prefix) === 0,
+			];
+		}
+
+		// Prefixed WordPress tables first, then custom tables.
+		\usort($list, function ($a, $b) {
+			return [ ! $a['prefixed'], $a['name'] ] <=> [ ! $b['prefixed'], $b['name'] ];
+		});
+
+		return $list;
+	}
+
+	/**
+	 * Get the names of all source tables.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @return array<int, string> Array of table names.
+	 */
+	private function getSourceTableNames(Connection $connection): array
+	{
+		global $wpdb;
+
+		if ('mysql' === $this->getCurrentEngine()) {
+			$tables = $wpdb->get_col('SHOW TABLES');
+		} else {
+			$tables = $connection->createSchemaManager()->listTableNames();
+		}
+
+		return $tables ?: [];
+	}
+
+	/**
+	 * Get the tables a migration session copies.
+	 *
+	 * Uses the session's table selection when one was made, otherwise all
+	 * WordPress tables. Selected tables that no longer exist are skipped.
+	 *
+	 * @param Connection $connection Source database connection.
+	 * @param array<string, mixed> $progress Current progress.
+	 * @return array<int, string> Array of table names.
+	 */
+	private function getMigrationTables(Connection $connection, array $progress): array
+	{
+		if (empty($progress['selected_tables'])) {
+			return $this->getWordPressTables($connection);
+		}
+
+		return \array_values(\array_intersect($progress['selected_tables'], $this->getSourceTableNames($connection)));
+	}
+
 	/**
 	 * Validate target database connection.
 	 *
@@ -126,15 +267,46 @@ class MigrationManager
 		}
 	}
 
+	/**
+	 * Diagnose a target connection that fails.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @return array<int, array<string, mixed>> Checks with their status, cause and fix.
+	 */
+	public function diagnoseTargetConnection(string $targetEngine, array $connectionParams): array
+	{
+		try {
+			$params = $this->buildConnectionParams($targetEngine, $connectionParams);
+		} catch (\Exception $e) {
+			return [
+				[
+					'id' => 'parameters',
+					'label' => \__('Connection parameters can be used', 'wp-dbal'),
+					'status' => 'fail',
+					'message' => $e->getMessage(),
+					'cause' => null,
+					'fix' => null,
+				],
+			];
+		}
+
+		return ( new ConnectionDiagnostics() )->run($params);
+	}
+
 	/**
 	 * Build connection parameters for target engine.
 	 *
 	 * @param string $targetEngine Target database engine.
 	 * @param array<string, mixed> $userParams User-provided connection parameters.
 	 * @return array<string, mixed> Connection parameters.
+	 * @throws \Exception If the parameters refer to a connection profile that can't be used.
 	 */
 	private function buildConnectionParams(string $targetEngine, array $userParams): array
 	{
+		// Fill in the secrets of a saved connection profile.
+		$userParams = ( new ConnectionProfiles() )->resolve($userParams);
+
 		// If custom DBAL options provided, use them.
 		if (! empty($userParams['dbal_options']) && \is_array($userParams['dbal_options'])) {
 			return $userParams['dbal_options'];
@@ -218,9 +390,11 @@ class MigrationManager
 	 *
 	 * @param string $targetEngine Target database engine.
 	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @param array<int, string> $tables Tables to migrate (empty for all WordPress tables).
+	 * @param bool $excludeTransients Whether to skip transient rows.
 	 * @return array{success: bool, session_id?: string, error?: string}
 	 */
-	public function startMigration(string $targetEngine, array $connectionParams): array
+	public function startMigration(string $targetEngine, array $connectionParams, array $tables = [], bool $excludeTransients = false): array
 	{
 		$sessionId = \wp_generate_uuid4();
 		$sourceEngine = $this->getCurrentEngine();
@@ -250,6 +424,9 @@ class MigrationManager
 			'source_engine' => $sourceEngine,
 			'target_engine' => $targetEngine,
 			'connection_params' => $connectionParams,
+			'selected_tables' => \array_values(\array_unique(\array_map('strval', $tables))),
+			'exclude_transients' => $excludeTransients,
+			'batch_size' => self::DEFAULT_BATCH_SIZE,
 		];
 
 		$this->saveProgress($sessionId, $progress);
@@ -284,10 +461,11 @@ class MigrationManager
 			return null;
 		}
 
-		// Check expiration (1 hour).
-		if (isset($progress['created_at'])) {
-			$age = \time() - $progress['created_at'];
-			if ($age > HOUR_IN_SECONDS) {
+		// Check expiration (measured from the last activity, so long migrations survive).
+		$lastActivity = $progress['updated_at'] ?? $progress['created_at'] ?? null;
+		if (null !== $lastActivity) {
+			$age = \time() - $lastActivity;
+			if ($age > self::SESSION_TTL) {
 				$this->deleteProgress($sessionId);
 				return null;
 			}
@@ -305,10 +483,57 @@ class MigrationManager
 	 */
 	public function saveProgress(string $sessionId, array $progress): bool
 	{
+		$progress['updated_at'] = \time();
+
+		// Keep a trail of every error, not just the last one.
+		if (! empty($progress['error'])) {
+			$errors = $progress['errors'] ?? [];
+			$last = \end($errors);
+			if (! $last || $last['message'] !== $progress['error']) {
+				$errors[] = [
+					'time' => $progress['updated_at'],
+					'step' => $progress['step'] ?? '',
+					'table' => $progress['current_table'] ?? '',
+					'message' => $progress['error'],
+				];
+			}
+			$progress['errors'] = $errors;
+		}
+
 		$file = $this->getProgressFile($sessionId);
 		$content = \wp_json_encode($progress, JSON_PRETTY_PRINT);
-		
-		return (bool) \file_put_contents($file, $content, LOCK_EX);
+		$saved = (bool) \file_put_contents($file, $content, LOCK_EX);
+
+		// Record finished sessions in the history, once verification (if any) is done.
+		if (
+			\in_array($progress['status'] ?? '', self::FINAL_STATUSES, true) &&
+			'running' !== ($progress['verification']['status'] ?? null)
+		) {
+			$this->history->record($progress);
+		}
+
+		return $saved;
+	}
+
+	/**
+	 * Get the migration history, most recent first.
+	 *
+	 * @return array<int, array<string, mixed>> History entries.
+	 */
+	public function getHistory(): array
+	{
+		return $this->history->all();
+	}
+
+	/**
+	 * Get a single migration history entry with per-table results and errors.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return array<string, mixed>|null History entry or null if not found.
+	 */
+	public function getHistoryEntry(string $sessionId): ?array
+	{
+		return $this->history->get($sessionId);
 	}
 
 	/**
@@ -320,6 +545,10 @@ class MigrationManager
 	public function deleteProgress(string $sessionId): bool
 	{
 		$file = $this->getProgressFile($sessionId);
+
+		if (\file_exists($file . '.lock')) {
+			\unlink($file . '.lock');
+		}
 		
 		if (\file_exists($file)) {
 			return \unlink($file);
@@ -328,6 +557,222 @@ class MigrationManager
 		return true;
 	}
 
+	/**
+	 * List resumable migration sessions for a user.
+	 *
+	 * Returns sessions that are still running, including ones whose chunk loop
+	 * stopped because the browser tab was closed or reloaded, and paused ones.
+	 *
+	 * @param int $userId User ID.
+	 * @return array<int, array<string, mixed>> Session summaries, most recent first.
+	 */
+	public function listSessions(int $userId): array
+	{
+		$files = \glob($this->progressDir . '/migration-*.json');
+		if (empty($files)) {
+			return [];
+		}
+
+		$sessions = [];
+		foreach ($files as $file) {
+			$sessionId = \substr(\basename($file, '.json'), \strlen('migration-'));
+			$progress = $this->getProgress($sessionId);
+
+			if (! $progress || ($progress['user_id'] ?? null) !== $userId) {
+				continue;
+			}
+
+			if (! \in_array($progress['status'] ?? '', [ 'running', 'paused' ], true)) {
+				continue;
+			}
+
+			$sessions[] = $this->summarizeSession($progress);
+		}
+
+		\usort($sessions, function ($a, $b) {
+			return $b['updated_at'] <=> $a['updated_at'];
+		});
+
+		return $sessions;
+	}
+
+	/**
+	 * Build a lightweight summary of a session.
+	 *
+	 * Leaves out exported schemas, queued data chunks and connection params.
+	 *
+	 * @param array<string, mixed> $progress Progress data.
+	 * @return array<string, mixed> Session summary.
+	 */
+	private function summarizeSession(array $progress): array
+	{
+		$updatedAt = $progress['updated_at'] ?? $progress['created_at'] ?? 0;
+
+		return [
+			'session_id' => $progress['session_id'] ?? '',
+			'status' => $progress['status'] ?? '',
+			'step' => $progress['step'] ?? '',
+			'source_engine' => $progress['source_engine'] ?? '',
+			'target_engine' => $progress['target_engine'] ?? '',
+			'current_table' => $progress['current_table'] ?? '',
+			'tables_total' => $progress['tables_total'] ?? 0,
+			'tables_completed' => $progress['tables_completed'] ?? 0,
+			'rows_total' => $progress['rows_total'] ?? 0,
+			'rows_completed' => $progress['rows_completed'] ?? 0,
+			'created_at' => $progress['created_at'] ?? 0,
+			'updated_at' => $updatedAt,
+			'stalled' => 'running' === ($progress['status'] ?? '') && (\time() - $updatedAt) > self::STALLED_AFTER,
+		];
+	}
+
+	/**
+	 * Build a pre-flight compatibility report.
+	 *
+	 * Exports the source schemas and maps them for the target engine without
+	 * connecting to or writing anything on the target.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<int, string> $tables Tables to check (empty for all WordPress tables).
+	 * @return array{success: bool, report?: array<string, mixed>, error?: string}
+	 */
+	public function buildCompatibilityReport(string $targetEngine, array $tables = []): array
+	{
+		$sourceConnection = $this->getSourceConnection();
+		if (! $sourceConnection) {
+			return [
+				'success' => false,
+				'error' => \__('Source database connection not available', 'wp-dbal'),
+			];
+		}
+
+		try {
+			$tables = $this->getMigrationTables($sourceConnection, [ 'selected_tables' => $tables ]);
+			$schemas = (new SchemaExporter())->exportSchemas($sourceConnection, $tables);
+			$report = (new CompatibilityReport())->build($schemas, $this->getCurrentEngine(), $targetEngine);
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => $e->getMessage(),
+			];
+		}
+
+		return [
+			'success' => true,
+			'report' => $report,
+		];
+	}
+
+	/**
+	 * Compare the source schemas with the schemas on a target database.
+	 *
+	 * Covers the selected source tables (or all WordPress tables) and every
+	 * table with the WordPress prefix that exists on the target.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @param array<int, string> $tables Tables to compare (empty for all WordPress tables).
+	 * @return array{success: bool, comparison?: array<string, mixed>, error?: string}
+	 */
+	public function compareSchemas(string $targetEngine, array $connectionParams, array $tables = []): array
+	{
+		return $this->runSchemaComparison($targetEngine, $connectionParams, $tables, null);
+	}
+
+	/**
+	 * Apply one suggested schema fix to a target database.
+	 *
+	 * The comparison is run again and the fix is looked up by its ID, so only
+	 * fixes that still apply can run.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @param string $fixId Fix ID from the comparison.
+	 * @param array<int, string> $tables Tables the comparison covered.
+	 * @return array{success: bool, comparison?: array<string, mixed>, error?: string}
+	 */
+	public function applySchemaFix(string $targetEngine, array $connectionParams, string $fixId, array $tables = []): array
+	{
+		return $this->runSchemaComparison($targetEngine, $connectionParams, $tables, $fixId);
+	}
+
+	/**
+	 * Compare schemas, optionally applying a fix first.
+	 *
+	 * @param string $targetEngine Target database engine.
+	 * @param array<string, mixed> $connectionParams Connection parameters.
+	 * @param array<int, string> $tables Tables to compare (empty for all WordPress tables).
+	 * @param string|null $fixId Fix to apply before the final comparison.
+	 * @return array{success: bool, comparison?: array<string, mixed>, error?: string}
+	 */
+	private function runSchemaComparison(string $targetEngine, array $connectionParams, array $tables, ?string $fixId): array
+	{
+		global $wpdb;
+
+		$sourceConnection = $this->getSourceConnection();
+		if (! $sourceConnection) {
+			return [
+				'success' => false,
+				'error' => \__('Source database connection not available', 'wp-dbal'),
+			];
+		}
+
+		try {
+			$targetConnection = DriverManager::getConnection($this->buildConnectionParams($targetEngine, $connectionParams));
+			$comparator = new SchemaComparator();
+			$exporter = new SchemaExporter();
+
+			$sourceTables = $this->getMigrationTables($sourceConnection, [ 'selected_tables' => $tables ]);
+			$sourceSchemas = $exporter->exportSchemas($sourceConnection, $sourceTables);
+
+			$prefix = $wpdb->prefix;
+			$targetTables = \array_filter($targetConnection->createSchemaManager()->listTableNames(), function ($table) use ($prefix) {
+				return \strpos($table, $prefix) === 0;
+			});
+			$targetTables = \array_values(\array_unique(\array_merge($sourceTables, $targetTables)));
+
+			$comparison = $comparator->compare($sourceSchemas, $exporter->exportSchemas($targetConnection, $targetTables), $targetEngine);
+
+			if (null !== $fixId) {
+				$fixes = \array_column($comparison['fixes'], null, 'id');
+				if (! isset($fixes[$fixId])) {
+					return [
+						'success' => false,
+						'error' => \__('This fix no longer applies; compare the schemas again', 'wp-dbal'),
+					];
+				}
+
+				$comparator->applyFix($targetConnection, $fixes[$fixId], $sourceSchemas, $targetEngine);
+				$comparison = $comparator->compare($sourceSchemas, $exporter->exportSchemas($targetConnection, $targetTables), $targetEngine);
+			}
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => $e->getMessage(),
+			];
+		}
+
+		return [
+			'success' => true,
+			'comparison' => $comparison,
+		];
+	}
+
+	/**
+	 * Get the source database connection.
+	 *
+	 * @return Connection|null Source connection, or null when WP-DBAL isn't handling the database.
+	 */
+	private function getSourceConnection(): ?Connection
+	{
+		global $wpdb;
+
+		if ($wpdb instanceof \WP_DBAL\WP_DBAL_DB) {
+			return $wpdb->getDbalConnection();
+		}
+
+		return null;
+	}
+
 	/**
 	 * Get progress file path.
 	 *
@@ -342,10 +787,76 @@ class MigrationManager
 	/**
 	 * Process migration chunk.
 	 *
+	 * Safe to call again with the same sequence number: a chunk that was already
+	 * processed (because its response got lost) is not processed a second time,
+	 * and overlapping requests for the same session are turned away.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @param int|null $chunkSeq Client-side sequence number of this chunk request.
+	 * @param int|null $batchSize Rows to export per chunk from now on (null keeps the current size).
+	 * @return array{complete: bool, progress: array<string, mixed>, busy?: bool}
+	 */
+	public function processChunk(string $sessionId, ?int $chunkSeq = null, ?int $batchSize = null): array
+	{
+		$lock = $this->acquireLock($sessionId);
+		if (! $lock) {
+			return [
+				'complete' => false,
+				'busy' => true,
+				'progress' => $this->getProgress($sessionId) ?? [],
+			];
+		}
+
+		try {
+			if (null !== $chunkSeq) {
+				$progress = $this->getProgress($sessionId);
+				if ($progress && $chunkSeq <= ($progress['last_chunk_seq'] ?? 0)) {
+					// Already processed; return the current state instead of running the next step.
+					return [
+						'complete' => \in_array($progress['status'], self::FINAL_STATUSES, true),
+						'progress' => $progress,
+					];
+				}
+			}
+
+			return $this->runChunk($sessionId, $chunkSeq, $batchSize);
+		} finally {
+			\flock($lock, LOCK_UN);
+			\fclose($lock);
+		}
+	}
+
+	/**
+	 * Lock a session so only one request changes it at a time.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @param bool $wait Whether to wait for a running request to finish.
+	 * @return resource|null Lock handle, or null if the session is locked by another request.
+	 */
+	private function acquireLock(string $sessionId, bool $wait = false)
+	{
+		$lock = \fopen($this->getProgressFile($sessionId) . '.lock', 'c');
+		if (! $lock) {
+			return null;
+		}
+
+		if (! \flock($lock, $wait ? LOCK_EX : LOCK_EX | LOCK_NB)) {
+			\fclose($lock);
+			return null;
+		}
+
+		return $lock;
+	}
+
+	/**
+	 * Run the current migration step.
+	 *
 	 * @param string $sessionId Session ID.
+	 * @param int|null $chunkSeq Client-side sequence number of this chunk request.
+	 * @param int|null $batchSize Rows to export per chunk from now on (null keeps the current size).
 	 * @return array{complete: bool, progress: array<string, mixed>}
 	 */
-	public function processChunk(string $sessionId): array
+	private function runChunk(string $sessionId, ?int $chunkSeq, ?int $batchSize): array
 	{
 		$progress = $this->getProgress($sessionId);
 		if (! $progress) {
@@ -358,6 +869,20 @@ class MigrationManager
 			];
 		}
 
+		// Only running sessions are processed; a paused session keeps its offsets and queued chunks.
+		if ('running' !== ($progress['status'] ?? 'running')) {
+			return [
+				'complete' => 'paused' !== $progress['status'],
+				'progress' => $progress,
+			];
+		}
+
+		$progress['last_chunk_seq'] = $chunkSeq ?? (($progress['last_chunk_seq'] ?? 0) + 1);
+
+		if (null !== $batchSize) {
+			$progress['batch_size'] = \max(self::MIN_BATCH_SIZE, \min(self::MAX_BATCH_SIZE, $batchSize));
+		}
+
 		// Get source and target connections.
 		global $wpdb;
 		$sourceConnection = null;
@@ -375,10 +900,10 @@ class MigrationManager
 			];
 		}
 
-		$targetParams = $this->buildConnectionParams($progress['target_engine'], $progress['connection_params']);
-		$targetConnection = DriverManager::getConnection($targetParams);
-
 		try {
+			$targetParams = $this->buildConnectionParams($progress['target_engine'], $progress['connection_params']);
+			$targetConnection = DriverManager::getConnection($targetParams);
+
 			// Process based on current step.
 			switch ($progress['step']) {
 				case 'schema_export':
@@ -408,6 +933,7 @@ class MigrationManager
 
 			// Update progress.
 			$progress = \array_merge($progress, $result);
+
 			$this->saveProgress($sessionId, $progress);
 
 			return [
@@ -438,7 +964,7 @@ class MigrationManager
 	private function exportSchema(string $sessionId, array $progress, Connection $sourceConnection, Connection $targetConnection): array
 	{
 		$exporter = new SchemaExporter();
-		$tables = $this->getWordPressTables($sourceConnection);
+		$tables = $this->getMigrationTables($sourceConnection, $progress);
 		
 		if (empty($tables)) {
 			$progress['step'] = 'data_export';
@@ -491,7 +1017,7 @@ class MigrationManager
 	 */
 	private function exportData(string $sessionId, array $progress, Connection $sourceConnection, Connection $targetConnection): array
 	{
-		$tables = $this->getWordPressTables($sourceConnection);
+		$tables = $progress['tables_list'] ?? $this->getMigrationTables($sourceConnection, $progress);
 		
 		if (empty($tables)) {
 			$progress['step'] = 'data_import';
@@ -507,11 +1033,21 @@ class MigrationManager
 			$progress['table_offsets'] = [];
 			$progress['rows_total'] = 0;
 			$progress['rows_completed'] = 0;
+			$progress['rows_imported'] = 0;
+			$progress['bytes_exported'] = 0;
+			$progress['bytes_imported'] = 0;
+			$progress['table_rows'] = [];
 			
-			// Calculate total rows.
+			// Calculate total rows, per table for the per-table progress.
 			$exporter = new DataExporter();
 			foreach ($tables as $table) {
-				$progress['rows_total'] += $exporter->getTableRowCount($sourceConnection, $table);
+				$rowCount = $exporter->getTableRowCount($sourceConnection, $table);
+				$progress['table_rows'][$table] = [
+					'total' => $rowCount,
+					'exported' => 0,
+					'imported' => 0,
+				];
+				$progress['rows_total'] += $rowCount;
 			}
 		}
 
@@ -530,7 +1066,7 @@ class MigrationManager
 		
 		// Export chunk of data from current table.
 		$offset = $progress['table_offsets'][$table] ?? 0;
-		$batchSize = 1000;
+		$batchSize = $progress['batch_size'] ?? self::DEFAULT_BATCH_SIZE;
 		
 		$data = $exporter->exportTableChunk($sourceConnection, $table, $offset, $batchSize);
 		
@@ -544,16 +1080,35 @@ class MigrationManager
 				: '';
 			unset($progress['table_offsets'][$table]);
 		} else {
-			// Store data chunk.
-			if (! isset($progress['data_chunks'])) {
-				$progress['data_chunks'] = [];
-			}
-			$progress['data_chunks'][] = [
-				'table' => $table,
-				'data' => $data,
-			];
+			// Offsets follow the source rows, even when some of them are filtered out.
 			$progress['table_offsets'][$table] = $offset + \count($data);
-			$progress['rows_completed'] += \count($data);
+
+			if (! empty($progress['exclude_transients'])) {
+				$rowCount = \count($data);
+				$data = $exporter->excludeTransients($data);
+				$progress['rows_total'] -= $rowCount - \count($data);
+				if (isset($progress['table_rows'][$table])) {
+					$progress['table_rows'][$table]['total'] -= $rowCount - \count($data);
+				}
+			}
+
+			if (! empty($data)) {
+				// Store data chunk.
+				if (! isset($progress['data_chunks'])) {
+					$progress['data_chunks'] = [];
+				}
+				$bytes = \strlen((string) \wp_json_encode($data));
+				$progress['data_chunks'][] = [
+					'table' => $table,
+					'data' => $data,
+					'bytes' => $bytes,
+				];
+				$progress['rows_completed'] += \count($data);
+				$progress['bytes_exported'] = ($progress['bytes_exported'] ?? 0) + $bytes;
+				if (isset($progress['table_rows'][$table])) {
+					$progress['table_rows'][$table]['exported'] += \count($data);
+				}
+			}
 		}
 
 		return $progress;
@@ -577,11 +1132,35 @@ class MigrationManager
 		}
 
 		$importer = new DataImporter();
-		$chunk = \array_shift($progress['data_chunks']);
+		$chunk = $progress['data_chunks'][0];
 		$targetEngine = $progress['target_engine'] ?? '';
+		$progress['current_table'] = $chunk['table'];
 		
 		try {
-			$importer->importTableChunk($targetConnection, $chunk['table'], $chunk['data'], $targetEngine);
+			$keyColumns = $this->getPrimaryKeyColumns($progress, $chunk['table']);
+			$needsImport = true;
+
+			// A previous request died while importing this chunk; make sure its rows aren't duplicated.
+			if (! empty($progress['importing_chunk'])) {
+				$needsImport = $importer->prepareChunkRetry(
+					$targetConnection,
+					$chunk['table'],
+					$keyColumns,
+					$chunk['data'],
+					$progress['importing_chunk']['rows_before'] ?? null
+				);
+			}
+
+			if ($needsImport) {
+				// Mark the chunk as in flight until it has been imported. Without a
+				// primary key, a retry can only go by the row count from before.
+				$progress['importing_chunk'] = [
+					'rows_before' => empty($keyColumns) ? $importer->countRows($targetConnection, $chunk['table']) : null,
+				];
+				$this->saveProgress($sessionId, $progress);
+
+				$importer->importTableChunk($targetConnection, $chunk['table'], $chunk['data'], $targetEngine);
+			}
 		} catch (\Exception $e) {
 			$progress['status'] = 'failed';
 			$progress['error'] = \sprintf(
@@ -591,10 +1170,36 @@ class MigrationManager
 			);
 			return $progress;
 		}
+
+		\array_shift($progress['data_chunks']);
+		$progress['importing_chunk'] = null;
+		$progress['rows_imported'] = ($progress['rows_imported'] ?? 0) + \count($chunk['data']);
+		$progress['bytes_imported'] = ($progress['bytes_imported'] ?? 0) + ($chunk['bytes'] ?? 0);
+		if (isset($progress['table_rows'][$chunk['table']])) {
+			$progress['table_rows'][$chunk['table']]['imported'] += \count($chunk['data']);
+		}
 		
 		return $progress;
 	}
 
+	/**
+	 * Get the primary key columns of a migrated table from its exported schema.
+	 *
+	 * @param array<string, mixed> $progress Current progress.
+	 * @param string $table Table name.
+	 * @return array<int, string> Primary key columns (empty if the table has none).
+	 */
+	private function getPrimaryKeyColumns(array $progress, string $table): array
+	{
+		foreach ($progress['schemas'][$table]['indexes'] ?? [] as $indexDef) {
+			if ($indexDef['primary']) {
+				return $indexDef['columns'];
+			}
+		}
+
+		return [];
+	}
+
 	/**
 	 * Finalize migration.
 	 *
@@ -613,6 +1218,273 @@ class MigrationManager
 		return $progress;
 	}
 
+	/**
+	 * Verify a completed migration, one chunk per call.
+	 *
+	 * Compares row counts and per-chunk checksums of each migrated table,
+	 * reading both sides in primary-key order. State is kept in the session
+	 * so the client can call this repeatedly until it reports completion.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return array{success: bool, complete?: bool, verification?: array<string, mixed>, error?: string}
+	 */
+	public function verifyMigration(string $sessionId): array
+	{
+		$progress = $this->getProgress($sessionId);
+		if (! $progress || (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id())) {
+			return [
+				'success' => false,
+				'error' => \__('Migration session not found or expired', 'wp-dbal'),
+			];
+		}
+
+		if ('completed' !== $progress['status']) {
+			return [
+				'success' => false,
+				'error' => \__('Only completed migrations can be verified', 'wp-dbal'),
+			];
+		}
+
+		$sourceConnection = $this->getSourceConnection();
+		if (! $sourceConnection) {
+			return [
+				'success' => false,
+				'error' => \__('Source database connection not available', 'wp-dbal'),
+			];
+		}
+
+		$schemas = $progress['schemas'] ?? [];
+
+		// Start a new verification run, or restart a finished one.
+		if (empty($progress['verification']) || 'completed' === $progress['verification']['status']) {
+			$tables = [];
+			foreach (\array_keys($schemas) as $table) {
+				$tables[$table] = [
+					'table' => $table,
+					'source_rows' => null,
+					'target_rows' => null,
+					'checksum_match' => true,
+					'status' => 'pending',
+					'mismatched_keys' => [],
+					'missing_on' => null,
+				];
+			}
+
+			$progress['verification'] = [
+				'status' => 'running',
+				'started_at' => \time(),
+				'current_table_index' => 0,
+				'offset' => 0,
+				'tables' => $tables,
+			];
+		}
+
+		$verification = $progress['verification'];
+		$tableNames = \array_keys($verification['tables']);
+
+		if ($verification['current_table_index'] >= \count($tableNames)) {
+			$verification['status'] = 'completed';
+			$verification['completed_at'] = \time();
+			$progress['verification'] = $verification;
+			$this->saveProgress($sessionId, $progress);
+
+			return [
+				'success' => true,
+				'complete' => true,
+				'verification' => $verification,
+			];
+		}
+
+		$table = $tableNames[$verification['current_table_index']];
+		$schemaDef = $schemas[$table];
+		$columns = \array_keys($schemaDef['columns']);
+		$keyColumns = $columns;
+		foreach ($schemaDef['indexes'] as $indexDef) {
+			if ($indexDef['primary']) {
+				$keyColumns = $indexDef['columns'];
+				break;
+			}
+		}
+
+		// Transients that were skipped during the copy are skipped here too.
+		$transientColumn = ! empty($progress['exclude_transients'])
+			? (new DataExporter())->getTransientColumn($columns)
+			: null;
+
+		$verifier = new Verifier();
+		$result = &$verification['tables'][$table];
+		$offset = $verification['offset'];
+
+		try {
+			$targetConnection = DriverManager::getConnection(
+				$this->buildConnectionParams($progress['target_engine'], $progress['connection_params'])
+			);
+
+			if (0 === $offset) {
+				$result['missing_on'] = $verifier->findMissingSide($sourceConnection, $targetConnection, $table);
+
+				if (null === $result['missing_on']) {
+					$result['source_rows'] = $verifier->countRows($sourceConnection, $table, $transientColumn);
+					$result['target_rows'] = $verifier->countRows($targetConnection, $table, $transientColumn);
+				}
+			}
+
+			if (null === ($result['missing_on'] ?? null)) {
+				$source = $verifier->checksumChunk($sourceConnection, $table, $columns, $keyColumns, $offset, self::VERIFY_BATCH_SIZE, $transientColumn);
+				$target = $verifier->checksumChunk($targetConnection, $table, $columns, $keyColumns, $offset, self::VERIFY_BATCH_SIZE, $transientColumn);
+			}
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => \sprintf(
+					\__('Failed to verify table %s: %s', 'wp-dbal'),
+					$table,
+					$e->getMessage()
+				),
+			];
+		}
+
+		if (null !== ($result['missing_on'] ?? null)) {
+			// Nothing to compare, and a re-copy can't fill a table that doesn't exist.
+			$result['status'] = 'missing';
+			$result['checksum_match'] = false;
+			$tableDone = true;
+		} else {
+			if ($source['hash'] !== $target['hash']) {
+				$result['checksum_match'] = false;
+				$result['mismatched_keys'] = \array_slice(
+					\array_merge(
+						$result['mismatched_keys'],
+						$verifier->findDifferingKeys($source['row_hashes'], $target['row_hashes'], self::VERIFY_SAMPLE_KEYS)
+					),
+					0,
+					self::VERIFY_SAMPLE_KEYS
+				);
+			}
+
+			$tableDone = $source['rows'] < self::VERIFY_BATCH_SIZE && $target['rows'] < self::VERIFY_BATCH_SIZE;
+			if ($tableDone) {
+				$result['status'] = $result['checksum_match'] && $result['source_rows'] === $result['target_rows']
+					? 'match'
+					: 'mismatch';
+			}
+		}
+
+		if ($tableDone) {
+			// Table done, move to the next one.
+			$verification['current_table_index']++;
+			$verification['offset'] = 0;
+		} else {
+			$verification['offset'] = $offset + self::VERIFY_BATCH_SIZE;
+		}
+		unset($result);
+
+		$verification['current_table'] = $table;
+		$progress['verification'] = $verification;
+		$this->saveProgress($sessionId, $progress);
+
+		return [
+			'success' => true,
+			'complete' => false,
+			'verification' => $verification,
+		];
+	}
+
+	/**
+	 * Re-copy selected tables of a completed migration.
+	 *
+	 * Empties the tables on the target and sends the session back to the
+	 * data export step for just those tables.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @param array<int, string> $tables Tables to re-copy.
+	 * @return array{success: bool, progress?: array<string, mixed>, error?: string}
+	 */
+	public function recopyTables(string $sessionId, array $tables): array
+	{
+		$progress = $this->getProgress($sessionId);
+		if (! $progress || (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id())) {
+			return [
+				'success' => false,
+				'error' => \__('Migration session not found or expired', 'wp-dbal'),
+			];
+		}
+
+		if ('completed' !== $progress['status']) {
+			return [
+				'success' => false,
+				'error' => \__('Only completed migrations can re-copy tables', 'wp-dbal'),
+			];
+		}
+
+		$tables = \array_values(\array_intersect(\array_keys($progress['schemas'] ?? []), $tables));
+		if (empty($tables)) {
+			return [
+				'success' => false,
+				'error' => \__('None of the given tables belong to this migration', 'wp-dbal'),
+			];
+		}
+
+		$sourceConnection = $this->getSourceConnection();
+		if (! $sourceConnection) {
+			return [
+				'success' => false,
+				'error' => \__('Source database connection not available', 'wp-dbal'),
+			];
+		}
+
+		$exporter = new DataExporter();
+
+		try {
+			$targetConnection = DriverManager::getConnection(
+				$this->buildConnectionParams($progress['target_engine'], $progress['connection_params'])
+			);
+
+			$progress['rows_total'] = 0;
+			$progress['table_rows'] = [];
+			foreach ($tables as $table) {
+				$targetConnection->executeStatement('DELETE FROM ' . $targetConnection->quoteIdentifier($table));
+
+				$rowCount = $exporter->getTableRowCount($sourceConnection, $table);
+				$progress['table_rows'][$table] = [
+					'total' => $rowCount,
+					'exported' => 0,
+					'imported' => 0,
+				];
+				$progress['rows_total'] += $rowCount;
+			}
+		} catch (\Exception $e) {
+			return [
+				'success' => false,
+				'error' => $e->getMessage(),
+			];
+		}
+
+		// Back to data export for the selected tables only; schemas are left as they are.
+		$progress['status'] = 'running';
+		$progress['step'] = 'data_export';
+		$progress['error'] = null;
+		$progress['tables_list'] = $tables;
+		$progress['tables_total'] = \count($tables);
+		$progress['tables_completed'] = 0;
+		$progress['current_table_index'] = 0;
+		$progress['current_table'] = $tables[0];
+		$progress['table_offsets'] = [];
+		$progress['data_chunks'] = [];
+		$progress['rows_completed'] = 0;
+		$progress['rows_imported'] = 0;
+		$progress['bytes_exported'] = 0;
+		$progress['bytes_imported'] = 0;
+		unset($progress['verification']);
+
+		$this->saveProgress($sessionId, $progress);
+
+		return [
+			'success' => true,
+			'progress' => $progress,
+		];
+	}
+
 	/**
 	 * Cancel migration.
 	 *
@@ -631,15 +1503,120 @@ class MigrationManager
 			return false;
 		}
 
+		// Wait for a chunk that is being processed, so it can't overwrite the new status.
+		$lock = $this->acquireLock($sessionId, true);
+		$progress = $this->getProgress($sessionId) ?? $progress;
+
 		// Update progress to cancelled.
 		$progress['status'] = 'cancelled';
 		$progress['error'] = \__('Migration cancelled by user', 'wp-dbal');
 		$this->saveProgress($sessionId, $progress);
 
+		if ($lock) {
+			\flock($lock, LOCK_UN);
+			\fclose($lock);
+		}
+
 		// Delete progress file after a short delay (optional cleanup).
 		// For now, we'll keep it so user can see it was cancelled.
 		
 		return true;
 	}
+
+	/**
+	 * Pause migration.
+	 *
+	 * Stops chunk processing while keeping table offsets and queued data chunks.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return array<string, mixed>|null Updated progress, or null if the session can't be paused.
+	 */
+	public function pauseMigration(string $sessionId): ?array
+	{
+		$progress = $this->getProgress($sessionId);
+		if (! $progress) {
+			return null;
+		}
+
+		// Verify session belongs to current user.
+		if (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id()) {
+			return null;
+		}
+
+		// Wait for a chunk that is being processed, so it can't overwrite the new status.
+		$lock = $this->acquireLock($sessionId, true);
+		$progress = $this->getProgress($sessionId) ?? $progress;
+
+		if ('running' === $progress['status']) {
+			$progress['status'] = 'paused';
+			$progress['paused_at'] = \time();
+			$this->saveProgress($sessionId, $progress);
+		}
+
+		if ($lock) {
+			\flock($lock, LOCK_UN);
+			\fclose($lock);
+		}
+
+		return 'paused' === $progress['status'] ? $progress : null;
+	}
+
+	/**
+	 * Resume a paused migration.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return array<string, mixed>|null Updated progress, or null if the session can't be resumed.
+	 */
+	public function resumeMigration(string $sessionId): ?array
+	{
+		$progress = $this->getProgress($sessionId);
+		if (! $progress) {
+			return null;
+		}
+
+		// Verify session belongs to current user.
+		if (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id()) {
+			return null;
+		}
+
+		if ('paused' !== $progress['status']) {
+			return null;
+		}
+
+		$progress['status'] = 'running';
+		// Time spent paused doesn't count towards the elapsed time.
+		$progress['paused_seconds'] = ($progress['paused_seconds'] ?? 0) + (\time() - ($progress['paused_at'] ?? \time()));
+		unset($progress['paused_at']);
+		$this->saveProgress($sessionId, $progress);
+
+		return $progress;
+	}
+
+	/**
+	 * Discard a migration session.
+	 *
+	 * Removes the session's progress file so it is no longer offered for resuming.
+	 *
+	 * @param string $sessionId Session ID.
+	 * @return bool True if discarded successfully.
+	 */
+	public function discardMigration(string $sessionId): bool
+	{
+		$progress = $this->getProgress($sessionId);
+		if (! $progress) {
+			return false;
+		}
+
+		// Verify session belongs to current user.
+		if (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id()) {
+			return false;
+		}
+
+		// Record the discarded session before its progress file goes away.
+		$progress['status'] = 'discarded';
+		$this->saveProgress($sessionId, $progress);
+
+		return $this->deleteProgress($sessionId);
+	}
 }
 
@@ -103,10 +103,126 @@ class RestAPI
 						'type' => 'object',
 						'default' => [],
 					],
+					'tables' => [
+						'required' => false,
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+						],
+						'default' => [],
+					],
+					'exclude_transients' => [
+						'required' => false,
+						'type' => 'boolean',
+						'default' => false,
+					],
+				],
+			]
+		);
+
+		// Pre-flight compatibility report.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/preflight',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'preflight' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'target_engine' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'tables' => [
+						'required' => false,
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+						],
+						'default' => [],
+					],
+				],
+			]
+		);
+
+		// Compare source and target schemas.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/schema-diff',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'schemaDiff' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'target_engine' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'connection_params' => [
+						'required' => false,
+						'type' => 'object',
+						'default' => [],
+					],
+					'tables' => [
+						'required' => false,
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+						],
+						'default' => [],
+					],
+				],
+			]
+		);
+
+		// Apply a suggested schema fix.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/schema-fix',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'schemaFix' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'target_engine' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'connection_params' => [
+						'required' => false,
+						'type' => 'object',
+						'default' => [],
+					],
+					'tables' => [
+						'required' => false,
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+						],
+						'default' => [],
+					],
+					'fix' => [
+						'required' => true,
+						'type' => 'string',
+					],
 				],
 			]
 		);
 
+		// List source tables.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/tables',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'listTables' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
 		// Get migration progress.
 		\register_rest_route(
 			self::NAMESPACE,
@@ -139,6 +255,14 @@ class RestAPI
 						'type' => 'string',
 						'sanitize_callback' => 'sanitize_text_field',
 					],
+					'chunk_seq' => [
+						'required' => false,
+						'type' => 'integer',
+					],
+					'batch_size' => [
+						'required' => false,
+						'type' => 'integer',
+					],
 				],
 			]
 		);
@@ -161,6 +285,159 @@ class RestAPI
 			]
 		);
 
+		// Pause migration.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/pause',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'pauseMigration' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'session_id' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
+
+		// Resume migration.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/resume',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'resumeMigration' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'session_id' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
+
+		// Verify a completed migration.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/verify',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'verifyMigration' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'session_id' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
+
+		// Re-copy tables of a completed migration.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/recopy',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'recopyTables' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'session_id' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'tables' => [
+						'required' => true,
+						'type' => 'array',
+						'items' => [
+							'type' => 'string',
+						],
+					],
+				],
+			]
+		);
+
+		// Migration history.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/history',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getHistory' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Single migration history entry.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/history/(?P<session_id>[a-zA-Z0-9-]+)',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getHistoryEntry' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// List resumable migration sessions.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/sessions',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'listSessions' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Discard migration session.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/discard',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'discardMigration' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'session_id' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
+
+		// Preview wp-config.php changes.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/preview-config',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'previewConfig' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'target_engine' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'connection_params' => [
+						'required' => false,
+						'type' => 'object',
+						'default' => [],
+					],
+				],
+			]
+		);
+
 		// Update wp-config.php.
 		\register_rest_route(
 			self::NAMESPACE,
@@ -180,6 +457,29 @@ class RestAPI
 						'type' => 'object',
 						'default' => [],
 					],
+					'config_hash' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
+
+		// Restore wp-config.php from a backup.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/migration/restore-config',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'restoreConfig' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'backup' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_file_name',
+					],
 				],
 			]
 		);
@@ -236,13 +536,28 @@ class RestAPI
 			);
 		}
 
+		$fieldErrors = ( new ConnectionParamsValidator() )->validate($targetEngine, \is_array($connectionParams) ? $connectionParams : []);
+		if (! empty($fieldErrors)) {
+			return new WP_Error(
+				'invalid_connection_params',
+				\__('Some connection parameters are not valid.', 'wp-dbal'),
+				[
+					'status' => 400,
+					'errors' => $fieldErrors,
+				]
+			);
+		}
+
 		$validation = $this->migrationManager->validateTargetConnection($targetEngine, $connectionParams);
 
 		if (! $validation['success']) {
 			return new WP_Error(
 				'validation_failed',
 				$validation['message'],
-				[ 'status' => 400 ]
+				[
+					'status' => 400,
+					'checks' => $this->migrationManager->diagnoseTargetConnection($targetEngine, $connectionParams),
+				]
 			);
 		}
 
@@ -267,6 +582,8 @@ class RestAPI
 		$bodyParams = $request->get_json_params();
 		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
 		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+		$tables = $bodyParams['tables'] ?? $request->get_param('tables') ?? [];
+		$excludeTransients = (bool) ($bodyParams['exclude_transients'] ?? $request->get_param('exclude_transients') ?? false);
 
 		if (empty($targetEngine)) {
 			return new WP_Error(
@@ -276,7 +593,15 @@ class RestAPI
 			);
 		}
 
-		$result = $this->migrationManager->startMigration($targetEngine, $connectionParams);
+		if (! \is_array($tables)) {
+			return new WP_Error(
+				'invalid_parameter',
+				\__('tables parameter must be an array of table names', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->startMigration($targetEngine, $connectionParams, $tables, $excludeTransients);
 
 		if (! $result['success']) {
 			return new WP_Error(
@@ -296,40 +621,200 @@ class RestAPI
 	}
 
 	/**
-	 * Get migration progress.
+	 * Build a pre-flight compatibility report (dry run).
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function getProgress(WP_REST_Request $request)
+	public function preflight(WP_REST_Request $request)
 	{
 		// Get params from body (POST) or query (GET).
 		$bodyParams = $request->get_json_params();
-		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
-		
-		if (empty($sessionId)) {
+		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
+		$tables = $bodyParams['tables'] ?? $request->get_param('tables') ?? [];
+
+		if (empty($targetEngine)) {
 			return new WP_Error(
 				'missing_parameter',
-				\__('session_id parameter is required', 'wp-dbal'),
+				\__('target_engine parameter is required', 'wp-dbal'),
 				[ 'status' => 400 ]
 			);
 		}
 
-		$progress = $this->migrationManager->getProgress($sessionId);
+		$result = $this->migrationManager->buildCompatibilityReport($targetEngine, \is_array($tables) ? $tables : []);
 
-		if (! $progress) {
+		if (! $result['success']) {
 			return new WP_Error(
-				'session_not_found',
-				\__('Migration session not found or expired', 'wp-dbal'),
-				[ 'status' => 404 ]
+				'preflight_failed',
+				$result['error'] ?? \__('Failed to build compatibility report', 'wp-dbal'),
+				[ 'status' => 500 ]
 			);
 		}
 
-		// Verify session belongs to current user.
-		if (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id()) {
-			return new WP_Error(
-				'unauthorized',
-				\__('Unauthorized access to migration session', 'wp-dbal'),
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'report' => $result['report'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Compare source and target schemas.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function schemaDiff(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
+		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+		$tables = $bodyParams['tables'] ?? $request->get_param('tables') ?? [];
+
+		if (empty($targetEngine)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('target_engine parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->compareSchemas($targetEngine, $connectionParams, \is_array($tables) ? $tables : []);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'schema_diff_failed',
+				$result['error'] ?? \__('Failed to compare schemas', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'comparison' => $result['comparison'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Apply a suggested schema fix and compare the schemas again.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function schemaFix(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
+		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+		$tables = $bodyParams['tables'] ?? $request->get_param('tables') ?? [];
+		$fixId = $bodyParams['fix'] ?? $request->get_param('fix');
+
+		if (empty($targetEngine) || empty($fixId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('target_engine and fix parameters are required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->applySchemaFix($targetEngine, $connectionParams, (string) $fixId, \is_array($tables) ? $tables : []);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'schema_fix_failed',
+				$result['error'] ?? \__('Failed to apply the fix', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'comparison' => $result['comparison'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * List source tables with row counts.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function listTables(WP_REST_Request $request)
+	{
+		global $wpdb;
+
+		if (! ($wpdb instanceof \WP_DBAL\WP_DBAL_DB) || ! $wpdb->getDbalConnection()) {
+			return new WP_Error(
+				'source_unavailable',
+				\__('Source database connection not available', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		try {
+			$tables = $this->migrationManager->listSourceTables($wpdb->getDbalConnection());
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'list_tables_failed',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'tables' => $tables,
+			],
+			200
+		);
+	}
+
+	/**
+	 * Get migration progress.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getProgress(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+		
+		if (empty($sessionId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$progress = $this->migrationManager->getProgress($sessionId);
+
+		if (! $progress) {
+			return new WP_Error(
+				'session_not_found',
+				\__('Migration session not found or expired', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		// Verify session belongs to current user.
+		if (isset($progress['user_id']) && $progress['user_id'] !== \get_current_user_id()) {
+			return new WP_Error(
+				'unauthorized',
+				\__('Unauthorized access to migration session', 'wp-dbal'),
 				[ 'status' => 403 ]
 			);
 		}
@@ -363,8 +848,23 @@ class RestAPI
 			);
 		}
 		
+		$chunkSeq = $bodyParams['chunk_seq'] ?? $request->get_param('chunk_seq');
+		$batchSize = $bodyParams['batch_size'] ?? $request->get_param('batch_size');
+
 		try {
-			$result = $this->migrationManager->processChunk($sessionId);
+			$result = $this->migrationManager->processChunk(
+				$sessionId,
+				null !== $chunkSeq ? (int) $chunkSeq : null,
+				null !== $batchSize ? (int) $batchSize : null
+			);
+
+			if (! empty($result['busy'])) {
+				return new WP_Error(
+					'chunk_in_progress',
+					\__('Another request is still processing this migration', 'wp-dbal'),
+					[ 'status' => 409 ]
+				);
+			}
 			
 			return new WP_REST_Response(
 				[
@@ -422,6 +922,311 @@ class RestAPI
 		);
 	}
 
+	/**
+	 * Pause migration.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pauseMigration(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+
+		if (empty($sessionId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$progress = $this->migrationManager->pauseMigration($sessionId);
+
+		if (! $progress) {
+			return new WP_Error(
+				'pause_failed',
+				\__('Failed to pause migration. Session not found, unauthorized or not running.', 'wp-dbal'),
+				[ 'status' => 409 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'progress' => $progress,
+				'message' => \__('Migration paused', 'wp-dbal'),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Resume migration.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function resumeMigration(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+
+		if (empty($sessionId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$progress = $this->migrationManager->resumeMigration($sessionId);
+
+		if (! $progress) {
+			return new WP_Error(
+				'resume_failed',
+				\__('Failed to resume migration. Session not found, unauthorized or not paused.', 'wp-dbal'),
+				[ 'status' => 409 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'progress' => $progress,
+				'message' => \__('Migration resumed', 'wp-dbal'),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Verify a completed migration (one chunk per request).
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function verifyMigration(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+
+		if (empty($sessionId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->verifyMigration($sessionId);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'verification_failed',
+				$result['error'] ?? \__('Verification failed', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'complete' => $result['complete'],
+				'verification' => $result['verification'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Re-copy tables of a completed migration.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function recopyTables(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+		$tables = $bodyParams['tables'] ?? $request->get_param('tables') ?? [];
+
+		if (empty($sessionId) || empty($tables) || ! \is_array($tables)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id and tables parameters are required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->recopyTables($sessionId, $tables);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'recopy_failed',
+				$result['error'] ?? \__('Failed to re-copy tables', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'progress' => $result['progress'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Get migration history.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getHistory(WP_REST_Request $request)
+	{
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'history' => $this->migrationManager->getHistory(),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Get a single migration history entry.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getHistoryEntry(WP_REST_Request $request)
+	{
+		$entry = $this->migrationManager->getHistoryEntry((string) $request->get_param('session_id'));
+
+		if (! $entry) {
+			return new WP_Error(
+				'not_found',
+				\__('Migration not found in history', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'entry' => $entry,
+			],
+			200
+		);
+	}
+
+	/**
+	 * List resumable migration sessions for the current user.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function listSessions(WP_REST_Request $request)
+	{
+		$sessions = $this->migrationManager->listSessions(\get_current_user_id());
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'sessions' => $sessions,
+			],
+			200
+		);
+	}
+
+	/**
+	 * Discard migration session.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function discardMigration(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$sessionId = $bodyParams['session_id'] ?? $request->get_param('session_id');
+
+		if (empty($sessionId)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('session_id parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->migrationManager->discardMigration($sessionId);
+
+		if (! $result) {
+			return new WP_Error(
+				'discard_failed',
+				\__('Failed to discard migration. Session not found or unauthorized.', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'message' => \__('Migration discarded', 'wp-dbal'),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Preview the changes to wp-config.php.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function previewConfig(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
+		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+
+		if (empty($targetEngine)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('target_engine parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$configWriter = new \WP_DBAL\Migration\ConfigWriter();
+		$result = $configWriter->previewConfig($targetEngine, $connectionParams);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'config_preview_failed',
+				$result['error'] ?? \__('Failed to read wp-config.php', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		unset($result['success']);
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'preview' => $result,
+			],
+			200
+		);
+	}
+
 	/**
 	 * Update wp-config.php.
 	 *
@@ -434,6 +1239,7 @@ class RestAPI
 		$bodyParams = $request->get_json_params();
 		$targetEngine = $bodyParams['target_engine'] ?? $request->get_param('target_engine');
 		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+		$configHash = $bodyParams['config_hash'] ?? $request->get_param('config_hash');
 
 		if (empty($targetEngine)) {
 			return new WP_Error(
@@ -443,14 +1249,23 @@ class RestAPI
 			);
 		}
 
+		// The hash comes from the preview, so only previewed changes are written.
+		if (empty($configHash)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('config_hash parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
 		$configWriter = new \WP_DBAL\Migration\ConfigWriter();
-		$result = $configWriter->updateConfig($targetEngine, $connectionParams);
+		$result = $configWriter->updateConfig($targetEngine, $connectionParams, (string) $configHash);
 
 		if (! $result['success']) {
 			return new WP_Error(
-				'config_update_failed',
+				! empty($result['conflict']) ? 'config_changed' : 'config_update_failed',
 				$result['error'] ?? \__('Failed to update wp-config.php', 'wp-dbal'),
-				[ 'status' => 500 ]
+				[ 'status' => ! empty($result['conflict']) ? 409 : 500 ]
 			);
 		}
 
@@ -458,6 +1273,47 @@ class RestAPI
 			[
 				'success' => true,
 				'message' => \__('wp-config.php updated successfully', 'wp-dbal'),
+				'backup' => $result['backup'],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Restore wp-config.php from a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restoreConfig(WP_REST_Request $request)
+	{
+		// Get params from body (POST) or query (GET).
+		$bodyParams = $request->get_json_params();
+		$backup = $bodyParams['backup'] ?? $request->get_param('backup');
+
+		if (empty($backup)) {
+			return new WP_Error(
+				'missing_parameter',
+				\__('backup parameter is required', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$configWriter = new \WP_DBAL\Migration\ConfigWriter();
+		$result = $configWriter->restoreBackup((string) $backup);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'config_restore_failed',
+				$result['error'] ?? \__('Failed to restore wp-config.php', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'message' => \__('wp-config.php restored from backup', 'wp-dbal'),
 			],
 			200
 		);
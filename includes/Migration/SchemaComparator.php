@@ -0,0 +1,433 @@
+<?php
+
+/**
+ * Schema Comparator
+ *
+ * Compares exported source schemas with the schemas found on a target database.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+use Doctrine\DBAL\Connection;
+
+/**
+ * Schema Comparator class.
+ *
+ * Lists each table, column and index as the same, added (only on the target),
+ * removed (missing from the target) or changed, and suggests fixes that bring
+ * the target closer to the source. Type changes the schema importer makes on
+ * purpose for the target engine are not reported.
+ */
+class SchemaComparator
+{
+	/**
+	 * Column attributes that are compared.
+	 *
+	 * @var array<int, string>
+	 */
+	private const COLUMN_ATTRIBUTES = [ 'type', 'length', 'notnull', 'default' ];
+
+	/**
+	 * Schema importer used for type mapping and for applying fixes.
+	 *
+	 * @var SchemaImporter
+	 */
+	private SchemaImporter $importer;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct()
+	{
+		$this->importer = new SchemaImporter();
+	}
+
+	/**
+	 * Compare source and target schemas.
+	 *
+	 * @param array<string, array<string, mixed>> $sourceSchemas Source schema definitions from SchemaExporter.
+	 * @param array<string, array<string, mixed>> $targetSchemas Target schema definitions from SchemaExporter.
+	 * @param string $targetEngine Target database engine.
+	 * @return array<string, mixed> Comparison with tables, fixes and summary.
+	 */
+	public function compare(array $sourceSchemas, array $targetSchemas, string $targetEngine): array
+	{
+		$targetEngine = \strtolower($targetEngine);
+		$tables = [];
+		$fixes = [];
+		$summary = [
+			'same' => 0,
+			'added' => 0,
+			'removed' => 0,
+			'changed' => 0,
+		];
+
+		$tableNames = \array_unique(\array_merge(\array_keys($sourceSchemas), \array_keys($targetSchemas)));
+		\sort($tableNames);
+
+		foreach ($tableNames as $tableName) {
+			$source = $sourceSchemas[$tableName] ?? null;
+			$target = $targetSchemas[$tableName] ?? null;
+
+			$table = [
+				'name' => $tableName,
+				'status' => 'same',
+				'columns' => $this->compareColumns($source['columns'] ?? [], $target['columns'] ?? [], $targetEngine),
+				'indexes' => $this->compareIndexes($source['indexes'] ?? [], $target['indexes'] ?? []),
+			];
+
+			if (null === $target) {
+				$table['status'] = 'removed';
+				$fixes[] = $this->fix(
+					'create_table',
+					$tableName,
+					null,
+					\sprintf(
+						/* translators: %s: Table name. */
+						\__('Create table %s.', 'wp-dbal'),
+						$tableName
+					)
+				);
+			} elseif (null === $source) {
+				$table['status'] = 'added';
+			} else {
+				foreach (\array_merge($table['columns'], $table['indexes']) as $item) {
+					if ('same' !== $item['status']) {
+						$table['status'] = 'changed';
+						break;
+					}
+				}
+
+				$fixes = \array_merge($fixes, $this->getTableFixes($table));
+			}
+
+			$summary[$table['status']]++;
+			$tables[] = $table;
+		}
+
+		return [
+			'target_engine' => $targetEngine,
+			'generated_at' => \time(),
+			'summary' => $summary,
+			'tables' => $tables,
+			'fixes' => $fixes,
+		];
+	}
+
+	/**
+	 * Apply one suggested fix to the target database.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param array<string, mixed> $fix Fix from compare().
+	 * @param array<string, array<string, mixed>> $sourceSchemas Source schema definitions the fix was suggested for.
+	 * @param string $targetEngine Target database engine.
+	 * @return void
+	 * @throws \InvalidArgumentException If the fix does not match the source schemas.
+	 */
+	public function applyFix(Connection $connection, array $fix, array $sourceSchemas, string $targetEngine): void
+	{
+		$targetEngine = \strtolower($targetEngine);
+		$schemaDef = $sourceSchemas[$fix['table']] ?? null;
+
+		if (null === $schemaDef) {
+			throw new \InvalidArgumentException(\__('The table of this fix does not exist in the source database', 'wp-dbal'));
+		}
+
+		switch ($fix['action']) {
+			case 'create_table':
+				$this->importer->importSchemas($connection, [ $fix['table'] => $schemaDef ], $targetEngine);
+				break;
+
+			case 'add_column':
+				$this->importer->addColumn($connection, $fix['table'], $schemaDef['columns'][$fix['item']], $targetEngine);
+				break;
+
+			case 'modify_column':
+				$this->importer->modifyColumn($connection, $fix['table'], $schemaDef['columns'][$fix['item']], $targetEngine);
+				break;
+
+			case 'add_index':
+				$this->importer->addIndex($connection, $schemaDef, $schemaDef['indexes'][$fix['item']], $targetEngine);
+				break;
+
+			default:
+				throw new \InvalidArgumentException(\__('Unknown fix', 'wp-dbal'));
+		}
+	}
+
+	/**
+	 * Compare the columns of a table.
+	 *
+	 * @param array<string, array<string, mixed>> $sourceColumns Source column definitions.
+	 * @param array<string, array<string, mixed>> $targetColumns Target column definitions.
+	 * @param string $targetEngine Target database engine.
+	 * @return array<int, array<string, mixed>> Column comparisons, in source order followed by added columns.
+	 */
+	private function compareColumns(array $sourceColumns, array $targetColumns, string $targetEngine): array
+	{
+		$columns = [];
+		$targetByName = [];
+
+		// Column names are case-insensitive on most engines.
+		foreach ($targetColumns as $columnDef) {
+			$targetByName[\strtolower($columnDef['name'])] = $columnDef;
+		}
+
+		foreach ($sourceColumns as $columnDef) {
+			$key = \strtolower($columnDef['name']);
+			$targetDef = $targetByName[$key] ?? null;
+			unset($targetByName[$key]);
+
+			$changes = null === $targetDef ? [] : $this->getColumnChanges($columnDef, $targetDef, $targetEngine);
+
+			$columns[] = [
+				'name' => $columnDef['name'],
+				'status' => null === $targetDef ? 'removed' : ([] === $changes ? 'same' : 'changed'),
+				'changes' => $changes,
+				'source' => $this->describeColumn($columnDef),
+				'target' => null === $targetDef ? null : $this->describeColumn($targetDef),
+			];
+		}
+
+		foreach ($targetByName as $columnDef) {
+			$columns[] = [
+				'name' => $columnDef['name'],
+				'status' => 'added',
+				'changes' => [],
+				'source' => null,
+				'target' => $this->describeColumn($columnDef),
+			];
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Get the attributes in which a target column differs from its source column.
+	 *
+	 * @param array<string, mixed> $sourceDef Source column definition.
+	 * @param array<string, mixed> $targetDef Target column definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return array<int, string> Changed attributes, from COLUMN_ATTRIBUTES.
+	 */
+	private function getColumnChanges(array $sourceDef, array $targetDef, string $targetEngine): array
+	{
+		$source = $this->describeColumn($sourceDef);
+		$target = $this->describeColumn($targetDef);
+		$mappedType = $this->importer->mapColumnType($source['type'], $targetEngine, $sourceDef['name']);
+		$changes = [];
+
+		foreach (self::COLUMN_ATTRIBUTES as $attribute) {
+			if ($source[$attribute] === $target[$attribute]) {
+				continue;
+			}
+
+			// The importer maps types per engine, so the mapped type counts as a match.
+			if ('type' === $attribute && $target['type'] === $mappedType) {
+				continue;
+			}
+
+			// Lengths only mean something when both columns have the same type.
+			if ('length' === $attribute && ($source['type'] !== $target['type'] || null === $source['length'] || null === $target['length'])) {
+				continue;
+			}
+
+			$changes[] = $attribute;
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Get the compared attributes of a column, normalized.
+	 *
+	 * @param array<string, mixed> $columnDef Column definition.
+	 * @return array{type: string, length: int|null, notnull: bool, default: string|null}
+	 */
+	private function describeColumn(array $columnDef): array
+	{
+		return [
+			'type' => \strtolower((string) $columnDef['type']),
+			'length' => null === ($columnDef['length'] ?? null) ? null : (int) $columnDef['length'],
+			'notnull' => (bool) ($columnDef['notnull'] ?? true),
+			'default' => null === ($columnDef['default'] ?? null) ? null : (string) $columnDef['default'],
+		];
+	}
+
+	/**
+	 * Compare the indexes of a table.
+	 *
+	 * Indexes are matched by their columns rather than their names, because the
+	 * importer renames indexes on some engines.
+	 *
+	 * @param array<string, array<string, mixed>> $sourceIndexes Source index definitions.
+	 * @param array<string, array<string, mixed>> $targetIndexes Target index definitions.
+	 * @return array<int, array<string, mixed>> Index comparisons, in source order followed by added indexes.
+	 */
+	private function compareIndexes(array $sourceIndexes, array $targetIndexes): array
+	{
+		$indexes = [];
+		$targetByColumns = [];
+
+		foreach ($targetIndexes as $indexDef) {
+			$targetByColumns[$this->getIndexKey($indexDef)] = $indexDef;
+		}
+
+		foreach ($sourceIndexes as $indexDef) {
+			$key = $this->getIndexKey($indexDef);
+			$targetDef = $targetByColumns[$key] ?? null;
+			unset($targetByColumns[$key]);
+
+			$status = 'removed';
+			if (null !== $targetDef) {
+				$same = $indexDef['unique'] === $targetDef['unique'] && $indexDef['primary'] === $targetDef['primary'];
+				$status = $same ? 'same' : 'changed';
+			}
+
+			$indexes[] = [
+				'name' => $indexDef['name'],
+				'status' => $status,
+				'source' => $this->describeIndex($indexDef),
+				'target' => null === $targetDef ? null : $this->describeIndex($targetDef),
+			];
+		}
+
+		foreach ($targetByColumns as $indexDef) {
+			$indexes[] = [
+				'name' => $indexDef['name'],
+				'status' => 'added',
+				'source' => null,
+				'target' => $this->describeIndex($indexDef),
+			];
+		}
+
+		return $indexes;
+	}
+
+	/**
+	 * Get the key indexes are matched by.
+	 *
+	 * @param array<string, mixed> $indexDef Index definition.
+	 * @return string Lowercase column list.
+	 */
+	private function getIndexKey(array $indexDef): string
+	{
+		return \strtolower(\implode(',', $indexDef['columns']));
+	}
+
+	/**
+	 * Get the compared attributes of an index.
+	 *
+	 * @param array<string, mixed> $indexDef Index definition.
+	 * @return array{name: string, columns: array<int, string>, unique: bool, primary: bool}
+	 */
+	private function describeIndex(array $indexDef): array
+	{
+		return [
+			'name' => $indexDef['name'],
+			'columns' => \array_values($indexDef['columns']),
+			'unique' => (bool) $indexDef['unique'],
+			'primary' => (bool) $indexDef['primary'],
+		];
+	}
+
+	/**
+	 * Suggest fixes for a table that exists on both sides.
+	 *
+	 * Only missing or changed source items get a fix; items that exist only on
+	 * the target are left alone, since dropping them could lose data.
+	 *
+	 * @param array<string, mixed> $table Table comparison.
+	 * @return array<int, array<string, mixed>> Fixes.
+	 */
+	private function getTableFixes(array $table): array
+	{
+		$fixes = [];
+		$labels = [
+			'type' => \__('type', 'wp-dbal'),
+			'length' => \__('length', 'wp-dbal'),
+			'notnull' => \__('nullability', 'wp-dbal'),
+			'default' => \__('default', 'wp-dbal'),
+		];
+
+		foreach ($table['columns'] as $column) {
+			if ('removed' === $column['status']) {
+				$fixes[] = $this->fix(
+					'add_column',
+					$table['name'],
+					$column['name'],
+					\sprintf(
+						/* translators: 1: Column name, 2: Table name. */
+						\__('Add column %1$s to %2$s.', 'wp-dbal'),
+						$column['name'],
+						$table['name']
+					)
+				);
+			} elseif ('changed' === $column['status']) {
+				$fixes[] = $this->fix(
+					'modify_column',
+					$table['name'],
+					$column['name'],
+					\sprintf(
+						/* translators: 1: Column name, 2: Table name, 3: Changed attributes. */
+						\__('Change the %3$s of column %1$s in %2$s to match the source.', 'wp-dbal'),
+						$column['name'],
+						$table['name'],
+						\implode(', ', \array_map(function ($attribute) use ($labels) {
+							return $labels[$attribute];
+						}, $column['changes']))
+					)
+				);
+			}
+		}
+
+		foreach ($table['indexes'] as $index) {
+			// A primary key can only be created along with the table on every engine.
+			if ('removed' !== $index['status'] || $index['source']['primary']) {
+				continue;
+			}
+
+			$fixes[] = $this->fix(
+				'add_index',
+				$table['name'],
+				$index['name'],
+				\sprintf(
+					/* translators: 1: Index name, 2: Table name, 3: Column list. */
+					\__('Create index %1$s on %2$s (%3$s).', 'wp-dbal'),
+					$index['name'],
+					$table['name'],
+					\implode(', ', $index['source']['columns'])
+				)
+			);
+		}
+
+		return $fixes;
+	}
+
+	/**
+	 * Build a fix.
+	 *
+	 * The ID is derived from the fix itself, so a fix can be looked up again
+	 * in a fresh comparison instead of trusting a definition sent by a client.
+	 *
+	 * @param string $action Action: create_table, add_column, modify_column or add_index.
+	 * @param string $table Table name.
+	 * @param string|null $item Column or index name.
+	 * @param string $description Human readable description.
+	 * @return array{id: string, action: string, table: string, item: string|null, description: string}
+	 */
+	private function fix(string $action, string $table, ?string $item, string $description): array
+	{
+		return [
+			'id' => \implode(':', \array_filter([ $action, $table, $item ], 'is_string')),
+			'action' => $action,
+			'table' => $table,
+			'item' => $item,
+			'description' => $description,
+		];
+	}
+}
@@ -30,10 +30,20 @@ class SchemaExporter
 	 * @return array<string, array<string, mixed>> Array of schema definitions keyed by table name.
 	 */
 	public function exportSchemas(Connection $connection, array $tables): array
+	{
+		return $this->exportFromSchema($connection->createSchemaManager()->introspectSchema(), $tables);
+	}
+
+	/**
+	 * Export schemas for tables of a Doctrine schema.
+	 *
+	 * @param Schema $schema Doctrine schema.
+	 * @param array<int, string> $tables Table names.
+	 * @return array<string, array<string, mixed>> Array of schema definitions keyed by table name.
+	 */
+	public function exportFromSchema(Schema $schema, array $tables): array
 	{
 		$schemas = [];
-		$schemaManager = $connection->createSchemaManager();
-		$schema = $schemaManager->introspectSchema();
 
 		foreach ($tables as $tableName) {
 			if (! $schema->hasTable($tableName)) {
@@ -90,6 +100,9 @@ class SchemaExporter
 				'default' => $column->getDefault(),
 				'autoincrement' => $column->getAutoincrement(),
 				'comment' => $column->getComment(),
+				'unsigned' => $column->getUnsigned(),
+				'collation' => $column->getPlatformOptions()['collation'] ?? null,
+				'values' => \method_exists($column, 'getValues') ? $column->getValues() : [],
 			];
 		}
 
@@ -100,6 +113,8 @@ class SchemaExporter
 				'columns' => $index->getColumns(),
 				'unique' => $index->isUnique(),
 				'primary' => $index->isPrimary(),
+				'flags' => $index->getFlags(),
+				'lengths' => $index->getOptions()['lengths'] ?? [],
 			];
 		}
 
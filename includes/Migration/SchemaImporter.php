@@ -13,6 +13,7 @@ declare(strict_types=1);
 namespace WP_DBAL\Migration;
 
 use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\Schema\Index;
 use Doctrine\DBAL\Schema\Schema;
 use Doctrine\DBAL\Schema\Table;
 use Doctrine\DBAL\Types\Type;
@@ -140,47 +141,12 @@ class SchemaImporter
 	private function createTableFromDefinition(Schema $schema, array $schemaDef, string $targetEngine): Table
 	{
 		$table = $schema->createTable($schemaDef['name']);
-		$isSqliteBased = \in_array(\strtolower($targetEngine), ['sqlite', 'd1'], true);
 
 		// Add columns.
 		foreach ($schemaDef['columns'] as $columnDef) {
 			$typeName = $this->mapColumnType($columnDef['type'], $targetEngine, $columnDef['name'] ?? '');
-			
-			// Build column options.
-			$options = [
-				'notnull' => $columnDef['notnull'] ?? true,
-				'default' => $columnDef['default'] ?? null,
-				'autoincrement' => $this->shouldAutoIncrement($columnDef, $targetEngine),
-			];
-			
-			// Handle length for string types - provide default if null.
-			$length = $columnDef['length'] ?? null;
-			if ('string' === $typeName) {
-				if (null === $length) {
-					// Default length for string columns without explicit length.
-					$length = 255;
-				}
-				$options['length'] = $length;
-			} else {
-				// For non-string types, only add length if explicitly provided.
-				if (null !== $length) {
-					$options['length'] = $length;
-				}
-			}
-			
-			// Add precision and scale if provided.
-			if (null !== ($columnDef['precision'] ?? null)) {
-				$options['precision'] = $columnDef['precision'];
-			}
-			if (null !== ($columnDef['scale'] ?? null)) {
-				$options['scale'] = $columnDef['scale'];
-			}
-			
-			// Add comment if provided.
-			if (null !== ($columnDef['comment'] ?? null)) {
-				$options['comment'] = $columnDef['comment'];
-			}
-			
+			$options = $this->getColumnOptions($columnDef, $typeName, $targetEngine);
+
 			$column = $table->addColumn(
 				$columnDef['name'],
 				$typeName,
@@ -193,14 +159,8 @@ class SchemaImporter
 			if ($indexDef['primary']) {
 				$table->setPrimaryKey($indexDef['columns']);
 			} else {
-				// For SQLite/D1, index names must be unique across the entire database.
-				// Prefix the index name with the table name to ensure uniqueness.
-				$indexName = $indexDef['name'];
-				if ($isSqliteBased && ! \str_starts_with($indexName, $schemaDef['name'] . '_')) {
-					// Prefix with table name if not already prefixed.
-					$indexName = $schemaDef['name'] . '_' . $indexName;
-				}
-				
+				$indexName = $this->getIndexName($schemaDef, $indexDef, $targetEngine);
+
 				if ($indexDef['unique']) {
 					$table->addUniqueIndex($indexDef['columns'], $indexName);
 				} else {
@@ -228,6 +188,177 @@ class SchemaImporter
 		return $table;
 	}
 
+	/**
+	 * Create the indexes of a table that already exists.
+	 *
+	 * Primary keys and foreign keys are left out; they can only be created
+	 * along with the table on every engine.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param array<string, mixed> $schemaDef Schema definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return void
+	 */
+	public function importIndexes(Connection $connection, array $schemaDef, string $targetEngine): void
+	{
+		foreach ($schemaDef['indexes'] as $indexDef) {
+			if ($indexDef['primary']) {
+				continue;
+			}
+
+			$this->addIndex($connection, $schemaDef, $indexDef, $targetEngine);
+		}
+	}
+
+	/**
+	 * Create one index on a table that already exists.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param array<string, mixed> $schemaDef Schema definition of the table.
+	 * @param array<string, mixed> $indexDef Index definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return void
+	 */
+	public function addIndex(Connection $connection, array $schemaDef, array $indexDef, string $targetEngine): void
+	{
+		$connection->createSchemaManager()->createIndex(
+			new Index($this->getIndexName($schemaDef, $indexDef, $targetEngine), $indexDef['columns'], $indexDef['unique']),
+			$schemaDef['name']
+		);
+	}
+
+	/**
+	 * Add a column to a table that already exists.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param string $tableName Table name.
+	 * @param array<string, mixed> $columnDef Column definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return void
+	 */
+	public function addColumn(Connection $connection, string $tableName, array $columnDef, string $targetEngine): void
+	{
+		$typeName = $this->mapColumnType($columnDef['type'], $targetEngine, $columnDef['name']);
+		$options = $this->getColumnOptions($columnDef, $typeName, $targetEngine);
+
+		$this->alterTable($connection, $tableName, function (Table $table) use ($columnDef, $typeName, $options) {
+			$table->addColumn($columnDef['name'], $typeName, $options);
+		});
+	}
+
+	/**
+	 * Change the type, nullability and default of an existing column to match a definition.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param string $tableName Table name.
+	 * @param array<string, mixed> $columnDef Column definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return void
+	 */
+	public function modifyColumn(Connection $connection, string $tableName, array $columnDef, string $targetEngine): void
+	{
+		$typeName = $this->mapColumnType($columnDef['type'], $targetEngine, $columnDef['name']);
+		$options = $this->getColumnOptions($columnDef, $typeName, $targetEngine);
+		$options['type'] = Type::getType($typeName);
+
+		$this->alterTable($connection, $tableName, function (Table $table) use ($columnDef, $options) {
+			$table->modifyColumn($columnDef['name'], $options);
+		});
+	}
+
+	/**
+	 * Change a table by editing a copy of its introspected definition.
+	 *
+	 * The platform decides how the difference is applied; on SQLite that means
+	 * rebuilding the table.
+	 *
+	 * @param Connection $connection Target database connection.
+	 * @param string $tableName Table name.
+	 * @param callable $change Receives the copy of the table to change.
+	 * @return void
+	 */
+	private function alterTable(Connection $connection, string $tableName, callable $change): void
+	{
+		$schemaManager = $connection->createSchemaManager();
+		$oldTable = $schemaManager->introspectTable($tableName);
+		$newTable = clone $oldTable;
+
+		$change($newTable);
+
+		$diff = $schemaManager->createComparator()->compareTables($oldTable, $newTable);
+		if (! $diff->isEmpty()) {
+			$schemaManager->alterTable($diff);
+		}
+	}
+
+	/**
+	 * Build the column options for a column definition.
+	 *
+	 * @param array<string, mixed> $columnDef Column definition.
+	 * @param string $typeName Mapped type name.
+	 * @param string $targetEngine Target database engine.
+	 * @return array<string, mixed> Column options.
+	 */
+	private function getColumnOptions(array $columnDef, string $typeName, string $targetEngine): array
+	{
+		$options = [
+			'notnull' => $columnDef['notnull'] ?? true,
+			'default' => $columnDef['default'] ?? null,
+			'autoincrement' => $this->shouldAutoIncrement($columnDef, $targetEngine),
+		];
+		
+		// Handle length for string types - provide default if null.
+		$length = $columnDef['length'] ?? null;
+		if ('string' === $typeName) {
+			if (null === $length) {
+				// Default length for string columns without explicit length.
+				$length = 255;
+			}
+			$options['length'] = $length;
+		} else {
+			// For non-string types, only add length if explicitly provided.
+			if (null !== $length) {
+				$options['length'] = $length;
+			}
+		}
+		
+		// Add precision and scale if provided.
+		if (null !== ($columnDef['precision'] ?? null)) {
+			$options['precision'] = $columnDef['precision'];
+		}
+		if (null !== ($columnDef['scale'] ?? null)) {
+			$options['scale'] = $columnDef['scale'];
+		}
+		
+		// Add comment if provided.
+		if (null !== ($columnDef['comment'] ?? null)) {
+			$options['comment'] = $columnDef['comment'];
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Get the name an index gets on the target engine.
+	 *
+	 * @param array<string, mixed> $schemaDef Schema definition of the table.
+	 * @param array<string, mixed> $indexDef Index definition.
+	 * @param string $targetEngine Target database engine.
+	 * @return string Index name.
+	 */
+	private function getIndexName(array $schemaDef, array $indexDef, string $targetEngine): string
+	{
+		// For SQLite/D1, index names must be unique across the entire database.
+		// Prefix the index name with the table name to ensure uniqueness.
+		$indexName = $indexDef['name'];
+		if (\in_array(\strtolower($targetEngine), ['sqlite', 'd1'], true) && ! \str_starts_with($indexName, $schemaDef['name'] . '_')) {
+			// Prefix with table name if not already prefixed.
+			$indexName = $schemaDef['name'] . '_' . $indexName;
+		}
+
+		return $indexName;
+	}
+
 	/**
 	 * Map column type for target engine.
 	 *
@@ -236,7 +367,7 @@ class SchemaImporter
 	 * @param string $columnName Column name (for context, e.g., datetime detection).
 	 * @return string Mapped type.
 	 */
-	private function mapColumnType(string $sourceType, string $targetEngine, string $columnName = ''): string
+	public function mapColumnType(string $sourceType, string $targetEngine, string $columnName = ''): string
 	{
 		// Basic type mapping - can be expanded.
 		$typeMap = [
@@ -380,7 +511,7 @@ class SchemaImporter
 	 * @param string $targetEngine Target engine.
 	 * @return bool Whether foreign keys are supported.
 	 */
-	private function supportsForeignKeys(string $targetEngine): bool
+	public function supportsForeignKeys(string $targetEngine): bool
 	{
 		// FileDB and D1 may not support foreign keys.
 		return ! \in_array($targetEngine, [ 'filedb', 'd1' ], true);
@@ -0,0 +1,217 @@
+<?php
+
+/**
+ * Verifier
+ *
+ * Compares source and target tables after a migration.
+ *
+ * @package WP_DBAL\Migration
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Migration;
+
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\Query\QueryBuilder;
+
+/**
+ * Verifier class.
+ *
+ * Tables are read in primary-key order and hashed chunk by chunk, so both
+ * sides can be compared without loading a whole table at once.
+ */
+class Verifier
+{
+	/**
+	 * Checksum a chunk of rows.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @param string $table Table name.
+	 * @param array<int, string> $columns Columns to compare.
+	 * @param array<int, string> $keyColumns Primary key columns, used for ordering.
+	 * @param int $offset Offset for pagination.
+	 * @param int $limit Number of rows to read.
+	 * @param string|null $transientColumn Column to skip transients by, if transients were excluded.
+	 * @return array{rows: int, hash: string, row_hashes: array<string, string>}
+	 */
+	public function checksumChunk(Connection $connection, string $table, array $columns, array $keyColumns, int $offset, int $limit, ?string $transientColumn = null): array
+	{
+		$queryBuilder = $connection->createQueryBuilder();
+		$queryBuilder
+			->select(...\array_map([ $connection, 'quoteIdentifier' ], $columns))
+			->from($connection->quoteIdentifier($table))
+			->setFirstResult($offset)
+			->setMaxResults($limit);
+
+		$this->excludeTransients($queryBuilder, $connection, $transientColumn);
+
+		foreach ($keyColumns as $keyColumn) {
+			$queryBuilder->addOrderBy($connection->quoteIdentifier($keyColumn), 'ASC');
+		}
+
+		$result = $queryBuilder->executeQuery();
+		$rowHashes = [];
+
+		while ($row = $result->fetchAssociative()) {
+			$rowHashes[$this->getRowKey($row, $keyColumns)] = $this->hashRow($row, $columns);
+		}
+
+		return [
+			'rows' => \count($rowHashes),
+			'hash' => \md5(\serialize($rowHashes)),
+			'row_hashes' => $rowHashes,
+		];
+	}
+
+	/**
+	 * Count the rows of a table.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @param string $table Table name.
+	 * @param string|null $transientColumn Column to skip transients by, if transients were excluded.
+	 * @return int Row count.
+	 */
+	public function countRows(Connection $connection, string $table, ?string $transientColumn = null): int
+	{
+		$queryBuilder = $connection->createQueryBuilder();
+		$queryBuilder
+			->select('COUNT(*)')
+			->from($connection->quoteIdentifier($table));
+
+		$this->excludeTransients($queryBuilder, $connection, $transientColumn);
+
+		return (int) $queryBuilder->executeQuery()->fetchOne();
+	}
+
+	/**
+	 * Find the side a table is missing from.
+	 *
+	 * @param Connection $source Source database connection.
+	 * @param Connection $target Target database connection.
+	 * @param string $table Table name.
+	 * @return string|null 'source' or 'target', or null if the table exists on both sides.
+	 */
+	public function findMissingSide(Connection $source, Connection $target, string $table): ?string
+	{
+		if (! $source->createSchemaManager()->tablesExist([ $table ])) {
+			return 'source';
+		}
+
+		if (! $target->createSchemaManager()->tablesExist([ $table ])) {
+			return 'target';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Skip transient rows on both sides of the comparison.
+	 *
+	 * The patterns are left unescaped because FileDB doesn't support LIKE ... ESCAPE;
+	 * the same filter runs on source and target, so the comparison stays aligned.
+	 *
+	 * @param QueryBuilder $queryBuilder Query builder.
+	 * @param Connection $connection Database connection.
+	 * @param string|null $transientColumn Column holding transient names.
+	 * @return void
+	 */
+	private function excludeTransients(QueryBuilder $queryBuilder, Connection $connection, ?string $transientColumn): void
+	{
+		if (null === $transientColumn) {
+			return;
+		}
+
+		$column = $connection->quoteIdentifier($transientColumn);
+		$queryBuilder
+			->andWhere($column . ' NOT LIKE ' . $queryBuilder->createNamedParameter('_transient_%'))
+			->andWhere($column . ' NOT LIKE ' . $queryBuilder->createNamedParameter('_site_transient_%'));
+	}
+
+	/**
+	 * Find the primary keys of rows that differ between two chunks.
+	 *
+	 * @param array<string, string> $sourceHashes Source row hashes keyed by primary key.
+	 * @param array<string, string> $targetHashes Target row hashes keyed by primary key.
+	 * @param int $limit Maximum number of keys to return.
+	 * @return array<int, string> Differing primary keys.
+	 */
+	public function findDifferingKeys(array $sourceHashes, array $targetHashes, int $limit): array
+	{
+		$keys = [];
+
+		foreach ($sourceHashes as $key => $hash) {
+			if (($targetHashes[$key] ?? null) !== $hash) {
+				$keys[] = (string) $key;
+			}
+		}
+
+		// Rows that only exist on the target.
+		foreach (\array_diff_key($targetHashes, $sourceHashes) as $key => $hash) {
+			$keys[] = (string) $key;
+		}
+
+		return \array_slice($keys, 0, $limit);
+	}
+
+	/**
+	 * Build a readable key for a row.
+	 *
+	 * @param array<string, mixed> $row Row data.
+	 * @param array<int, string> $keyColumns Primary key columns.
+	 * @return string Row key.
+	 */
+	private function getRowKey(array $row, array $keyColumns): string
+	{
+		$parts = [];
+		foreach ($keyColumns as $keyColumn) {
+			$parts[] = $this->normalizeValue($row[$keyColumn] ?? null);
+		}
+
+		return \implode(',', $parts);
+	}
+
+	/**
+	 * Hash a row in an engine-independent way.
+	 *
+	 * @param array<string, mixed> $row Row data.
+	 * @param array<int, string> $columns Columns to include.
+	 * @return string Row hash.
+	 */
+	private function hashRow(array $row, array $columns): string
+	{
+		$values = [];
+		foreach ($columns as $column) {
+			$values[] = $this->normalizeValue($row[$column] ?? null);
+		}
+
+		return \md5(\implode("\x1F", $values));
+	}
+
+	/**
+	 * Normalize a value so equal data hashes the same on every engine.
+	 *
+	 * Drivers return numbers as int, float or string depending on the engine,
+	 * so numeric values are compared by their canonical string form.
+	 *
+	 * @param mixed $value Column value.
+	 * @return string Normalized value.
+	 */
+	private function normalizeValue($value): string
+	{
+		if (null === $value) {
+			return "\x00NULL";
+		}
+
+		if (\is_bool($value)) {
+			return $value ? '1' : '0';
+		}
+
+		if (\is_float($value) || (\is_string($value) && \is_numeric($value) && \str_contains($value, '.'))) {
+			$value = \rtrim(\rtrim(\sprintf('%.10F', (float) $value), '0'), '.');
+			return '-0' === $value ? '0' : $value;
+		}
+
+		return (string) $value;
+	}
+}
@@ -0,0 +1,319 @@
+<?php
+
+/**
+ * Query Failure Report
+ *
+ * Keeps track of queries that could not be translated or failed to run.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+use Doctrine\DBAL\Exception\DriverException;
+
+/**
+ * Query Failure Report class.
+ *
+ * Failures are grouped by query fingerprint and origin, so a plugin running
+ * the same broken query on every page load shows up once with a count. Only
+ * the fingerprints are kept, so the report holds no values from the queries.
+ * Like the query log, the report is a file in wp-content written when the
+ * request ends, and only while reporting is switched on.
+ */
+class QueryFailureReport
+{
+	/**
+	 * Maximum number of distinct failures kept.
+	 *
+	 * @var int
+	 */
+	public const MAX_ENTRIES = 500;
+
+	/**
+	 * Maximum number of distinct failures recorded per request; later ones are left out.
+	 *
+	 * @var int
+	 */
+	public const MAX_PENDING = 50;
+
+	/**
+	 * Report file name.
+	 *
+	 * @var string
+	 */
+	private const FILE_NAME = 'wp-dbal-query-failures.php';
+
+	/**
+	 * Settings file name, in the directory of the report.
+	 *
+	 * @var string
+	 */
+	private const SETTINGS_FILE_NAME = 'wp-dbal-query-failures-settings.php';
+
+	/**
+	 * Line that stops the file from being read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_HEADER = "<?php exit; ?>\n";
+
+	/**
+	 * Report file path.
+	 *
+	 * @var string
+	 */
+	private string $file;
+
+	/**
+	 * Whether the translated queries use double quotes for identifiers rather than strings.
+	 *
+	 * @var bool
+	 */
+	private bool $ansiQuotes;
+
+	/**
+	 * Failures recorded during this request, keyed by failure key.
+	 *
+	 * @var array<string, array<string, mixed>>
+	 */
+	private array $pending = [];
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $file Report file path (defaults to wp-content/wp-dbal-query-failures.php).
+	 * @param string $dbEngine Engine the queries are translated for.
+	 */
+	public function __construct(?string $file = null, string $dbEngine = 'mysql')
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+		$this->file = $file ?? $contentDir . '/' . self::FILE_NAME;
+		$this->ansiQuotes = \in_array($dbEngine, [ 'pgsql', 'sqlite', 'd1' ], true);
+	}
+
+	/**
+	 * Check whether failed queries are recorded.
+	 *
+	 * Called by the drop-in before WordPress is loaded.
+	 *
+	 * @return bool True if reporting is switched on.
+	 */
+	public function isEnabled(): bool
+	{
+		$file = \dirname($this->file) . '/' . self::SETTINGS_FILE_NAME;
+
+		if (! \file_exists($file)) {
+			return false;
+		}
+
+		$content = (string) \file_get_contents($file);
+		$settings = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+
+		return ! empty($settings['enabled']);
+	}
+
+	/**
+	 * Switch reporting on or off.
+	 *
+	 * @param bool $enabled Whether to record failed queries.
+	 * @return bool True on success, false on failure.
+	 */
+	public function setEnabled(bool $enabled): bool
+	{
+		$file = \dirname($this->file) . '/' . self::SETTINGS_FILE_NAME;
+
+		return false !== \file_put_contents($file, self::FILE_HEADER . \json_encode([ 'enabled' => $enabled ]), LOCK_EX);
+	}
+
+	/**
+	 * Record a failed query.
+	 *
+	 * @param string $query Original query.
+	 * @param string $translated Translated query, empty if translating failed.
+	 * @param string $stage Where the query failed ("translation" or "execution").
+	 * @param string $error Error message.
+	 * @param \Throwable|null $exception Exception thrown, if any.
+	 * @return void
+	 */
+	public function record(string $query, string $translated, string $stage, string $error, ?\Throwable $exception = null): void
+	{
+		$fingerprint = QueryLog::fingerprint($query);
+		$origin = QueryLog::detectOrigin(\debug_backtrace(DEBUG_BACKTRACE_IGNORE_ARGS));
+		$key = \md5($fingerprint . '|' . $origin['type'] . '|' . $origin['name']);
+
+		if (! isset($this->pending[$key]) && \count($this->pending) >= self::MAX_PENDING) {
+			return;
+		}
+
+		$this->pending[$key] = [
+			'key' => $key,
+			'fingerprint' => $fingerprint,
+			'translated' => '' !== $translated ? QueryLog::fingerprint($translated, $this->ansiQuotes) : '',
+			'origin' => $origin,
+			'stage' => $stage,
+			'error' => $error,
+			'error_class' => $exception ? (new \ReflectionClass($exception))->getShortName() : null,
+			'sql_state' => $exception instanceof DriverException ? $exception->getSQLState() : null,
+			'error_code' => $exception ? $exception->getCode() : null,
+			'time' => \time(),
+			'count' => ($this->pending[$key]['count'] ?? 0) + 1,
+		];
+	}
+
+	/**
+	 * Merge the failures of this request into the report.
+	 *
+	 * Registered as a shutdown function by the drop-in.
+	 *
+	 * @return void
+	 */
+	public function flush(): void
+	{
+		if (! $this->pending) {
+			return;
+		}
+
+		$handle = \fopen($this->file, 'c+');
+		if (! $handle) {
+			return;
+		}
+
+		\flock($handle, LOCK_EX);
+
+		$content = (string) \stream_get_contents($handle);
+		$entries = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+		$entries = \is_array($entries) ? $entries : [];
+
+		foreach ($this->pending as $key => $failure) {
+			$time = $failure['time'];
+			$count = $failure['count'];
+			unset($failure['time'], $failure['count']);
+
+			$entries[$key] = \array_merge(
+				[
+					'first_seen' => $time,
+					'known' => false,
+				],
+				$entries[$key] ?? [],
+				// The latest occurrence replaces the query and error details.
+				$failure,
+				[
+					'last_seen' => $time,
+					'count' => ($entries[$key]['count'] ?? 0) + $count,
+				]
+			);
+		}
+		$this->pending = [];
+
+		// Drop the failures not seen for the longest time beyond the limit.
+		\uasort($entries, function ($a, $b) {
+			return $b['last_seen'] <=> $a['last_seen'];
+		});
+		$entries = \array_slice($entries, 0, self::MAX_ENTRIES, true);
+
+		\ftruncate($handle, 0);
+		\rewind($handle);
+		\fwrite($handle, self::FILE_HEADER . \json_encode($entries, JSON_INVALID_UTF8_SUBSTITUTE));
+		\fflush($handle);
+		\flock($handle, LOCK_UN);
+		\fclose($handle);
+	}
+
+	/**
+	 * Get all failures, most recently seen first.
+	 *
+	 * @return array<int, array<string, mixed>> Failures.
+	 */
+	public function all(): array
+	{
+		return \array_values($this->read());
+	}
+
+	/**
+	 * Mark a failure as known, or as unknown again.
+	 *
+	 * @param string $key Failure key.
+	 * @param bool $known Whether the failure is known.
+	 * @return bool True on success, false if the failure doesn't exist or couldn't be saved.
+	 */
+	public function markKnown(string $key, bool $known): bool
+	{
+		return $this->update(function (array $entries) use ($key, $known) {
+			if (! isset($entries[$key])) {
+				return null;
+			}
+
+			$entries[$key]['known'] = $known;
+
+			return $entries;
+		});
+	}
+
+	/**
+	 * Delete all failures.
+	 *
+	 * @return void
+	 */
+	public function clear(): void
+	{
+		if (\file_exists($this->file)) {
+			\unlink($this->file);
+		}
+	}
+
+	/**
+	 * Read the report file.
+	 *
+	 * @return array<string, array<string, mixed>> Failures keyed by failure key.
+	 */
+	private function read(): array
+	{
+		if (! \file_exists($this->file)) {
+			return [];
+		}
+
+		$content = (string) \file_get_contents($this->file);
+		$entries = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+
+		return \is_array($entries) ? $entries : [];
+	}
+
+	/**
+	 * Change the report while holding the lock used by flush().
+	 *
+	 * @param callable $callback Receives the failures and returns them changed, or null to abort.
+	 * @return bool True on success, false on failure.
+	 */
+	private function update(callable $callback): bool
+	{
+		if (! \file_exists($this->file)) {
+			return false;
+		}
+
+		$handle = \fopen($this->file, 'c+');
+		if (! $handle) {
+			return false;
+		}
+
+		\flock($handle, LOCK_EX);
+
+		$content = (string) \stream_get_contents($handle);
+		$entries = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+		$entries = $callback(\is_array($entries) ? $entries : []);
+
+		if (null !== $entries) {
+			\ftruncate($handle, 0);
+			\rewind($handle);
+			\fwrite($handle, self::FILE_HEADER . \json_encode($entries, JSON_INVALID_UTF8_SUBSTITUTE));
+			\fflush($handle);
+		}
+
+		\flock($handle, LOCK_UN);
+		\fclose($handle);
+
+		return null !== $entries;
+	}
+}
@@ -0,0 +1,461 @@
+<?php
+
+/**
+ * Query Log
+ *
+ * Records the queries sent through WP_DBAL_DB while capture is switched on.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+/**
+ * Query Log class.
+ *
+ * Queries are collected in memory during a request and appended, one JSON
+ * line each, to a log file in wp-content when the request ends. Once the file
+ * grows past MAX_FILE_SIZE it replaces the previous one, so the log keeps two
+ * files at most. Both the capture settings and the log are files rather than
+ * options: capture starts before WordPress is loaded, and writing to the
+ * database being logged would log itself.
+ */
+class QueryLog
+{
+	/**
+	 * Maximum number of entries returned by getEntries().
+	 *
+	 * @var int
+	 */
+	public const MAX_ENTRIES = 2000;
+
+	/**
+	 * Maximum number of entries recorded per request; later queries are left out.
+	 *
+	 * @var int
+	 */
+	public const MAX_PENDING = 500;
+
+	/**
+	 * Size in bytes after which the log file is rotated.
+	 *
+	 * @var int
+	 */
+	public const MAX_FILE_SIZE = 2097152;
+
+	/**
+	 * Default slow query threshold in milliseconds.
+	 *
+	 * @var float
+	 */
+	public const DEFAULT_SLOW_THRESHOLD = 100.0;
+
+	/**
+	 * Seconds a per-request capture token stays valid.
+	 *
+	 * @var int
+	 */
+	public const REQUEST_TOKEN_LIFETIME = 3600;
+
+	/**
+	 * Query argument (or X-WP-DBAL-Log header) that switches on capture for one request.
+	 *
+	 * @var string
+	 */
+	public const REQUEST_PARAM = 'wp-dbal-log';
+
+	/**
+	 * Settings file name.
+	 *
+	 * @var string
+	 */
+	private const SETTINGS_FILE = 'wp-dbal-query-capture.php';
+
+	/**
+	 * Log file name.
+	 *
+	 * @var string
+	 */
+	private const LOG_FILE = 'wp-dbal-query-log.php';
+
+	/**
+	 * Name of the log file before the last rotation.
+	 *
+	 * @var string
+	 */
+	private const PREVIOUS_LOG_FILE = 'wp-dbal-query-log-previous.php';
+
+	/**
+	 * Line that stops the files from being read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_HEADER = "<?php exit; ?>\n";
+
+	/**
+	 * Directory holding the files.
+	 *
+	 * @var string
+	 */
+	private string $directory;
+
+	/**
+	 * Entries recorded during this request.
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private array $pending = [];
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $directory Directory holding the files (defaults to wp-content).
+	 */
+	public function __construct(?string $directory = null)
+	{
+		$this->directory = $directory ?? (\defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content');
+	}
+
+	/**
+	 * Get the capture settings.
+	 *
+	 * @return array{until: int, request_token: string|null, request_token_expires: int, slow_threshold: float}
+	 */
+	public function getSettings(): array
+	{
+		$settings = $this->readFile(self::SETTINGS_FILE) ?? [];
+
+		return [
+			'until' => (int) ($settings['until'] ?? 0),
+			'request_token' => $settings['request_token'] ?? null,
+			'request_token_expires' => (int) ($settings['request_token_expires'] ?? 0),
+			'slow_threshold' => (float) ($settings['slow_threshold'] ?? self::DEFAULT_SLOW_THRESHOLD),
+		];
+	}
+
+	/**
+	 * Capture every request for a number of minutes.
+	 *
+	 * @param int $minutes Minutes to capture for.
+	 * @return bool True on success, false on failure.
+	 */
+	public function captureFor(int $minutes): bool
+	{
+		$settings = $this->getSettings();
+		$settings['until'] = \time() + \max(1, $minutes) * 60;
+
+		return $this->writeFile(self::SETTINGS_FILE, $settings);
+	}
+
+	/**
+	 * Create a token that switches on capture for the requests carrying it.
+	 *
+	 * @return string|null Token, or null if it couldn't be saved.
+	 */
+	public function createRequestToken(): ?string
+	{
+		$settings = $this->getSettings();
+		$settings['request_token'] = \bin2hex(\random_bytes(16));
+		$settings['request_token_expires'] = \time() + self::REQUEST_TOKEN_LIFETIME;
+
+		return $this->writeFile(self::SETTINGS_FILE, $settings) ? $settings['request_token'] : null;
+	}
+
+	/**
+	 * Stop capturing and invalidate the request token.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function stop(): bool
+	{
+		$settings = $this->getSettings();
+		$settings['until'] = 0;
+		$settings['request_token'] = null;
+		$settings['request_token_expires'] = 0;
+
+		return $this->writeFile(self::SETTINGS_FILE, $settings);
+	}
+
+	/**
+	 * Set the slow query threshold.
+	 *
+	 * @param float $threshold Threshold in milliseconds.
+	 * @return bool True on success, false on failure.
+	 */
+	public function setSlowThreshold(float $threshold): bool
+	{
+		$settings = $this->getSettings();
+		$settings['slow_threshold'] = \max(0.0, $threshold);
+
+		return $this->writeFile(self::SETTINGS_FILE, $settings);
+	}
+
+	/**
+	 * Check whether the current request should be captured.
+	 *
+	 * Called by the drop-in before WordPress is loaded.
+	 *
+	 * @return bool True if queries should be recorded.
+	 */
+	public function shouldCapture(): bool
+	{
+		// Reading the log must not fill it.
+		if (\str_contains(\urldecode($_SERVER['REQUEST_URI'] ?? ''), 'wp-dbal/v1/query-log')) {
+			return false;
+		}
+
+		$settings = $this->getSettings();
+
+		if ($settings['until'] > \time()) {
+			return true;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- compared against a secret token
+		$token = (string) ($_GET[self::REQUEST_PARAM] ?? $_SERVER['HTTP_X_WP_DBAL_LOG'] ?? '');
+
+		return '' !== $token
+			&& null !== $settings['request_token']
+			&& $settings['request_token_expires'] > \time()
+			&& \hash_equals($settings['request_token'], $token);
+	}
+
+	/**
+	 * Record a query.
+	 *
+	 * @param string $query Original query.
+	 * @param string $translated Translated query.
+	 * @param float $translationTime Translation time in seconds.
+	 * @param float $executionTime Execution time in seconds.
+	 * @param int|bool $rows Rows returned or affected, as returned by wpdb::query().
+	 * @param string $error Error message, empty if the query succeeded.
+	 * @param string $caller Calling functions.
+	 * @return void
+	 */
+	public function record(string $query, string $translated, float $translationTime, float $executionTime, int|bool $rows, string $error, string $caller): void
+	{
+		if (\count($this->pending) >= self::MAX_PENDING) {
+			return;
+		}
+
+		$this->pending[] = [
+			'time' => \microtime(true),
+			'request' => ($_SERVER['REQUEST_METHOD'] ?? 'CLI') . ' ' . ($_SERVER['REQUEST_URI'] ?? ''),
+			'query' => $query,
+			'translated' => $translated,
+			'fingerprint' => self::fingerprint($query),
+			'translation_time' => \round($translationTime * 1000, 3),
+			'execution_time' => \round($executionTime * 1000, 3),
+			'rows' => \is_int($rows) ? $rows : null,
+			'origin' => self::detectOrigin(\debug_backtrace(DEBUG_BACKTRACE_IGNORE_ARGS)),
+			'caller' => $caller,
+			'error' => '' !== $error ? $error : null,
+		];
+	}
+
+	/**
+	 * Append the entries of this request to the log.
+	 *
+	 * Registered as a shutdown function by the drop-in.
+	 *
+	 * @return void
+	 */
+	public function flush(): void
+	{
+		if (! $this->pending) {
+			return;
+		}
+
+		$file = $this->directory . '/' . self::LOG_FILE;
+		$handle = \fopen($file, 'a');
+		if (! $handle) {
+			return;
+		}
+
+		// Concurrent requests append one after another.
+		\flock($handle, LOCK_EX);
+
+		$lines = 0 === \fstat($handle)['size'] ? self::FILE_HEADER : '';
+		foreach ($this->pending as $entry) {
+			$lines .= \json_encode($entry, JSON_INVALID_UTF8_SUBSTITUTE) . "\n";
+		}
+		$this->pending = [];
+
+		\fwrite($handle, $lines);
+		\fflush($handle);
+
+		if (\fstat($handle)['size'] > self::MAX_FILE_SIZE) {
+			\rename($file, $this->directory . '/' . self::PREVIOUS_LOG_FILE);
+		}
+
+		\flock($handle, LOCK_UN);
+		\fclose($handle);
+	}
+
+	/**
+	 * Get the recorded entries, oldest first.
+	 *
+	 * @return array<int, array<string, mixed>> The last MAX_ENTRIES entries.
+	 */
+	public function getEntries(): array
+	{
+		$entries = [];
+
+		foreach ([ self::PREVIOUS_LOG_FILE, self::LOG_FILE ] as $name) {
+			$file = $this->directory . '/' . $name;
+
+			if (! \file_exists($file)) {
+				continue;
+			}
+
+			foreach (\file($file, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES) ?: [] as $line) {
+				$entry = \json_decode($line, true);
+
+				// Skips the header, and lines cut off by a full disk.
+				if (\is_array($entry) && isset($entry['query'])) {
+					$entries[] = $entry;
+				}
+			}
+		}
+
+		return \array_slice($entries, -self::MAX_ENTRIES);
+	}
+
+	/**
+	 * Delete all recorded entries.
+	 *
+	 * @return void
+	 */
+	public function clear(): void
+	{
+		foreach ([ self::LOG_FILE, self::PREVIOUS_LOG_FILE ] as $name) {
+			$file = $this->directory . '/' . $name;
+
+			if (\file_exists($file)) {
+				\unlink($file);
+			}
+		}
+	}
+
+	/**
+	 * Normalize a query so queries that only differ in their values group together.
+	 *
+	 * @param string $query The SQL query.
+	 * @param bool $ansiQuotes Whether double quotes enclose identifiers, as in PostgreSQL and SQLite, rather than strings.
+	 * @return string Normalized query.
+	 */
+	public static function fingerprint(string $query, bool $ansiQuotes = false): string
+	{
+		// Quoted strings, with escaped quotes inside.
+		$patterns = [
+			'/\'(?:[^\'\\\\]|\\\\.|\'\')*\'/s' => '?',
+		];
+
+		if (! $ansiQuotes) {
+			$patterns['/"(?:[^"\\\\]|\\\\.|"")*"/s'] = '?';
+		}
+
+		$patterns += [
+			// Numbers not part of an identifier.
+			'/(?<![\w`$.])-?\d+(?:\.\d+)?(?![\w`])/' => '?',
+			// Lists of values.
+			'/\(\s*\?(?:\s*,\s*\?)+\s*\)/' => '(?+)',
+			'/\s+/'                        => ' ',
+		];
+
+		return \trim((string) \preg_replace(\array_keys($patterns), \array_values($patterns), $query));
+	}
+
+	/**
+	 * Find the plugin or theme that sent a query.
+	 *
+	 * @param array<int, array<string, mixed>> $backtrace Backtrace without arguments.
+	 * @return array{type: string, name: string} Origin; for core, the name is the calling file.
+	 */
+	public static function detectOrigin(array $backtrace): array
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+		$directories = [
+			'plugin' => \defined('WP_PLUGIN_DIR') ? WP_PLUGIN_DIR : $contentDir . '/plugins',
+			'mu-plugin' => \defined('WPMU_PLUGIN_DIR') ? WPMU_PLUGIN_DIR : $contentDir . '/mu-plugins',
+			'theme' => $contentDir . '/themes',
+		];
+		$ownDirectory = \str_replace('\\', '/', \dirname(__DIR__)) . '/';
+		$coreFile = null;
+
+		foreach ($backtrace as $frame) {
+			$file = \str_replace('\\', '/', $frame['file'] ?? '');
+
+			if ('' === $file || \str_starts_with($file, $ownDirectory)) {
+				continue;
+			}
+
+			foreach ($directories as $type => $directory) {
+				$directory = \rtrim(\str_replace('\\', '/', $directory), '/') . '/';
+
+				if (\str_starts_with($file, $directory)) {
+					$name = \explode('/', \substr($file, \strlen($directory)))[0];
+
+					return [
+						'type' => $type,
+						'name' => \preg_replace('/\.php$/', '', $name),
+					];
+				}
+			}
+
+			// The wpdb methods only pass the query on.
+			if (null === $coreFile && ! \str_ends_with($file, '/class-wpdb.php')) {
+				$coreFile = $file;
+			}
+		}
+
+		$root = \str_replace('\\', '/', ABSPATH);
+
+		return [
+			'type' => 'core',
+			'name' => null === $coreFile ? 'WordPress' : (\str_starts_with($coreFile, $root) ? \substr($coreFile, \strlen($root)) : \basename($coreFile)),
+		];
+	}
+
+	/**
+	 * Read a JSON file written by writeFile().
+	 *
+	 * @param string $name File name.
+	 * @return array<mixed>|null Decoded content, or null if the file is missing or invalid.
+	 */
+	private function readFile(string $name): ?array
+	{
+		$file = $this->directory . '/' . $name;
+
+		if (! \file_exists($file)) {
+			return null;
+		}
+
+		$content = (string) \file_get_contents($file);
+		$data = \json_decode(\substr($content, \strlen(self::FILE_HEADER)), true);
+
+		return \is_array($data) ? $data : null;
+	}
+
+	/**
+	 * Write a JSON file.
+	 *
+	 * Written to a temporary file first, so a concurrent request never reads half a file.
+	 *
+	 * @param string $name File name.
+	 * @param array<mixed> $data Data to write.
+	 * @return bool True on success, false on failure.
+	 */
+	private function writeFile(string $name, array $data): bool
+	{
+		$file = $this->directory . '/' . $name;
+		$temp = $file . '.tmp';
+
+		if (false === \file_put_contents($temp, self::FILE_HEADER . \json_encode($data), LOCK_EX)) {
+			return false;
+		}
+
+		return \rename($temp, $file);
+	}
+}
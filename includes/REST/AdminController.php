@@ -15,7 +15,13 @@ namespace WP_DBAL\REST;
 use WP_REST_Request;
 use WP_REST_Response;
 use WP_Error;
+use WP_DBAL\HealthChecks;
 use WP_DBAL\Plugin;
+use WP_DBAL\SwitchGuard;
+use WP_DBAL\Migration\ConfigWriter;
+use WP_DBAL\Migration\ConnectionParamsValidator;
+use WP_DBAL\Migration\MigrationManager;
+use Doctrine\DBAL\Connection;
 
 /**
  * Admin REST API controller.
@@ -47,6 +53,28 @@ class AdminController
 			]
 		);
 
+		// Run the health checks.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/admin/site-health',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getSiteHealth' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Run one health check for Site Health.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/admin/site-health/(?P<test>[a-z0-9_]+)',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getSiteHealthTest' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
 		// Install dropin.
 		\register_rest_route(
 			self::NAMESPACE,
@@ -102,6 +130,25 @@ class AdminController
 				],
 			]
 		);
+
+		// Health of the site after a configuration change.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/admin/health',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getHealth' ],
+				// Polled while the site switches databases, when the login session may not be valid; the token authorizes it.
+				'permission_callback' => '__return_true',
+				'args' => [
+					'token' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			]
+		);
 	}
 
 	/**
@@ -152,6 +199,45 @@ class AdminController
 		);
 	}
 
+	/**
+	 * Run the health checks that apply to the current engine.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function getSiteHealth(WP_REST_Request $request): WP_REST_Response
+	{
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'checks' => ( new HealthChecks() )->runAll(),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Run one health check in the Site Health format.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getSiteHealthTest(WP_REST_Request $request)
+	{
+		$healthChecks = new HealthChecks();
+		$check = (string) $request->get_param('test');
+
+		if (! isset($healthChecks->getChecks()[$check])) {
+			return new WP_Error(
+				'unknown_check',
+				\__('Unknown health check', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return new WP_REST_Response($healthChecks->toSiteHealth($check, $healthChecks->run($check)), 200);
+	}
+
 	/**
 	 * Install dropin.
 	 *
@@ -276,7 +362,41 @@ class AdminController
 			);
 		}
 
-		$configWriter = new \WP_DBAL\Migration\ConfigWriter();
+		$fieldErrors = ( new ConnectionParamsValidator() )->validate($dbEngine, \is_array($connectionParams) ? $connectionParams : []);
+		if (! empty($fieldErrors)) {
+			return new WP_Error(
+				'invalid_connection_params',
+				\__('Some connection parameters are not valid.', 'wp-dbal'),
+				[
+					'status' => 400,
+					'errors' => $fieldErrors,
+				]
+			);
+		}
+
+		// Test the new configuration before touching wp-config.php.
+		$validation = ( new MigrationManager() )->validateTargetConnection($dbEngine, $connectionParams);
+		if (! $validation['success']) {
+			return new WP_Error(
+				'connection_failed',
+				\sprintf(
+					/* translators: %s: Error message. */
+					\__('Could not connect with the new configuration: %s', 'wp-dbal'),
+					$validation['message']
+				),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if (! $this->hasWordPressTables($validation['connection'])) {
+			return new WP_Error(
+				'no_wordpress_tables',
+				\__('The database has no WordPress tables. Migrate the site to it before switching.', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$configWriter = new ConfigWriter();
 		$result = $configWriter->updateConfig($dbEngine, $connectionParams);
 
 		if (! $result['success']) {
@@ -287,15 +407,97 @@ class AdminController
 			);
 		}
 
+		$token = ( new SwitchGuard() )->begin(
+			$result['path'],
+			\dirname($result['path']) . '/' . $result['backup'],
+			$dbEngine
+		);
+
+		// Never leave an unguarded switch behind.
+		if (null === $token) {
+			$configWriter->restoreBackup($result['backup']);
+
+			return new WP_Error(
+				'switch_guard_failed',
+				\__('Could not record the configuration change, so wp-config.php was left unchanged. Check that wp-content is writable.', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
 		return new WP_REST_Response(
 			[
 				'success' => true,
 				'message' => \__('Configuration updated successfully', 'wp-dbal'),
+				'switch' => [
+					'token' => $token,
+					'timeout' => SwitchGuard::DEFAULT_TIMEOUT,
+					'backup' => $result['backup'],
+				],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Report whether the site came back healthy after a configuration change.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getHealth(WP_REST_Request $request)
+	{
+		$switchGuard = new SwitchGuard();
+		$state = $switchGuard->getStateForToken((string) $request->get_param('token'));
+
+		if (! $state) {
+			return new WP_Error(
+				'unknown_switch',
+				\__('No configuration change with this token was found', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		// The outcome is reported once.
+		if ('pending' !== $state['status']) {
+			$switchGuard->clear();
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'status' => $state['status'],
+				'db_engine' => Plugin::getInstance()->getDbEngine(),
+				'error' => $state['error'],
 			],
 			200
 		);
 	}
 
+	/**
+	 * Check that a database holds a WordPress installation.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @return bool True if the options table has a site URL.
+	 */
+	private function hasWordPressTables(Connection $connection): bool
+	{
+		global $wpdb;
+
+		try {
+			$queryBuilder = $connection->createQueryBuilder();
+			$siteUrl = $queryBuilder
+				->select('option_value')
+				->from($connection->quoteIdentifier($wpdb->base_prefix . 'options'))
+				->where('option_name = ' . $queryBuilder->createNamedParameter('siteurl'))
+				->executeQuery()
+				->fetchOne();
+		} catch (\Exception $e) {
+			return false;
+		}
+
+		return false !== $siteUrl;
+	}
+
 	/**
 	 * Read connection parameters from wp-config.php.
 	 *
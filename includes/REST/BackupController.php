@@ -0,0 +1,326 @@
+<?php
+
+/**
+ * Backup REST API Controller
+ *
+ * REST API endpoints for backing up and restoring the active database.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\Backup\BackupManager;
+use WP_DBAL\WP_DBAL_DB;
+
+/**
+ * Backup REST API controller.
+ */
+class BackupController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		$idArg = [
+			'id' => [
+				'required' => true,
+				'type' => 'string',
+			],
+		];
+
+		// List backups and the current job.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getBackups' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'recheck' => [
+						'required' => false,
+						'type' => 'boolean',
+						'default' => false,
+					],
+				],
+			]
+		);
+
+		// Start a backup.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/create',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'createBackup' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Start restoring a backup.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/restore',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'restoreBackup' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => $idArg,
+			]
+		);
+
+		// Run the next step of the job.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/step',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'step' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'chunk_size' => [
+						'required' => false,
+						'type' => 'integer',
+						'default' => BackupManager::DEFAULT_CHUNK_SIZE,
+						'minimum' => 1,
+					],
+				],
+			]
+		);
+
+		// Cancel the job.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/cancel',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cancel' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Delete a backup.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/delete',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'deleteBackup' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => $idArg,
+			]
+		);
+
+		// Download a backup.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/backups/download',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'downloadBackup' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => $idArg,
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * List backups and the current job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getBackups(WP_REST_Request $request)
+	{
+		$recheck = (bool) $request->get_param('recheck');
+
+		return $this->handle(function (BackupManager $manager) use ($recheck) {
+			return [
+				'type' => $manager->getType(),
+				'directory' => $manager->getDirectory(),
+				'directory_public' => $manager->isPubliclyReachable($recheck),
+				'backups' => $manager->listBackups(),
+				'job' => $manager->getJob(),
+			];
+		});
+	}
+
+	/**
+	 * Start a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function createBackup(WP_REST_Request $request)
+	{
+		return $this->handle(function (BackupManager $manager) {
+			return [ 'job' => $manager->startBackup() ];
+		});
+	}
+
+	/**
+	 * Start restoring a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restoreBackup(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$id = (string) ($bodyParams['id'] ?? $request->get_param('id'));
+
+		return $this->handle(function (BackupManager $manager) use ($id) {
+			return [ 'job' => $manager->startRestore($id) ];
+		});
+	}
+
+	/**
+	 * Run the next step of the job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function step(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$chunkSize = (int) ($bodyParams['chunk_size'] ?? $request->get_param('chunk_size'));
+
+		return $this->handle(function (BackupManager $manager) use ($chunkSize) {
+			return [ 'job' => $manager->step($chunkSize) ];
+		});
+	}
+
+	/**
+	 * Cancel the job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel(WP_REST_Request $request)
+	{
+		return $this->handle(function (BackupManager $manager) {
+			$manager->cancel();
+
+			return [];
+		});
+	}
+
+	/**
+	 * Delete a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function deleteBackup(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$id = (string) ($bodyParams['id'] ?? $request->get_param('id'));
+
+		return $this->handle(function (BackupManager $manager) use ($id) {
+			$manager->deleteBackup($id);
+
+			return [ 'backups' => $manager->listBackups() ];
+		});
+	}
+
+	/**
+	 * Send a backup file.
+	 *
+	 * Opened as a link, with the REST nonce in the query string.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_Error Only returned when the file can't be sent.
+	 */
+	public function downloadBackup(WP_REST_Request $request)
+	{
+		$id = (string) $request->get_param('id');
+		$path = null;
+
+		$response = $this->handle(function (BackupManager $manager) use ($id, &$path) {
+			$path = $manager->getBackupPath($id);
+
+			return [];
+		});
+
+		if (null === $path) {
+			return $response;
+		}
+
+		\nocache_headers();
+		\header('Content-Type: application/octet-stream');
+		\header('Content-Disposition: attachment; filename="' . \basename($path) . '"');
+		\header('Content-Length: ' . \filesize($path));
+
+		\readfile($path);
+		exit;
+	}
+
+	/**
+	 * Run a backup operation and turn its result into a response.
+	 *
+	 * @param callable $callback Receives the backup manager and returns the response data.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function handle(callable $callback)
+	{
+		global $wpdb;
+
+		$connection = $wpdb instanceof WP_DBAL_DB ? $wpdb->getDbalConnection() : null;
+
+		if (null === $connection) {
+			return new WP_Error(
+				'no_connection',
+				\__('Backups can only be made when the WP-DBAL drop-in is active', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		try {
+			$data = $callback(new BackupManager($connection, $wpdb->getDbEngine()));
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'invalid_request',
+				$e->getMessage(),
+				[ 'status' => 400 ]
+			);
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'backup_error',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $data),
+			200
+		);
+	}
+}
@@ -0,0 +1,640 @@
+<?php
+
+/**
+ * FileDB REST API Controller
+ *
+ * REST API endpoints for browsing and editing FileDB tables, maintaining
+ * their indexes and converting their storage format.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\SwitchGuard;
+use WP_DBAL\WP_DBAL_DB;
+use WP_DBAL\FileDB\DataBrowser;
+use WP_DBAL\FileDB\FormatConverter;
+use WP_DBAL\FileDB\IndexMaintenance;
+use WP_DBAL\FileDB\Storage\StorageManager;
+use WP_DBAL\Migration\ConfigWriter;
+
+/**
+ * FileDB REST API controller.
+ */
+class FileDBController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Route pattern for a table name.
+	 *
+	 * @var string
+	 */
+	private const TABLE_PATTERN = '(?P<table>[A-Za-z0-9_$]+)';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// List the tables.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/tables',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getTables' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Get a table's schema and metadata.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/tables/' . self::TABLE_PATTERN,
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getTable' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Get a page of rows.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/tables/' . self::TABLE_PATTERN . '/rows',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getRows' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'page' => [
+						'required' => false,
+						'type' => 'integer',
+						'default' => 1,
+						'minimum' => 1,
+					],
+					'per_page' => [
+						'required' => false,
+						'type' => 'integer',
+						'default' => 50,
+						'minimum' => 1,
+						'maximum' => DataBrowser::MAX_PER_PAGE,
+					],
+					'filters' => [
+						'required' => false,
+						'type' => 'object',
+						'default' => [],
+					],
+				],
+			]
+		);
+
+		// Update a row.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/tables/' . self::TABLE_PATTERN . '/rows/update',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'updateRow' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'key' => [
+						'required' => true,
+						'type' => 'object',
+					],
+					'values' => [
+						'required' => true,
+						'type' => 'object',
+					],
+				],
+			]
+		);
+
+		// Delete a row.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/tables/' . self::TABLE_PATTERN . '/rows/delete',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'deleteRow' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'key' => [
+						'required' => true,
+						'type' => 'object',
+					],
+				],
+			]
+		);
+
+		// List the indexes of all tables.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/indexes',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getIndexes' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Compare the indexes of a table with its rows.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/indexes/' . self::TABLE_PATTERN . '/check',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'checkIndexes' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Rebuild the indexes of a table.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/indexes/' . self::TABLE_PATTERN . '/rebuild',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'rebuildIndexes' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Choose the indexed columns of a table.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/indexes/' . self::TABLE_PATTERN . '/columns',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'setIndexedColumns' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'columns' => [
+						'required' => true,
+						'type' => [ 'array', 'null' ],
+						'items' => [
+							'type' => 'string',
+						],
+					],
+				],
+			]
+		);
+
+		// Get the state of the format conversion.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/conversion',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getConversion' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Start converting to another format.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/conversion/start',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'startConversion' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'format' => [
+						'required' => true,
+						'type' => 'string',
+						'enum' => [ 'json', 'php' ],
+					],
+				],
+			]
+		);
+
+		// Run the next step of the conversion.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/conversion/step',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'stepConversion' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'chunk_size' => [
+						'required' => false,
+						'type' => 'integer',
+						'default' => FormatConverter::DEFAULT_CHUNK_SIZE,
+						'minimum' => 1,
+					],
+				],
+			]
+		);
+
+		// Switch DB_FILEDB_FORMAT to the converted format.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/conversion/switch',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'switchFormat' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Forget the conversion.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/filedb/conversion/cancel',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cancelConversion' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * List the tables.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getTables(WP_REST_Request $request)
+	{
+		return $this->handle(DataBrowser::class, function (DataBrowser $browser) {
+			return [ 'tables' => $browser->listTables() ];
+		});
+	}
+
+	/**
+	 * Get a table's schema and metadata.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getTable(WP_REST_Request $request)
+	{
+		return $this->handle(DataBrowser::class, function (DataBrowser $browser) use ($request) {
+			return [ 'table' => $browser->getTable((string) $request->get_param('table')) ];
+		});
+	}
+
+	/**
+	 * Get a page of rows.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getRows(WP_REST_Request $request)
+	{
+		$filters = $request->get_param('filters');
+
+		return $this->handle(DataBrowser::class, function (DataBrowser $browser) use ($request, $filters) {
+			return $browser->getRows(
+				(string) $request->get_param('table'),
+				(int) $request->get_param('page'),
+				(int) $request->get_param('per_page'),
+				\is_array($filters) ? \array_map('strval', $filters) : []
+			);
+		});
+	}
+
+	/**
+	 * Update a row.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function updateRow(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$key = $bodyParams['key'] ?? $request->get_param('key');
+		$values = $bodyParams['values'] ?? $request->get_param('values');
+
+		return $this->handle(DataBrowser::class, function (DataBrowser $browser) use ($request, $key, $values) {
+			return [
+				'updated' => $browser->updateRow((string) $request->get_param('table'), (array) $key, (array) $values),
+			];
+		});
+	}
+
+	/**
+	 * Delete a row.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function deleteRow(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$key = $bodyParams['key'] ?? $request->get_param('key');
+
+		return $this->handle(DataBrowser::class, function (DataBrowser $browser) use ($request, $key) {
+			return [
+				'deleted' => $browser->deleteRow((string) $request->get_param('table'), (array) $key),
+			];
+		});
+	}
+
+	/**
+	 * List the indexes of all tables.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getIndexes(WP_REST_Request $request)
+	{
+		return $this->handle(IndexMaintenance::class, function (IndexMaintenance $maintenance) {
+			return [
+				'enabled' => $maintenance->isEnabled(),
+				'tables' => $maintenance->listIndexes(),
+			];
+		});
+	}
+
+	/**
+	 * Compare the indexes of a table with its row data.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function checkIndexes(WP_REST_Request $request)
+	{
+		return $this->handle(IndexMaintenance::class, function (IndexMaintenance $maintenance) use ($request) {
+			return [ 'statuses' => $maintenance->check((string) $request->get_param('table')) ];
+		});
+	}
+
+	/**
+	 * Rebuild the indexes of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rebuildIndexes(WP_REST_Request $request)
+	{
+		return $this->handle(IndexMaintenance::class, function (IndexMaintenance $maintenance) use ($request) {
+			return [ 'table' => $maintenance->rebuild((string) $request->get_param('table')) ];
+		});
+	}
+
+	/**
+	 * Choose the indexed columns of a table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function setIndexedColumns(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$columns = \array_key_exists('columns', (array) $bodyParams) ? $bodyParams['columns'] : $request->get_param('columns');
+
+		return $this->handle(IndexMaintenance::class, function (IndexMaintenance $maintenance) use ($request, $columns) {
+			return [
+				'table' => $maintenance->setIndexedColumns(
+					(string) $request->get_param('table'),
+					\is_array($columns) ? \array_map('strval', $columns) : null
+				),
+			];
+		});
+	}
+
+	/**
+	 * Get the state of the format conversion.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function getConversion(WP_REST_Request $request): WP_REST_Response
+	{
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'format' => $this->getCurrentFormat(),
+				'conversion' => ( new FormatConverter() )->getState(),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Start converting to another format.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function startConversion(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$format = (string) ($bodyParams['format'] ?? $request->get_param('format'));
+
+		return $this->handle(StorageManager::class, function (StorageManager $storage) use ($format) {
+			return [
+				'conversion' => ( new FormatConverter() )->start($storage->getBasePath(), $this->getCurrentFormat(), $format),
+			];
+		});
+	}
+
+	/**
+	 * Run the next step of the conversion.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function stepConversion(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$chunkSize = (int) ($bodyParams['chunk_size'] ?? $request->get_param('chunk_size'));
+
+		return $this->handle(StorageManager::class, function () use ($chunkSize) {
+			return [
+				'conversion' => ( new FormatConverter() )->step($this->getCurrentFormat(), $chunkSize),
+			];
+		});
+	}
+
+	/**
+	 * Switch DB_FILEDB_FORMAT to the converted format.
+	 *
+	 * The converted files are brought up to date first. Like other
+	 * configuration changes, the switch is rolled back if the site doesn't
+	 * come back healthy.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function switchFormat(WP_REST_Request $request)
+	{
+		$converter = new FormatConverter();
+
+		try {
+			$state = $converter->prepareSwitch();
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'conversion_not_ready',
+				\__('The conversion has not been verified yet', 'wp-dbal'),
+				[ 'status' => 409 ]
+			);
+		}
+
+		if ('ready' !== $state['phase'] || null !== $state['error']) {
+			return new WP_Error(
+				'conversion_not_verified',
+				\sprintf(
+					/* translators: %s: Error message. */
+					\__('The converted files could not be verified: %s', 'wp-dbal'),
+					(string) $state['error']
+				),
+				[ 'status' => 409 ]
+			);
+		}
+
+		$configWriter = new ConfigWriter();
+		$result = $configWriter->updateConfig('filedb', [ 'format' => $state['target'] ]);
+
+		if (! $result['success']) {
+			return new WP_Error(
+				'config_update_failed',
+				$result['error'] ?? \__('Failed to update wp-config.php', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		$token = ( new SwitchGuard() )->begin(
+			$result['path'],
+			\dirname($result['path']) . '/' . $result['backup'],
+			'filedb'
+		);
+
+		// Never leave an unguarded switch behind.
+		if (null === $token) {
+			$configWriter->restoreBackup($result['backup']);
+
+			return new WP_Error(
+				'switch_guard_failed',
+				\__('Could not record the configuration change, so wp-config.php was left unchanged. Check that wp-content is writable.', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'conversion' => $state,
+				'switch' => [
+					'token' => $token,
+					'timeout' => SwitchGuard::DEFAULT_TIMEOUT,
+					'backup' => $result['backup'],
+				],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Forget the conversion.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function cancelConversion(WP_REST_Request $request): WP_REST_Response
+	{
+		( new FormatConverter() )->cancel();
+
+		return new WP_REST_Response([ 'success' => true ], 200);
+	}
+
+	/**
+	 * Get the format the site currently stores FileDB data in.
+	 *
+	 * @return string "json" or "php".
+	 */
+	private function getCurrentFormat(): string
+	{
+		return \defined('DB_FILEDB_FORMAT') && 'php' === DB_FILEDB_FORMAT ? 'php' : 'json';
+	}
+
+	/**
+	 * Run a FileDB operation and turn its result into a response.
+	 *
+	 * @param class-string<DataBrowser|IndexMaintenance|StorageManager> $class Class of the object the operation runs on, StorageManager for the storage itself.
+	 * @param callable $callback Receives the object and returns the response data.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function handle(string $class, callable $callback)
+	{
+		global $wpdb;
+
+		$connection = $wpdb instanceof WP_DBAL_DB ? $wpdb->getDbalConnection() : null;
+
+		if (null === $connection) {
+			return new WP_Error(
+				'no_connection',
+				\__('FileDB tools can only be used when the WP-DBAL drop-in is active', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		try {
+			if (StorageManager::class === $class) {
+				$object = $connection->getNativeConnection();
+
+				if (! $object instanceof StorageManager) {
+					throw new \InvalidArgumentException('Not a FileDB connection.');
+				}
+			} else {
+				$object = new $class($connection);
+			}
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'not_filedb',
+				\__('FileDB tools are only available for the FileDB engine', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		try {
+			$data = $callback($object);
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'invalid_request',
+				$e->getMessage(),
+				[ 'status' => 400 ]
+			);
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'filedb_error',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $data),
+			200
+		);
+	}
+}
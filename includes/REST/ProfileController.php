@@ -0,0 +1,256 @@
+<?php
+
+/**
+ * Connection Profile REST API Controller
+ *
+ * REST API endpoints for saved connection profiles.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\ConnectionProfiles;
+
+/**
+ * Connection profile REST API controller.
+ *
+ * Profiles are tested through /migration/validate, with the profile ID in
+ * the connection parameters.
+ */
+class ProfileController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// List profiles.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/profiles',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getProfiles' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Create or update a profile.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/profiles/save',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'saveProfile' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'id' => [
+						'required' => false,
+						'type' => 'string',
+					],
+					'name' => [
+						'required' => true,
+						'type' => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'engine' => [
+						'required' => true,
+						'type' => 'string',
+						'enum' => ConnectionProfiles::ENGINES,
+					],
+					'connection_params' => [
+						'required' => false,
+						'type' => 'object',
+						'default' => [],
+					],
+				],
+			]
+		);
+
+		// Delete a profile.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/profiles/delete',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'deleteProfile' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'string',
+					],
+				],
+			]
+		);
+
+		// Export the profiles without secrets.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/profiles/export',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'exportProfiles' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Import exported profiles.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/profiles/import',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'importProfiles' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'data' => [
+						'required' => true,
+						'type' => 'object',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * List profiles.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getProfiles(WP_REST_Request $request)
+	{
+		return $this->handle(function (ConnectionProfiles $profiles) {
+			return [ 'profiles' => $profiles->all() ];
+		});
+	}
+
+	/**
+	 * Create or update a profile.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function saveProfile(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$id = $bodyParams['id'] ?? $request->get_param('id');
+		$name = (string) ($bodyParams['name'] ?? $request->get_param('name'));
+		$engine = (string) ($bodyParams['engine'] ?? $request->get_param('engine'));
+		$connectionParams = $bodyParams['connection_params'] ?? $request->get_param('connection_params') ?? [];
+
+		return $this->handle(function (ConnectionProfiles $profiles) use ($id, $name, $engine, $connectionParams) {
+			return [
+				'profile' => $profiles->save(empty($id) ? null : (string) $id, $name, $engine, \is_array($connectionParams) ? $connectionParams : []),
+				'profiles' => $profiles->all(),
+			];
+		});
+	}
+
+	/**
+	 * Delete a profile.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function deleteProfile(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$id = (string) ($bodyParams['id'] ?? $request->get_param('id'));
+
+		return $this->handle(function (ConnectionProfiles $profiles) use ($id) {
+			$profiles->delete($id);
+
+			return [ 'profiles' => $profiles->all() ];
+		});
+	}
+
+	/**
+	 * Export the profiles without secrets.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function exportProfiles(WP_REST_Request $request)
+	{
+		return $this->handle(function (ConnectionProfiles $profiles) {
+			return [ 'export' => $profiles->export() ];
+		});
+	}
+
+	/**
+	 * Import exported profiles.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function importProfiles(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$data = $bodyParams['data'] ?? $request->get_param('data');
+
+		return $this->handle(function (ConnectionProfiles $profiles) use ($data) {
+			return [
+				'imported' => $profiles->import(\is_array($data) ? $data : []),
+				'profiles' => $profiles->all(),
+			];
+		});
+	}
+
+	/**
+	 * Run a profile operation and turn its result into a response.
+	 *
+	 * @param callable $callback Receives the profile store and returns the response data.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function handle(callable $callback)
+	{
+		try {
+			$data = $callback(new ConnectionProfiles());
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'invalid_request',
+				$e->getMessage(),
+				[ 'status' => 400 ]
+			);
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'profile_error',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $data),
+			200
+		);
+	}
+}
@@ -0,0 +1,229 @@
+<?php
+
+/**
+ * Query Failure REST API Controller
+ *
+ * REST API endpoints for the report of failed queries.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\Plugin;
+use WP_DBAL\QueryFailureReport;
+
+/**
+ * Query Failure REST API controller.
+ */
+class QueryFailureController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// Get the failed queries.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-failures',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getFailures' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Switch reporting on or off.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-failures/settings',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'updateSettings' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'enabled' => [
+						'required' => true,
+						'type' => 'boolean',
+					],
+				],
+			]
+		);
+
+		// Mark a failure as known.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-failures/(?P<key>[a-f0-9]{32})/known',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'markKnown' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'known' => [
+						'required' => false,
+						'type' => 'boolean',
+						'default' => true,
+					],
+				],
+			]
+		);
+
+		// Export the failures for a bug report.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-failures/export',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'exportFailures' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Clear the report.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-failures/clear',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'clearFailures' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * Get the failed queries.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function getFailures(WP_REST_Request $request): WP_REST_Response
+	{
+		$report = new QueryFailureReport();
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'enabled' => $report->isEnabled(),
+				'failures' => $report->all(),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Switch reporting on or off.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function updateSettings(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$enabled = (bool) ($bodyParams['enabled'] ?? $request->get_param('enabled'));
+
+		if (! ( new QueryFailureReport() )->setEnabled($enabled)) {
+			return new WP_Error(
+				'settings_failed',
+				\__('Could not save the report settings. Check that wp-content is writable.', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'enabled' => $enabled,
+			],
+			200
+		);
+	}
+
+	/**
+	 * Mark a failure as known, or as unknown again.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function markKnown(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$known = (bool) ($bodyParams['known'] ?? $request->get_param('known'));
+
+		if (! ( new QueryFailureReport() )->markKnown((string) $request->get_param('key'), $known)) {
+			return new WP_Error(
+				'failure_not_found',
+				\__('Failure not found', 'wp-dbal'),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return new WP_REST_Response([ 'success' => true ], 200);
+	}
+
+	/**
+	 * Export the failures with the environment they happened in.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function exportFailures(WP_REST_Request $request): WP_REST_Response
+	{
+		global $wpdb;
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'report' => [
+					'generated_at' => \gmdate('c'),
+					'plugin_version' => WP_DBAL_VERSION,
+					'wordpress_version' => \get_bloginfo('version'),
+					'php_version' => PHP_VERSION,
+					'db_engine' => Plugin::getInstance()->getDbEngine(),
+					'db_server' => \method_exists($wpdb, 'db_server_info') ? $wpdb->db_server_info() : '',
+					'failures' => ( new QueryFailureReport() )->all(),
+				],
+			],
+			200
+		);
+	}
+
+	/**
+	 * Clear the report.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function clearFailures(WP_REST_Request $request): WP_REST_Response
+	{
+		( new QueryFailureReport() )->clear();
+
+		return new WP_REST_Response([ 'success' => true ], 200);
+	}
+}
@@ -0,0 +1,178 @@
+<?php
+
+/**
+ * Query Lab REST API Controller
+ *
+ * REST API endpoints for inspecting how queries are translated.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\WP_DBAL_DB;
+use WP_DBAL\Translator\QueryLab;
+
+/**
+ * Query Lab REST API controller.
+ */
+class QueryLabController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// Translate a query for every engine.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-lab/translate',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'translate' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'query' => [
+						'required' => true,
+						'type' => 'string',
+					],
+				],
+			]
+		);
+
+		// Run a SELECT query on the current database.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-lab/run',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'run' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'query' => [
+						'required' => true,
+						'type' => 'string',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * Translate a query for every engine.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function translate(WP_REST_Request $request)
+	{
+		$query = $this->getQuery($request);
+
+		if ('' === $query) {
+			return new WP_Error(
+				'missing_query',
+				\__('Enter a query to translate', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$queryLab = new QueryLab();
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $queryLab->translate($query)),
+			200
+		);
+	}
+
+	/**
+	 * Run a SELECT query on the current database.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run(WP_REST_Request $request)
+	{
+		global $wpdb;
+
+		$query = $this->getQuery($request);
+
+		if ('' === $query) {
+			return new WP_Error(
+				'missing_query',
+				\__('Enter a query to run', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$connection = $wpdb instanceof WP_DBAL_DB ? $wpdb->getDbalConnection() : null;
+
+		if (null === $connection) {
+			return new WP_Error(
+				'no_connection',
+				\__('Queries can only be run when the WP-DBAL drop-in is active', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$queryLab = new QueryLab();
+
+		try {
+			$result = $queryLab->run($connection, $query);
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'query_not_allowed',
+				\__('Only a single SELECT query without INTO or locking clauses, that translates to a single statement, can be run', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'query_failed',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $result),
+			200
+		);
+	}
+
+	/**
+	 * Read the query from the request.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return string Trimmed query.
+	 */
+	private function getQuery(WP_REST_Request $request): string
+	{
+		$bodyParams = $request->get_json_params();
+
+		return \trim((string) ($bodyParams['query'] ?? $request->get_param('query')));
+	}
+}
@@ -0,0 +1,242 @@
+<?php
+
+/**
+ * Query Log REST API Controller
+ *
+ * REST API endpoints for capturing and reading the query log.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\QueryLog;
+
+/**
+ * Query Log REST API controller.
+ */
+class QueryLogController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// Get the log and capture settings.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-log',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getLog' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Start or stop capturing.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-log/capture',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'capture' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'mode' => [
+						'required' => true,
+						'type' => 'string',
+						'enum' => [ 'minutes', 'request', 'off' ],
+					],
+					'minutes' => [
+						'required' => false,
+						'type' => 'integer',
+						'default' => 5,
+						'minimum' => 1,
+						'maximum' => 1440,
+					],
+				],
+			]
+		);
+
+		// Update the slow query threshold.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-log/settings',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'updateSettings' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'slow_threshold' => [
+						'required' => true,
+						'type' => 'number',
+						'minimum' => 0,
+					],
+				],
+			]
+		);
+
+		// Clear the log.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/query-log/clear',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'clearLog' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * Get the log and capture settings.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function getLog(WP_REST_Request $request): WP_REST_Response
+	{
+		$queryLog = new QueryLog();
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'capture' => $this->getCaptureStatus($queryLog),
+				'entries' => \array_reverse($queryLog->getEntries()),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Start or stop capturing.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function capture(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$mode = $bodyParams['mode'] ?? $request->get_param('mode');
+		$minutes = (int) ($bodyParams['minutes'] ?? $request->get_param('minutes'));
+
+		$queryLog = new QueryLog();
+
+		switch ($mode) {
+			case 'minutes':
+				$saved = $queryLog->captureFor($minutes);
+				break;
+
+			case 'request':
+				$saved = null !== $queryLog->createRequestToken();
+				break;
+
+			default:
+				$saved = $queryLog->stop();
+		}
+
+		if (! $saved) {
+			return new WP_Error(
+				'capture_failed',
+				\__('Could not save the capture settings. Check that wp-content is writable.', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'capture' => $this->getCaptureStatus($queryLog),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Update the slow query threshold.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function updateSettings(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$threshold = (float) ($bodyParams['slow_threshold'] ?? $request->get_param('slow_threshold'));
+
+		$queryLog = new QueryLog();
+
+		if (! $queryLog->setSlowThreshold($threshold)) {
+			return new WP_Error(
+				'settings_failed',
+				\__('Could not save the capture settings. Check that wp-content is writable.', 'wp-dbal'),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			[
+				'success' => true,
+				'capture' => $this->getCaptureStatus($queryLog),
+			],
+			200
+		);
+	}
+
+	/**
+	 * Clear the log.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function clearLog(WP_REST_Request $request): WP_REST_Response
+	{
+		( new QueryLog() )->clear();
+
+		return new WP_REST_Response([ 'success' => true ], 200);
+	}
+
+	/**
+	 * Describe the capture settings for the admin.
+	 *
+	 * @param QueryLog $queryLog Query log.
+	 * @return array<string, mixed> Capture status.
+	 */
+	private function getCaptureStatus(QueryLog $queryLog): array
+	{
+		$settings = $queryLog->getSettings();
+		$hasToken = null !== $settings['request_token'] && $settings['request_token_expires'] > \time();
+
+		return [
+			'until' => $settings['until'] > \time() ? $settings['until'] : null,
+			'request_url' => $hasToken ? \add_query_arg(QueryLog::REQUEST_PARAM, $settings['request_token'], \home_url('/')) : null,
+			'request_expires' => $hasToken ? $settings['request_token_expires'] : null,
+			'slow_threshold' => $settings['slow_threshold'],
+			'max_entries' => QueryLog::MAX_ENTRIES,
+		];
+	}
+}
@@ -0,0 +1,236 @@
+<?php
+
+/**
+ * SQLite REST API Controller
+ *
+ * REST API endpoints for SQLite maintenance.
+ *
+ * @package WP_DBAL\REST
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\REST;
+
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WP_DBAL\SQLiteMaintenance;
+use WP_DBAL\WP_DBAL_DB;
+
+/**
+ * SQLite REST API controller.
+ */
+class SQLiteController
+{
+	/**
+	 * REST API namespace.
+	 *
+	 * @var string
+	 */
+	private const NAMESPACE = 'wp-dbal/v1';
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function registerRoutes(): void
+	{
+		// Get size statistics.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/sqlite/stats',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'getStats' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Run an integrity check.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/sqlite/integrity',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'checkIntegrity' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'quick' => [
+						'required' => false,
+						'type' => 'boolean',
+						'default' => false,
+					],
+				],
+			]
+		);
+
+		// Run VACUUM, ANALYZE or PRAGMA optimize.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/sqlite/(?P<command>vacuum|analyze|optimize)',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'runCommand' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+			]
+		);
+
+		// Change the journal mode.
+		\register_rest_route(
+			self::NAMESPACE,
+			'/sqlite/journal-mode',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'setJournalMode' ],
+				'permission_callback' => [ $this, 'permissionCheck' ],
+				'args' => [
+					'mode' => [
+						'required' => true,
+						'type' => 'string',
+						'enum' => SQLiteMaintenance::JOURNAL_MODES,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Permission check callback.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function permissionCheck(WP_REST_Request $request): bool
+	{
+		return \current_user_can('manage_options');
+	}
+
+	/**
+	 * Get size statistics.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getStats(WP_REST_Request $request)
+	{
+		return $this->handle(function (SQLiteMaintenance $maintenance) {
+			return [ 'stats' => $maintenance->getStats() ];
+		});
+	}
+
+	/**
+	 * Run an integrity check.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function checkIntegrity(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$quick = (bool) ($bodyParams['quick'] ?? $request->get_param('quick'));
+
+		return $this->handle(function (SQLiteMaintenance $maintenance) use ($quick) {
+			return [ 'result' => $maintenance->checkIntegrity($quick) ];
+		});
+	}
+
+	/**
+	 * Run VACUUM, ANALYZE or PRAGMA optimize.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function runCommand(WP_REST_Request $request)
+	{
+		$command = (string) $request->get_param('command');
+
+		return $this->handle(function (SQLiteMaintenance $maintenance) use ($command) {
+			switch ($command) {
+				case 'vacuum':
+					return [ 'result' => $maintenance->vacuum() ];
+
+				case 'analyze':
+					return [ 'result' => $maintenance->analyze() ];
+
+				default:
+					return [ 'result' => $maintenance->optimize() ];
+			}
+		});
+	}
+
+	/**
+	 * Change the journal mode.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function setJournalMode(WP_REST_Request $request)
+	{
+		$bodyParams = $request->get_json_params();
+		$mode = (string) ($bodyParams['mode'] ?? $request->get_param('mode'));
+
+		return $this->handle(function (SQLiteMaintenance $maintenance) use ($mode) {
+			return [ 'journal_mode' => $maintenance->setJournalMode($mode) ];
+		});
+	}
+
+	/**
+	 * Run a maintenance operation and turn its result into a response.
+	 *
+	 * @param callable $callback Receives the maintenance object and returns the response data.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function handle(callable $callback)
+	{
+		global $wpdb;
+
+		$connection = $wpdb instanceof WP_DBAL_DB ? $wpdb->getDbalConnection() : null;
+
+		if (null === $connection) {
+			return new WP_Error(
+				'no_connection',
+				\__('SQLite maintenance can only be used when the WP-DBAL drop-in is active', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		try {
+			$maintenance = new SQLiteMaintenance($connection);
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'not_sqlite',
+				\__('SQLite maintenance is only available for the SQLite engine', 'wp-dbal'),
+				[ 'status' => 400 ]
+			);
+		}
+
+		try {
+			$data = $callback($maintenance);
+		} catch (\InvalidArgumentException $e) {
+			return new WP_Error(
+				'invalid_request',
+				$e->getMessage(),
+				[ 'status' => 400 ]
+			);
+		} catch (\RuntimeException $e) {
+			return new WP_Error(
+				'sqlite_busy',
+				$e->getMessage(),
+				[ 'status' => 409 ]
+			);
+		} catch (\Exception $e) {
+			return new WP_Error(
+				'sqlite_error',
+				$e->getMessage(),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return new WP_REST_Response(
+			\array_merge([ 'success' => true ], $data),
+			200
+		);
+	}
+}
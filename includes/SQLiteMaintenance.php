@@ -0,0 +1,255 @@
+<?php
+
+/**
+ * SQLite Maintenance
+ *
+ * Size statistics and maintenance commands for SQLite databases.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+use Doctrine\DBAL\Connection;
+
+/**
+ * SQLite Maintenance class.
+ *
+ * Commands run on the DBAL connection directly, so they are not translated
+ * like the queries WordPress runs.
+ */
+class SQLiteMaintenance
+{
+	/**
+	 * Maximum number of problems an integrity check reports.
+	 *
+	 * @var int
+	 */
+	public const MAX_INTEGRITY_ERRORS = 100;
+
+	/**
+	 * Journal modes that can be chosen.
+	 *
+	 * @var array<int, string>
+	 */
+	public const JOURNAL_MODES = [ 'wal', 'delete' ];
+
+	/**
+	 * DBAL connection to the SQLite database.
+	 *
+	 * @var Connection
+	 */
+	private Connection $connection;
+
+	/**
+	 * Path of the database file.
+	 *
+	 * @var string
+	 */
+	private string $path;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Connection $connection DBAL connection using the pdo_sqlite driver.
+	 * @throws \InvalidArgumentException If the connection is not a SQLite file connection.
+	 */
+	public function __construct(Connection $connection)
+	{
+		$params = $connection->getParams();
+
+		if ('pdo_sqlite' !== ($params['driver'] ?? null) || empty($params['path'])) {
+			throw new \InvalidArgumentException(\__('SQLite maintenance only works with SQLite database files.', 'wp-dbal'));
+		}
+
+		$this->connection = $connection;
+		$this->path = $params['path'];
+	}
+
+	/**
+	 * Get size statistics.
+	 *
+	 * Table sizes come from the dbstat virtual table, which is only available
+	 * when SQLite was compiled with it.
+	 *
+	 * @return array<string, mixed> Statistics.
+	 */
+	public function getStats(): array
+	{
+		\clearstatcache();
+
+		$pageSize = (int) $this->connection->fetchOne('PRAGMA page_size');
+		$freelistCount = (int) $this->connection->fetchOne('PRAGMA freelist_count');
+		$sizes = $this->getTableSizes();
+
+		$tables = [];
+		foreach ($this->connection->fetchFirstColumn("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name") as $table) {
+			$tables[] = [
+				'name' => $table,
+				'rows' => (int) $this->connection->fetchOne('SELECT COUNT(*) FROM ' . $this->connection->quoteIdentifier($table)),
+				'size' => $sizes[$table] ?? null,
+			];
+		}
+
+		return [
+			'path' => $this->path,
+			'file_size' => \file_exists($this->path) ? (int) \filesize($this->path) : 0,
+			'wal_size' => \file_exists($this->path . '-wal') ? (int) \filesize($this->path . '-wal') : 0,
+			'page_size' => $pageSize,
+			'page_count' => (int) $this->connection->fetchOne('PRAGMA page_count'),
+			'freelist_count' => $freelistCount,
+			'freelist_size' => $freelistCount * $pageSize,
+			'journal_mode' => $this->getJournalMode(),
+			'sqlite_version' => (string) $this->connection->fetchOne('SELECT sqlite_version()'),
+			'dbstat' => null !== $sizes,
+			'tables' => $tables,
+		];
+	}
+
+	/**
+	 * Run an integrity check.
+	 *
+	 * @param bool $quick Run quick_check, which skips checking that indexes match their tables.
+	 * @return array{ok: bool, errors: array<int, string>, time: float} Result.
+	 */
+	public function checkIntegrity(bool $quick = false): array
+	{
+		$start = \microtime(true);
+		$messages = $this->connection->fetchFirstColumn(
+			\sprintf('PRAGMA %s(%d)', $quick ? 'quick_check' : 'integrity_check', self::MAX_INTEGRITY_ERRORS)
+		);
+		$ok = [ 'ok' ] === $messages;
+
+		return [
+			'ok' => $ok,
+			'errors' => $ok ? [] : \array_map('strval', $messages),
+			'time' => \microtime(true) - $start,
+		];
+	}
+
+	/**
+	 * Rebuild the database file, returning free pages to the file system.
+	 *
+	 * @return array{size_before: int, size_after: int, time: float} Result.
+	 */
+	public function vacuum(): array
+	{
+		\clearstatcache();
+		$sizeBefore = (int) \filesize($this->path);
+
+		$time = $this->run('VACUUM');
+
+		\clearstatcache();
+
+		return [
+			'size_before' => $sizeBefore,
+			'size_after' => (int) \filesize($this->path),
+			'time' => $time,
+		];
+	}
+
+	/**
+	 * Gather statistics for the query planner.
+	 *
+	 * @return array{time: float} Result.
+	 */
+	public function analyze(): array
+	{
+		return [ 'time' => $this->run('ANALYZE') ];
+	}
+
+	/**
+	 * Let SQLite run the optimizations it considers worthwhile.
+	 *
+	 * @return array{time: float} Result.
+	 */
+	public function optimize(): array
+	{
+		return [ 'time' => $this->run('PRAGMA optimize') ];
+	}
+
+	/**
+	 * Get the journal mode.
+	 *
+	 * @return string Journal mode, in lowercase.
+	 */
+	public function getJournalMode(): string
+	{
+		return \strtolower((string) $this->connection->fetchOne('PRAGMA journal_mode'));
+	}
+
+	/**
+	 * Change the journal mode.
+	 *
+	 * The mode is stored in the database file for WAL, so it applies to
+	 * every connection.
+	 *
+	 * @param string $mode "wal" or "delete".
+	 * @return string The journal mode now in use.
+	 * @throws \InvalidArgumentException If the mode is not supported.
+	 * @throws \RuntimeException If SQLite kept the previous mode, usually because another connection holds a lock.
+	 */
+	public function setJournalMode(string $mode): string
+	{
+		$mode = \strtolower($mode);
+
+		if (! \in_array($mode, self::JOURNAL_MODES, true)) {
+			throw new \InvalidArgumentException(\sprintf(
+				/* translators: %s: Journal mode. */
+				\__('Unsupported journal mode "%s".', 'wp-dbal'),
+				$mode
+			));
+		}
+
+		$result = \strtolower((string) $this->connection->fetchOne('PRAGMA journal_mode = ' . \strtoupper($mode)));
+
+		if ($result !== $mode) {
+			throw new \RuntimeException(\sprintf(
+				/* translators: %s: Journal mode. */
+				\__('The journal mode is still "%s". Another request may be using the database; try again.', 'wp-dbal'),
+				$result
+			));
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the size of each table, including its indexes.
+	 *
+	 * @return array<string, int>|null Sizes in bytes by table, or null if dbstat is not available.
+	 */
+	private function getTableSizes(): ?array
+	{
+		try {
+			$rows = $this->connection->fetchAllAssociative(
+				'SELECT m.tbl_name AS name, SUM(s.pgsize) AS size FROM dbstat s JOIN sqlite_master m ON m.name = s.name GROUP BY m.tbl_name'
+			);
+		} catch (\Exception $e) {
+			return null;
+		}
+
+		$sizes = [];
+		foreach ($rows as $row) {
+			$sizes[$row['name']] = (int) $row['size'];
+		}
+
+		return $sizes;
+	}
+
+	/**
+	 * Run a statement and time it.
+	 *
+	 * @param string $sql Statement.
+	 * @return float Seconds taken.
+	 */
+	private function run(string $sql): float
+	{
+		$start = \microtime(true);
+		$this->connection->executeStatement($sql);
+
+		return \microtime(true) - $start;
+	}
+}
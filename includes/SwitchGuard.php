@@ -0,0 +1,225 @@
+<?php
+
+/**
+ * Switch Guard
+ *
+ * Rolls back a database configuration change that leaves the site broken.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+/**
+ * Switch Guard class.
+ *
+ * A pending switch is recorded in a state file in wp-content. The drop-in checks
+ * it before connecting: if the new database can't be reached, the backup of
+ * wp-config.php is restored. The switch is confirmed by the first request that
+ * boots WordPress on the new configuration, or by the first request after the
+ * deadline that connects, so a quiet site isn't rolled back for lack of traffic.
+ * Parts of this class run before WordPress is loaded, so they must not use
+ * WordPress functions.
+ */
+class SwitchGuard
+{
+	/**
+	 * Seconds the site has to come back healthy after a switch.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_TIMEOUT = 60;
+
+	/**
+	 * State file name. It is a PHP file that exits, so it can't be read over HTTP.
+	 *
+	 * @var string
+	 */
+	private const FILE_NAME = 'wp-dbal-switch.php';
+
+	/**
+	 * State file path.
+	 *
+	 * @var string
+	 */
+	private string $file;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string|null $file State file path (defaults to wp-content/wp-dbal-switch.php).
+	 */
+	public function __construct(?string $file = null)
+	{
+		$contentDir = \defined('WP_CONTENT_DIR') ? WP_CONTENT_DIR : ABSPATH . 'wp-content';
+		$this->file = $file ?? $contentDir . '/' . self::FILE_NAME;
+	}
+
+	/**
+	 * Start guarding a configuration change.
+	 *
+	 * Must be called right after the new wp-config.php was written.
+	 *
+	 * @param string $configPath Path to wp-config.php.
+	 * @param string $backupPath Path to the backup of the previous wp-config.php.
+	 * @param string $targetEngine Database engine switched to.
+	 * @param int $timeout Seconds the site has to come back healthy.
+	 * @return string|null Token for the health endpoint, or null if the state couldn't be saved.
+	 */
+	public function begin(string $configPath, string $backupPath, string $targetEngine, int $timeout = self::DEFAULT_TIMEOUT): ?string
+	{
+		$token = \bin2hex(\random_bytes(16));
+
+		$saved = $this->write([
+			'status' => 'pending',
+			'token' => $token,
+			'config_path' => $configPath,
+			'backup_path' => $backupPath,
+			'target_engine' => $targetEngine,
+			'started_at' => \microtime(true),
+			'deadline' => \time() + $timeout,
+			'error' => null,
+		]);
+
+		return $saved ? $token : null;
+	}
+
+	/**
+	 * Get the state of the last switch.
+	 *
+	 * @return array<string, mixed>|null State, or null if no switch is recorded.
+	 */
+	public function getState(): ?array
+	{
+		if (! \file_exists($this->file)) {
+			return null;
+		}
+
+		$content = (string) \file_get_contents($this->file);
+		$state = \json_decode(\substr($content, (int) \strpos($content, "\n") + 1), true);
+
+		return \is_array($state) ? $state : null;
+	}
+
+	/**
+	 * Get the state of the last switch, if it was started with the given token.
+	 *
+	 * @param string $token Token returned by begin().
+	 * @return array<string, mixed>|null State, or null if no switch with this token is recorded.
+	 */
+	public function getStateForToken(string $token): ?array
+	{
+		$state = $this->getState();
+		if (! $state || ! \hash_equals((string) $state['token'], $token)) {
+			return null;
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Roll back a pending switch that can't connect to the new database.
+	 *
+	 * Called by the drop-in before the database connection is set up. A switch
+	 * that still connects after its deadline is confirmed instead.
+	 *
+	 * @param WP_DBAL_DB $wpdb Database instance for the configuration being checked.
+	 * @return bool Whether wp-config.php was rolled back.
+	 */
+	public function check(WP_DBAL_DB $wpdb): bool
+	{
+		$state = $this->getState();
+		if (! $state || 'pending' !== $state['status']) {
+			return false;
+		}
+
+		if (! $wpdb->db_connect(false)) {
+			return $this->rollback($state, 'Could not connect to the new database: ' . $wpdb->last_error);
+		}
+
+		if (\time() > $state['deadline']) {
+			$state['status'] = 'confirmed';
+			$this->write($state);
+		}
+
+		return false;
+	}
+
+	/**
+	 * Confirm a pending switch once WordPress has booted on the new configuration.
+	 *
+	 * @return void
+	 */
+	public function confirm(): void
+	{
+		$state = $this->getState();
+		if (! $state || 'pending' !== $state['status']) {
+			return;
+		}
+
+		// Requests that started before the switch may still run on the old configuration.
+		if ((float) ($_SERVER['REQUEST_TIME_FLOAT'] ?? 0) <= $state['started_at']) {
+			return;
+		}
+
+		$state['status'] = 'confirmed';
+		$this->write($state);
+	}
+
+	/**
+	 * Forget the last switch.
+	 *
+	 * @return void
+	 */
+	public function clear(): void
+	{
+		if (\file_exists($this->file)) {
+			\unlink($this->file);
+		}
+	}
+
+	/**
+	 * Restore the previous wp-config.php.
+	 *
+	 * @param array<string, mixed> $state Switch state.
+	 * @param string $error Why the switch is rolled back.
+	 * @return bool Always true, the switch is no longer pending.
+	 */
+	private function rollback(array $state, string $error): bool
+	{
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- a failure is recorded below
+		if (! @\copy($state['backup_path'], $state['config_path'])) {
+			$error .= ' Restoring the previous wp-config.php failed as well; restore ' . \basename($state['backup_path']) . ' manually.';
+		} elseif (\function_exists('opcache_invalidate')) {
+			\opcache_invalidate($state['config_path'], true);
+		}
+
+		$state['status'] = 'rolled_back';
+		$state['error'] = $error;
+		$this->write($state);
+
+		return true;
+	}
+
+	/**
+	 * Save the state.
+	 *
+	 * Written to a temporary file first, so a concurrent request never reads half a state.
+	 *
+	 * @param array<string, mixed> $state Switch state.
+	 * @return bool True on success, false on failure.
+	 */
+	private function write(array $state): bool
+	{
+		$content = "<?php exit; ?>\n" . \json_encode($state);
+		$temp = $this->file . '.tmp';
+
+		if (false === \file_put_contents($temp, $content, LOCK_EX)) {
+			return false;
+		}
+
+		return \rename($temp, $this->file);
+	}
+}
@@ -31,6 +31,20 @@ class FunctionMapper
 	 */
 	protected string $platform;
 
+	/**
+	 * Whether translated functions are recorded. Only the Query Lab turns this on.
+	 *
+	 * @var bool
+	 */
+	protected bool $recordMappings = false;
+
+	/**
+	 * MySQL functions translated since recording started, for inspecting translations.
+	 *
+	 * @var array<int, string>
+	 */
+	protected array $appliedMappings = [];
+
 	/**
 	 * SQLite-compatible function mappings (shared between sqlite and d1).
 	 *
@@ -303,33 +317,33 @@ class FunctionMapper
 
 		// Handle CONCAT specially first (needs proper parentheses matching).
 		if (\in_array($this->platform, ['sqlite', 'd1'], true) && \preg_match('/\bCONCAT\s*\(/i', $result)) {
-			$result = $this->translateConcat($result);
+			$result = $this->recordIfChanged('CONCAT()', $result, $this->translateConcat($result));
 		}
 
 		// Handle CONCAT_WS specially (needs proper parentheses matching).
 		if (\in_array($this->platform, ['sqlite', 'd1'], true) && \preg_match('/\bCONCAT_WS\s*\(/i', $result)) {
-			$result = $this->translateConcatWs($result);
+			$result = $this->recordIfChanged('CONCAT_WS()', $result, $this->translateConcatWs($result));
 		}
 
 		// Handle date extraction functions (YEAR, MONTH, DAY, DAYOFMONTH) with proper parentheses matching.
 		// These need special handling because they may contain nested functions.
 		if (\in_array($this->platform, ['sqlite', 'd1'], true)) {
-			$result = $this->translateDateExtract($result, 'YEAR', '%Y');
-			$result = $this->translateDateExtract($result, 'MONTH', '%m');
-			$result = $this->translateDateExtract($result, 'DAYOFMONTH', '%d');
-			$result = $this->translateDateExtract($result, 'DAY', '%d');
+			$result = $this->recordIfChanged('YEAR()', $result, $this->translateDateExtract($result, 'YEAR', '%Y'));
+			$result = $this->recordIfChanged('MONTH()', $result, $this->translateDateExtract($result, 'MONTH', '%m'));
+			$result = $this->recordIfChanged('DAYOFMONTH()', $result, $this->translateDateExtract($result, 'DAYOFMONTH', '%d'));
+			$result = $this->recordIfChanged('DAY()', $result, $this->translateDateExtract($result, 'DAY', '%d'));
 		}
 
 		// Handle LIKE escape sequences for SQLite and D1 (SQLite-based).
 		// MySQL uses \_ and \% by default, SQLite needs ESCAPE clause.
 		if (\in_array($this->platform, ['sqlite', 'd1'], true)) {
-			$result = $this->translateLikeEscapes($result);
+			$result = $this->recordIfChanged('LIKE escapes', $result, $this->translateLikeEscapes($result));
 		}
 
 		// Apply simple replacements.
 		$mappings = self::$mappings[ $this->platform ] ?? [];
 		foreach ($mappings as $mysql => $replacement) {
-			$result = \str_ireplace($mysql, $replacement, $result);
+			$result = $this->recordIfChanged($mysql, $result, \str_ireplace($mysql, $replacement, $result));
 		}
 
 		// Apply pattern-based replacements.
@@ -355,18 +369,85 @@ class FunctionMapper
 
 			if (\is_string($replacement) && \str_starts_with($replacement, 'sqlite')) {
 				// Special handler method.
-				$result = $this->applySpecialHandler($result, $pattern, $replacement);
+				$translated = $this->applySpecialHandler($result, $pattern, $replacement);
 			} elseif (\is_string($replacement) && \str_starts_with($replacement, 'pgsql')) {
 				// Special handler method.
-				$result = $this->applySpecialHandler($result, $pattern, $replacement);
+				$translated = $this->applySpecialHandler($result, $pattern, $replacement);
 			} else {
-				$result = \preg_replace($pattern, $replacement, $result) ?? $result;
+				$translated = \preg_replace($pattern, $replacement, $result) ?? $result;
 			}
+
+			$result = $this->recordIfChanged($this->getPatternName($pattern), $result, $translated);
 		}
 
 		return $result;
 	}
 
+	/**
+	 * Start or stop recording the translated functions.
+	 *
+	 * @param bool $record Whether to record them.
+	 * @return void
+	 */
+	public function recordMappings(bool $record = true): void
+	{
+		$this->recordMappings  = $record;
+		$this->appliedMappings = [];
+	}
+
+	/**
+	 * Get the MySQL functions translated since recording started.
+	 *
+	 * @return array<int, string> Function names, e.g. "IFNULL()".
+	 */
+	public function getAppliedMappings(): array
+	{
+		return $this->appliedMappings;
+	}
+
+	/**
+	 * Forget the translated functions.
+	 *
+	 * @return void
+	 */
+	public function resetAppliedMappings(): void
+	{
+		$this->appliedMappings = [];
+	}
+
+	/**
+	 * Record a mapping if it changed the expression and recording is on.
+	 *
+	 * @param string $name   Mapping name.
+	 * @param string $before Expression before the mapping.
+	 * @param string $after  Expression after the mapping.
+	 * @return string The expression after the mapping.
+	 */
+	protected function recordIfChanged(string $name, string $before, string $after): string
+	{
+		if ($this->recordMappings && $before !== $after && ! \in_array($name, $this->appliedMappings, true)) {
+			$this->appliedMappings[] = $name;
+		}
+
+		return $after;
+	}
+
+	/**
+	 * Get the function name a regex pattern translates.
+	 *
+	 * @param string $pattern The regex pattern.
+	 * @return string Function name, e.g. "IFNULL()".
+	 */
+	protected function getPatternName(string $pattern): string
+	{
+		if (! \preg_match('/\\b([A-Z_]+)/', $pattern, $matches)) {
+			return $pattern;
+		}
+
+		// Patterns like BINARY match a keyword, not a function call.
+		return \str_contains($pattern, $matches[1] . '\s*\(') ? $matches[1] . '()' : $matches[1];
+	}
+
 	/**
 	 * Apply special handler for complex function translations.
 	 *
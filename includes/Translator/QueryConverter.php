@@ -82,6 +82,26 @@ class QueryConverter
 		};
 	}
 
+	/**
+	 * Start recording the MySQL functions translated by convert().
+	 *
+	 * @return void
+	 */
+	public function recordMappings(): void
+	{
+		$this->functionMapper->recordMappings();
+	}
+
+	/**
+	 * Get the MySQL functions translated since recording started.
+	 *
+	 * @return array<int, string> Function names, e.g. "IFNULL()".
+	 */
+	public function getAppliedMappings(): array
+	{
+		return $this->functionMapper->getAppliedMappings();
+	}
+
 	/**
 	 * Convert SELECT statement, handling UNION if present.
 	 *
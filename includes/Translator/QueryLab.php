@@ -0,0 +1,277 @@
+<?php
+
+/**
+ * Query Lab - Inspects how MySQL queries are translated for each engine.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Translator;
+
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+use Doctrine\DBAL\Platforms\AbstractMySQLPlatform;
+use Doctrine\DBAL\Platforms\SQLitePlatform;
+use PhpMyAdmin\SqlParser\Lexer;
+use PhpMyAdmin\SqlParser\Parser;
+use PhpMyAdmin\SqlParser\Statements\SelectStatement;
+use WP_DBAL\FileDB\Platform\FileDBPlatform;
+
+/**
+ * Translates a query for every supported engine and runs read-only queries.
+ */
+class QueryLab
+{
+	/**
+	 * Maximum number of rows returned by run().
+	 *
+	 * @var int
+	 */
+	public const MAX_ROWS = 200;
+
+	/**
+	 * Maximum depth of the exported parse tree.
+	 *
+	 * @var int
+	 */
+	private const MAX_TREE_DEPTH = 12;
+
+	/**
+	 * Connection parameters per engine.
+	 *
+	 * None of these connections is ever opened: translating only needs the
+	 * platform, and the server versions are given so DBAL doesn't ask a server.
+	 *
+	 * @var array<string, array<string, mixed>>
+	 */
+	private const ENGINES = [
+		'mysql'  => [
+			'driver'        => 'pdo_mysql',
+			'serverVersion' => '8.0.0',
+		],
+		'pgsql'  => [
+			'driver'        => 'pdo_pgsql',
+			'serverVersion' => '16.0',
+		],
+		'sqlite' => [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		],
+		'd1'     => [
+			'driverClass' => \WP_DBAL\D1\Driver::class,
+		],
+		'filedb' => [
+			'driverClass' => \WP_DBAL\FileDB\Driver::class,
+		],
+	];
+
+	/**
+	 * Parse a MySQL query and translate it for every engine.
+	 *
+	 * @param string $query The MySQL query.
+	 * @return array{statements: array<int, mixed>, errors: array<int, array<string, mixed>>, translations: array<string, array<string, mixed>>}
+	 */
+	public function translate(string $query): array
+	{
+		$lexer  = new Lexer($query);
+		$parser = new Parser($lexer->list);
+
+		$errors = [];
+		foreach ($lexer->errors as $error) {
+			$errors[] = [
+				'source'   => 'lexer',
+				'message'  => $error->getMessage(),
+				'position' => $error->pos,
+			];
+		}
+		foreach ($parser->errors as $error) {
+			$errors[] = [
+				'source'   => 'parser',
+				'message'  => $error->getMessage(),
+				'token'    => $error->token?->token,
+				'position' => $error->token?->position,
+			];
+		}
+
+		$translations = [];
+		foreach (self::ENGINES as $engine => $params) {
+			try {
+				$converter = new QueryConverter(DriverManager::getConnection($params));
+				$converter->recordMappings();
+				$converted = $converter->convert($query);
+
+				$translations[$engine] = [
+					'sql'      => \is_array($converted) ? $converted : [$converted],
+					'mappings' => $converter->getAppliedMappings(),
+					'error'    => null,
+				];
+			} catch (\Throwable $e) {
+				$translations[$engine] = [
+					'sql'      => [],
+					'mappings' => [],
+					'error'    => $e->getMessage(),
+				];
+			}
+		}
+
+		return [
+			'statements'   => \array_map(fn($statement) => $this->exportNode($statement), $parser->statements),
+			'errors'       => $errors,
+			'translations' => $translations,
+		];
+	}
+
+	/**
+	 * Translate and run a read-only SELECT query.
+	 *
+	 * @param Connection $connection Connection to run the query on.
+	 * @param string     $query      The MySQL query.
+	 * @return array{sql: string, columns: array<int, string>, rows: array<int, array<string, mixed>>, truncated: bool, time: float}
+	 * @throws \InvalidArgumentException If the query is not a single plain SELECT, or its translation isn't a single statement.
+	 */
+	public function run(Connection $connection, string $query): array
+	{
+		$parser    = new Parser($query);
+		$statement = $parser->statements[0] ?? null;
+
+		if (1 !== \count($parser->statements) || ! $statement instanceof SelectStatement || ! empty($parser->errors)) {
+			throw new \InvalidArgumentException('Only a single, valid SELECT statement can be run.');
+		}
+
+		// SELECT ... INTO writes files or variables, locking reads block other writers.
+		if (
+			! empty($statement->into) ||
+			(null !== $statement->end_options && ($statement->end_options->has('FOR UPDATE') || $statement->end_options->has('LOCK IN SHARE MODE')))
+		) {
+			throw new \InvalidArgumentException('SELECT ... INTO and locking reads are not allowed.');
+		}
+
+		$converter = new QueryConverter($connection);
+		$sql       = $converter->convert($query);
+
+		if (\is_array($sql)) {
+			if (1 !== \count($sql)) {
+				throw new \InvalidArgumentException('The query translates to more than one statement.');
+			}
+			$sql = $sql[0];
+		}
+
+		$start = \microtime(true);
+		[$rows, $truncated] = $this->readOnly($connection, fn() => $this->fetchRows($connection, $sql));
+
+		return [
+			'sql'       => $sql,
+			'columns'   => $rows ? \array_keys($rows[0]) : [],
+			'rows'      => $rows,
+			'truncated' => $truncated,
+			'time'      => \round((\microtime(true) - $start) * 1000, 2),
+		];
+	}
+
+	/**
+	 * Fetch up to MAX_ROWS rows of a query.
+	 *
+	 * @param Connection $connection Connection to run the query on.
+	 * @param string     $sql        The translated query.
+	 * @return array{0: array<int, array<string, mixed>>, 1: bool} Rows, and whether more rows were left out.
+	 */
+	private function fetchRows(Connection $connection, string $sql): array
+	{
+		$result = $connection->executeQuery($sql);
+
+		$rows      = [];
+		$truncated = false;
+		while (false !== ($row = $result->fetchAssociative())) {
+			if (\count($rows) >= self::MAX_ROWS) {
+				$truncated = true;
+				break;
+			}
+			$rows[] = $row;
+		}
+		$result->free();
+
+		return [$rows, $truncated];
+	}
+
+	/**
+	 * Run a callback with the connection set to refuse writes.
+	 *
+	 * The SELECT check can't see what a translated function does, so MySQL and
+	 * PostgreSQL run the query in a read-only transaction that is always rolled
+	 * back, and SQLite turns on query_only. D1 and FileDB have no transactions
+	 * and rely on the SELECT check alone.
+	 *
+	 * @param Connection $connection Connection to run the query on.
+	 * @param callable   $callback   Runs the query.
+	 * @return mixed The callback's result.
+	 */
+	private function readOnly(Connection $connection, callable $callback): mixed
+	{
+		$platform = $connection->getDatabasePlatform();
+
+		if ($connection->getDriver() instanceof \WP_DBAL\D1\Driver || $platform instanceof FileDBPlatform) {
+			return $callback();
+		}
+
+		if ($platform instanceof SQLitePlatform) {
+			$connection->executeStatement('PRAGMA query_only = ON');
+
+			try {
+				return $callback();
+			} finally {
+				$connection->executeStatement('PRAGMA query_only = OFF');
+			}
+		}
+
+		// MySQL applies SET TRANSACTION to the next transaction, PostgreSQL to the current one.
+		if ($platform instanceof AbstractMySQLPlatform) {
+			$connection->executeStatement('SET TRANSACTION READ ONLY');
+			$connection->beginTransaction();
+		} else {
+			$connection->beginTransaction();
+			$connection->executeStatement('SET TRANSACTION READ ONLY');
+		}
+
+		try {
+			return $callback();
+		} finally {
+			$connection->rollBack();
+		}
+	}
+
+	/**
+	 * Export a parsed statement as a plain array tree.
+	 *
+	 * Each object becomes an array with its class name under "_type"; empty
+	 * properties are left out to keep the tree readable.
+	 *
+	 * @param mixed $value Statement, component or value.
+	 * @param int   $depth Current depth.
+	 * @return mixed Exported node.
+	 */
+	private function exportNode(mixed $value, int $depth = 0): mixed
+	{
+		if ($depth > self::MAX_TREE_DEPTH) {
+			return '…';
+		}
+
+		if (\is_object($value)) {
+			$node = ['_type' => (new \ReflectionClass($value))->getShortName()];
+			foreach (\get_object_vars($value) as $key => $item) {
+				if (null === $item || [] === $item || false === $item) {
+					continue;
+				}
+				$node[$key] = $this->exportNode($item, $depth + 1);
+			}
+			return $node;
+		}
+
+		if (\is_array($value)) {
+			return \array_map(fn($item) => $this->exportNode($item, $depth + 1), $value);
+		}
+
+		return $value;
+	}
+}
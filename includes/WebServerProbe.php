@@ -0,0 +1,51 @@
+<?php
+
+/**
+ * Web Server Probe
+ *
+ * Asks the web server whether it hands out a file.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL;
+
+/**
+ * Web Server Probe class.
+ *
+ * Databases and backups in the web root may be downloadable, depending on
+ * the web server configuration, which PHP can't read. The only way to know is
+ * to request the file.
+ */
+class WebServerProbe
+{
+	/**
+	 * Seconds to wait for the web server.
+	 *
+	 * @var int
+	 */
+	private const TIMEOUT = 5;
+
+	/**
+	 * Check whether the web server hands out a file to anyone.
+	 *
+	 * @param string $path File path.
+	 * @return bool True if a request for the file without logging in succeeds.
+	 */
+	public function isServed(string $path): bool
+	{
+		$path = \wp_normalize_path($path);
+		$root = \wp_normalize_path(ABSPATH);
+
+		// Files outside the web root have no URL.
+		if (! \str_starts_with($path, $root)) {
+			return false;
+		}
+
+		$response = \wp_remote_head(\site_url(\substr($path, \strlen($root))), [ 'timeout' => self::TIMEOUT, 'redirection' => 0 ]);
+
+		return ! \is_wp_error($response) && 200 === \wp_remote_retrieve_response_code($response);
+	}
+}
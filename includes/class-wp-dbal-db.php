@@ -62,6 +62,34 @@ class WP_DBAL_DB extends \wpdb
 	 */
 	protected bool $usingDbal = false;
 
+	/**
+	 * Query log receiving every query while capture is on.
+	 *
+	 * @var QueryLog|null
+	 */
+	protected ?QueryLog $queryLog = null;
+
+	/**
+	 * Report receiving the queries that fail.
+	 *
+	 * @var QueryFailureReport|null
+	 */
+	protected ?QueryFailureReport $failureReport = null;
+
+	/**
+	 * Exception thrown by the last query, if any.
+	 *
+	 * @var \Throwable|null
+	 */
+	protected ?\Throwable $lastException = null;
+
+	/**
+	 * Seconds spent translating the last query.
+	 *
+	 * @var float
+	 */
+	protected float $lastTranslationTime = 0.0;
+
 	/**
 	 * Constructor.
 	 *
@@ -145,6 +173,7 @@ class WP_DBAL_DB extends \wpdb
 			return true;
 		} catch (DBALException $e) {
 			$this->ready = false;
+			$this->last_error = $e->getMessage();
 
 			if (\defined('WP_DEBUG') && WP_DEBUG) {
 				\error_log('WP-DBAL Connection Error: ' . $e->getMessage());
@@ -318,16 +347,19 @@ class WP_DBAL_DB extends \wpdb
 			$result = $this->_do_query($query);
 		} catch (\Exception $e) {
 			$this->last_error = $e->getMessage();
+			$this->lastException = $e;
 
 			if (\defined('WP_DEBUG') && WP_DEBUG) {
 				\error_log('WP-DBAL Query Error: ' . $e->getMessage() . ' | Query: ' . $query);
 			}
 
+			$this->recordQuery($query, false, $this->timer_stop());
+
 			return false;
 		}
 
 		// Log query time.
-		$this->timer_stop();
+		$this->recordQuery($query, $result, $this->timer_stop());
 
 		// Store query for debugging.
 		$this->num_queries++;
@@ -358,9 +390,14 @@ class WP_DBAL_DB extends \wpdb
 
 		// Reset error state.
 		$this->last_error = '';
+		$this->lastException = null;
 
 		// Convert the query for the target database platform.
+		$this->lastTranslatedQuery = '';
+		$this->lastTranslationTime = 0.0;
+		$translationStart = \microtime(true);
 		$convertedQuery = $this->queryConverter->convert($query);
+		$this->lastTranslationTime = \microtime(true) - $translationStart;
 
 		// Handle multiple queries (some conversions may result in multiple statements).
 		if (\is_array($convertedQuery)) {
@@ -429,6 +466,7 @@ class WP_DBAL_DB extends \wpdb
 			}
 		} catch (DBALException $e) {
 			$this->last_error = $e->getMessage();
+			$this->lastException = $e;
 			return false;
 		}
 	}
@@ -892,6 +930,64 @@ class WP_DBAL_DB extends \wpdb
 		return $this->usingDbal;
 	}
 
+	/**
+	 * Set the query log that receives every query.
+	 *
+	 * @param QueryLog|null $queryLog Query log, or null to stop recording.
+	 * @return void
+	 */
+	public function setQueryLog(?QueryLog $queryLog): void
+	{
+		$this->queryLog = $queryLog;
+	}
+
+	/**
+	 * Set the report that receives the queries that fail.
+	 *
+	 * @param QueryFailureReport|null $failureReport Failure report, or null to stop reporting.
+	 * @return void
+	 */
+	public function setFailureReport(?QueryFailureReport $failureReport): void
+	{
+		$this->failureReport = $failureReport;
+	}
+
+	/**
+	 * Pass a finished query to the query log, and to the failure report if it failed.
+	 *
+	 * @param string   $query   The original query.
+	 * @param int|bool $result  Result of the query.
+	 * @param float    $elapsed Seconds spent translating and executing it.
+	 * @return void
+	 */
+	protected function recordQuery(string $query, int|bool $result, float $elapsed): void
+	{
+		if (null !== $this->failureReport && false === $result && '' !== (string) $this->last_error) {
+			$this->failureReport->record(
+				$query,
+				$this->lastTranslatedQuery,
+				// The translated query is only set once translating succeeded.
+				'' === $this->lastTranslatedQuery ? 'translation' : 'execution',
+				(string) $this->last_error,
+				$this->lastException
+			);
+		}
+
+		if (null === $this->queryLog) {
+			return;
+		}
+
+		$this->queryLog->record(
+			$query,
+			$this->lastTranslatedQuery,
+			$this->lastTranslationTime,
+			\max(0.0, $elapsed - $this->lastTranslationTime),
+			$result,
+			(string) $this->last_error,
+			\function_exists('wp_debug_backtrace_summary') ? $this->get_caller() : ''
+		);
+	}
+
 	/**
 	 * Log a query for SAVEQUERIES.
 	 *
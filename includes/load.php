@@ -44,6 +44,13 @@ require_once WP_DBAL_PLUGIN_DIR . 'includes/Translator/QueryConverter.php';
 // Load the custom wpdb class.
 require_once WP_DBAL_PLUGIN_DIR . 'includes/class-wp-dbal-db.php';
 
+// Load the guard for database configuration changes.
+require_once WP_DBAL_PLUGIN_DIR . 'includes/SwitchGuard.php';
+
+// Load the query log and failure report.
+require_once WP_DBAL_PLUGIN_DIR . 'includes/QueryLog.php';
+require_once WP_DBAL_PLUGIN_DIR . 'includes/QueryFailureReport.php';
+
 // Determine which database engine to use.
 $dbEngine = \defined('DB_ENGINE') ? \strtolower(DB_ENGINE) : 'mysql';
 
@@ -51,6 +58,29 @@ $dbEngine = \defined('DB_ENGINE') ? \strtolower(DB_ENGINE) : 'mysql';
 // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
 $wpdb = new WP_DBAL\WP_DBAL_DB($dbEngine);
 
+// Roll back a configuration change that broke the connection.
+$wpDbalSwitchGuard = new WP_DBAL\SwitchGuard();
+if ($wpDbalSwitchGuard->check($wpdb) && \in_array($_SERVER['REQUEST_METHOD'] ?? '', [ 'GET', 'HEAD' ], true)) {
+	// Load the page again so it runs on the restored configuration.
+	\header('Cache-Control: no-store');
+	\header('Location: ' . $_SERVER['REQUEST_URI'], true, 302);
+	exit;
+}
+
+// Record queries while capture is switched on.
+$wpDbalQueryLog = new WP_DBAL\QueryLog();
+if ($wpDbalQueryLog->shouldCapture()) {
+	$wpdb->setQueryLog($wpDbalQueryLog);
+	\register_shutdown_function([ $wpDbalQueryLog, 'flush' ]);
+}
+
+// Keep track of queries that can't be translated or fail, once switched on.
+$wpDbalFailureReport = new WP_DBAL\QueryFailureReport(null, $wpdb->getDbEngine());
+if ($wpDbalFailureReport->isEnabled()) {
+	$wpdb->setFailureReport($wpDbalFailureReport);
+	\register_shutdown_function([ $wpDbalFailureReport, 'flush' ]);
+}
+
 // Set up the database connection.
 // This is normally called by wp-settings.php, but we need to do it here
 // because the drop-in is loaded before wp-settings.php.
@@ -14,6 +14,15 @@ import StatusCard from './StatusCard';
 import DropinControls from './DropinControls';
 import CurrentConfiguration from './CurrentConfiguration';
 import ConfigurationCard from './ConfigurationCard';
+import MigrationHistory from './MigrationHistory';
+import QueryLab from './QueryLab';
+import QueryLog from './QueryLog';
+import QueryFailures from './QueryFailures';
+import FileDBBrowser from './FileDBBrowser';
+import FileDBIndexes from './FileDBIndexes';
+import FileDBConversion from './FileDBConversion';
+import SQLiteMaintenance from './SQLiteMaintenance';
+import Backups from './Backups';
 import MigrationUI from '../../migration/components/MigrationUI';
 
 // Set up API fetch nonce middleware.
@@ -32,6 +41,7 @@ export default function AdminPage() {
 	const [error, setError] = useState(null);
 	const [showConfigCard, setShowConfigCard] = useState(false);
 	const [configParams, setConfigParams] = useState(null);
+	const [historyKey, setHistoryKey] = useState(0);
 
 	// Fetch status on mount.
 	useEffect(() => {
@@ -121,6 +131,7 @@ export default function AdminPage() {
 							connectionParams={configParams.connectionParams}
 						/>
 					)}
+					{status.dropin_installed && <Backups />}
 					<Card style={{ marginTop: '20px' }}>
 						<CardHeader>
 							<h2>{__('Database Migration', 'wp-dbal')}</h2>
@@ -134,9 +145,22 @@ export default function AdminPage() {
 										setConfigParams(params);
 									}
 								}}
+								onSessionEnd={() => setHistoryKey((key) => key + 1)}
 							/>
 						</CardBody>
 					</Card>
+					<MigrationHistory refreshKey={historyKey} />
+					<QueryLab />
+					<QueryLog />
+					<QueryFailures />
+					{status.db_engine === 'filedb' && (
+						<>
+							<FileDBBrowser />
+							<FileDBIndexes />
+							<FileDBConversion />
+						</>
+					)}
+					{status.db_engine === 'sqlite' && <SQLiteMaintenance />}
 				</>
 			)}
 		</div>
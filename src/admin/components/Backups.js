@@ -0,0 +1,381 @@
+/**
+ * Backups Component
+ *
+ * Creates, downloads, deletes and restores backups of the active database.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a byte count.
+ *
+ * @param {number} bytes Byte count.
+ * @return {string} Formatted size.
+ */
+const formatBytes = (bytes) => {
+	const units = ['B', 'KB', 'MB', 'GB'];
+	let value = bytes;
+	let unit = 0;
+
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+
+	return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const TYPE_LABELS = {
+	sqlite: __('SQLite database file', 'wp-dbal'),
+	filedb: __('FileDB archive', 'wp-dbal'),
+	dump: __('JSON dump', 'wp-dbal'),
+};
+
+const PHASE_LABELS = {
+	copy: __('Copying', 'wp-dbal'),
+	archive: __('Creating the archive', 'wp-dbal'),
+	schema: __('Creating the staging tables', 'wp-dbal'),
+	data: __('Copying the rows into the staging tables', 'wp-dbal'),
+	extract: __('Extracting the archive', 'wp-dbal'),
+	swap: __('Replacing the current data', 'wp-dbal'),
+	cleanup: __('Deleting the replaced files', 'wp-dbal'),
+	completed: __('Completed', 'wp-dbal'),
+};
+
+/**
+ * Get the download URL of a backup.
+ *
+ * Uses the REST nonce in the query string, because the file is opened as a link.
+ *
+ * @param {string} id Backup ID.
+ * @return {string} URL.
+ */
+const getDownloadUrl = (id) => {
+	const root = window.wpDbalAdmin?.restUrl || '/wp-json/';
+	const separator = root.includes('?') ? '&' : '?';
+
+	return `${root}wp-dbal/v1/backups/download${separator}id=${encodeURIComponent(id)}&_wpnonce=${window.wpDbalAdmin?.restNonce || ''}`;
+};
+
+/**
+ * Backups component.
+ *
+ * @return {JSX.Element} Backups.
+ */
+export default function Backups() {
+	const [type, setType] = useState(null);
+	const [directory, setDirectory] = useState(null);
+	const [directoryPublic, setDirectoryPublic] = useState(false);
+	const [backups, setBackups] = useState([]);
+	const [job, setJob] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(false);
+	const [restoring, setRestoring] = useState(null);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		fetchBackups();
+	}, []);
+
+	/**
+	 * Fetch the backups and the current job.
+	 *
+	 * @param {boolean} recheck Ask the web server again whether it hands out the backups.
+	 */
+	const fetchBackups = async (recheck = false) => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: recheck ? '/wp-dbal/v1/backups?recheck=1' : '/wp-dbal/v1/backups',
+			});
+
+			if (response.success) {
+				setType(response.type);
+				setDirectory(response.directory);
+				setDirectoryPublic(response.directory_public);
+				setBackups(response.backups);
+				setJob(response.job);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the backups', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Run steps until the job completes or fails.
+	 */
+	const runSteps = async () => {
+		let completed = false;
+
+		setRunning(true);
+		setError(null);
+
+		try {
+			for (;;) {
+				const response = await apiFetch({
+					path: '/wp-dbal/v1/backups/step',
+					method: 'POST',
+				});
+				const state = response.job;
+
+				setJob(state);
+
+				if (state.error) {
+					setError(state.error);
+					break;
+				}
+
+				if (state.phase === 'completed') {
+					completed = true;
+					break;
+				}
+
+				// Another request is running a step; give it time to finish.
+				if (state.busy) {
+					await new Promise((resolve) => setTimeout(resolve, 1000));
+				}
+			}
+		} catch (err) {
+			setError(err.message || __('The step failed', 'wp-dbal'));
+		} finally {
+			setRunning(false);
+		}
+
+		// List the new backup, or the sizes after a restore.
+		if (completed) {
+			fetchBackups();
+		}
+	};
+
+	/**
+	 * Start a job and run it.
+	 *
+	 * @param {string} action "create" or "restore".
+	 * @param {Object} data Request data.
+	 */
+	const startJob = async (action, data = {}) => {
+		setError(null);
+		setRestoring(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/backups/${action}`,
+				method: 'POST',
+				data,
+			});
+			setJob(response.job);
+		} catch (err) {
+			setError(err.message || __('Failed to start', 'wp-dbal'));
+			return;
+		}
+
+		runSteps();
+	};
+
+	/**
+	 * Delete a backup.
+	 *
+	 * @param {string} id Backup ID.
+	 */
+	const handleDelete = async (id) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/backups/delete',
+				method: 'POST',
+				data: { id },
+			});
+			setBackups(response.backups);
+		} catch (err) {
+			setError(err.message || __('Failed to delete the backup', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Cancel the job.
+	 */
+	const handleCancel = async () => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: '/wp-dbal/v1/backups/cancel',
+				method: 'POST',
+			});
+			setJob(null);
+		} catch (err) {
+			setError(err.message || __('Failed to cancel', 'wp-dbal'));
+		}
+	};
+
+	const active = job && job.phase !== 'completed';
+	const percent = job && job.total > 0 ? Math.min(100, (job.done / job.total) * 100) : 0;
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('Backups', 'wp-dbal')}</h2>
+				<div style={{ display: 'flex', gap: '10px' }}>
+					<Button variant="secondary" onClick={() => fetchBackups()} disabled={loading || running}>
+						{__('Refresh', 'wp-dbal')}
+					</Button>
+					<Button variant="primary" onClick={() => startJob('create')} disabled={loading || running || !!active}>
+						{__('Create backup', 'wp-dbal')}
+					</Button>
+				</div>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{directoryPublic && (
+					<Notice status="warning" isDismissible={false}>
+						{sprintf(
+							/* translators: %s: Directory path. */
+							__('The web server hands out the backups in %s to anyone who knows their names. Set WP_DBAL_BACKUP_DIR to a directory outside the web root, or deny access to this one in the server configuration.', 'wp-dbal'),
+							directory
+						)}{' '}
+						<Button variant="link" onClick={() => fetchBackups(true)} disabled={loading}>
+							{__('Check again', 'wp-dbal')}
+						</Button>
+					</Notice>
+				)}
+
+				{type && (
+					<p>
+						{sprintf(
+							/* translators: %s: Backup type. */
+							__('Backups of this database are saved as a %s.', 'wp-dbal'),
+							TYPE_LABELS[type]
+						)}
+					</p>
+				)}
+
+				{active && (
+					<div style={{ marginBottom: '20px' }}>
+						<p>
+							<strong>
+								{job.action === 'backup'
+									? __('Creating a backup', 'wp-dbal')
+									: sprintf(
+										/* translators: %s: Backup ID. */
+										__('Restoring %s', 'wp-dbal'),
+										job.backup
+									)}
+							</strong>
+							{' — '}
+							{PHASE_LABELS[job.phase] || job.phase}
+						</p>
+						<div className="wp-dbal-progress-bar">
+							<span style={{ width: `${percent}%` }} />
+						</div>
+						<p>
+							{sprintf(
+								/* translators: 1: Rows or files done, 2: Total. */
+								__('%1$d of %2$d', 'wp-dbal'),
+								job.done,
+								job.total
+							)}
+						</p>
+						<div style={{ display: 'flex', gap: '10px' }}>
+							<Button variant="primary" onClick={runSteps} disabled={running} isBusy={running}>
+								{running ? __('Running…', 'wp-dbal') : __('Resume', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" isDestructive onClick={handleCancel} disabled={running || job.phase === 'swap'}>
+								{__('Cancel', 'wp-dbal')}
+							</Button>
+						</div>
+					</div>
+				)}
+
+				{job && job.phase === 'completed' && job.action === 'restore' && (
+					<Notice status="success" isDismissible={false}>
+						{sprintf(
+							/* translators: %s: Backup ID. */
+							__('%s was restored. If the users table was replaced, you may have to log in again.', 'wp-dbal'),
+							job.backup
+						)}
+					</Notice>
+				)}
+
+				{restoring && (
+					<Notice status="warning" isDismissible={false}>
+						<p>
+							{sprintf(
+								/* translators: %s: Backup ID. */
+								__('Restoring %s replaces every table in the backup with its backed up version. Changes made since the backup was created are lost.', 'wp-dbal'),
+								restoring
+							)}
+						</p>
+						<div style={{ display: 'flex', gap: '10px' }}>
+							<Button variant="primary" isDestructive onClick={() => startJob('restore', { id: restoring })}>
+								{__('Restore', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" onClick={() => setRestoring(null)}>
+								{__('Cancel', 'wp-dbal')}
+							</Button>
+						</div>
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{!loading && backups.length === 0 && (
+					<p>{__('No backups yet.', 'wp-dbal')}</p>
+				)}
+
+				{backups.length > 0 && (
+					<table className="widefat striped">
+						<thead>
+							<tr>
+								<th>{__('Backup', 'wp-dbal')}</th>
+								<th>{__('Created', 'wp-dbal')}</th>
+								<th>{__('Size', 'wp-dbal')}</th>
+								<th />
+							</tr>
+						</thead>
+						<tbody>
+							{backups.map((backup) => (
+								<tr key={backup.id}>
+									<td>
+										<code>{backup.id}</code>
+										<br />
+										<span style={{ color: '#50575e' }}>{TYPE_LABELS[backup.type]}</span>
+									</td>
+									<td>{new Date(backup.created * 1000).toLocaleString()}</td>
+									<td>{formatBytes(backup.size)}</td>
+									<td style={{ whiteSpace: 'nowrap' }}>
+										<Button variant="link" href={getDownloadUrl(backup.id)}>
+											{__('Download', 'wp-dbal')}
+										</Button>
+										{' | '}
+										<Button variant="link" onClick={() => setRestoring(backup.id)} disabled={running || !!active}>
+											{__('Restore', 'wp-dbal')}
+										</Button>
+										{' | '}
+										<Button variant="link" isDestructive onClick={() => handleDelete(backup.id)} disabled={running}>
+											{__('Delete', 'wp-dbal')}
+										</Button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
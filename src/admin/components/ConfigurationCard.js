@@ -8,6 +8,7 @@
 
 import { Card, CardBody, CardHeader } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
+import { getEngine } from '../../engines';
 
 /**
  * Configuration card component.
@@ -26,66 +27,10 @@ export default function ConfigurationCard({ targetEngine, connectionParams = {}
 	 * Generate configuration code based on engine and params.
 	 */
 	const generateConfigCode = () => {
-		let code = `define( 'DB_ENGINE', '${targetEngine}' );\n\n`;
+		const engine = getEngine(targetEngine);
+		const snippet = engine ? engine.configSnippet(connectionParams) : '';
 
-		switch (targetEngine) {
-			case 'sqlite':
-				if (connectionParams.path) {
-					code += `define( 'DB_SQLITE_PATH', '${connectionParams.path}' );`;
-				}
-				break;
-
-			case 'filedb':
-				if (connectionParams.path) {
-					code += `define( 'DB_FILEDB_PATH', '${connectionParams.path}' );`;
-				}
-				if (connectionParams.format) {
-					code += `\ndefine( 'DB_FILEDB_FORMAT', '${connectionParams.format}' );`;
-				}
-				break;
-
-			case 'd1':
-				if (connectionParams.account_id) {
-					code += `define( 'DB_D1_ACCOUNT_ID', '${connectionParams.account_id}' );`;
-				}
-				if (connectionParams.database_id) {
-					code += `\ndefine( 'DB_D1_DATABASE_ID', '${connectionParams.database_id}' );`;
-				}
-				if (connectionParams.api_token) {
-					code += `\ndefine( 'DB_D1_API_TOKEN', '${connectionParams.api_token}' );`;
-				}
-				break;
-
-			case 'pgsql':
-			case 'postgresql':
-				code += `// PostgreSQL connection options\n`;
-				code += `define( 'DB_DBAL_OPTIONS', [\n`;
-				code += `    'driver' => 'pdo_pgsql',\n`;
-				if (connectionParams.host) {
-					code += `    'host' => '${connectionParams.host}',\n`;
-				}
-				if (connectionParams.port) {
-					code += `    'port' => ${connectionParams.port},\n`;
-				}
-				if (connectionParams.dbname) {
-					code += `    'dbname' => '${connectionParams.dbname}',\n`;
-				}
-				if (connectionParams.user) {
-					code += `    'user' => '${connectionParams.user}',\n`;
-				}
-				if (connectionParams.password) {
-					code += `    'password' => '${connectionParams.password}',\n`;
-				}
-				code += `] );`;
-				break;
-
-			case 'mysql':
-			default:
-				// MySQL uses default DB_* constants, no extra config needed.
-				break;
-		}
-
-		return code;
+		return `define( 'DB_ENGINE', '${targetEngine}' );\n\n${snippet}`;
 	};
 
 	return (
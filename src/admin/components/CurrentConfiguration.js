@@ -7,9 +7,13 @@
  */
 
 import { useState, useEffect } from '@wordpress/element';
-import { Card, CardBody, CardHeader, SelectControl, TextControl, Button, Notice } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { Card, CardBody, CardHeader, SelectControl, Button, Notice } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
+import { waitForHealthySite } from '../utils/health';
+import { getEngine, getEngineOptions, validateParams } from '../../engines';
+import EngineFields from '../../migration/components/EngineFields';
+import ProfileSelector from '../../migration/components/ProfileSelector';
 
 /**
  * Current configuration component.
@@ -23,6 +27,7 @@ export default function CurrentConfiguration() {
 	const [saving, setSaving] = useState(false);
 	const [error, setError] = useState(null);
 	const [success, setSuccess] = useState(null);
+	const [fieldErrors, setFieldErrors] = useState({});
 
 	// Form state
 	const [dbEngine, setDbEngine] = useState('mysql');
@@ -63,6 +68,14 @@ export default function CurrentConfiguration() {
 	 * Handle save configuration.
 	 */
 	const handleSave = async () => {
+		const errors = validateParams(getEngine(dbEngine), connectionParams, 'configuration');
+		setFieldErrors(errors);
+
+		if (Object.keys(errors).length > 0) {
+			setError(__('Fix the highlighted connection fields.', 'wp-dbal'));
+			return;
+		}
+
 		setSaving(true);
 		setError(null);
 		setSuccess(null);
@@ -78,16 +91,38 @@ export default function CurrentConfiguration() {
 			});
 
 			if (response.success) {
-				setSuccess(__('Configuration updated successfully. The page will reload.', 'wp-dbal'));
+				setSuccess(__('Configuration saved. Checking that the site works with it…', 'wp-dbal'));
 				setEditing(false);
-				// Reload after a short delay to show success message.
-				setTimeout(() => {
-					window.location.reload();
-				}, 1500);
+
+				const health = await waitForHealthySite(response.switch.token, response.switch.timeout);
+
+				if (health?.status === 'confirmed') {
+					setSuccess(__('Configuration updated successfully. The page will reload.', 'wp-dbal'));
+					// Reload after a short delay to show success message.
+					setTimeout(() => {
+						window.location.reload();
+					}, 1500);
+				} else if (health?.status === 'rolled_back') {
+					setSuccess(null);
+					setError(sprintf(
+						/* translators: %s: Error message. */
+						__('The new configuration did not work, so the previous wp-config.php was restored. %s', 'wp-dbal'),
+						health.error || ''
+					));
+					fetchConfiguration();
+				} else {
+					setSuccess(null);
+					setError(sprintf(
+						/* translators: %s: Backup file name. */
+						__('Could not confirm that the site works with the new configuration. If it is broken, copy %s over wp-config.php.', 'wp-dbal'),
+						response.switch.backup
+					));
+				}
 			} else {
 				setError(response.message || __('Failed to update configuration', 'wp-dbal'));
 			}
 		} catch (err) {
+			setFieldErrors(err.data?.errors || {});
 			setError(err.message || __('Failed to update configuration', 'wp-dbal'));
 		} finally {
 			setSaving(false);
@@ -98,6 +133,7 @@ export default function CurrentConfiguration() {
 	 * Handle parameter change.
 	 */
 	const handleParamChange = (key, value) => {
+		setFieldErrors({});
 		setConnectionParams((prev) => ({
 			...prev,
 			[key]: value,
@@ -121,13 +157,8 @@ export default function CurrentConfiguration() {
 		return null;
 	}
 
-	const engineOptions = [
-		{ label: __('MySQL', 'wp-dbal'), value: 'mysql' },
-		{ label: __('PostgreSQL', 'wp-dbal'), value: 'pgsql' },
-		{ label: __('SQLite', 'wp-dbal'), value: 'sqlite' },
-		{ label: __('FileDB', 'wp-dbal'), value: 'filedb' },
-		{ label: __('Cloudflare D1', 'wp-dbal'), value: 'd1' },
-	];
+	const currentEngine = getEngine(config.db_engine || 'mysql');
+	const selectedEngine = getEngine(dbEngine);
 
 	return (
 		<Card>
@@ -157,142 +188,14 @@ export default function CurrentConfiguration() {
 										<code>{config.db_engine || 'mysql'}</code>
 									</td>
 								</tr>
-								{config.db_engine === 'mysql' && (
-									<>
-										{config.connection_params?.dbname && (
-											<tr>
-												<th>{__('Database Name', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.dbname}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.user && (
-											<tr>
-												<th>{__('Database User', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.user}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.host && (
-											<tr>
-												<th>{__('Database Host', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.host}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.charset && (
-											<tr>
-												<th>{__('Database Charset', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.charset}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.collate && (
-											<tr>
-												<th>{__('Database Collate', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.collate}</code>
-												</td>
-											</tr>
-										)}
-									</>
-								)}
-								{config.db_engine === 'sqlite' && config.connection_params?.path && (
-									<tr>
-										<th>{__('SQLite Path', 'wp-dbal')}</th>
+								{currentEngine && currentEngine.displayRows(config.connection_params || {}).map((row) => (
+									<tr key={row.label}>
+										<th>{row.label}</th>
 										<td>
-											<code>{config.connection_params.path}</code>
+											<code>{row.value}</code>
 										</td>
 									</tr>
-								)}
-								{config.db_engine === 'filedb' && (
-									<>
-										{config.connection_params?.path && (
-											<tr>
-												<th>{__('FileDB Path', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.path}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.format && (
-											<tr>
-												<th>{__('FileDB Format', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.format}</code>
-												</td>
-											</tr>
-										)}
-									</>
-								)}
-								{config.db_engine === 'd1' && (
-									<>
-										{config.connection_params?.account_id && (
-											<tr>
-												<th>{__('D1 Account ID', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.account_id}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.database_id && (
-											<tr>
-												<th>{__('D1 Database ID', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.database_id}</code>
-												</td>
-											</tr>
-										)}
-									</>
-								)}
-								{(config.db_engine === 'pgsql' || config.db_engine === 'postgresql') && (
-									<>
-										{config.connection_params?.host && (
-											<tr>
-												<th>{__('PostgreSQL Host', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.host}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.port && (
-											<tr>
-												<th>{__('PostgreSQL Port', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.port}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.dbname && (
-											<tr>
-												<th>{__('PostgreSQL Database', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.dbname}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.user && (
-											<tr>
-												<th>{__('PostgreSQL User', 'wp-dbal')}</th>
-												<td>
-													<code>{config.connection_params.user}</code>
-												</td>
-											</tr>
-										)}
-										{config.connection_params?.password && (
-											<tr>
-												<th>{__('PostgreSQL Password', 'wp-dbal')}</th>
-												<td>
-													<code>••••••••</code>
-												</td>
-											</tr>
-										)}
-									</>
-								)}
+								))}
 							</tbody>
 						</table>
 						<Button variant="secondary" onClick={() => setEditing(true)} style={{ marginTop: '15px' }}>
@@ -301,136 +204,37 @@ export default function CurrentConfiguration() {
 					</>
 				) : (
 					<>
+						<ProfileSelector
+							engine={dbEngine}
+							connectionParams={connectionParams}
+							onSelect={(engine, params) => {
+								setDbEngine(engine);
+								setConnectionParams(params);
+							}}
+						/>
+
 						<SelectControl
 							label={__('Database Engine', 'wp-dbal')}
 							value={dbEngine}
-							options={engineOptions}
-							onChange={setDbEngine}
+							options={getEngineOptions()}
+							onChange={(value) => {
+								setDbEngine(value);
+								setFieldErrors({});
+								// The selected profile belongs to the previous engine.
+								setConnectionParams(({ profile, ...rest }) => rest);
+							}}
 						/>
 
-						{dbEngine === 'mysql' && (
-							<>
-								<TextControl
-									label={__('Database Name', 'wp-dbal')}
-									value={connectionParams.dbname || ''}
-									onChange={(value) => handleParamChange('dbname', value)}
-									help={__('The name of the database for WordPress.', 'wp-dbal')}
-								/>
-								<TextControl
-									label={__('Database User', 'wp-dbal')}
-									value={connectionParams.user || ''}
-									onChange={(value) => handleParamChange('user', value)}
-									help={__('Database username.', 'wp-dbal')}
-								/>
-								<TextControl
-									label={__('Database Password', 'wp-dbal')}
-									value={connectionParams.password || ''}
-									onChange={(value) => handleParamChange('password', value)}
-									type="password"
-									help={__('Database password.', 'wp-dbal')}
-								/>
-								<TextControl
-									label={__('Database Host', 'wp-dbal')}
-									value={connectionParams.host || 'localhost'}
-									onChange={(value) => handleParamChange('host', value)}
-									help={__('Database hostname.', 'wp-dbal')}
-								/>
-								<TextControl
-									label={__('Database Charset', 'wp-dbal')}
-									value={connectionParams.charset || 'utf8'}
-									onChange={(value) => handleParamChange('charset', value)}
-									help={__('Database charset to use in creating database tables.', 'wp-dbal')}
-								/>
-								<TextControl
-									label={__('Database Collate', 'wp-dbal')}
-									value={connectionParams.collate || ''}
-									onChange={(value) => handleParamChange('collate', value)}
-									help={__('The database collate type. Leave empty if in doubt.', 'wp-dbal')}
-								/>
-							</>
-						)}
-
-						{dbEngine === 'sqlite' && (
-							<TextControl
-								label={__('SQLite Database Path', 'wp-dbal')}
-								value={connectionParams.path || ''}
-								onChange={(value) => handleParamChange('path', value)}
-								help={__('Path to the SQLite database file (e.g., wp-content/database/.ht.sqlite).', 'wp-dbal')}
-							/>
-						)}
-
-						{dbEngine === 'filedb' && (
-							<>
-								<TextControl
-									label={__('FileDB Storage Path', 'wp-dbal')}
-									value={connectionParams.path || ''}
-									onChange={(value) => handleParamChange('path', value)}
-									help={__('Path to the directory where FileDB will store data (e.g., wp-content/file-db).', 'wp-dbal')}
-								/>
-								<SelectControl
-									label={__('FileDB Format', 'wp-dbal')}
-									value={connectionParams.format || 'json'}
-									options={[
-										{ label: 'JSON', value: 'json' },
-										{ label: 'PHP (serialized)', value: 'php' },
-									]}
-									onChange={(value) => handleParamChange('format', value)}
-								/>
-							</>
-						)}
-
-						{dbEngine === 'd1' && (
-							<>
-								<TextControl
-									label={__('Cloudflare Account ID', 'wp-dbal')}
-									value={connectionParams.account_id || ''}
-									onChange={(value) => handleParamChange('account_id', value)}
-								/>
-								<TextControl
-									label={__('Cloudflare D1 Database ID', 'wp-dbal')}
-									value={connectionParams.database_id || ''}
-									onChange={(value) => handleParamChange('database_id', value)}
-								/>
-								<TextControl
-									label={__('Cloudflare API Token', 'wp-dbal')}
-									value={connectionParams.api_token || ''}
-									onChange={(value) => handleParamChange('api_token', value)}
-									type="password"
-								/>
-							</>
-						)}
-
-						{(dbEngine === 'pgsql' || dbEngine === 'postgresql') && (
-							<>
-								<TextControl
-									label={__('PostgreSQL Host', 'wp-dbal')}
-									value={connectionParams.host || ''}
-									onChange={(value) => handleParamChange('host', value)}
-								/>
-								<TextControl
-									label={__('PostgreSQL Port', 'wp-dbal')}
-									value={connectionParams.port || ''}
-									onChange={(value) => handleParamChange('port', value)}
-									type="number"
-								/>
-								<TextControl
-									label={__('PostgreSQL Database Name', 'wp-dbal')}
-									value={connectionParams.dbname || ''}
-									onChange={(value) => handleParamChange('dbname', value)}
-								/>
-								<TextControl
-									label={__('PostgreSQL User', 'wp-dbal')}
-									value={connectionParams.user || ''}
-									onChange={(value) => handleParamChange('user', value)}
-								/>
-								<TextControl
-									label={__('PostgreSQL Password', 'wp-dbal')}
-									value={connectionParams.password || ''}
-									onChange={(value) => handleParamChange('password', value)}
-									type="password"
-								/>
-							</>
-						)}
+						<EngineFields
+							engine={selectedEngine}
+							context="configuration"
+							connectionParams={connectionParams}
+							onChange={handleParamChange}
+							errors={fieldErrors}
+							help={selectedEngine?.name === 'filedb' && currentEngine?.name === 'filedb'
+								? { format: __('Changing the format does not convert existing data. Use the FileDB Storage Format panel to convert it.', 'wp-dbal') }
+								: {}}
+						/>
 
 						<div style={{ marginTop: '20px' }}>
 							<Button
@@ -446,6 +250,7 @@ export default function CurrentConfiguration() {
 								onClick={() => {
 									setEditing(false);
 									setError(null);
+									setFieldErrors({});
 									// Reset to original values.
 									setDbEngine(config.db_engine || 'mysql');
 									setConnectionParams(config.connection_params || {});
@@ -0,0 +1,406 @@
+/**
+ * FileDB Browser Component
+ *
+ * Lists the FileDB tables and pages through, edits and deletes their rows.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const PER_PAGE = 25;
+
+/**
+ * Format a cell value.
+ *
+ * @param {*} value Cell value.
+ * @return {JSX.Element|string} Formatted value.
+ */
+const formatValue = (value) => {
+	if (value === null || value === undefined) {
+		return <em style={{ color: '#50575e' }}>NULL</em>;
+	}
+
+	const text = String(value);
+
+	return text.length > 100 ? `${text.slice(0, 100)}…` : text;
+};
+
+/**
+ * FileDB browser component.
+ *
+ * @return {JSX.Element} FileDB browser.
+ */
+export default function FileDBBrowser() {
+	const [tables, setTables] = useState([]);
+	const [table, setTable] = useState(null);
+	const [rows, setRows] = useState([]);
+	const [total, setTotal] = useState(0);
+	const [page, setPage] = useState(1);
+	const [filters, setFilters] = useState({});
+	const [appliedFilters, setAppliedFilters] = useState({});
+	const [editing, setEditing] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		fetchTables();
+	}, []);
+
+	/**
+	 * Fetch the tables.
+	 */
+	const fetchTables = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/filedb/tables',
+			});
+
+			if (response.success) {
+				setTables(response.tables);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the tables', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Open a table.
+	 *
+	 * @param {string} name Table name.
+	 */
+	const openTable = async (name) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/filedb/tables/${name}`,
+			});
+
+			if (response.success) {
+				setRows([]);
+				setTotal(0);
+				setFilters({});
+				setAppliedFilters({});
+				setEditing(null);
+				setPage(1);
+				setTable(response.table);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the table', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Fetch the current page of rows.
+	 */
+	const fetchRows = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+
+		const query = new URLSearchParams({ page, per_page: PER_PAGE });
+		Object.entries(appliedFilters).forEach(([column, value]) => {
+			if (value !== '') {
+				query.append(`filters[${column}]`, value);
+			}
+		});
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/filedb/tables/${table.name}/rows?${query.toString()}`,
+			});
+
+			if (response.success) {
+				setRows(response.rows);
+				setTotal(response.total);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the rows', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	}, [table, page, appliedFilters]);
+
+	useEffect(() => {
+		if (table) {
+			fetchRows();
+		}
+	}, [table, fetchRows]);
+
+	/**
+	 * Apply the column filters, starting from the first page.
+	 */
+	const applyFilters = () => {
+		setAppliedFilters({ ...filters });
+		setPage(1);
+	};
+
+	/**
+	 * Get the primary key values of a row.
+	 *
+	 * @param {Object} row Row.
+	 * @return {Object} Primary key column => value.
+	 */
+	const getKey = (row) => Object.fromEntries(table.primary_key.map((column) => [column, row[column]]));
+
+	/**
+	 * Save the row being edited, sending only the changed columns.
+	 */
+	const handleSave = async () => {
+		const values = Object.fromEntries(
+			Object.entries(editing.values).filter(([column, value]) => value !== editing.row[column])
+		);
+
+		if (Object.keys(values).length === 0) {
+			setEditing(null);
+			return;
+		}
+
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: `/wp-dbal/v1/filedb/tables/${table.name}/rows/update`,
+				method: 'POST',
+				data: { key: getKey(editing.row), values },
+			});
+			setEditing(null);
+			fetchRows();
+		} catch (err) {
+			setError(err.message || __('Failed to update the row', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Delete a row.
+	 *
+	 * @param {Object} row Row.
+	 */
+	const handleDelete = async (row) => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: `/wp-dbal/v1/filedb/tables/${table.name}/rows/delete`,
+				method: 'POST',
+				data: { key: getKey(row) },
+			});
+			fetchRows();
+		} catch (err) {
+			setError(err.message || __('Failed to delete the row', 'wp-dbal'));
+		}
+	};
+
+	const columns = table ? Object.keys(table.columns) : [];
+	const pages = Math.max(1, Math.ceil(total / PER_PAGE));
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{table ? table.name : __('FileDB Tables', 'wp-dbal')}</h2>
+				<div style={{ display: 'flex', gap: '10px' }}>
+					{table && (
+						<Button variant="secondary" onClick={() => setTable(null)}>
+							{__('All tables', 'wp-dbal')}
+						</Button>
+					)}
+					<Button variant="secondary" onClick={table ? () => fetchRows() : fetchTables} disabled={loading}>
+						{__('Refresh', 'wp-dbal')}
+					</Button>
+				</div>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{!table && !loading && tables.length === 0 && (
+					<p>{__('No tables found.', 'wp-dbal')}</p>
+				)}
+
+				{!table && tables.length > 0 && (
+					<table className="widefat striped">
+						<thead>
+							<tr>
+								<th>{__('Table', 'wp-dbal')}</th>
+								<th>{__('Rows', 'wp-dbal')}</th>
+								<th>{__('Columns', 'wp-dbal')}</th>
+								<th>{__('Primary key', 'wp-dbal')}</th>
+								<th>{__('Next auto-increment', 'wp-dbal')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{tables.map((item) => (
+								<tr key={item.name}>
+									<td>
+										<Button variant="link" onClick={() => openTable(item.name)}>
+											{item.name}
+										</Button>
+									</td>
+									<td>{item.rows}</td>
+									<td>{item.columns}</td>
+									<td><code>{item.primary_key.join(', ')}</code></td>
+									<td>{item.auto_increment + 1}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+
+				{table && (
+					<>
+						<details style={{ marginBottom: '20px' }}>
+							<summary>{__('Schema', 'wp-dbal')}</summary>
+							<table className="widefat striped" style={{ marginTop: '10px' }}>
+								<thead>
+									<tr>
+										<th>{__('Column', 'wp-dbal')}</th>
+										<th>{__('Type', 'wp-dbal')}</th>
+										<th>{__('Nullable', 'wp-dbal')}</th>
+										<th>{__('Default', 'wp-dbal')}</th>
+									</tr>
+								</thead>
+								<tbody>
+									{columns.map((column) => (
+										<tr key={column}>
+											<td>
+												<code>{column}</code>
+												{table.primary_key.includes(column) && ` (${__('primary key', 'wp-dbal')})`}
+												{table.columns[column].autoIncrement && ` (${__('auto-increment', 'wp-dbal')})`}
+											</td>
+											<td>{table.columns[column].type}</td>
+											<td>{table.columns[column].nullable ? __('Yes', 'wp-dbal') : __('No', 'wp-dbal')}</td>
+											<td>{formatValue(table.columns[column].default)}</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+							<p>
+								{sprintf(
+									/* translators: %d: Last auto-increment value. */
+									__('Last auto-increment value: %d', 'wp-dbal'),
+									table.metadata.autoIncrement || 0
+								)}
+							</p>
+						</details>
+
+						<div style={{ overflowX: 'auto' }}>
+							<table className="widefat striped">
+								<thead>
+									<tr>
+										{columns.map((column) => (
+											<th key={column}>{column}</th>
+										))}
+										<th />
+									</tr>
+									<tr>
+										{columns.map((column) => (
+											<td key={column}>
+												<TextControl
+													value={filters[column] || ''}
+													onChange={(value) => setFilters((prev) => ({ ...prev, [column]: value }))}
+													placeholder={__('Filter', 'wp-dbal')}
+													__nextHasNoMarginBottom
+												/>
+											</td>
+										))}
+										<td>
+											<Button variant="secondary" onClick={applyFilters}>
+												{__('Filter', 'wp-dbal')}
+											</Button>
+										</td>
+									</tr>
+								</thead>
+								<tbody>
+									{rows.map((row) => {
+										const rowKey = JSON.stringify(getKey(row));
+										const isEditing = editing && editing.rowKey === rowKey;
+
+										return (
+											<tr key={rowKey}>
+												{columns.map((column) => (
+													<td key={column}>
+														{isEditing && !table.primary_key.includes(column) ? (
+															<TextControl
+																value={editing.values[column] ?? ''}
+																onChange={(value) => setEditing((prev) => ({
+																	...prev,
+																	values: { ...prev.values, [column]: value },
+																}))}
+																__nextHasNoMarginBottom
+															/>
+														) : formatValue(row[column])}
+													</td>
+												))}
+												<td style={{ whiteSpace: 'nowrap' }}>
+													{isEditing ? (
+														<>
+															<Button variant="link" onClick={handleSave}>
+																{__('Save', 'wp-dbal')}
+															</Button>
+															{' | '}
+															<Button variant="link" onClick={() => setEditing(null)}>
+																{__('Cancel', 'wp-dbal')}
+															</Button>
+														</>
+													) : (
+														<>
+															<Button
+																variant="link"
+																onClick={() => setEditing({ rowKey, row, values: { ...row } })}
+															>
+																{__('Edit', 'wp-dbal')}
+															</Button>
+															{' | '}
+															<Button variant="link" isDestructive onClick={() => handleDelete(row)}>
+																{__('Delete', 'wp-dbal')}
+															</Button>
+														</>
+													)}
+												</td>
+											</tr>
+										);
+									})}
+								</tbody>
+							</table>
+						</div>
+
+						{!loading && rows.length === 0 && (
+							<p>{__('No rows found.', 'wp-dbal')}</p>
+						)}
+
+						<div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+							<Button variant="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+								{__('Previous', 'wp-dbal')}
+							</Button>
+							<span>
+								{sprintf(
+									/* translators: 1: Current page, 2: Number of pages, 3: Number of rows. */
+									__('Page %1$d of %2$d (%3$d rows)', 'wp-dbal'),
+									page,
+									pages,
+									total
+								)}
+							</span>
+							<Button variant="secondary" onClick={() => setPage(page + 1)} disabled={page >= pages || loading}>
+								{__('Next', 'wp-dbal')}
+							</Button>
+						</div>
+					</>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
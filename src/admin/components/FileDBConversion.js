@@ -0,0 +1,334 @@
+/**
+ * FileDB Conversion Component
+ *
+ * Converts the FileDB storage between the JSON and PHP formats.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+import { waitForHealthySite } from '../utils/health';
+
+const FORMAT_LABELS = {
+	json: 'JSON',
+	php: 'PHP',
+};
+
+const PHASE_LABELS = {
+	copy: __('Converting files', 'wp-dbal'),
+	verify: __('Verifying the converted files', 'wp-dbal'),
+	ready: __('Ready to switch formats', 'wp-dbal'),
+	cleanup: __('Deleting the files in the old format', 'wp-dbal'),
+	completed: __('Completed', 'wp-dbal'),
+};
+
+/**
+ * FileDB conversion component.
+ *
+ * @return {JSX.Element} FileDB conversion.
+ */
+export default function FileDBConversion() {
+	const [format, setFormat] = useState(null);
+	const [conversion, setConversion] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(false);
+	const [error, setError] = useState(null);
+	const [success, setSuccess] = useState(null);
+
+	useEffect(() => {
+		fetchConversion();
+	}, []);
+
+	/**
+	 * Fetch the state of the conversion.
+	 */
+	const fetchConversion = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/filedb/conversion',
+			});
+
+			if (response.success) {
+				setFormat(response.format);
+				setConversion(response.conversion);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the conversion', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Run steps until the conversion waits for the switch, completes or fails.
+	 *
+	 * @param {string} currentFormat Format the site uses, defaults to the one last loaded.
+	 */
+	const runSteps = async (currentFormat = format) => {
+		setRunning(true);
+		setError(null);
+
+		try {
+			for (;;) {
+				const response = await apiFetch({
+					path: '/wp-dbal/v1/filedb/conversion/step',
+					method: 'POST',
+				});
+				const state = response.conversion;
+
+				setConversion(state);
+
+				if (state.error) {
+					setError(state.error);
+					break;
+				}
+
+				// Stop at "ready" until the format is switched.
+				if (state.phase === 'completed' || (state.phase === 'ready' && state.target !== currentFormat)) {
+					break;
+				}
+			}
+		} catch (err) {
+			setError(err.message || __('The conversion step failed', 'wp-dbal'));
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	/**
+	 * Start converting to the other format.
+	 */
+	const handleStart = async () => {
+		setError(null);
+		setSuccess(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/filedb/conversion/start',
+				method: 'POST',
+				data: { format: format === 'php' ? 'json' : 'php' },
+			});
+			setConversion(response.conversion);
+		} catch (err) {
+			setError(err.message || __('Failed to start the conversion', 'wp-dbal'));
+			return;
+		}
+
+		runSteps();
+	};
+
+	/**
+	 * Switch DB_FILEDB_FORMAT and, once the site works with it, delete the old files.
+	 */
+	const handleSwitch = async () => {
+		setRunning(true);
+		setError(null);
+		setSuccess(null);
+
+		let response;
+
+		try {
+			response = await apiFetch({
+				path: '/wp-dbal/v1/filedb/conversion/switch',
+				method: 'POST',
+			});
+
+			setConversion(response.conversion);
+			setSuccess(__('DB_FILEDB_FORMAT changed. Checking that the site works with it…', 'wp-dbal'));
+
+			const health = await waitForHealthySite(response.switch.token, response.switch.timeout);
+
+			if (health?.status === 'confirmed') {
+				setFormat(response.conversion.target);
+				setSuccess(__('The site now uses the converted files. The files in the old format are being deleted.', 'wp-dbal'));
+			} else if (health?.status === 'rolled_back') {
+				setSuccess(null);
+				setError(sprintf(
+					/* translators: %s: Error message. */
+					__('The site did not work with the converted files, so the previous wp-config.php was restored. %s', 'wp-dbal'),
+					health.error || ''
+				));
+				return;
+			} else {
+				setSuccess(null);
+				setError(sprintf(
+					/* translators: %s: Backup file name. */
+					__('Could not confirm that the site works with the converted files. If it is broken, copy %s over wp-config.php.', 'wp-dbal'),
+					response.switch.backup
+				));
+				return;
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to switch formats', 'wp-dbal'));
+			return;
+		} finally {
+			setRunning(false);
+		}
+
+		runSteps(response.conversion.target);
+	};
+
+	/**
+	 * Forget the conversion.
+	 */
+	const handleCancel = async () => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: '/wp-dbal/v1/filedb/conversion/cancel',
+				method: 'POST',
+			});
+			setConversion(null);
+			setSuccess(null);
+		} catch (err) {
+			setError(err.message || __('Failed to cancel the conversion', 'wp-dbal'));
+		}
+	};
+
+	const active = conversion && conversion.phase !== 'completed';
+	const awaitingSwitch = active && conversion.phase === 'ready' && conversion.target !== format;
+	const percent = conversion && conversion.files_total > 0
+		? Math.min(100, (conversion.files_done / conversion.files_total) * 100)
+		: 0;
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('FileDB Storage Format', 'wp-dbal')}</h2>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{success && (
+					<Notice status="success" isDismissible={false}>
+						{success}
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{!loading && format && (
+					<p>
+						{sprintf(
+							/* translators: %s: Storage format. */
+							__('FileDB data is stored as %s files.', 'wp-dbal'),
+							FORMAT_LABELS[format]
+						)}
+					</p>
+				)}
+
+				{!loading && !active && (
+					<>
+						<p>
+							{__('The conversion writes a copy of every table, schema, metadata and index file in the new format next to the current one. The site keeps using the current files until the copies are verified and DB_FILEDB_FORMAT is switched; the old files are deleted afterwards.', 'wp-dbal')}
+						</p>
+						<Button variant="primary" onClick={handleStart} disabled={running || !format}>
+							{sprintf(
+								/* translators: %s: Storage format. */
+								__('Convert to %s', 'wp-dbal'),
+								FORMAT_LABELS[format === 'php' ? 'json' : 'php']
+							)}
+						</Button>
+					</>
+				)}
+
+				{active && (
+					<>
+						<p>
+							<strong>
+								{sprintf(
+									/* translators: 1: Source format, 2: Target format. */
+									__('Converting from %1$s to %2$s', 'wp-dbal'),
+									FORMAT_LABELS[conversion.source],
+									FORMAT_LABELS[conversion.target]
+								)}
+							</strong>
+							{' — '}
+							{PHASE_LABELS[conversion.phase] || conversion.phase}
+						</p>
+
+						{(conversion.phase === 'copy' || conversion.phase === 'cleanup') && (
+							<>
+								<div className="wp-dbal-progress-bar">
+									<span style={{ width: `${percent}%` }} />
+								</div>
+								<p>
+									{sprintf(
+										/* translators: 1: Files done, 2: Number of files. */
+										__('%1$d of %2$d files', 'wp-dbal'),
+										conversion.files_done,
+										conversion.files_total
+									)}
+								</p>
+							</>
+						)}
+
+						{Object.keys(conversion.counts).length > 0 && (
+							<table className="widefat striped" style={{ marginBottom: '20px' }}>
+								<thead>
+									<tr>
+										<th>{__('Table', 'wp-dbal')}</th>
+										<th>{FORMAT_LABELS[conversion.source]}</th>
+										<th>{FORMAT_LABELS[conversion.target]}</th>
+									</tr>
+								</thead>
+								<tbody>
+									{Object.entries(conversion.counts).map(([table, counts]) => (
+										<tr key={table}>
+											<td>{table}</td>
+											<td>{counts.source}</td>
+											<td style={counts.source !== counts.target ? { color: '#d63638' } : undefined}>
+												{counts.target}
+											</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						)}
+
+						<div style={{ display: 'flex', gap: '10px' }}>
+							{awaitingSwitch ? (
+								<Button variant="primary" onClick={handleSwitch} disabled={running}>
+									{sprintf(
+										/* translators: %s: Storage format. */
+										__('Switch to %s', 'wp-dbal'),
+										FORMAT_LABELS[conversion.target]
+									)}
+								</Button>
+							) : (
+								<Button variant="primary" onClick={() => runSteps()} disabled={running} isBusy={running}>
+									{running ? __('Running…', 'wp-dbal') : __('Resume', 'wp-dbal')}
+								</Button>
+							)}
+							<Button variant="secondary" isDestructive onClick={handleCancel} disabled={running}>
+								{__('Cancel', 'wp-dbal')}
+							</Button>
+						</div>
+					</>
+				)}
+
+				{!loading && conversion && conversion.phase === 'completed' && (
+					<p>
+						{sprintf(
+							/* translators: 1: Source format, 2: Target format. */
+							__('The last conversion from %1$s to %2$s completed.', 'wp-dbal'),
+							FORMAT_LABELS[conversion.source],
+							FORMAT_LABELS[conversion.target]
+						)}
+					</p>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
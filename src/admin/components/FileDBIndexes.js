@@ -0,0 +1,335 @@
+/**
+ * FileDB Indexes Component
+ *
+ * Lists the FileDB indexes, checks them against the row data and rebuilds them.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, CheckboxControl, Notice, Spinner } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a byte count.
+ *
+ * @param {number} bytes Byte count.
+ * @return {string} Formatted size.
+ */
+const formatBytes = (bytes) => {
+	const units = ['B', 'KB', 'MB', 'GB'];
+	let value = bytes;
+	let unit = 0;
+
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+
+	return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const STATUS_LABELS = {
+	ok: __('OK', 'wp-dbal'),
+	stale: __('Stale', 'wp-dbal'),
+	missing: __('Missing', 'wp-dbal'),
+	unreadable: __('Unreadable', 'wp-dbal'),
+	unused: __('Unused', 'wp-dbal'),
+};
+
+/**
+ * Summarize the check result of a table.
+ *
+ * @param {Object} statuses Status by column.
+ * @return {JSX.Element} Summary.
+ */
+const formatStatuses = (statuses) => {
+	const problems = Object.entries(statuses).filter(([, status]) => status !== 'ok');
+
+	if (problems.length === 0) {
+		return <span style={{ color: 'green' }}>{__('Consistent', 'wp-dbal')}</span>;
+	}
+
+	return (
+		<span style={{ color: '#d63638' }}>
+			{problems.map(([column, status]) => `${column}: ${STATUS_LABELS[status] || status}`).join(', ')}
+		</span>
+	);
+};
+
+/**
+ * FileDB indexes component.
+ *
+ * @return {JSX.Element} FileDB indexes.
+ */
+export default function FileDBIndexes() {
+	const [enabled, setEnabled] = useState(true);
+	const [tables, setTables] = useState([]);
+	const [statuses, setStatuses] = useState({});
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [job, setJob] = useState(null);
+	const [editing, setEditing] = useState(null);
+
+	useEffect(() => {
+		fetchIndexes();
+	}, []);
+
+	/**
+	 * Fetch the indexes of all tables.
+	 */
+	const fetchIndexes = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/filedb/indexes',
+			});
+
+			if (response.success) {
+				setEnabled(response.enabled);
+				setTables(response.tables);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the indexes', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Replace a table in the list with its updated version.
+	 *
+	 * @param {Object} table Table indexes.
+	 */
+	const updateTable = (table) => {
+		setTables((prev) => prev.map((item) => (item.table === table.table ? table : item)));
+	};
+
+	/**
+	 * Check or rebuild tables one by one, tracking the progress.
+	 *
+	 * @param {string} action "check" or "rebuild".
+	 * @param {Array} names Table names.
+	 */
+	const runJob = async (action, names) => {
+		setError(null);
+
+		for (let i = 0; i < names.length; i++) {
+			setJob({ action, table: names[i], done: i, total: names.length });
+
+			try {
+				if (action === 'check') {
+					const response = await apiFetch({
+						path: `/wp-dbal/v1/filedb/indexes/${names[i]}/check`,
+					});
+					setStatuses((prev) => ({ ...prev, [names[i]]: response.statuses }));
+				} else {
+					const response = await apiFetch({
+						path: `/wp-dbal/v1/filedb/indexes/${names[i]}/rebuild`,
+						method: 'POST',
+					});
+					updateTable(response.table);
+					setStatuses((prev) => {
+						const next = { ...prev };
+						delete next[names[i]];
+						return next;
+					});
+				}
+			} catch (err) {
+				setError(err.message || __('Failed to process the indexes', 'wp-dbal'));
+				break;
+			}
+		}
+
+		setJob(null);
+	};
+
+	/**
+	 * Save the indexed columns of the table being edited.
+	 */
+	const handleSaveColumns = async () => {
+		setError(null);
+		setJob({ action: 'rebuild', table: editing.table, done: 0, total: 1 });
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/filedb/indexes/${editing.table}/columns`,
+				method: 'POST',
+				data: { columns: editing.all ? null : editing.columns },
+			});
+			updateTable(response.table);
+			setEditing(null);
+		} catch (err) {
+			setError(err.message || __('Failed to save the indexed columns', 'wp-dbal'));
+		} finally {
+			setJob(null);
+		}
+	};
+
+	/**
+	 * Toggle a column in the table being edited.
+	 *
+	 * @param {string} column Column name.
+	 * @param {boolean} checked Whether the column is indexed.
+	 */
+	const toggleColumn = (column, checked) => {
+		setEditing((prev) => ({
+			...prev,
+			columns: checked ? [...prev.columns, column] : prev.columns.filter((item) => item !== column),
+		}));
+	};
+
+	const names = tables.map((table) => table.table);
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('FileDB Indexes', 'wp-dbal')}</h2>
+				<div style={{ display: 'flex', gap: '10px' }}>
+					<Button variant="secondary" onClick={fetchIndexes} disabled={loading || !!job}>
+						{__('Refresh', 'wp-dbal')}
+					</Button>
+					<Button variant="secondary" onClick={() => runJob('check', names)} disabled={!enabled || !!job || names.length === 0}>
+						{__('Check all', 'wp-dbal')}
+					</Button>
+					<Button variant="primary" onClick={() => runJob('rebuild', names)} disabled={!enabled || !!job || names.length === 0}>
+						{__('Rebuild all', 'wp-dbal')}
+					</Button>
+				</div>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{!enabled && (
+					<Notice status="warning" isDismissible={false}>
+						{__('Indexing is disabled with DB_FILEDB_INDEXES.', 'wp-dbal')}
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{job && (
+					<div style={{ marginBottom: '20px' }}>
+						<div className="wp-dbal-progress-bar">
+							<span style={{ width: `${(job.done / job.total) * 100}%` }} />
+						</div>
+						<p>
+							{job.action === 'check'
+								? sprintf(
+									/* translators: 1: Table name, 2: Table number, 3: Number of tables. */
+									__('Checking %1$s (%2$d of %3$d)', 'wp-dbal'),
+									job.table,
+									job.done + 1,
+									job.total
+								)
+								: sprintf(
+									/* translators: 1: Table name, 2: Table number, 3: Number of tables. */
+									__('Rebuilding %1$s (%2$d of %3$d)', 'wp-dbal'),
+									job.table,
+									job.done + 1,
+									job.total
+								)}
+						</p>
+					</div>
+				)}
+
+				{!loading && tables.length === 0 && (
+					<p>{__('No tables found.', 'wp-dbal')}</p>
+				)}
+
+				{tables.length > 0 && (
+					<table className="widefat striped">
+						<thead>
+							<tr>
+								<th>{__('Table', 'wp-dbal')}</th>
+								<th>{__('Indexed columns', 'wp-dbal')}</th>
+								<th>{__('Entries', 'wp-dbal')}</th>
+								<th>{__('Size', 'wp-dbal')}</th>
+								<th>{__('Status', 'wp-dbal')}</th>
+								<th />
+							</tr>
+						</thead>
+						<tbody>
+							{tables.map((table) => (
+								<tr key={table.table}>
+									<td>
+										<strong>{table.table}</strong>
+										{editing && editing.table === table.table && (
+											<div style={{ marginTop: '10px' }}>
+												<CheckboxControl
+													label={__('Index all columns', 'wp-dbal')}
+													checked={editing.all}
+													onChange={(all) => setEditing((prev) => ({ ...prev, all }))}
+												/>
+												{!editing.all && table.columns.map((column) => (
+													<CheckboxControl
+														key={column}
+														label={column}
+														checked={editing.columns.includes(column)}
+														onChange={(checked) => toggleColumn(column, checked)}
+													/>
+												))}
+												<div style={{ display: 'flex', gap: '10px' }}>
+													<Button variant="primary" onClick={handleSaveColumns} disabled={!!job}>
+														{__('Save and rebuild', 'wp-dbal')}
+													</Button>
+													<Button variant="secondary" onClick={() => setEditing(null)}>
+														{__('Cancel', 'wp-dbal')}
+													</Button>
+												</div>
+											</div>
+										)}
+									</td>
+									<td>
+										{table.indexed_columns === null
+											? __('All', 'wp-dbal')
+											: table.indexed_columns.join(', ') || __('None', 'wp-dbal')}
+										<br />
+										<span style={{ color: '#50575e' }}>
+											{sprintf(
+												/* translators: %d: Number of index files. */
+												_n('%d index file', '%d index files', table.indexes.length, 'wp-dbal'),
+												table.indexes.length
+											)}
+										</span>
+									</td>
+									<td>{table.entries}</td>
+									<td>{formatBytes(table.size)}</td>
+									<td>{statuses[table.table] ? formatStatuses(statuses[table.table]) : '—'}</td>
+									<td style={{ whiteSpace: 'nowrap' }}>
+										<Button variant="link" onClick={() => runJob('check', [table.table])} disabled={!enabled || !!job}>
+											{__('Check', 'wp-dbal')}
+										</Button>
+										{' | '}
+										<Button variant="link" onClick={() => runJob('rebuild', [table.table])} disabled={!enabled || !!job}>
+											{__('Rebuild', 'wp-dbal')}
+										</Button>
+										{' | '}
+										<Button
+											variant="link"
+											onClick={() => setEditing({
+												table: table.table,
+												all: table.indexed_columns === null,
+												columns: table.indexed_columns || table.columns,
+											})}
+											disabled={!enabled || !!job}
+										>
+											{__('Columns', 'wp-dbal')}
+										</Button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
@@ -0,0 +1,326 @@
+/**
+ * Migration History Component
+ *
+ * Lists past migration sessions and their outcomes.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a timestamp.
+ *
+ * @param {number} timestamp Unix timestamp.
+ * @return {string} Formatted date.
+ */
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : '—');
+
+/**
+ * Format a duration in seconds.
+ *
+ * @param {number} seconds Duration in seconds.
+ * @return {string} Formatted duration.
+ */
+const formatDuration = (seconds) => {
+	const total = Math.max(0, Math.round(seconds));
+	const hours = Math.floor(total / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+
+	if (hours > 0) {
+		return sprintf(
+			/* translators: 1: Hours, 2: Minutes. */
+			__('%1$dh %2$dm', 'wp-dbal'),
+			hours,
+			minutes
+		);
+	}
+
+	return sprintf(
+		/* translators: 1: Minutes, 2: Seconds. */
+		__('%1$dm %2$ds', 'wp-dbal'),
+		minutes,
+		total % 60
+	);
+};
+
+const STATUS_COLORS = {
+	completed: 'green',
+	failed: 'red',
+	cancelled: '#996800',
+	discarded: '#50575e',
+};
+
+/**
+ * Migration history component.
+ *
+ * @param {Object} props Component props.
+ * @param {number} props.refreshKey Changes whenever the history should be reloaded.
+ * @return {JSX.Element} Migration history.
+ */
+export default function MigrationHistory({ refreshKey }) {
+	const [history, setHistory] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [sort, setSort] = useState({ key: 'started_at', direction: 'desc' });
+	const [selected, setSelected] = useState(null);
+
+	useEffect(() => {
+		fetchHistory();
+	}, [refreshKey]);
+
+	/**
+	 * Fetch the migration history.
+	 */
+	const fetchHistory = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/history',
+			});
+
+			if (response.success) {
+				setHistory(response.history);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load migration history', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Open the detail view of a session.
+	 *
+	 * @param {string} sessionId Session ID.
+	 */
+	const openEntry = async (sessionId) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/migration/history/${sessionId}`,
+			});
+
+			if (response.success) {
+				setSelected(response.entry);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load migration details', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Sort by a column, toggling the direction when it is already sorted.
+	 *
+	 * @param {string} key Column key.
+	 */
+	const sortBy = (key) => {
+		setSort((prev) => ({
+			key,
+			direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
+		}));
+	};
+
+	const columns = [
+		{ key: 'started_at', label: __('Started', 'wp-dbal') },
+		{ key: 'source_engine', label: __('Source', 'wp-dbal') },
+		{ key: 'target_engine', label: __('Target', 'wp-dbal') },
+		{ key: 'user', label: __('User', 'wp-dbal') },
+		{ key: 'duration', label: __('Duration', 'wp-dbal') },
+		{ key: 'rows_total', label: __('Rows', 'wp-dbal') },
+		{ key: 'status', label: __('Status', 'wp-dbal') },
+	];
+
+	const sortedHistory = history
+		.map((entry) => ({ ...entry, duration: entry.ended_at - entry.started_at }))
+		.sort((a, b) => {
+			const aValue = a[sort.key] ?? '';
+			const bValue = b[sort.key] ?? '';
+			const order = typeof aValue === 'number' && typeof bValue === 'number'
+				? aValue - bValue
+				: String(aValue).localeCompare(String(bValue));
+
+			return sort.direction === 'asc' ? order : -order;
+		});
+
+	if (selected) {
+		const tables = Object.values(selected.tables || {});
+
+		return (
+			<Card style={{ marginTop: '20px' }}>
+				<CardHeader>
+					<h2>
+						{sprintf(
+							/* translators: 1: Source engine, 2: Target engine. */
+							__('Migration %1$s → %2$s', 'wp-dbal'),
+							selected.source_engine,
+							selected.target_engine
+						)}
+					</h2>
+					<Button variant="secondary" onClick={() => setSelected(null)}>
+						{__('Back to history', 'wp-dbal')}
+					</Button>
+				</CardHeader>
+				<CardBody>
+					<table className="form-table">
+						<tbody>
+							<tr>
+								<th>{__('Status', 'wp-dbal')}</th>
+								<td style={{ color: STATUS_COLORS[selected.status] }}>{selected.status}</td>
+							</tr>
+							<tr>
+								<th>{__('Started by', 'wp-dbal')}</th>
+								<td>{selected.user || `#${selected.user_id}`}</td>
+							</tr>
+							<tr>
+								<th>{__('Started', 'wp-dbal')}</th>
+								<td>{formatDate(selected.started_at)}</td>
+							</tr>
+							<tr>
+								<th>{__('Ended', 'wp-dbal')}</th>
+								<td>{formatDate(selected.ended_at)}</td>
+							</tr>
+							<tr>
+								<th>{__('Rows', 'wp-dbal')}</th>
+								<td>
+									{sprintf(
+										/* translators: 1: Imported rows, 2: Total rows. */
+										__('%1$s of %2$s imported', 'wp-dbal'),
+										selected.rows_imported.toLocaleString(),
+										selected.rows_total.toLocaleString()
+									)}
+								</td>
+							</tr>
+							{selected.error && (
+								<tr>
+									<th>{__('Error', 'wp-dbal')}</th>
+									<td>{selected.error}</td>
+								</tr>
+							)}
+						</tbody>
+					</table>
+
+					{tables.length > 0 && (
+						<>
+							<h3>{__('Tables', 'wp-dbal')}</h3>
+							<table className="widefat striped">
+								<thead>
+									<tr>
+										<th>{__('Table', 'wp-dbal')}</th>
+										<th>{__('Rows', 'wp-dbal')}</th>
+										<th>{__('Exported', 'wp-dbal')}</th>
+										<th>{__('Imported', 'wp-dbal')}</th>
+										<th>{__('Verification', 'wp-dbal')}</th>
+									</tr>
+								</thead>
+								<tbody>
+									{tables.map((table) => (
+										<tr key={table.table}>
+											<td>{table.table}</td>
+											<td>{table.rows_total.toLocaleString()}</td>
+											<td>{table.rows_exported.toLocaleString()}</td>
+											<td>{table.rows_imported.toLocaleString()}</td>
+											<td>{table.verification || '—'}</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</>
+					)}
+
+					{selected.errors?.length > 0 && (
+						<>
+							<h3>{__('Error trail', 'wp-dbal')}</h3>
+							<table className="widefat striped">
+								<thead>
+									<tr>
+										<th>{__('Time', 'wp-dbal')}</th>
+										<th>{__('Step', 'wp-dbal')}</th>
+										<th>{__('Table', 'wp-dbal')}</th>
+										<th>{__('Message', 'wp-dbal')}</th>
+									</tr>
+								</thead>
+								<tbody>
+									{selected.errors.map((item, index) => (
+										<tr key={index}>
+											<td>{formatDate(item.time)}</td>
+											<td>{item.step}</td>
+											<td>{item.table}</td>
+											<td>{item.message}</td>
+										</tr>
+									))}
+								</tbody>
+							</table>
+						</>
+					)}
+				</CardBody>
+			</Card>
+		);
+	}
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('Migration History', 'wp-dbal')}</h2>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{!loading && history.length === 0 && (
+					<p>{__('No migrations have been run yet.', 'wp-dbal')}</p>
+				)}
+
+				{!loading && history.length > 0 && (
+					<table className="widefat striped">
+						<thead>
+							<tr>
+								{columns.map((column) => (
+									<th key={column.key}>
+										<Button variant="link" onClick={() => sortBy(column.key)}>
+											{column.label}
+											{sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+										</Button>
+									</th>
+								))}
+								<th />
+							</tr>
+						</thead>
+						<tbody>
+							{sortedHistory.map((entry) => (
+								<tr key={entry.session_id}>
+									<td>{formatDate(entry.started_at)}</td>
+									<td><code>{entry.source_engine}</code></td>
+									<td><code>{entry.target_engine}</code></td>
+									<td>{entry.user || `#${entry.user_id}`}</td>
+									<td>{formatDuration(entry.duration)}</td>
+									<td>{entry.rows_total.toLocaleString()}</td>
+									<td style={{ color: STATUS_COLORS[entry.status] }}>
+										{entry.status}
+										{entry.verified && ` (${__('verified', 'wp-dbal')})`}
+									</td>
+									<td>
+										<Button variant="link" onClick={() => openEntry(entry.session_id)}>
+											{__('Details', 'wp-dbal')}
+										</Button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
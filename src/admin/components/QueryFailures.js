@@ -0,0 +1,289 @@
+/**
+ * Query Failures Component
+ *
+ * Lists the queries that could not be translated or failed, grouped by plugin.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, CheckboxControl, Notice, Spinner, ToggleControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a timestamp.
+ *
+ * @param {number} timestamp Unix timestamp.
+ * @return {string} Formatted date.
+ */
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+const STAGE_LABELS = {
+	translation: __('Translation', 'wp-dbal'),
+	execution: __('Execution', 'wp-dbal'),
+};
+
+/**
+ * Query failures component.
+ *
+ * @return {JSX.Element} Query failures.
+ */
+export default function QueryFailures() {
+	const [failures, setFailures] = useState([]);
+	const [enabled, setEnabled] = useState(false);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [showKnown, setShowKnown] = useState(false);
+	const [expanded, setExpanded] = useState(null);
+
+	useEffect(() => {
+		fetchFailures();
+	}, []);
+
+	/**
+	 * Fetch the failed queries.
+	 */
+	const fetchFailures = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-failures',
+			});
+
+			if (response.success) {
+				setEnabled(response.enabled);
+				setFailures(response.failures);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the failed queries', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Switch reporting on or off.
+	 *
+	 * @param {boolean} value Whether to record failed queries.
+	 */
+	const handleToggle = async (value) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-failures/settings',
+				method: 'POST',
+				data: { enabled: value },
+			});
+			setEnabled(response.enabled);
+		} catch (err) {
+			setError(err.message || __('Failed to save the report settings', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Mark a failure as known, or as unknown again.
+	 *
+	 * @param {string} key Failure key.
+	 * @param {boolean} known Whether the failure is known.
+	 */
+	const handleMarkKnown = async (key, known) => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: `/wp-dbal/v1/query-failures/${key}/known`,
+				method: 'POST',
+				data: { known },
+			});
+			setFailures((prev) => prev.map((failure) => (failure.key === key ? { ...failure, known } : failure)));
+		} catch (err) {
+			setError(err.message || __('Failed to update the failure', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Download the report as a JSON file for a bug report.
+	 */
+	const handleExport = async () => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-failures/export',
+			});
+
+			const blob = new Blob([JSON.stringify(response.report, null, 2)], { type: 'application/json' });
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement('a');
+
+			link.href = url;
+			link.download = `wp-dbal-query-failures-${response.report.db_engine}.json`;
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+			URL.revokeObjectURL(url);
+		} catch (err) {
+			setError(err.message || __('Failed to export the failed queries', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Clear the report.
+	 */
+	const handleClear = async () => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: '/wp-dbal/v1/query-failures/clear',
+				method: 'POST',
+			});
+			setFailures([]);
+		} catch (err) {
+			setError(err.message || __('Failed to clear the failed queries', 'wp-dbal'));
+		}
+	};
+
+	const visibleFailures = failures.filter((failure) => showKnown || !failure.known);
+
+	// Group by origin, the origins with the most failures first.
+	const groups = Object.values(
+		visibleFailures.reduce((acc, failure) => {
+			const label = `${failure.origin.type}: ${failure.origin.name}`;
+
+			acc[label] = acc[label] || { label, count: 0, failures: [] };
+			acc[label].count += failure.count;
+			acc[label].failures.push(failure);
+
+			return acc;
+		}, {})
+	).sort((a, b) => b.count - a.count);
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('Failed Queries', 'wp-dbal')}</h2>
+				<div style={{ display: 'flex', gap: '10px' }}>
+					<Button variant="secondary" onClick={fetchFailures} disabled={loading}>
+						{__('Refresh', 'wp-dbal')}
+					</Button>
+					<Button variant="secondary" onClick={handleExport} disabled={failures.length === 0}>
+						{__('Export JSON', 'wp-dbal')}
+					</Button>
+					<Button variant="secondary" isDestructive onClick={handleClear} disabled={failures.length === 0}>
+						{__('Clear', 'wp-dbal')}
+					</Button>
+				</div>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{loading && <Spinner />}
+
+				{!loading && (
+					<ToggleControl
+						label={__('Record failed queries', 'wp-dbal')}
+						help={__('Queries are stored without their values. Reporting adds a file write to each request with a failing query.', 'wp-dbal')}
+						checked={enabled}
+						onChange={handleToggle}
+					/>
+				)}
+
+				{!loading && (
+					<CheckboxControl
+						label={__('Show failures marked as known', 'wp-dbal')}
+						checked={showKnown}
+						onChange={setShowKnown}
+					/>
+				)}
+
+				{!loading && visibleFailures.length === 0 && (
+					<p>{__('No failed queries have been recorded.', 'wp-dbal')}</p>
+				)}
+
+				{!loading && groups.map((group) => (
+					<div key={group.label} style={{ marginTop: '20px' }}>
+						<h3>
+							{group.label}{' '}
+							<span style={{ fontWeight: 'normal', color: '#50575e' }}>
+								{sprintf(
+									/* translators: %d: Number of failures. */
+									_n('(%d failure)', '(%d failures)', group.count, 'wp-dbal'),
+									group.count
+								)}
+							</span>
+						</h3>
+						<table className="widefat striped">
+							<thead>
+								<tr>
+									<th>{__('Query', 'wp-dbal')}</th>
+									<th>{__('Error', 'wp-dbal')}</th>
+									<th>{__('Count', 'wp-dbal')}</th>
+									<th>{__('First seen', 'wp-dbal')}</th>
+									<th>{__('Last seen', 'wp-dbal')}</th>
+									<th />
+								</tr>
+							</thead>
+							<tbody>
+								{group.failures.map((failure) => (
+									<tr key={failure.key} style={failure.known ? { opacity: 0.6 } : undefined}>
+										<td>
+											<Button
+												variant="link"
+												onClick={() => setExpanded(expanded === failure.key ? null : failure.key)}
+											>
+												<code style={{ wordBreak: 'break-word', textAlign: 'left' }}>{failure.fingerprint}</code>
+											</Button>
+											{expanded === failure.key && (
+												<table className="form-table">
+													<tbody>
+														<tr>
+															<th>{__('Translated SQL', 'wp-dbal')}</th>
+															<td>
+																{failure.translated
+																	? <code style={{ wordBreak: 'break-word' }}>{failure.translated}</code>
+																	: '—'}
+															</td>
+														</tr>
+														{failure.sql_state && (
+															<tr>
+																<th>{__('SQLSTATE', 'wp-dbal')}</th>
+																<td><code>{failure.sql_state}</code></td>
+															</tr>
+														)}
+													</tbody>
+												</table>
+											)}
+										</td>
+										<td>
+											<strong>{STAGE_LABELS[failure.stage] || failure.stage}</strong>
+											{failure.error_class && <> (<code>{failure.error_class}</code>)</>}
+											<br />
+											{failure.error}
+										</td>
+										<td>{failure.count}</td>
+										<td>{formatDate(failure.first_seen)}</td>
+										<td>{formatDate(failure.last_seen)}</td>
+										<td>
+											<Button variant="link" onClick={() => handleMarkKnown(failure.key, !failure.known)}>
+												{failure.known ? __('Mark as new', 'wp-dbal') : __('Mark as known', 'wp-dbal')}
+											</Button>
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				))}
+			</CardBody>
+		</Card>
+	);
+}
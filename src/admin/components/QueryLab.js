@@ -0,0 +1,238 @@
+/**
+ * Query Lab Component
+ *
+ * Shows how a MySQL query is translated for each database engine.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner, TextareaControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const ENGINE_LABELS = {
+	mysql: 'MySQL',
+	pgsql: 'PostgreSQL',
+	sqlite: 'SQLite',
+	d1: 'Cloudflare D1',
+	filedb: 'FileDB',
+};
+
+/**
+ * Format a cell value of the result grid.
+ *
+ * @param {*} value Cell value.
+ * @return {string} Formatted value.
+ */
+const formatCell = (value) => (value === null ? 'NULL' : String(value));
+
+/**
+ * Query lab component.
+ *
+ * @return {JSX.Element} Query lab.
+ */
+export default function QueryLab() {
+	const [query, setQuery] = useState('');
+	const [translation, setTranslation] = useState(null);
+	const [result, setResult] = useState(null);
+	const [busy, setBusy] = useState(null);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Translate the query for every engine.
+	 */
+	const handleTranslate = async () => {
+		setBusy('translate');
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-lab/translate',
+				method: 'POST',
+				data: { query },
+			});
+
+			if (response.success) {
+				setTranslation(response);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to translate the query', 'wp-dbal'));
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	/**
+	 * Run the query on the current database.
+	 */
+	const handleRun = async () => {
+		setBusy('run');
+		setError(null);
+		setResult(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-lab/run',
+				method: 'POST',
+				data: { query },
+			});
+
+			if (response.success) {
+				setResult(response);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to run the query', 'wp-dbal'));
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('Query Lab', 'wp-dbal')}</h2>
+			</CardHeader>
+			<CardBody>
+				<p>
+					{__('Enter a MySQL query to see how it is translated for each database engine. SELECT queries can also be run on the current database.', 'wp-dbal')}
+				</p>
+
+				<TextareaControl
+					label={__('MySQL query', 'wp-dbal')}
+					value={query}
+					onChange={setQuery}
+					rows={5}
+					style={{ fontFamily: 'monospace' }}
+				/>
+
+				<div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+					<Button
+						variant="primary"
+						onClick={handleTranslate}
+						disabled={!query.trim() || busy !== null}
+					>
+						{__('Translate', 'wp-dbal')}
+					</Button>
+					<Button
+						variant="secondary"
+						onClick={handleRun}
+						disabled={!query.trim() || busy !== null}
+					>
+						{__('Run SELECT', 'wp-dbal')}
+					</Button>
+					{busy && <Spinner />}
+				</div>
+
+				{error && (
+					<Notice status="error" isDismissible={false} style={{ marginTop: '15px' }}>
+						{error}
+					</Notice>
+				)}
+
+				{translation && (
+					<div style={{ marginTop: '20px' }}>
+						{translation.errors.length > 0 && (
+							<Notice status="warning" isDismissible={false}>
+								<p>{__('The query has parse errors:', 'wp-dbal')}</p>
+								<ul>
+									{translation.errors.map((parseError, index) => (
+										<li key={index}>
+											{parseError.message}
+											{parseError.token && (
+												<>
+													{' '}
+													{sprintf(
+														/* translators: 1: Token, 2: Position in the query. */
+														__('(near "%1$s" at position %2$d)', 'wp-dbal'),
+														parseError.token,
+														parseError.position
+													)}
+												</>
+											)}
+										</li>
+									))}
+								</ul>
+							</Notice>
+						)}
+
+						<div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '15px' }}>
+							{Object.entries(translation.translations).map(([engine, output]) => (
+								<div key={engine} style={{ border: '1px solid #dcdcde', padding: '10px' }}>
+									<h3 style={{ marginTop: 0 }}>{ENGINE_LABELS[engine] || engine}</h3>
+									{output.error ? (
+										<p style={{ color: 'red' }}>{output.error}</p>
+									) : (
+										output.sql.map((sql, index) => (
+											<pre key={index} style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', background: '#f6f7f7', padding: '8px', margin: '0 0 8px' }}>
+												{sql}
+											</pre>
+										))
+									)}
+									{output.mappings.length > 0 && (
+										<div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+											{output.mappings.map((mapping) => (
+												<code key={mapping} style={{ background: '#f0f6fc', border: '1px solid #72aee6', borderRadius: '3px' }}>
+													{mapping}
+												</code>
+											))}
+										</div>
+									)}
+								</div>
+							))}
+						</div>
+
+						<details style={{ marginTop: '15px' }}>
+							<summary>{__('Parse tree', 'wp-dbal')}</summary>
+							<pre style={{ maxHeight: '400px', overflow: 'auto', background: '#f6f7f7', padding: '8px' }}>
+								{JSON.stringify(translation.statements, null, 2)}
+							</pre>
+						</details>
+					</div>
+				)}
+
+				{result && (
+					<div style={{ marginTop: '20px' }}>
+						<p>
+							{sprintf(
+								/* translators: 1: Number of rows, 2: Query time in milliseconds. */
+								__('%1$d rows in %2$s ms', 'wp-dbal'),
+								result.rows.length,
+								result.time
+							)}
+							{result.truncated && (
+								<>
+									{' '}
+									{__('(only the first rows are shown)', 'wp-dbal')}
+								</>
+							)}
+						</p>
+						<pre style={{ whiteSpace: 'pre-wrap', background: '#f6f7f7', padding: '8px' }}>{result.sql}</pre>
+						{result.rows.length > 0 && (
+							<div style={{ overflowX: 'auto' }}>
+								<table className="widefat striped">
+									<thead>
+										<tr>
+											{result.columns.map((column) => (
+												<th key={column}>{column}</th>
+											))}
+										</tr>
+									</thead>
+									<tbody>
+										{result.rows.map((row, index) => (
+											<tr key={index}>
+												{result.columns.map((column) => (
+													<td key={column}>{formatCell(row[column])}</td>
+												))}
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+						)}
+					</div>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
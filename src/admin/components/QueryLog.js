@@ -0,0 +1,484 @@
+/**
+ * Query Log Component
+ *
+ * Captures the queries sent through WP-DBAL and shows them with their timings.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	CheckboxControl,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a timestamp.
+ *
+ * @param {number} timestamp Unix timestamp.
+ * @return {string} Formatted date.
+ */
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+/**
+ * Format a duration in milliseconds.
+ *
+ * @param {number} ms Duration in milliseconds.
+ * @return {string} Formatted duration.
+ */
+const formatMs = (ms) => sprintf(
+	/* translators: %s: Duration in milliseconds. */
+	__('%s ms', 'wp-dbal'),
+	ms.toFixed(2)
+);
+
+/**
+ * Label of the plugin, theme or core that sent a query.
+ *
+ * @param {Object} origin Origin ({ type, name }).
+ * @return {string} Label.
+ */
+const formatOrigin = (origin) => `${origin.type}: ${origin.name}`;
+
+/**
+ * Combine the entries sharing a fingerprint.
+ *
+ * @param {Array} entries Log entries.
+ * @return {Array} Groups.
+ */
+const groupByFingerprint = (entries) => {
+	const groups = {};
+
+	entries.forEach((entry) => {
+		const total = entry.translation_time + entry.execution_time;
+		const group = groups[entry.fingerprint] || {
+			fingerprint: entry.fingerprint,
+			count: 0,
+			total_time: 0,
+			max_time: 0,
+			errors: 0,
+			origins: new Set(),
+		};
+
+		group.count++;
+		group.total_time += total;
+		group.max_time = Math.max(group.max_time, total);
+		group.errors += entry.error ? 1 : 0;
+		group.origins.add(formatOrigin(entry.origin));
+		groups[entry.fingerprint] = group;
+	});
+
+	return Object.values(groups).map((group) => ({
+		...group,
+		avg_time: group.total_time / group.count,
+		origins: [...group.origins].join(', '),
+	}));
+};
+
+/**
+ * Sort rows by a column.
+ *
+ * @param {Array} rows Rows.
+ * @param {Object} sort Sort ({ key, direction }).
+ * @return {Array} Sorted rows.
+ */
+const sortRows = (rows, sort) => [...rows].sort((a, b) => {
+	const aValue = a[sort.key] ?? '';
+	const bValue = b[sort.key] ?? '';
+	const order = typeof aValue === 'number' && typeof bValue === 'number'
+		? aValue - bValue
+		: String(aValue).localeCompare(String(bValue));
+
+	return sort.direction === 'asc' ? order : -order;
+});
+
+/**
+ * Query log component.
+ *
+ * @return {JSX.Element} Query log.
+ */
+export default function QueryLog() {
+	const [entries, setEntries] = useState([]);
+	const [capture, setCapture] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [minutes, setMinutes] = useState('5');
+	const [threshold, setThreshold] = useState('');
+	const [filters, setFilters] = useState({ search: '', origin: '', slowOnly: false, errorsOnly: false });
+	const [grouped, setGrouped] = useState(false);
+	const [sort, setSort] = useState({ key: 'time', direction: 'desc' });
+	const [expanded, setExpanded] = useState(null);
+
+	useEffect(() => {
+		fetchLog();
+	}, []);
+
+	/**
+	 * Fetch the log.
+	 */
+	const fetchLog = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-log',
+			});
+
+			if (response.success) {
+				setEntries(response.entries);
+				setCapture(response.capture);
+				setThreshold(String(response.capture.slow_threshold));
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the query log', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Start or stop capturing.
+	 *
+	 * @param {string} mode Capture mode ('minutes', 'request' or 'off').
+	 */
+	const handleCapture = async (mode) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-log/capture',
+				method: 'POST',
+				data: { mode, minutes: parseInt(minutes, 10) || 5 },
+			});
+
+			if (response.success) {
+				setCapture(response.capture);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to change capturing', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Save the slow query threshold.
+	 */
+	const handleSaveThreshold = async () => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/query-log/settings',
+				method: 'POST',
+				data: { slow_threshold: parseFloat(threshold) || 0 },
+			});
+
+			if (response.success) {
+				setCapture(response.capture);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to save the threshold', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Clear the log.
+	 */
+	const handleClear = async () => {
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: '/wp-dbal/v1/query-log/clear',
+				method: 'POST',
+			});
+			setEntries([]);
+		} catch (err) {
+			setError(err.message || __('Failed to clear the query log', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Sort by a column, toggling the direction when it is already sorted.
+	 *
+	 * @param {string} key Column key.
+	 */
+	const sortBy = (key) => {
+		setSort((prev) => ({
+			key,
+			direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
+		}));
+	};
+
+	/**
+	 * Update a single filter.
+	 *
+	 * @param {string} key Filter key.
+	 * @param {*} value Filter value.
+	 */
+	const updateFilter = (key, value) => {
+		setFilters((prev) => ({ ...prev, [key]: value }));
+	};
+
+	const slowThreshold = capture ? capture.slow_threshold : 0;
+	const search = filters.search.toLowerCase();
+	const origins = [...new Set(entries.map((entry) => formatOrigin(entry.origin)))].sort();
+
+	const filteredEntries = entries
+		.map((entry) => ({
+			...entry,
+			total_time: entry.translation_time + entry.execution_time,
+			origin_label: formatOrigin(entry.origin),
+		}))
+		.filter((entry) => (
+			(!search || entry.query.toLowerCase().includes(search) || entry.translated.toLowerCase().includes(search))
+			&& (!filters.origin || entry.origin_label === filters.origin)
+			&& (!filters.slowOnly || entry.total_time >= slowThreshold)
+			&& (!filters.errorsOnly || entry.error)
+		));
+
+	const columns = grouped
+		? [
+			{ key: 'fingerprint', label: __('Query fingerprint', 'wp-dbal') },
+			{ key: 'count', label: __('Count', 'wp-dbal') },
+			{ key: 'origins', label: __('Origin', 'wp-dbal') },
+			{ key: 'total_time', label: __('Total', 'wp-dbal') },
+			{ key: 'avg_time', label: __('Average', 'wp-dbal') },
+			{ key: 'max_time', label: __('Slowest', 'wp-dbal') },
+			{ key: 'errors', label: __('Errors', 'wp-dbal') },
+		]
+		: [
+			{ key: 'time', label: __('Time', 'wp-dbal') },
+			{ key: 'query', label: __('Query', 'wp-dbal') },
+			{ key: 'origin_label', label: __('Origin', 'wp-dbal') },
+			{ key: 'translation_time', label: __('Translation', 'wp-dbal') },
+			{ key: 'execution_time', label: __('Execution', 'wp-dbal') },
+			{ key: 'rows', label: __('Rows', 'wp-dbal') },
+		];
+
+	// Fall back to a column that exists in the current view.
+	const activeSort = columns.some((column) => column.key === sort.key)
+		? sort
+		: { key: grouped ? 'total_time' : 'time', direction: 'desc' };
+	const rows = sortRows(grouped ? groupByFingerprint(filteredEntries) : filteredEntries, activeSort);
+
+	const slowStyle = { background: '#fcf0f1' };
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('Query Log', 'wp-dbal')}</h2>
+				<Button variant="secondary" onClick={fetchLog} disabled={loading}>
+					{__('Refresh', 'wp-dbal')}
+				</Button>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{capture && (
+					<div style={{ marginBottom: '20px' }}>
+						{capture.until ? (
+							<p>
+								<strong style={{ color: 'green' }}>
+									{sprintf(
+										/* translators: %s: Date and time. */
+										__('Capturing all requests until %s.', 'wp-dbal'),
+										formatDate(capture.until)
+									)}
+								</strong>
+							</p>
+						) : (
+							<p>{__('Capturing is off.', 'wp-dbal')}</p>
+						)}
+
+						{capture.request_url && (
+							<p>
+								{__('Requests to this URL are captured:', 'wp-dbal')}{' '}
+								<a href={capture.request_url} target="_blank" rel="noopener noreferrer">
+									<code>{capture.request_url}</code>
+								</a>
+								<br />
+								<small>
+									{__('Add the same wp-dbal-log parameter to any other page to capture it, or send it in an X-WP-DBAL-Log header.', 'wp-dbal')}
+								</small>
+							</p>
+						)}
+
+						<div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+							<TextControl
+								label={__('Minutes', 'wp-dbal')}
+								type="number"
+								min="1"
+								max="1440"
+								value={minutes}
+								onChange={setMinutes}
+								style={{ width: '80px' }}
+							/>
+							<Button variant="primary" onClick={() => handleCapture('minutes')}>
+								{__('Capture all requests', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" onClick={() => handleCapture('request')}>
+								{__('Capture single requests', 'wp-dbal')}
+							</Button>
+							{(capture.until || capture.request_url) && (
+								<Button variant="secondary" isDestructive onClick={() => handleCapture('off')}>
+									{__('Stop capturing', 'wp-dbal')}
+								</Button>
+							)}
+						</div>
+
+						<div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', marginTop: '10px' }}>
+							<TextControl
+								label={__('Slow query threshold (ms)', 'wp-dbal')}
+								type="number"
+								min="0"
+								value={threshold}
+								onChange={setThreshold}
+								style={{ width: '120px' }}
+							/>
+							<Button variant="secondary" onClick={handleSaveThreshold}>
+								{__('Save', 'wp-dbal')}
+							</Button>
+						</div>
+					</div>
+				)}
+
+				{loading && <Spinner />}
+
+				{!loading && entries.length === 0 && (
+					<p>{__('No queries have been recorded.', 'wp-dbal')}</p>
+				)}
+
+				{!loading && entries.length > 0 && (
+					<>
+						<div style={{ display: 'flex', gap: '15px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+							<TextControl
+								label={__('Search', 'wp-dbal')}
+								value={filters.search}
+								onChange={(value) => updateFilter('search', value)}
+							/>
+							<SelectControl
+								label={__('Origin', 'wp-dbal')}
+								value={filters.origin}
+								options={[
+									{ label: __('All', 'wp-dbal'), value: '' },
+									...origins.map((origin) => ({ label: origin, value: origin })),
+								]}
+								onChange={(value) => updateFilter('origin', value)}
+							/>
+							<CheckboxControl
+								label={__('Slow only', 'wp-dbal')}
+								checked={filters.slowOnly}
+								onChange={(value) => updateFilter('slowOnly', value)}
+							/>
+							<CheckboxControl
+								label={__('Errors only', 'wp-dbal')}
+								checked={filters.errorsOnly}
+								onChange={(value) => updateFilter('errorsOnly', value)}
+							/>
+							<CheckboxControl
+								label={__('Group by fingerprint', 'wp-dbal')}
+								checked={grouped}
+								onChange={setGrouped}
+							/>
+							<Button variant="secondary" isDestructive onClick={handleClear}>
+								{__('Clear log', 'wp-dbal')}
+							</Button>
+						</div>
+
+						<p>
+							{sprintf(
+								/* translators: 1: Shown queries, 2: Recorded queries, 3: Maximum kept. */
+								__('Showing %1$d of %2$d recorded queries (the last %3$d are kept).', 'wp-dbal'),
+								filteredEntries.length,
+								entries.length,
+								capture ? capture.max_entries : entries.length
+							)}
+						</p>
+
+						<div style={{ overflowX: 'auto' }}>
+							<table className="widefat striped">
+								<thead>
+									<tr>
+										{columns.map((column) => (
+											<th key={column.key}>
+												<Button variant="link" onClick={() => sortBy(column.key)}>
+													{column.label}
+													{activeSort.key === column.key && (activeSort.direction === 'asc' ? ' ▲' : ' ▼')}
+												</Button>
+											</th>
+										))}
+									</tr>
+								</thead>
+								<tbody>
+									{grouped && rows.map((group) => (
+										<tr key={group.fingerprint} style={group.max_time >= slowThreshold ? slowStyle : undefined}>
+											<td><code style={{ wordBreak: 'break-word' }}>{group.fingerprint}</code></td>
+											<td>{group.count}</td>
+											<td>{group.origins}</td>
+											<td>{formatMs(group.total_time)}</td>
+											<td>{formatMs(group.avg_time)}</td>
+											<td>{formatMs(group.max_time)}</td>
+											<td style={{ color: group.errors ? 'red' : undefined }}>{group.errors}</td>
+										</tr>
+									))}
+
+									{!grouped && rows.map((entry, index) => {
+										const key = `${entry.time}-${index}`;
+
+										return (
+											<tr key={key} style={entry.total_time >= slowThreshold ? slowStyle : undefined}>
+												<td>{formatDate(entry.time)}</td>
+												<td>
+													<Button variant="link" onClick={() => setExpanded(expanded === key ? null : key)}>
+														<code style={{ wordBreak: 'break-word', textAlign: 'left' }}>{entry.query}</code>
+													</Button>
+													{entry.error && <p style={{ color: 'red', margin: '4px 0 0' }}>{entry.error}</p>}
+													{expanded === key && (
+														<table className="form-table">
+															<tbody>
+																<tr>
+																	<th>{__('Translated', 'wp-dbal')}</th>
+																	<td><code style={{ wordBreak: 'break-word' }}>{entry.translated}</code></td>
+																</tr>
+																<tr>
+																	<th>{__('Request', 'wp-dbal')}</th>
+																	<td>{entry.request}</td>
+																</tr>
+																<tr>
+																	<th>{__('Caller', 'wp-dbal')}</th>
+																	<td>{entry.caller || '—'}</td>
+																</tr>
+															</tbody>
+														</table>
+													)}
+												</td>
+												<td>{entry.origin_label}</td>
+												<td>{formatMs(entry.translation_time)}</td>
+												<td>{formatMs(entry.execution_time)}</td>
+												<td>{entry.rows ?? '—'}</td>
+											</tr>
+										);
+									})}
+								</tbody>
+							</table>
+						</div>
+					</>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
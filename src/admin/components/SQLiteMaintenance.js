@@ -0,0 +1,323 @@
+/**
+ * SQLite Maintenance Component
+ *
+ * Shows the size of the SQLite database and runs maintenance commands on it.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Format a byte count.
+ *
+ * @param {number} bytes Byte count.
+ * @return {string} Formatted size.
+ */
+const formatBytes = (bytes) => {
+	const units = ['B', 'KB', 'MB', 'GB'];
+	let value = bytes;
+	let unit = 0;
+
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+
+	return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+/**
+ * Format a duration.
+ *
+ * @param {number} seconds Duration in seconds.
+ * @return {string} Formatted duration.
+ */
+const formatTime = (seconds) => sprintf(
+	/* translators: %s: Duration in seconds. */
+	__('%ss', 'wp-dbal'),
+	seconds.toFixed(2)
+);
+
+/**
+ * SQLite maintenance component.
+ *
+ * @return {JSX.Element} SQLite maintenance.
+ */
+export default function SQLiteMaintenance() {
+	const [stats, setStats] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(null);
+	const [error, setError] = useState(null);
+	const [result, setResult] = useState(null);
+
+	useEffect(() => {
+		fetchStats();
+	}, []);
+
+	/**
+	 * Fetch the size statistics.
+	 */
+	const fetchStats = async () => {
+		setLoading(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/sqlite/stats',
+			});
+
+			if (response.success) {
+				setStats(response.stats);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the database statistics', 'wp-dbal'));
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	/**
+	 * Run a maintenance command and describe its result.
+	 *
+	 * @param {string} command Command name, as used in the endpoint path.
+	 * @param {Object} data Request data.
+	 * @param {Function} describe Receives the response and returns the result notice.
+	 */
+	const runCommand = async (command, data, describe) => {
+		setRunning(command);
+		setError(null);
+		setResult(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/sqlite/${command}`,
+				method: 'POST',
+				data,
+			});
+			setResult(describe(response));
+		} catch (err) {
+			setError(err.message || __('The command failed', 'wp-dbal'));
+		} finally {
+			setRunning(null);
+		}
+
+		fetchStats();
+	};
+
+	/**
+	 * Run an integrity check.
+	 *
+	 * @param {boolean} quick Run quick_check instead of integrity_check.
+	 */
+	const handleCheck = (quick) => runCommand('integrity', { quick }, (response) => {
+		if (response.result.ok) {
+			return {
+				status: 'success',
+				message: sprintf(
+					/* translators: %s: Duration. */
+					__('No problems found (%s).', 'wp-dbal'),
+					formatTime(response.result.time)
+				),
+			};
+		}
+
+		return {
+			status: 'error',
+			message: __('The database is corrupted:', 'wp-dbal'),
+			details: response.result.errors,
+		};
+	});
+
+	/**
+	 * Rebuild the database file.
+	 */
+	const handleVacuum = () => runCommand('vacuum', {}, (response) => ({
+		status: 'success',
+		message: sprintf(
+			/* translators: 1: Size before, 2: Size after, 3: Duration. */
+			__('VACUUM shrank the database from %1$s to %2$s (%3$s).', 'wp-dbal'),
+			formatBytes(response.result.size_before),
+			formatBytes(response.result.size_after),
+			formatTime(response.result.time)
+		),
+	}));
+
+	/**
+	 * Run ANALYZE or PRAGMA optimize.
+	 *
+	 * @param {string} command "analyze" or "optimize".
+	 */
+	const handleTiming = (command) => runCommand(command, {}, (response) => ({
+		status: 'success',
+		message: sprintf(
+			/* translators: %s: Duration. */
+			__('Done (%s).', 'wp-dbal'),
+			formatTime(response.result.time)
+		),
+	}));
+
+	/**
+	 * Switch between the WAL and DELETE journal modes.
+	 */
+	const handleJournalMode = () => {
+		const mode = stats.journal_mode === 'wal' ? 'delete' : 'wal';
+
+		runCommand('journal-mode', { mode }, (response) => ({
+			status: 'success',
+			message: sprintf(
+				/* translators: %s: Journal mode. */
+				__('The journal mode is now %s.', 'wp-dbal'),
+				response.journal_mode.toUpperCase()
+			),
+		}));
+	};
+
+	const busy = loading || !!running;
+
+	return (
+		<Card style={{ marginTop: '20px' }}>
+			<CardHeader>
+				<h2>{__('SQLite Maintenance', 'wp-dbal')}</h2>
+				<Button variant="secondary" onClick={fetchStats} disabled={busy}>
+					{__('Refresh', 'wp-dbal')}
+				</Button>
+			</CardHeader>
+			<CardBody>
+				{error && (
+					<Notice status="error" isDismissible={false}>
+						{error}
+					</Notice>
+				)}
+
+				{result && (
+					<Notice status={result.status} isDismissible={false}>
+						{result.message}
+						{result.details && (
+							<ul>
+								{result.details.map((detail, index) => (
+									<li key={index}><code>{detail}</code></li>
+								))}
+							</ul>
+						)}
+					</Notice>
+				)}
+
+				{loading && !stats && <Spinner />}
+
+				{stats && (
+					<>
+						<table className="widefat striped" style={{ marginBottom: '20px' }}>
+							<tbody>
+								<tr>
+									<td><strong>{__('Database file', 'wp-dbal')}</strong></td>
+									<td><code>{stats.path}</code></td>
+								</tr>
+								<tr>
+									<td><strong>{__('File size', 'wp-dbal')}</strong></td>
+									<td>{formatBytes(stats.file_size)}</td>
+								</tr>
+								{stats.journal_mode === 'wal' && (
+									<tr>
+										<td><strong>{__('WAL file size', 'wp-dbal')}</strong></td>
+										<td>{formatBytes(stats.wal_size)}</td>
+									</tr>
+								)}
+								<tr>
+									<td><strong>{__('Pages', 'wp-dbal')}</strong></td>
+									<td>
+										{sprintf(
+											/* translators: 1: Number of pages, 2: Page size. */
+											__('%1$d × %2$s', 'wp-dbal'),
+											stats.page_count,
+											formatBytes(stats.page_size)
+										)}
+									</td>
+								</tr>
+								<tr>
+									<td><strong>{__('Free space', 'wp-dbal')}</strong></td>
+									<td>
+										{sprintf(
+											/* translators: 1: Size of the free pages, 2: Number of free pages. */
+											__('%1$s (%2$d pages)', 'wp-dbal'),
+											formatBytes(stats.freelist_size),
+											stats.freelist_count
+										)}
+									</td>
+								</tr>
+								<tr>
+									<td><strong>{__('Journal mode', 'wp-dbal')}</strong></td>
+									<td>{stats.journal_mode.toUpperCase()}</td>
+								</tr>
+								<tr>
+									<td><strong>{__('SQLite version', 'wp-dbal')}</strong></td>
+									<td>{stats.sqlite_version}</td>
+								</tr>
+							</tbody>
+						</table>
+
+						<table className="widefat striped" style={{ marginBottom: '10px' }}>
+							<thead>
+								<tr>
+									<th>{__('Table', 'wp-dbal')}</th>
+									<th>{__('Rows', 'wp-dbal')}</th>
+									<th>{__('Size', 'wp-dbal')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{stats.tables.map((table) => (
+									<tr key={table.name}>
+										<td>{table.name}</td>
+										<td>{table.rows}</td>
+										<td>{table.size === null ? '—' : formatBytes(table.size)}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+
+						{!stats.dbstat && (
+							<p style={{ color: '#50575e' }}>
+								{__('Table sizes are not available because this SQLite build does not include the dbstat virtual table.', 'wp-dbal')}
+							</p>
+						)}
+
+						<h3>{__('Maintenance', 'wp-dbal')}</h3>
+						<Notice status="warning" isDismissible={false}>
+							{__('VACUUM and changing the journal mode need exclusive access to the database: other requests wait for them or fail, and they cannot start while another request is writing. VACUUM also needs free disk space of up to twice the database size while it runs. Run them when the site is quiet.', 'wp-dbal')}
+						</Notice>
+						<div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '10px' }}>
+							<Button variant="secondary" onClick={() => handleCheck(true)} disabled={busy} isBusy={running === 'integrity'}>
+								{__('Quick check', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" onClick={() => handleCheck(false)} disabled={busy} isBusy={running === 'integrity'}>
+								{__('Integrity check', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" onClick={() => handleTiming('analyze')} disabled={busy} isBusy={running === 'analyze'}>
+								{__('ANALYZE', 'wp-dbal')}
+							</Button>
+							<Button variant="secondary" onClick={() => handleTiming('optimize')} disabled={busy} isBusy={running === 'optimize'}>
+								{__('Optimize', 'wp-dbal')}
+							</Button>
+							<Button variant="primary" onClick={handleVacuum} disabled={busy} isBusy={running === 'vacuum'}>
+								{__('VACUUM', 'wp-dbal')}
+							</Button>
+						</div>
+
+						<h3>{__('Journal Mode', 'wp-dbal')}</h3>
+						<p>
+							{__('WAL lets readers continue while a request writes, which usually suits a busy site better. It keeps -wal and -shm files next to the database and needs every process using it on the same machine, so do not use it on a network file system. DELETE uses a single file and blocks readers while writing.', 'wp-dbal')}
+						</p>
+						<Button variant="secondary" onClick={handleJournalMode} disabled={busy} isBusy={running === 'journal-mode'}>
+							{stats.journal_mode === 'wal'
+								? __('Switch to DELETE', 'wp-dbal')
+								: __('Switch to WAL', 'wp-dbal')}
+						</Button>
+					</>
+				)}
+			</CardBody>
+		</Card>
+	);
+}
@@ -6,8 +6,16 @@
  * @package WP_DBAL
  */
 
-import { Card, CardBody, CardHeader } from '@wordpress/components';
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Card, CardBody, CardHeader, Spinner } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const CHECK_STATUSES = {
+	good: { icon: '✓', color: 'green' },
+	recommended: { icon: '!', color: '#996800' },
+	critical: { icon: '✗', color: 'red' },
+};
 
 /**
  * Status card component.
@@ -17,6 +25,33 @@ import { __ } from '@wordpress/i18n';
  * @return {JSX.Element} Status card.
  */
 export default function StatusCard({ status }) {
+	const [checks, setChecks] = useState(null);
+	const [checksError, setChecksError] = useState(null);
+
+	useEffect(() => {
+		fetchChecks();
+	}, []);
+
+	/**
+	 * Run the health checks.
+	 */
+	const fetchChecks = async () => {
+		setChecks(null);
+		setChecksError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/admin/site-health',
+			});
+
+			if (response.success) {
+				setChecks(response.checks);
+			}
+		} catch (err) {
+			setChecksError(err.message || __('Failed to run the health checks', 'wp-dbal'));
+		}
+	};
+
 	return (
 		<Card>
 			<CardHeader>
@@ -57,6 +92,34 @@ export default function StatusCard({ status }) {
 						</tr>
 					</tbody>
 				</table>
+
+				<h3>
+					{__('Health Checks', 'wp-dbal')}{' '}
+					<Button variant="link" onClick={fetchChecks} disabled={checks === null && !checksError}>
+						{__('Run again', 'wp-dbal')}
+					</Button>
+				</h3>
+				{checksError && <p style={{ color: 'red' }}>{checksError}</p>}
+				{checks === null && !checksError && <Spinner />}
+				{checks && (
+					<table className="form-table">
+						<tbody>
+							{checks.map((check) => (
+								<tr key={check.test}>
+									<th style={{ color: CHECK_STATUSES[check.status].color }}>
+										{CHECK_STATUSES[check.status].icon} {check.label}
+									</th>
+									<td>{check.description}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				)}
+				<p>
+					<a href={window.wpDbalAdmin?.siteHealthUrl}>
+						{__('These checks also appear in Site Health.', 'wp-dbal')}
+					</a>
+				</p>
 			</CardBody>
 		</Card>
 	);
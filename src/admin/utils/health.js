@@ -0,0 +1,51 @@
+/**
+ * Health Utilities
+ *
+ * Helpers for following a configuration change.
+ *
+ * @package WP_DBAL
+ */
+
+const HEALTH_POLL_INTERVAL = 2000;
+
+// Extra time after the server-side deadline, for the request that performs the rollback.
+const HEALTH_GRACE_PERIOD = 15000;
+
+/**
+ * Poll the health endpoint until a configuration change is confirmed or rolled back.
+ *
+ * Uses a plain fetch without the REST nonce, because the login session may not
+ * be valid while the site switches databases.
+ *
+ * @param {string} token Switch token.
+ * @param {number} timeout Seconds the server gives the site to come back healthy.
+ * @return {Promise<Object|null>} Health response, or null if the site never answered.
+ */
+export const waitForHealthySite = async (token, timeout) => {
+	const root = window.wpDbalAdmin?.restUrl || '/wp-json/';
+	const url = `${root}wp-dbal/v1/admin/health${root.includes('?') ? '&' : '?'}token=${token}`;
+	const deadline = Date.now() + timeout * 1000 + HEALTH_GRACE_PERIOD;
+
+	while (Date.now() < deadline) {
+		await new Promise((resolve) => setTimeout(resolve, HEALTH_POLL_INTERVAL));
+
+		try {
+			const response = await window.fetch(url, { credentials: 'omit', cache: 'no-store' });
+
+			if (response.status === 404) {
+				return { status: 'unknown' };
+			}
+
+			if (response.ok) {
+				const health = await response.json();
+				if (health.status !== 'pending') {
+					return health;
+				}
+			}
+		} catch (err) {
+			// The site is still switching; try again.
+		}
+	}
+
+	return null;
+};
@@ -0,0 +1,216 @@
+/**
+ * Built-in Engines
+ *
+ * Definitions of the engines that ship with WP-DBAL.
+ *
+ * @package WP_DBAL
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Build a define() line for wp-config.php.
+ *
+ * @param {string} name Constant name.
+ * @param {string} value Constant value.
+ * @return {string} PHP code.
+ */
+const define = (name, value) => `define( '${name}', '${value}' );`;
+
+/**
+ * Get the built-in engine definitions.
+ *
+ * @return {Array} Engine definitions.
+ */
+export default function builtInEngines() {
+	return [
+		{
+			name: 'mysql',
+			label: __('MySQL', 'wp-dbal'),
+			fields: [
+				{
+					key: 'host',
+					label: __('Database Host', 'wp-dbal'),
+					default: 'localhost',
+					help: __('Database hostname.', 'wp-dbal'),
+					format: 'hostname',
+				},
+				{
+					key: 'port',
+					label: __('Port', 'wp-dbal'),
+					type: 'number',
+					default: 3306,
+					min: 1,
+					max: 65535,
+					// wp-config.php keeps the port in DB_HOST.
+					contexts: ['migration'],
+				},
+				{
+					key: 'dbname',
+					label: __('Database Name', 'wp-dbal'),
+					help: __('The name of the database for WordPress.', 'wp-dbal'),
+					required: true,
+				},
+				{
+					key: 'user',
+					label: __('Database User', 'wp-dbal'),
+					help: __('Database username.', 'wp-dbal'),
+					required: true,
+				},
+				{
+					key: 'password',
+					label: __('Database Password', 'wp-dbal'),
+					type: 'password',
+					help: __('Database password.', 'wp-dbal'),
+					secret: true,
+				},
+				{
+					key: 'charset',
+					label: __('Database Charset', 'wp-dbal'),
+					default: 'utf8',
+					help: __('Database charset to use in creating database tables.', 'wp-dbal'),
+					contexts: ['configuration'],
+				},
+				{
+					key: 'collate',
+					label: __('Database Collate', 'wp-dbal'),
+					help: __('The database collate type. Leave empty if in doubt.', 'wp-dbal'),
+					contexts: ['configuration'],
+				},
+			],
+			// MySQL uses the default DB_* constants, no extra config needed.
+			configSnippet: () => '',
+		},
+		{
+			name: 'pgsql',
+			label: __('PostgreSQL', 'wp-dbal'),
+			aliases: ['postgresql'],
+			fields: [
+				{
+					key: 'host',
+					label: __('PostgreSQL Host', 'wp-dbal'),
+					default: 'localhost',
+					format: 'hostname',
+				},
+				{
+					key: 'port',
+					label: __('PostgreSQL Port', 'wp-dbal'),
+					type: 'number',
+					default: 5432,
+					min: 1,
+					max: 65535,
+				},
+				{
+					key: 'dbname',
+					label: __('PostgreSQL Database Name', 'wp-dbal'),
+					required: true,
+				},
+				{
+					key: 'user',
+					label: __('PostgreSQL User', 'wp-dbal'),
+					required: true,
+				},
+				{
+					key: 'password',
+					label: __('PostgreSQL Password', 'wp-dbal'),
+					type: 'password',
+					secret: true,
+				},
+			],
+			configSnippet: (params) => {
+				let code = `// PostgreSQL connection options\n`;
+				code += `define( 'DB_DBAL_OPTIONS', [\n`;
+				code += `    'driver' => 'pdo_pgsql',\n`;
+				if (params.host) {
+					code += `    'host' => '${params.host}',\n`;
+				}
+				if (params.port) {
+					code += `    'port' => ${params.port},\n`;
+				}
+				if (params.dbname) {
+					code += `    'dbname' => '${params.dbname}',\n`;
+				}
+				if (params.user) {
+					code += `    'user' => '${params.user}',\n`;
+				}
+				if (params.password) {
+					code += `    'password' => '${params.password}',\n`;
+				}
+				code += `] );`;
+
+				return code;
+			},
+		},
+		{
+			name: 'sqlite',
+			label: __('SQLite', 'wp-dbal'),
+			fields: [
+				{
+					key: 'path',
+					label: __('SQLite Database Path', 'wp-dbal'),
+					help: __('Path to the SQLite database file, relative to the WordPress root (e.g., wp-content/database/.ht.sqlite).', 'wp-dbal'),
+					format: 'path',
+				},
+			],
+			configSnippet: (params) => (params.path ? define('DB_SQLITE_PATH', params.path) : ''),
+		},
+		{
+			name: 'filedb',
+			label: __('FileDB', 'wp-dbal'),
+			fields: [
+				{
+					key: 'path',
+					label: __('FileDB Storage Path', 'wp-dbal'),
+					help: __('Path to the directory where FileDB will store data, relative to the WordPress root (e.g., wp-content/file-db).', 'wp-dbal'),
+					format: 'path',
+				},
+				{
+					key: 'format',
+					label: __('FileDB Format', 'wp-dbal'),
+					type: 'select',
+					default: 'json',
+					options: [
+						{ label: __('JSON', 'wp-dbal'), value: 'json' },
+						{ label: __('PHP (serialized)', 'wp-dbal'), value: 'php' },
+					],
+				},
+			],
+			configSnippet: (params) => [
+				params.path && define('DB_FILEDB_PATH', params.path),
+				params.format && define('DB_FILEDB_FORMAT', params.format),
+			].filter(Boolean).join('\n'),
+		},
+		{
+			name: 'd1',
+			label: __('Cloudflare D1', 'wp-dbal'),
+			fields: [
+				{
+					key: 'account_id',
+					label: __('Cloudflare Account ID', 'wp-dbal'),
+					required: true,
+					format: 'd1-account-id',
+					formatHelp: __('Enter the 32-character account ID from the Cloudflare dashboard.', 'wp-dbal'),
+				},
+				{
+					key: 'database_id',
+					label: __('Cloudflare D1 Database ID', 'wp-dbal'),
+					required: true,
+					format: 'd1-database-id',
+					formatHelp: __('Enter the database ID in UUID format, e.g. 01234567-89ab-cdef-0123-456789abcdef.', 'wp-dbal'),
+				},
+				{
+					key: 'api_token',
+					label: __('Cloudflare API Token', 'wp-dbal'),
+					type: 'password',
+					required: true,
+					secret: true,
+				},
+			],
+			configSnippet: (params) => [
+				params.account_id && define('DB_D1_ACCOUNT_ID', params.account_id),
+				params.database_id && define('DB_D1_DATABASE_ID', params.database_id),
+				params.api_token && define('DB_D1_API_TOKEN', params.api_token),
+			].filter(Boolean).join('\n'),
+		},
+	];
+}
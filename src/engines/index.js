@@ -0,0 +1,303 @@
+/**
+ * Engine Registry
+ *
+ * The database engines offered by the admin UI, with their connection fields.
+ *
+ * @package WP_DBAL
+ */
+
+import { applyFilters } from '@wordpress/hooks';
+import { __, sprintf } from '@wordpress/i18n';
+import builtInEngines from './builtin';
+
+/**
+ * Filter that receives the list of engine definitions.
+ *
+ * Each definition has a name and label, and optionally aliases, fields
+ * ({ key, label, type, default, help, required, secret, options, min, max,
+ * format, formatHelp, contexts }), validate( params ), displayRows( params )
+ * and configSnippet( params ).
+ * See the README for an example.
+ */
+export const ENGINES_FILTER = 'wpDbal.engines';
+
+const MASKED_VALUE = '••••••••';
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+let engines = null;
+
+/**
+ * Check whether a connection parameter has a value.
+ *
+ * @param {*} value Parameter value.
+ * @return {boolean} True if the value is set.
+ */
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Fill in the optional parts of an engine definition.
+ *
+ * @param {Object} engine Engine definition.
+ * @return {Object} Complete engine definition.
+ */
+const normalizeEngine = (engine) => {
+	const fields = (engine.fields || []).map((field) => ({
+		type: 'text',
+		contexts: [],
+		...field,
+	}));
+
+	return {
+		aliases: [],
+		...engine,
+		fields,
+		validate: engine.validate || (() => ({})),
+		displayRows: engine.displayRows || ((params) => fields
+			.filter((field) => hasValue(params[field.key]))
+			.map((field) => ({
+				label: field.label,
+				value: field.secret ? MASKED_VALUE : String(params[field.key]),
+			}))),
+		configSnippet: engine.configSnippet || (() => ''),
+	};
+};
+
+/**
+ * Get the registered engines.
+ *
+ * The filter runs on first use, so plugins can add engines from any script
+ * that loads before the admin UI renders.
+ *
+ * @return {Array} Engine definitions.
+ */
+export const getEngines = () => {
+	if (null === engines) {
+		engines = applyFilters(ENGINES_FILTER, builtInEngines())
+			.filter((engine) => engine && engine.name && engine.label)
+			.map(normalizeEngine);
+	}
+
+	return engines;
+};
+
+/**
+ * Find an engine by name or alias.
+ *
+ * @param {string} name Engine name.
+ * @return {Object|null} Engine definition, or null if it isn't registered.
+ */
+export const getEngine = (name) =>
+	getEngines().find((engine) => engine.name === name || engine.aliases.includes(name)) || null;
+
+/**
+ * Get the engine options for a select control.
+ *
+ * @return {Array} Options ({ label, value }).
+ */
+export const getEngineOptions = () =>
+	getEngines().map((engine) => ({ label: engine.label, value: engine.name }));
+
+/**
+ * Get the fields of an engine that a form shows.
+ *
+ * @param {Object|null} engine Engine definition.
+ * @param {string} context Form context: 'migration' or 'configuration'.
+ * @return {Array} Field definitions.
+ */
+export const getEngineFields = (engine, context) =>
+	(engine ? engine.fields : []).filter(
+		(field) => field.contexts.length === 0 || field.contexts.includes(context)
+	);
+
+/**
+ * Fill the empty connection parameters with the field defaults.
+ *
+ * @param {Object|null} engine Engine definition.
+ * @param {Object} params Connection parameters.
+ * @return {Object} Connection parameters with defaults.
+ */
+export const withDefaults = (engine, params) => {
+	const result = { ...params };
+
+	(engine ? engine.fields : []).forEach((field) => {
+		if (!hasValue(result[field.key]) && field.default !== undefined) {
+			result[field.key] = field.default;
+		}
+	});
+
+	return result;
+};
+
+/**
+ * Check a database host: a host name or IP address with an optional port or
+ * socket suffix, as in DB_HOST, or a socket directory.
+ *
+ * @param {string} host Database host.
+ * @return {boolean} True if the host is valid.
+ */
+const isValidHost = (host) => {
+	if (host.startsWith('/') || /^\[[0-9a-f:.]+\](:\d+)?$/i.test(host)) {
+		return true;
+	}
+
+	// A bare IPv6 address.
+	if (/^[0-9a-f:.]+$/i.test(host) && host.split(':').length > 2) {
+		return true;
+	}
+
+	const match = host.match(/^([^:/]+)(?::(?:\d+|\/.+))?$/);
+
+	return !!match && HOSTNAME_PATTERN.test(match[1]);
+};
+
+/**
+ * Value formats a field can require, with the error code of a mismatch.
+ */
+const FORMATS = {
+	hostname: { test: isValidHost, code: 'invalid_hostname' },
+	path: {
+		test: (value) => !value.includes('\0') && !value.split(/[\\/]/).includes('..'),
+		code: 'invalid_path',
+	},
+	'd1-account-id': { test: (value) => /^[0-9a-f]{32}$/i.test(value), code: 'invalid_format' },
+	'd1-database-id': {
+		test: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+		code: 'invalid_format',
+	},
+};
+
+/**
+ * Check that a storage path is in a directory the server accepts.
+ *
+ * Relative paths are resolved against the WordPress root, which is always
+ * accepted. The server also follows symbolic links, which can't be done here.
+ *
+ * @param {string} path Storage path.
+ * @return {boolean} True if the path is allowed, or the directories aren't known.
+ */
+const isAllowedPath = (path) => {
+	const allowed = typeof window !== 'undefined' ? window.wpDbalAdmin?.storagePaths : null;
+	const normalized = path.replace(/\\/g, '/');
+
+	if (!Array.isArray(allowed) || !/^([a-z]:)?\//i.test(normalized)) {
+		return true;
+	}
+
+	return allowed.some((directory) => normalized === directory || normalized.startsWith(`${directory}/`));
+};
+
+/**
+ * Check a field value against the field schema.
+ *
+ * @param {Object} field Field definition.
+ * @param {*} value Field value.
+ * @param {Object} params All connection parameters.
+ * @return {string|null} Error code, or null if the value passes.
+ */
+const checkField = (field, value, params) => {
+	if (!hasValue(typeof value === 'string' ? value.trim() : value)) {
+		// A profile fills in its saved secrets on the server.
+		return field.required && !(field.secret && params.profile) ? 'required' : null;
+	}
+
+	if ('number' === field.type) {
+		if (!/^\d+$/.test(String(value))) {
+			return 'invalid_number';
+		}
+
+		const number = parseInt(value, 10);
+		if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+			return 'out_of_range';
+		}
+	}
+
+	if ('select' === field.type && !(field.options || []).some((option) => option.value === value)) {
+		return 'invalid_option';
+	}
+
+	const format = FORMATS[field.format];
+	if (format && !format.test(String(value).trim())) {
+		return format.code;
+	}
+
+	if ('path' === field.format && !isAllowedPath(String(value).trim())) {
+		return 'path_not_allowed';
+	}
+
+	return null;
+};
+
+/**
+ * Validate connection parameters.
+ *
+ * Checks the fields of the form against their schema, then runs the engine's
+ * own rules. The codes match the ones the server returns.
+ *
+ * @param {Object|null} engine Engine definition.
+ * @param {Object} params Connection parameters.
+ * @param {string} context Form context: 'migration' or 'configuration'.
+ * @return {Object} Error codes or messages keyed by field.
+ */
+export const validateParams = (engine, params, context) => {
+	if (!engine) {
+		return {};
+	}
+
+	const values = withDefaults(engine, params);
+	const errors = {};
+
+	getEngineFields(engine, context).forEach((field) => {
+		const error = checkField(field, values[field.key], params);
+
+		if (error) {
+			errors[field.key] = error;
+		}
+	});
+
+	return { ...engine.validate(values), ...errors };
+};
+
+/**
+ * Get the message for a field error.
+ *
+ * @param {Object} field Field definition.
+ * @param {string} error Error code, or a message from an engine's own rules.
+ * @return {string} Error message.
+ */
+export const getErrorMessage = (field, error) => {
+	switch (error) {
+		case 'required':
+			return __('This field is required.', 'wp-dbal');
+
+		case 'invalid_number':
+			return __('Enter a whole number.', 'wp-dbal');
+
+		case 'out_of_range':
+			return field.min !== undefined && field.max !== undefined
+				? sprintf(
+					/* translators: 1: Minimum value, 2: Maximum value. */
+					__('Enter a number from %1$d to %2$d.', 'wp-dbal'),
+					field.min,
+					field.max
+				)
+				: __('The number is out of range.', 'wp-dbal');
+
+		case 'invalid_hostname':
+			return __('Enter a host name or IP address, optionally followed by :port or :/path/to/socket.', 'wp-dbal');
+
+		case 'invalid_path':
+			return __('Enter a path without ".." segments.', 'wp-dbal');
+
+		case 'path_not_allowed':
+			return __('Enter a path inside the WordPress directory or wp-content. Other directories have to be listed in the WP_DBAL_ALLOWED_PATHS constant in wp-config.php.', 'wp-dbal');
+
+		case 'invalid_option':
+			return __('Choose one of the listed options.', 'wp-dbal');
+
+		case 'invalid_format':
+			return field.formatHelp || __('The value has the wrong format.', 'wp-dbal');
+	}
+
+	return error;
+};
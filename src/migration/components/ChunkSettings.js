@@ -0,0 +1,141 @@
+/**
+ * Chunk Settings Component
+ *
+ * Advanced settings for the size of the chunks a migration is copied in.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, TextControl, ToggleControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+// Bounds enforced by the server (MigrationManager::MIN_BATCH_SIZE and MAX_BATCH_SIZE).
+export const MIN_CHUNK_SIZE = 10;
+export const MAX_CHUNK_SIZE = 50000;
+
+export const DEFAULT_CHUNK_SETTINGS = {
+	adaptive: true,
+	targetDuration: 2,
+	minSize: 100,
+	maxSize: 10000,
+	fixedSize: 1000,
+};
+
+/**
+ * Parse a chunk size field, keeping it within the server bounds.
+ *
+ * @param {string|number} value Field value.
+ * @param {number} fallback Value used when the field is not a number.
+ * @return {number} Chunk size.
+ */
+const toChunkSize = (value, fallback) => {
+	const size = parseInt(value, 10);
+
+	return Number.isNaN(size) ? fallback : Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, size));
+};
+
+/**
+ * Turn the raw field values into usable settings.
+ *
+ * Fields keep whatever is typed so they can be edited freely; they are only
+ * parsed when a migration starts.
+ *
+ * @param {Object} settings Chunk settings as edited.
+ * @return {Object} Chunk settings with numeric, bounded values.
+ */
+export const normalizeChunkSettings = (settings) => {
+	const minSize = toChunkSize(settings.minSize, DEFAULT_CHUNK_SETTINGS.minSize);
+	const targetDuration = parseFloat(settings.targetDuration);
+
+	return {
+		adaptive: settings.adaptive,
+		targetDuration: targetDuration > 0 ? targetDuration : DEFAULT_CHUNK_SETTINGS.targetDuration,
+		minSize,
+		maxSize: Math.max(minSize, toChunkSize(settings.maxSize, DEFAULT_CHUNK_SETTINGS.maxSize)),
+		fixedSize: toChunkSize(settings.fixedSize, DEFAULT_CHUNK_SETTINGS.fixedSize),
+	};
+};
+
+/**
+ * Chunk settings component.
+ *
+ * @param {Object} props Component props.
+ * @param {Object} props.settings Chunk settings ({ adaptive, targetDuration, minSize, maxSize, fixedSize }).
+ * @param {Function} props.onChange Callback when the settings change.
+ * @return {JSX.Element} Chunk settings.
+ */
+export default function ChunkSettings({ settings, onChange }) {
+	const [isOpen, setIsOpen] = useState(false);
+
+	/**
+	 * Update a single setting.
+	 *
+	 * @param {string} key Setting key.
+	 * @param {*} value Setting value.
+	 */
+	const update = (key, value) => {
+		onChange({ ...settings, [key]: value });
+	};
+
+	return (
+		<div className="wp-dbal-chunk-settings">
+			<Button
+				variant="link"
+				onClick={() => setIsOpen(!isOpen)}
+				aria-expanded={isOpen}
+			>
+				{isOpen ? '▾' : '▸'} {__('Advanced settings', 'wp-dbal')}
+			</Button>
+
+			{isOpen && (
+				<div className="wp-dbal-chunk-settings__fields">
+					<ToggleControl
+						label={__('Adjust chunk size automatically', 'wp-dbal')}
+						help={__('Grows or shrinks the number of rows copied per request so each request takes about the target time.', 'wp-dbal')}
+						checked={settings.adaptive}
+						onChange={(value) => update('adaptive', value)}
+					/>
+
+					{settings.adaptive ? (
+						<>
+							<TextControl
+								label={__('Target request time (seconds)', 'wp-dbal')}
+								type="number"
+								min="0.5"
+								step="0.5"
+								value={settings.targetDuration}
+								onChange={(value) => update('targetDuration', value)}
+							/>
+							<TextControl
+								label={__('Minimum chunk size (rows)', 'wp-dbal')}
+								type="number"
+								min={MIN_CHUNK_SIZE}
+								max={MAX_CHUNK_SIZE}
+								value={settings.minSize}
+								onChange={(value) => update('minSize', value)}
+							/>
+							<TextControl
+								label={__('Maximum chunk size (rows)', 'wp-dbal')}
+								type="number"
+								min={MIN_CHUNK_SIZE}
+								max={MAX_CHUNK_SIZE}
+								value={settings.maxSize}
+								onChange={(value) => update('maxSize', value)}
+							/>
+						</>
+					) : (
+						<TextControl
+							label={__('Chunk size (rows)', 'wp-dbal')}
+							type="number"
+							min={MIN_CHUNK_SIZE}
+							max={MAX_CHUNK_SIZE}
+							value={settings.fixedSize}
+							onChange={(value) => update('fixedSize', value)}
+						/>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
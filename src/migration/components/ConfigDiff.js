@@ -0,0 +1,136 @@
+/**
+ * Config Diff Component
+ *
+ * Shows the changes to wp-config.php as a unified diff.
+ *
+ * @package WP_DBAL
+ */
+
+import { __ } from '@wordpress/i18n';
+
+// Unchanged lines shown around each change.
+const CONTEXT_LINES = 3;
+
+const LINE_CLASSES = {
+	' ': 'wp-dbal-config-diff__line',
+	'-': 'wp-dbal-config-diff__line is-removed',
+	'+': 'wp-dbal-config-diff__line is-added',
+};
+
+/**
+ * Compare two texts line by line.
+ *
+ * Uses the longest common subsequence of lines, which is plenty fast for a
+ * config file of a few hundred lines.
+ *
+ * @param {string} before Original text.
+ * @param {string} after Updated text.
+ * @return {Array} Operations ({ type: ' ' | '-' | '+', text, oldIndex, newIndex }).
+ */
+const diffLines = (before, after) => {
+	const a = before.split('\n');
+	const b = after.split('\n');
+	const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lengths[i][j] = a[i] === b[j]
+				? lengths[i + 1][j + 1] + 1
+				: Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+
+	const ops = [];
+	let i = 0;
+	let j = 0;
+
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) {
+			ops.push({ type: ' ', text: a[i], oldIndex: i, newIndex: j });
+			i++;
+			j++;
+		} else if (i < a.length && (j >= b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+			ops.push({ type: '-', text: a[i], oldIndex: i, newIndex: j });
+			i++;
+		} else {
+			ops.push({ type: '+', text: b[j], oldIndex: i, newIndex: j });
+			j++;
+		}
+	}
+
+	return ops;
+};
+
+/**
+ * Group diff operations into hunks with surrounding context.
+ *
+ * @param {Array} ops Diff operations.
+ * @return {Array} Hunks ({ header, lines }).
+ */
+const buildHunks = (ops) => {
+	const ranges = [];
+
+	ops.forEach((op, index) => {
+		if (op.type === ' ') {
+			return;
+		}
+
+		const start = Math.max(0, index - CONTEXT_LINES);
+		const end = Math.min(ops.length - 1, index + CONTEXT_LINES);
+		const last = ranges[ranges.length - 1];
+
+		if (last && start <= last.end + 1) {
+			last.end = end;
+		} else {
+			ranges.push({ start, end });
+		}
+	});
+
+	return ranges.map(({ start, end }) => {
+		const lines = ops.slice(start, end + 1);
+		const oldCount = lines.filter((line) => line.type !== '+').length;
+		const newCount = lines.filter((line) => line.type !== '-').length;
+		// Like diff -u, an empty side points at the line before the hunk.
+		const oldStart = lines[0].oldIndex + (oldCount > 0 ? 1 : 0);
+		const newStart = lines[0].newIndex + (newCount > 0 ? 1 : 0);
+
+		return {
+			header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+			lines,
+		};
+	});
+};
+
+/**
+ * Config diff component.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.path Path to wp-config.php.
+ * @param {string} props.before Current content.
+ * @param {string} props.after Content after the update.
+ * @return {JSX.Element} Config diff.
+ */
+export default function ConfigDiff({ path, before, after }) {
+	const hunks = buildHunks(diffLines(before, after));
+
+	if (hunks.length === 0) {
+		return <p>{__('wp-config.php already has these settings.', 'wp-dbal')}</p>;
+	}
+
+	return (
+		<pre className="wp-dbal-config-diff">
+			<div className="wp-dbal-config-diff__file">--- {path}</div>
+			<div className="wp-dbal-config-diff__file">+++ {path}</div>
+			{hunks.map((hunk) => (
+				<div key={hunk.header}>
+					<div className="wp-dbal-config-diff__hunk">{hunk.header}</div>
+					{hunk.lines.map((line, index) => (
+						<div key={index} className={LINE_CLASSES[line.type]}>
+							{line.type}{line.text}
+						</div>
+					))}
+				</div>
+			))}
+		</pre>
+	);
+}
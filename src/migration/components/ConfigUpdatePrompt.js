@@ -2,14 +2,16 @@
  * Config Update Prompt Component
  *
  * Prompts user to choose automatic or manual wp-config.php update after migration.
+ * Automatic updates are previewed as a diff and only written after confirmation.
  *
  * @package WP_DBAL
  */
 
 import { useState } from '@wordpress/element';
 import { Button, ButtonGroup, Notice } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
+import ConfigDiff from './ConfigDiff';
 
 /**
  * Config update prompt component.
@@ -24,14 +26,47 @@ export default function ConfigUpdatePrompt({ targetEngine, connectionParams, onC
 	const [choice, setChoice] = useState(null); // 'auto', 'manual', or null
 	const [updating, setUpdating] = useState(false);
 	const [error, setError] = useState(null);
+	const [preview, setPreview] = useState(null);
+	const [backup, setBackup] = useState(null);
+	const [restored, setRestored] = useState(false);
 
 	/**
-	 * Handle automatic update.
+	 * Load the preview of the wp-config.php changes.
 	 */
 	const handleAutomatic = async () => {
 		setUpdating(true);
 		setError(null);
 
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/preview-config',
+				method: 'POST',
+				data: {
+					target_engine: targetEngine,
+					connection_params: connectionParams,
+				},
+			});
+
+			if (response.success) {
+				setChoice('auto');
+				setPreview(response.preview);
+			} else {
+				setError(response.message || __('Failed to read wp-config.php', 'wp-dbal'));
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to read wp-config.php', 'wp-dbal'));
+		} finally {
+			setUpdating(false);
+		}
+	};
+
+	/**
+	 * Write the previewed changes.
+	 */
+	const handleApply = async () => {
+		setUpdating(true);
+		setError(null);
+
 		try {
 			const response = await apiFetch({
 				path: '/wp-dbal/v1/migration/update-config',
@@ -39,22 +74,56 @@ export default function ConfigUpdatePrompt({ targetEngine, connectionParams, onC
 				data: {
 					target_engine: targetEngine,
 					connection_params: connectionParams,
+					config_hash: preview.hash,
 				},
 			});
 
 			if (response.success) {
-				// Reload page to apply new DB_ENGINE.
-				window.location.reload();
+				setBackup(response.backup);
+				setPreview(null);
 			} else {
 				setError(response.message || __('Failed to update wp-config.php', 'wp-dbal'));
-				setUpdating(false);
 			}
+			setUpdating(false);
 		} catch (err) {
+			// The file changed after the preview; show the current changes instead.
+			if (err.code === 'config_changed') {
+				await handleAutomatic();
+			}
+
 			setError(err.message || __('Failed to update wp-config.php', 'wp-dbal'));
 			setUpdating(false);
 		}
 	};
 
+	/**
+	 * Restore wp-config.php from the backup written by the update.
+	 */
+	const handleRestore = async () => {
+		setUpdating(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/restore-config',
+				method: 'POST',
+				data: {
+					backup,
+				},
+			});
+
+			if (response.success) {
+				setRestored(true);
+			} else {
+				setError(response.message || __('Failed to restore wp-config.php', 'wp-dbal'));
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to restore wp-config.php', 'wp-dbal'));
+		} finally {
+			setUpdating(false);
+		}
+	};
+
 	/**
 	 * Handle manual update choice.
 	 */
@@ -67,6 +136,90 @@ export default function ConfigUpdatePrompt({ targetEngine, connectionParams, onC
 		return null; // ConfigurationCard will be shown instead.
 	}
 
+	const errorNotice = error && (
+		<Notice status="error" isDismissible={false} style={{ marginTop: '10px' }}>
+			{error}
+		</Notice>
+	);
+
+	if (backup) {
+		return (
+			<div className="wp-dbal-config-update-prompt" style={{ marginTop: '20px' }}>
+				<Notice status={restored ? 'info' : 'success'} isDismissible={false}>
+					<p>
+						{restored
+							? __('wp-config.php was restored from the backup.', 'wp-dbal')
+							: __('wp-config.php was updated. Reload the page to use the new database.', 'wp-dbal')}
+					</p>
+					<p>
+						{sprintf(
+							/* translators: %s: Backup file name. */
+							__('The previous version was saved as %s next to wp-config.php.', 'wp-dbal'),
+							backup
+						)}
+					</p>
+				</Notice>
+
+				{errorNotice}
+
+				<ButtonGroup style={{ marginTop: '15px' }}>
+					<Button
+						variant="primary"
+						onClick={() => window.location.reload()}
+						disabled={updating}
+					>
+						{__('Reload Page', 'wp-dbal')}
+					</Button>
+					{!restored && (
+						<Button
+							variant="secondary"
+							onClick={handleRestore}
+							isBusy={updating}
+							disabled={updating}
+						>
+							{__('Restore Backup', 'wp-dbal')}
+						</Button>
+					)}
+				</ButtonGroup>
+			</div>
+		);
+	}
+
+	if (choice === 'auto' && preview) {
+		return (
+			<div className="wp-dbal-config-update-prompt" style={{ marginTop: '20px' }}>
+				<p>
+					{__('These changes will be written to wp-config.php. Secrets are masked. A backup of the current file is saved first.', 'wp-dbal')}
+				</p>
+
+				<ConfigDiff path={preview.path} before={preview.before} after={preview.after} />
+
+				{errorNotice}
+
+				<ButtonGroup style={{ marginTop: '15px' }}>
+					<Button
+						variant="primary"
+						onClick={handleApply}
+						isBusy={updating}
+						disabled={updating || !preview.changed}
+					>
+						{__('Apply Changes', 'wp-dbal')}
+					</Button>
+					<Button
+						variant="secondary"
+						onClick={() => {
+							setChoice(null);
+							setPreview(null);
+						}}
+						disabled={updating}
+					>
+						{__('Cancel', 'wp-dbal')}
+					</Button>
+				</ButtonGroup>
+			</div>
+		);
+	}
+
 	return (
 		<div className="wp-dbal-config-update-prompt" style={{ marginTop: '20px' }}>
 			<Notice status="success" isDismissible={false}>
@@ -81,11 +234,7 @@ export default function ConfigUpdatePrompt({ targetEngine, connectionParams, onC
 				</p>
 			</Notice>
 
-			{error && (
-				<Notice status="error" isDismissible={false} style={{ marginTop: '10px' }}>
-					{error}
-				</Notice>
-			)}
+			{errorNotice}
 
 			<ButtonGroup style={{ marginTop: '15px' }}>
 				<Button
@@ -107,4 +256,3 @@ export default function ConfigUpdatePrompt({ targetEngine, connectionParams, onC
 		</div>
 	);
 }
-
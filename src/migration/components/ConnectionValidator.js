@@ -9,12 +9,61 @@
 import { Button, Notice, Spinner } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
 
+const STATUS_LABELS = {
+	pass: __('Passed', 'wp-dbal'),
+	fail: __('Failed', 'wp-dbal'),
+	skip: __('Skipped', 'wp-dbal'),
+};
+
+const STATUS_ICONS = {
+	pass: '✓',
+	fail: '✗',
+	skip: '–',
+};
+
+/**
+ * Render the diagnostic checks of a failed connection.
+ *
+ * @param {Object} props Component props.
+ * @param {Array} props.checks Checks ({ id, label, status, message, cause, fix }).
+ * @return {JSX.Element} Checklist.
+ */
+function DiagnosticChecklist({ checks }) {
+	return (
+		<ul className="wp-dbal-diagnostics">
+			{checks.map((check) => (
+				<li key={check.id} className={`wp-dbal-diagnostics__check is-${check.status}`}>
+					<span className="wp-dbal-diagnostics__icon" aria-label={STATUS_LABELS[check.status]}>
+						{STATUS_ICONS[check.status]}
+					</span>
+					<div>
+						<strong>{check.label}</strong>
+						{check.message && (
+							<p className="wp-dbal-diagnostics__message">{check.message}</p>
+						)}
+						{check.cause && (
+							<p>
+								<strong>{__('Likely cause:', 'wp-dbal')}</strong> {check.cause}
+							</p>
+						)}
+						{check.fix && (
+							<p>
+								<strong>{__('How to fix:', 'wp-dbal')}</strong> {check.fix}
+							</p>
+						)}
+					</div>
+				</li>
+			))}
+		</ul>
+	);
+}
+
 /**
  * Connection validator component.
  *
  * @param {Object} props Component props.
  * @param {boolean} props.isValidating Whether validation is in progress.
- * @param {Object|null} props.validationResult Validation result.
+ * @param {Object|null} props.validationResult Validation result ({ success, message, checks }).
  * @param {Function} props.onValidate Callback to validate connection.
  * @return {JSX.Element} Connection validator.
  */
@@ -47,14 +96,25 @@ export default function ConnectionValidator({
 			)}
 
 			{validationResult && !isValidating && (
-				<Notice
-					status={validationResult.success ? 'success' : 'error'}
-					isDismissible={false}
-				>
-					{validationResult.message}
-				</Notice>
+				<>
+					<Notice
+						status={validationResult.success ? 'success' : 'error'}
+						isDismissible={false}
+					>
+						{validationResult.message}
+					</Notice>
+
+					{validationResult.checks?.length > 0 && (
+						<DiagnosticChecklist checks={validationResult.checks} />
+					)}
+
+					{!validationResult.success && (
+						<Button variant="secondary" onClick={onValidate}>
+							{__('Validate Again', 'wp-dbal')}
+						</Button>
+					)}
+				</>
 			)}
 		</div>
 	);
 }
-
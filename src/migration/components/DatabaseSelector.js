@@ -6,8 +6,11 @@
  * @package WP_DBAL
  */
 
-import { SelectControl, TextControl } from '@wordpress/components';
+import { SelectControl } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
+import { getEngine, getEngineOptions } from '../../engines';
+import EngineFields from './EngineFields';
+import ProfileSelector from './ProfileSelector';
 
 /**
  * Database selector component.
@@ -18,6 +21,7 @@ import { __ } from '@wordpress/i18n';
  * @param {Function} props.onTargetEngineChange Callback when target engine changes.
  * @param {Object} props.connectionParams Connection parameters.
  * @param {Function} props.onConnectionParamsChange Callback when connection params change.
+ * @param {Object} props.fieldErrors Error codes keyed by connection field.
  * @return {JSX.Element} Database selector.
  */
 export default function DatabaseSelector({
@@ -26,14 +30,10 @@ export default function DatabaseSelector({
 	onTargetEngineChange,
 	connectionParams,
 	onConnectionParamsChange,
+	fieldErrors,
 }) {
-	const engines = [
-		{ label: __('MySQL', 'wp-dbal'), value: 'mysql' },
-		{ label: __('PostgreSQL', 'wp-dbal'), value: 'pgsql' },
-		{ label: __('SQLite', 'wp-dbal'), value: 'sqlite' },
-		{ label: __('FileDB', 'wp-dbal'), value: 'filedb' },
-		{ label: __('Cloudflare D1', 'wp-dbal'), value: 'd1' },
-	].filter((engine) => engine.value !== currentEngine);
+	const current = getEngine(currentEngine);
+	const engines = getEngineOptions().filter((engine) => !current || engine.value !== current.name);
 
 	/**
 	 * Update connection parameter.
@@ -48,8 +48,36 @@ export default function DatabaseSelector({
 		});
 	};
 
+	/**
+	 * Change the target engine, dropping the parameters of the previous one.
+	 *
+	 * @param {string} engine Target engine.
+	 */
+	const handleEngineChange = (engine) => {
+		onConnectionParamsChange({});
+		onTargetEngineChange(engine);
+	};
+
+	/**
+	 * Use the engine and parameters of a connection profile.
+	 *
+	 * @param {string} engine Target engine.
+	 * @param {Object} params Connection parameters.
+	 */
+	const handleProfileSelect = (engine, params) => {
+		onTargetEngineChange(engine);
+		onConnectionParamsChange(params);
+	};
+
 	return (
 		<div className="wp-dbal-database-selector">
+			<ProfileSelector
+				engine={targetEngine}
+				connectionParams={connectionParams}
+				onSelect={handleProfileSelect}
+				excludeEngine={currentEngine}
+			/>
+
 			<SelectControl
 				label={__('Target Database Engine', 'wp-dbal')}
 				value={targetEngine}
@@ -57,90 +85,16 @@ export default function DatabaseSelector({
 					{ label: __('Select target engine...', 'wp-dbal'), value: '' },
 					...engines,
 				]}
-				onChange={onTargetEngineChange}
+				onChange={handleEngineChange}
 			/>
 
-			{targetEngine === 'sqlite' && (
-				<TextControl
-					label={__('SQLite Database Path', 'wp-dbal')}
-					value={connectionParams.path || ''}
-					onChange={(value) => updateConnectionParam('path', value)}
-					help={__('Path to SQLite database file (relative to WordPress root)', 'wp-dbal')}
-				/>
-			)}
-
-			{targetEngine === 'filedb' && (
-				<>
-					<TextControl
-						label={__('FileDB Storage Path', 'wp-dbal')}
-						value={connectionParams.path || ''}
-						onChange={(value) => updateConnectionParam('path', value)}
-						help={__('Path to FileDB storage directory (relative to WordPress root)', 'wp-dbal')}
-					/>
-					<SelectControl
-						label={__('FileDB Format', 'wp-dbal')}
-						value={connectionParams.format || 'json'}
-						options={[
-							{ label: __('JSON', 'wp-dbal'), value: 'json' },
-							{ label: __('PHP', 'wp-dbal'), value: 'php' },
-						]}
-						onChange={(value) => updateConnectionParam('format', value)}
-					/>
-				</>
-			)}
-
-			{targetEngine === 'd1' && (
-				<>
-					<TextControl
-						label={__('D1 Account ID', 'wp-dbal')}
-						value={connectionParams.account_id || ''}
-						onChange={(value) => updateConnectionParam('account_id', value)}
-					/>
-					<TextControl
-						label={__('D1 Database ID', 'wp-dbal')}
-						value={connectionParams.database_id || ''}
-						onChange={(value) => updateConnectionParam('database_id', value)}
-					/>
-					<TextControl
-						label={__('D1 API Token', 'wp-dbal')}
-						value={connectionParams.api_token || ''}
-						onChange={(value) => updateConnectionParam('api_token', value)}
-						type="password"
-					/>
-				</>
-			)}
-
-			{(targetEngine === 'mysql' || targetEngine === 'pgsql') && (
-				<>
-					<TextControl
-						label={__('Host', 'wp-dbal')}
-						value={connectionParams.host || 'localhost'}
-						onChange={(value) => updateConnectionParam('host', value)}
-					/>
-					<TextControl
-						label={__('Port', 'wp-dbal')}
-						value={connectionParams.port || (targetEngine === 'pgsql' ? '5432' : '3306')}
-						onChange={(value) => updateConnectionParam('port', parseInt(value, 10))}
-						type="number"
-					/>
-					<TextControl
-						label={__('Database Name', 'wp-dbal')}
-						value={connectionParams.dbname || ''}
-						onChange={(value) => updateConnectionParam('dbname', value)}
-					/>
-					<TextControl
-						label={__('Username', 'wp-dbal')}
-						value={connectionParams.user || ''}
-						onChange={(value) => updateConnectionParam('user', value)}
-					/>
-					<TextControl
-						label={__('Password', 'wp-dbal')}
-						value={connectionParams.password || ''}
-						onChange={(value) => updateConnectionParam('password', value)}
-						type="password"
-					/>
-				</>
-			)}
+			<EngineFields
+				engine={getEngine(targetEngine)}
+				context="migration"
+				connectionParams={connectionParams}
+				onChange={updateConnectionParam}
+				errors={fieldErrors}
+			/>
 		</div>
 	);
 }
@@ -0,0 +1,93 @@
+/**
+ * Engine Fields Component
+ *
+ * Renders the connection fields of a database engine from the engine registry.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { SelectControl, TextControl } from '@wordpress/components';
+import { getEngineFields, getErrorMessage, validateParams } from '../../engines';
+
+/**
+ * Engine fields component.
+ *
+ * A field shows its validation error once it has been left, and errors passed
+ * in (from the server, or from a submit attempt) are shown right away.
+ *
+ * @param {Object} props Component props.
+ * @param {Object|null} props.engine Engine definition.
+ * @param {string} props.context Form context: 'migration' or 'configuration'.
+ * @param {Object} props.connectionParams Connection parameters.
+ * @param {Function} props.onChange Callback when a parameter changes (key, value).
+ * @param {Object} props.help Help texts that replace the field help, keyed by field (optional).
+ * @param {Object} props.errors Error codes or messages keyed by field (optional).
+ * @return {JSX.Element} Engine fields.
+ */
+export default function EngineFields({ engine, context, connectionParams, onChange, help = {}, errors = {} }) {
+	const [touched, setTouched] = useState([]);
+
+	// The fields of another engine haven't been visited yet.
+	useEffect(() => {
+		setTouched([]);
+	}, [engine?.name]);
+
+	const validationErrors = validateParams(engine, connectionParams, context);
+
+	/**
+	 * Mark a field as visited.
+	 *
+	 * @param {string} key Field key.
+	 */
+	const handleBlur = (key) => {
+		setTouched((prev) => (prev.includes(key) ? prev : [...prev, key]));
+	};
+
+	return (
+		<>
+			{getEngineFields(engine, context).map((field) => {
+				const value = connectionParams[field.key] ?? field.default ?? '';
+				const fieldHelp = field.key in help ? help[field.key] : field.help;
+				const error = errors[field.key] || (touched.includes(field.key) && validationErrors[field.key]);
+
+				return (
+					<div
+						key={field.key}
+						className={error ? 'wp-dbal-engine-field has-error' : 'wp-dbal-engine-field'}
+					>
+						{'select' === field.type ? (
+							<SelectControl
+								label={field.label}
+								value={value}
+								options={field.options || []}
+								onChange={(newValue) => onChange(field.key, newValue)}
+								onBlur={() => handleBlur(field.key)}
+								help={fieldHelp}
+							/>
+						) : (
+							<TextControl
+								label={field.label}
+								value={value}
+								onChange={(newValue) => {
+									// Keep what was typed if it isn't a whole number, so the error can say so.
+									onChange(field.key, 'number' === field.type && /^\d+$/.test(newValue) ? parseInt(newValue, 10) : newValue);
+								}}
+								onBlur={() => handleBlur(field.key)}
+								type={field.type}
+								help={fieldHelp}
+								aria-invalid={!!error}
+							/>
+						)}
+
+						{error && (
+							<p className="wp-dbal-engine-field__error" role="alert">
+								{getErrorMessage(field, error)}
+							</p>
+						)}
+					</div>
+				);
+			})}
+		</>
+	);
+}
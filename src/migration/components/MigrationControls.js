@@ -1,7 +1,7 @@
 /**
  * Migration Controls Component
  *
- * Start/cancel migration buttons.
+ * Start/pause/resume/cancel migration buttons.
  *
  * @package WP_DBAL
  */
@@ -14,16 +14,22 @@ import { __ } from '@wordpress/i18n';
  *
  * @param {Object} props Component props.
  * @param {boolean} props.isMigrating Whether migration is in progress.
+ * @param {boolean} props.isPausing Whether a pause request is in flight.
  * @param {boolean} props.canStart Whether migration can be started.
  * @param {Function} props.onStart Callback to start migration.
+ * @param {Function} props.onPause Callback to pause migration.
+ * @param {Function} props.onResume Callback to resume a paused migration.
  * @param {Function} props.onCancel Callback to cancel migration.
  * @param {Object|null} props.progress Current progress.
  * @return {JSX.Element} Migration controls.
  */
 export default function MigrationControls({
 	isMigrating,
+	isPausing,
 	canStart,
 	onStart,
+	onPause,
+	onResume,
 	onCancel,
 	progress,
 }) {
@@ -32,6 +38,28 @@ export default function MigrationControls({
 		return null;
 	}
 
+	if (progress?.status === 'paused') {
+		return (
+			<div className="wp-dbal-migration-controls">
+				<ButtonGroup>
+					<Button
+						variant="primary"
+						onClick={onResume}
+					>
+						{__('Resume', 'wp-dbal')}
+					</Button>
+
+					<Button
+						variant="secondary"
+						onClick={onCancel}
+					>
+						{__('Cancel', 'wp-dbal')}
+					</Button>
+				</ButtonGroup>
+			</div>
+		);
+	}
+
 	return (
 		<div className="wp-dbal-migration-controls">
 			<ButtonGroup>
@@ -43,6 +71,17 @@ export default function MigrationControls({
 					{isMigrating ? __('Migrating...', 'wp-dbal') : __('Start Migration', 'wp-dbal')}
 				</Button>
 
+				{isMigrating && (
+					<Button
+						variant="secondary"
+						onClick={onPause}
+						isBusy={isPausing}
+						disabled={isPausing}
+					>
+						{__('Pause', 'wp-dbal')}
+					</Button>
+				)}
+
 				{isMigrating && (
 					<Button
 						variant="secondary"
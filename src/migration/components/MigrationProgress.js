@@ -6,17 +6,108 @@
  * @package WP_DBAL
  */
 
+import { useState, useEffect, useRef } from '@wordpress/element';
 import { ProgressBar, Notice } from '@wordpress/components';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
+
+// Throughput is averaged over this many milliseconds of samples.
+const RATE_WINDOW = 30000;
+
+/**
+ * Format a duration in seconds as h:mm:ss or m:ss.
+ *
+ * @param {number} seconds Duration in seconds.
+ * @return {string} Formatted duration.
+ */
+const formatDuration = (seconds) => {
+	const total = Math.max(0, Math.round(seconds));
+	const hours = Math.floor(total / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+	const secs = String(total % 60).padStart(2, '0');
+
+	return hours > 0
+		? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+		: `${minutes}:${secs}`;
+};
+
+/**
+ * Format a byte count.
+ *
+ * @param {number} bytes Byte count.
+ * @return {string} Formatted size.
+ */
+const formatBytes = (bytes) => {
+	const units = ['B', 'KB', 'MB', 'GB'];
+	let value = bytes;
+	let unit = 0;
+
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+
+	return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+/**
+ * Rows processed so far. Each row counts once when exported and once when imported.
+ *
+ * @param {Object} progress Progress data.
+ * @return {number} Processed row operations.
+ */
+const getRowsDone = (progress) => (progress.rows_completed || 0) + (progress.rows_imported || 0);
 
 /**
  * Migration progress component.
  *
  * @param {Object} props Component props.
  * @param {Object} props.progress Progress data.
+ * @param {Object|null} props.retry Retry state ({ attempt, max, message }) while a chunk request is retried.
  * @return {JSX.Element} Migration progress.
  */
-export default function MigrationProgress({ progress }) {
+export default function MigrationProgress({ progress, retry }) {
+	const samples = useRef([]);
+	const [rates, setRates] = useState(null);
+
+	// Sample row and byte counters to compute throughput over a sliding window.
+	useEffect(() => {
+		if (!progress || progress.status !== 'running') {
+			samples.current = [];
+			setRates(null);
+			return;
+		}
+
+		const now = Date.now();
+		const sample = {
+			time: now,
+			rows: getRowsDone(progress),
+			bytes: (progress.bytes_exported || 0) + (progress.bytes_imported || 0),
+		};
+		const last = samples.current[samples.current.length - 1];
+
+		// A new session or restarted counters invalidate the history.
+		if (last && (sample.rows < last.rows || progress.session_id !== last.sessionId)) {
+			samples.current = [];
+		}
+
+		if (!last || sample.rows !== last.rows) {
+			samples.current.push({ ...sample, sessionId: progress.session_id });
+		}
+
+		samples.current = samples.current.filter((item, index) =>
+			now - item.time <= RATE_WINDOW || index === samples.current.length - 1
+		);
+
+		const first = samples.current[0];
+		const newest = samples.current[samples.current.length - 1];
+		const seconds = (newest.time - first.time) / 1000;
+
+		setRates(seconds > 0 ? {
+			rows: (newest.rows - first.rows) / seconds,
+			bytes: (newest.bytes - first.bytes) / seconds,
+		} : null);
+	}, [progress]);
+
 	if (!progress) {
 		return null;
 	}
@@ -43,35 +134,33 @@ export default function MigrationProgress({ progress }) {
 			return 0;
 		}
 
-		// Calculate progress based on step and tables/rows.
-		let baseProgress = 0;
-		const stepWeights = {
-			schema_export: 10,
-			schema_import: 10,
-			data_export: 40,
-			data_import: 40,
-		};
+		// Schema steps take the first 10%, data export and import share the rest by rows.
+		if (progress.step === 'schema_export') {
+			return 0;
+		}
 
-		// Add progress for completed steps.
-		const steps = ['schema_export', 'schema_import', 'data_export', 'data_import'];
-		const currentStepIndex = steps.indexOf(progress.step);
+		if (progress.step === 'schema_import') {
+			return 5;
+		}
 
-		for (let i = 0; i < currentStepIndex; i++) {
-			baseProgress += stepWeights[steps[i]] || 0;
+		if (progress.step === 'finalize') {
+			return 100;
 		}
 
-		// Add progress for current step.
-		if (currentStepIndex >= 0 && stepWeights[progress.step]) {
-			const stepProgress = progress.tables_total > 0
-				? (progress.tables_completed / progress.tables_total) * stepWeights[progress.step]
-				: 0;
-			baseProgress += stepProgress;
+		if (!progress.rows_total) {
+			return 10;
 		}
 
-		return Math.min(100, Math.max(0, baseProgress));
+		const rowsPercent = getRowsDone(progress) / (progress.rows_total * 2);
+
+		return Math.min(100, Math.max(0, 10 + rowsPercent * 90));
 	};
 
 	const progressPercent = calculateProgress();
+	const elapsed = (progress.updated_at || progress.created_at || 0) - (progress.created_at || 0) - (progress.paused_seconds || 0);
+	const remainingRows = Math.max(0, (progress.rows_total || 0) * 2 - getRowsDone(progress));
+	const eta = rates && rates.rows > 0 ? remainingRows / rates.rows : null;
+	const tableRows = Object.entries(progress.table_rows || {});
 
 	return (
 		<div className="wp-dbal-migration-progress">
@@ -89,7 +178,25 @@ export default function MigrationProgress({ progress }) {
 				</Notice>
 			)}
 
-			{progress.status === 'running' && (
+			{retry && progress.status === 'running' && (
+				<Notice status="warning" isDismissible={false}>
+					{sprintf(
+						/* translators: 1: Retry attempt, 2: Maximum retries, 3: Error message. */
+						__('Request failed, retrying (%1$d/%2$d)… %3$s', 'wp-dbal'),
+						retry.attempt,
+						retry.max,
+						retry.message || ''
+					)}
+				</Notice>
+			)}
+
+			{progress.status === 'paused' && (
+				<Notice status="info" isDismissible={false}>
+					{__('Migration paused. Resume it to continue where it left off.', 'wp-dbal')}
+				</Notice>
+			)}
+
+			{(progress.status === 'running' || progress.status === 'paused') && (
 				<>
 					<ProgressBar value={progressPercent} />
 					<p>
@@ -102,9 +209,74 @@ export default function MigrationProgress({ progress }) {
 						{progress.tables_total > 0 && (
 							<span>
 								{__('Tables:', 'wp-dbal')} {progress.tables_completed} / {progress.tables_total}
+								<br />
+							</span>
+						)}
+						{progress.rows_total > 0 && (
+							<span>
+								{sprintf(
+									/* translators: 1: Rows exported, 2: Rows imported, 3: Total rows. */
+									__('Rows: %1$s exported, %2$s imported of %3$s', 'wp-dbal'),
+									(progress.rows_completed || 0).toLocaleString(),
+									(progress.rows_imported || 0).toLocaleString(),
+									progress.rows_total.toLocaleString()
+								)}
+								<br />
+							</span>
+						)}
+						<span>
+							{__('Elapsed:', 'wp-dbal')} {formatDuration(elapsed)}
+							{progress.status === 'running' && (
+								<>
+									{' · '}
+									{__('ETA:', 'wp-dbal')} {eta !== null ? formatDuration(eta) : __('calculating…', 'wp-dbal')}
+								</>
+							)}
+						</span>
+						{progress.batch_size && (
+							<span>
+								<br />
+								{sprintf(
+									/* translators: %s: Number of rows per chunk. */
+									__('Chunk size: %s rows', 'wp-dbal'),
+									progress.batch_size.toLocaleString()
+								)}
+							</span>
+						)}
+						{rates && (
+							<span>
+								<br />
+								{sprintf(
+									/* translators: 1: Rows per second, 2: Data transferred per second. */
+									__('Throughput: %1$s rows/s, %2$s/s', 'wp-dbal'),
+									Math.round(rates.rows).toLocaleString(),
+									formatBytes(rates.bytes)
+								)}
 							</span>
 						)}
 					</p>
+
+					{tableRows.length > 0 && (
+						<ul className="wp-dbal-migration-progress__tables">
+							{tableRows.map(([table, counts]) => {
+								const tablePercent = counts.total > 0
+									? Math.min(100, ((counts.exported + counts.imported) / (counts.total * 2)) * 100)
+									: 100;
+
+								return (
+									<li key={table} className={table === progress.current_table ? 'is-current' : ''}>
+										<span className="wp-dbal-migration-progress__table-name">{table}</span>
+										<span className="wp-dbal-migration-progress__table-bar">
+											<span style={{ width: `${tablePercent}%` }} />
+										</span>
+										<span className="wp-dbal-migration-progress__table-count">
+											{counts.imported.toLocaleString()} / {counts.total.toLocaleString()}
+										</span>
+									</li>
+								);
+							})}
+						</ul>
+					)}
 				</>
 			)}
 		</div>
@@ -6,40 +6,141 @@
  * @package WP_DBAL
  */
 
-import { useState, useEffect } from '@wordpress/element';
+import { useState, useEffect, useRef } from '@wordpress/element';
 import { __ } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
+import { getEngine, validateParams } from '../../engines';
 import DatabaseSelector from './DatabaseSelector';
 import ConnectionValidator from './ConnectionValidator';
 import MigrationProgress from './MigrationProgress';
 import MigrationControls from './MigrationControls';
 import ConfigUpdatePrompt from './ConfigUpdatePrompt';
+import SessionRecovery from './SessionRecovery';
+import TablePicker from './TablePicker';
+import PreflightReport from './PreflightReport';
+import SchemaDiff from './SchemaDiff';
+import VerificationReport from './VerificationReport';
+import ChunkSettings, { DEFAULT_CHUNK_SETTINGS, normalizeChunkSettings } from './ChunkSettings';
 
 // Set up API fetch nonce middleware if available.
 if (typeof window !== 'undefined' && window.wpDbalAdmin?.restNonce) {
 	apiFetch.use(apiFetch.createNonceMiddleware(window.wpDbalAdmin.restNonce));
 }
 
+// Browser storage key holding the ID of the migration running in this browser.
+const SESSION_STORAGE_KEY = 'wpDbalMigrationSession';
+
+/**
+ * Whether a failed chunk request is worth retrying.
+ *
+ * Network errors, non-JSON responses (PHP timeouts, proxy error pages), server
+ * errors, rate limiting and overlapping requests are transient. Failures the
+ * server reports in the migration progress are not errors here at all.
+ *
+ * @param {Object} err Error thrown by apiFetch.
+ * @return {boolean} Whether to retry.
+ */
+const isTransientError = (err) => {
+	if (['fetch_error', 'invalid_json', 'chunk_in_progress'].includes(err?.code)) {
+		return true;
+	}
+
+	const status = err?.data?.status;
+
+	return status === 429 || status >= 500;
+};
+
+/**
+ * Scale the chunk size toward the target request duration.
+ *
+ * The size changes by at most a factor of two per request, so a single slow or
+ * fast request doesn't swing it from one bound to the other.
+ *
+ * @param {number} batchSize Chunk size of the measured request.
+ * @param {number} duration Request duration in milliseconds.
+ * @param {Object} settings Normalized chunk settings.
+ * @return {number} Chunk size for the next request.
+ */
+const adaptBatchSize = (batchSize, duration, settings) => {
+	const factor = Math.min(2, Math.max(0.5, (settings.targetDuration * 1000) / Math.max(1, duration)));
+
+	return Math.round(Math.min(settings.maxSize, Math.max(settings.minSize, batchSize * factor)));
+};
+
+/**
+ * Remember the active migration session across page reloads.
+ *
+ * @param {string} sessionId Session ID.
+ */
+const rememberSession = (sessionId) => {
+	try {
+		window.localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+	} catch (err) {
+		// Storage may be unavailable (private mode); resuming still works via the server list.
+	}
+};
+
+/**
+ * Forget the remembered migration session.
+ */
+const forgetSession = () => {
+	try {
+		window.localStorage.removeItem(SESSION_STORAGE_KEY);
+	} catch (err) {
+		// Ignore storage errors.
+	}
+};
+
+/**
+ * Get the remembered migration session ID.
+ *
+ * @return {string|null} Session ID.
+ */
+const getRememberedSession = () => {
+	try {
+		return window.localStorage.getItem(SESSION_STORAGE_KEY);
+	} catch (err) {
+		return null;
+	}
+};
+
 /**
  * Migration UI component.
  *
  * @param {Object} props Component props.
  * @param {string} props.currentEngine Current database engine (optional, will fetch if not provided).
  * @param {Function} props.onConfigChoice Callback when user chooses manual config (choice, params).
+ * @param {Function} props.onSessionEnd Callback when a session finishes, fails, is cancelled or discarded (optional).
  * @return {JSX.Element} Migration UI.
  */
-export default function MigrationUI({ currentEngine: propCurrentEngine, onConfigChoice }) {
+export default function MigrationUI({ currentEngine: propCurrentEngine, onConfigChoice, onSessionEnd }) {
 	const [currentEngine, setCurrentEngine] = useState(propCurrentEngine || null);
 	const [targetEngine, setTargetEngine] = useState('');
 	const [connectionParams, setConnectionParams] = useState({});
 	const [isValidating, setIsValidating] = useState(false);
 	const [validationResult, setValidationResult] = useState(null);
+	const [fieldErrors, setFieldErrors] = useState({});
 	const [sessionId, setSessionId] = useState(null);
 	const [progress, setProgress] = useState(null);
 	const [isMigrating, setIsMigrating] = useState(false);
 	const [error, setError] = useState(null);
 	const [configUpdateChoice, setConfigUpdateChoice] = useState(null); // 'auto', 'manual', or null
 	const [migrationParams, setMigrationParams] = useState(null); // Store target engine and connection params
+	const [recoverableSessions, setRecoverableSessions] = useState([]);
+	const [busySessionId, setBusySessionId] = useState(null);
+	const [isPausing, setIsPausing] = useState(false);
+	const [retryState, setRetryState] = useState(null);
+	const [sourceTables, setSourceTables] = useState(null);
+	const [isLoadingTables, setIsLoadingTables] = useState(false);
+	const [selectedTables, setSelectedTables] = useState([]);
+	const [excludeTransients, setExcludeTransients] = useState(false);
+	const [isRunningPreflight, setIsRunningPreflight] = useState(false);
+	const [preflightReport, setPreflightReport] = useState(null);
+	const [isVerifying, setIsVerifying] = useState(false);
+	const [verification, setVerification] = useState(null);
+	const [chunkSettings, setChunkSettings] = useState(DEFAULT_CHUNK_SETTINGS);
+	// Incremented whenever the chunk loop must stop, so a running loop can tell it is stale.
+	const chunkLoopId = useRef(0);
 
 	// Get current engine on mount if not provided as prop.
 	useEffect(() => {
@@ -48,8 +149,16 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 		}
 	}, [propCurrentEngine]);
 
+	// Look for interrupted migrations on mount.
+	useEffect(() => {
+		fetchRecoverableSessions();
+	}, []);
+
 	// Pre-populate connection params from wp-config.php when target engine changes.
 	useEffect(() => {
+		// A report for another engine no longer applies.
+		setPreflightReport(null);
+
 		if (!targetEngine) {
 			// Clear connection params if no target engine selected.
 			setConnectionParams({});
@@ -65,8 +174,11 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 
 				if (response.success && response.data?.connection_params) {
 					// Pre-populate with values from wp-config.php.
-					// Replace with fetched values to show defaults for the selected engine.
-					setConnectionParams(response.data.connection_params);
+					// Replace with fetched values to show defaults for the selected engine,
+					// unless a connection profile was picked; then keep its parameters.
+					setConnectionParams((params) =>
+						params.profile ? params : response.data.connection_params
+					);
 				}
 			} catch (err) {
 				// Silently fail - user can still enter values manually.
@@ -77,6 +189,12 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 		fetchConnectionParams();
 	}, [targetEngine]);
 
+	// A validation result only applies to the parameters it checked.
+	useEffect(() => {
+		setValidationResult(null);
+		setFieldErrors({});
+	}, [targetEngine, connectionParams]);
+
 	// Poll for progress if migration is running.
 	useEffect(() => {
 		if (!sessionId || !isMigrating) {
@@ -107,6 +225,158 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 		}
 	};
 
+	/**
+	 * Let the parent know a session ended, e.g. to refresh the history.
+	 */
+	const notifySessionEnd = () => {
+		if (onSessionEnd) {
+			onSessionEnd();
+		}
+	};
+
+	/**
+	 * Fetch source tables with row counts.
+	 */
+	const fetchSourceTables = async () => {
+		setIsLoadingTables(true);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/tables',
+			});
+
+			if (response.success) {
+				setSourceTables(response.tables);
+				// Select the WordPress tables by default, matching the previous behaviour.
+				setSelectedTables(response.tables.filter((table) => table.prefixed).map((table) => table.name));
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load source tables', 'wp-dbal'));
+		} finally {
+			setIsLoadingTables(false);
+		}
+	};
+
+	/**
+	 * Change the target engine, loading the source table list the first time one is chosen.
+	 *
+	 * @param {string} engine Target engine.
+	 */
+	const handleTargetEngineChange = (engine) => {
+		setTargetEngine(engine);
+
+		if (engine && sourceTables === null && !isLoadingTables) {
+			fetchSourceTables();
+		}
+	};
+
+	/**
+	 * Fetch migration sessions that can be resumed.
+	 */
+	const fetchRecoverableSessions = async () => {
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/sessions',
+			});
+
+			if (response.success) {
+				// Show the session this browser started first.
+				const remembered = getRememberedSession();
+				const sessions = [...response.sessions].sort(
+					(a, b) => (b.session_id === remembered) - (a.session_id === remembered)
+				);
+				setRecoverableSessions(sessions);
+
+				if (remembered && !sessions.some((session) => session.session_id === remembered)) {
+					forgetSession();
+				}
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load unfinished migrations', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Resume an interrupted migration session.
+	 *
+	 * @param {Object} session Session summary.
+	 */
+	const handleResumeSession = async (session) => {
+		setBusySessionId(session.session_id);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/wp-dbal/v1/migration/progress?session_id=${session.session_id}`,
+			});
+
+			if (response.success) {
+				let resumed = response.progress;
+
+				// A paused session is switched back to running before the loop restarts.
+				if (resumed.status === 'paused') {
+					const resumeResponse = await apiFetch({
+						path: '/wp-dbal/v1/migration/resume',
+						method: 'POST',
+						data: {
+							session_id: session.session_id,
+						},
+					});
+					resumed = resumeResponse.progress;
+				}
+
+				setMigrationParams({
+					targetEngine: resumed.target_engine,
+					connectionParams: resumed.connection_params || {},
+				});
+				setConfigUpdateChoice(null);
+				setProgress(resumed);
+				setSessionId(session.session_id);
+				setIsMigrating(true);
+				setRecoverableSessions([]);
+				rememberSession(session.session_id);
+
+				// The server keeps the step, table offsets and queued chunks, so the loop continues where it stopped.
+				processChunks(session.session_id);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to resume migration', 'wp-dbal'));
+			fetchRecoverableSessions();
+		} finally {
+			setBusySessionId(null);
+		}
+	};
+
+	/**
+	 * Discard an interrupted migration session.
+	 *
+	 * @param {Object} session Session summary.
+	 */
+	const handleDiscardSession = async (session) => {
+		setBusySessionId(session.session_id);
+		setError(null);
+
+		try {
+			await apiFetch({
+				path: '/wp-dbal/v1/migration/discard',
+				method: 'POST',
+				data: {
+					session_id: session.session_id,
+				},
+			});
+
+			if (getRememberedSession() === session.session_id) {
+				forgetSession();
+			}
+			notifySessionEnd();
+			setRecoverableSessions((prev) => prev.filter((item) => item.session_id !== session.session_id));
+		} catch (err) {
+			setError(err.message || __('Failed to discard migration', 'wp-dbal'));
+		} finally {
+			setBusySessionId(null);
+		}
+	};
+
 	/**
 	 * Validate target connection.
 	 */
@@ -116,6 +386,17 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			return;
 		}
 
+		const errors = validateParams(getEngine(targetEngine), connectionParams, 'migration');
+		setFieldErrors(errors);
+
+		if (Object.keys(errors).length > 0) {
+			setValidationResult({
+				success: false,
+				message: __('Fix the highlighted connection fields.', 'wp-dbal'),
+			});
+			return;
+		}
+
 		setIsValidating(true);
 		setError(null);
 		setValidationResult(null);
@@ -142,15 +423,49 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 				});
 			}
 		} catch (err) {
+			setFieldErrors(err.data?.errors || {});
 			setValidationResult({
 				success: false,
 				message: err.message || __('Validation failed', 'wp-dbal'),
+				checks: err.data?.checks || [],
 			});
 		} finally {
 			setIsValidating(false);
 		}
 	};
 
+	/**
+	 * Run a dry run and build the compatibility report.
+	 */
+	const handlePreflight = async () => {
+		if (!targetEngine) {
+			setError(__('Please select a target database engine', 'wp-dbal'));
+			return;
+		}
+
+		setIsRunningPreflight(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/preflight',
+				method: 'POST',
+				data: {
+					target_engine: targetEngine,
+					tables: selectedTables,
+				},
+			});
+
+			if (response.success) {
+				setPreflightReport(response.report);
+			}
+		} catch (err) {
+			setError(err.message || __('Dry run failed', 'wp-dbal'));
+		} finally {
+			setIsRunningPreflight(false);
+		}
+	};
+
 	/**
 	 * Start migration.
 	 */
@@ -165,9 +480,15 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			return;
 		}
 
+		if (selectedTables.length === 0) {
+			setError(__('Please select at least one table to migrate', 'wp-dbal'));
+			return;
+		}
+
 		setError(null);
 		setIsMigrating(true);
 		setConfigUpdateChoice(null); // Reset choice when starting new migration
+		setVerification(null);
 
 		// Store migration params for later use.
 		setMigrationParams({
@@ -182,11 +503,15 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 				data: {
 					target_engine: targetEngine,
 					connection_params: connectionParams,
+					tables: selectedTables,
+					exclude_transients: excludeTransients,
 				},
 			});
 
 			if (response.success) {
 				setSessionId(response.session_id);
+				setRecoverableSessions([]);
+				rememberSession(response.session_id);
 				// Start processing chunks.
 				processChunks(response.session_id);
 			} else {
@@ -205,29 +530,72 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 	 * @param {string} sessionId Session ID.
 	 */
 	const processChunks = async (sessionId) => {
+		const loopId = ++chunkLoopId.current;
 		let complete = false;
 		let iterations = 0;
 		const MAX_ITERATIONS = 10000; // Safety limit
 		const DELAY_BETWEEN_CHUNKS = 100; // 100ms delay between chunks
+		const MAX_RETRIES = 5;
+		const RETRY_BASE_DELAY = 1000;
+		const RETRY_MAX_DELAY = 30000;
+		let retries = 0;
+		// Sent with each request so the server can tell a retry of an already processed chunk.
+		let chunkSeq = null;
+		const settings = normalizeChunkSettings(chunkSettings);
+		// Null until the first response, so a resumed session keeps its stored size.
+		let batchSize = settings.adaptive ? null : settings.fixedSize;
+		let rowsExported = null;
 
 		while (!complete && iterations < MAX_ITERATIONS) {
+			// Stop when the migration was paused or cancelled.
+			if (chunkLoopId.current !== loopId) {
+				return;
+			}
+
 			iterations++;
 
 			try {
+				const requestStart = Date.now();
 				const response = await apiFetch({
 					path: '/wp-dbal/v1/migration/chunk',
 					method: 'POST',
 					data: {
 						session_id: sessionId,
+						...(chunkSeq !== null && { chunk_seq: chunkSeq }),
+						...(batchSize !== null && { batch_size: batchSize }),
 					},
 				});
+				const duration = Date.now() - requestStart;
+
+				if (chunkLoopId.current !== loopId) {
+					return;
+				}
+
+				retries = 0;
+				setRetryState(null);
 
 				if (response.success) {
+					chunkSeq = (response.progress.last_chunk_seq || 0) + 1;
+
+					// Only requests that exported rows say something about how long a chunk takes.
+					const rowsCompleted = response.progress.rows_completed || 0;
+					if (settings.adaptive && rowsExported !== null && rowsCompleted > rowsExported && response.progress.batch_size) {
+						batchSize = adaptBatchSize(response.progress.batch_size, duration, settings);
+					}
+					rowsExported = rowsCompleted;
+
 					setProgress(response.progress);
 					complete = response.complete;
 
+					if (response.progress.status === 'paused') {
+						setIsMigrating(false);
+						return;
+					}
+
 					if (complete) {
 						setIsMigrating(false);
+						forgetSession();
+						notifySessionEnd();
 						if (response.progress.status === 'failed') {
 							setError(response.progress.error || __('Migration failed', 'wp-dbal'));
 						}
@@ -243,6 +611,25 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 					break;
 				}
 			} catch (err) {
+				if (chunkLoopId.current !== loopId) {
+					return;
+				}
+
+				// Transport failures are retried with exponential backoff and jitter.
+				if (isTransientError(err) && retries < MAX_RETRIES) {
+					retries++;
+					setRetryState({
+						attempt: retries,
+						max: MAX_RETRIES,
+						message: err.message,
+					});
+
+					const backoff = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (retries - 1));
+					await new Promise((resolve) => setTimeout(resolve, backoff / 2 + Math.random() * (backoff / 2)));
+					continue;
+				}
+
+				setRetryState(null);
 				setError(err.message || __('Chunk processing failed', 'wp-dbal'));
 				setIsMigrating(false);
 				complete = true;
@@ -272,7 +659,7 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			if (response.success) {
 				setProgress(response.progress);
 				
-				if (response.progress.status === 'completed' || response.progress.status === 'failed') {
+				if (['completed', 'failed', 'paused'].includes(response.progress.status)) {
 					setIsMigrating(false);
 				}
 			}
@@ -281,6 +668,133 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 		}
 	};
 
+	/**
+	 * Pause migration.
+	 */
+	const handlePause = async () => {
+		if (!sessionId) {
+			return;
+		}
+
+		setIsPausing(true);
+		// Stop the chunk loop before the next request; offsets and queued chunks stay on the server.
+		chunkLoopId.current++;
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/pause',
+				method: 'POST',
+				data: {
+					session_id: sessionId,
+				},
+			});
+
+			setProgress(response.progress);
+			setIsMigrating(false);
+		} catch (err) {
+			setError(err.message || __('Failed to pause migration', 'wp-dbal'));
+			// The server is still running the migration, so keep the loop going.
+			processChunks(sessionId);
+		} finally {
+			setIsPausing(false);
+		}
+	};
+
+	/**
+	 * Resume a paused migration.
+	 */
+	const handleResume = async () => {
+		if (!sessionId) {
+			return;
+		}
+
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/resume',
+				method: 'POST',
+				data: {
+					session_id: sessionId,
+				},
+			});
+
+			setProgress(response.progress);
+			setIsMigrating(true);
+			processChunks(sessionId);
+		} catch (err) {
+			setError(err.message || __('Failed to resume migration', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Verify the completed migration, one chunk per request.
+	 */
+	const handleVerify = async () => {
+		if (!sessionId) {
+			return;
+		}
+
+		setIsVerifying(true);
+		setError(null);
+
+		try {
+			let complete = false;
+
+			while (!complete) {
+				const response = await apiFetch({
+					path: '/wp-dbal/v1/migration/verify',
+					method: 'POST',
+					data: {
+						session_id: sessionId,
+					},
+				});
+
+				setVerification(response.verification);
+				complete = response.complete;
+			}
+
+			notifySessionEnd();
+		} catch (err) {
+			setError(err.message || __('Verification failed', 'wp-dbal'));
+		} finally {
+			setIsVerifying(false);
+		}
+	};
+
+	/**
+	 * Re-copy tables that failed verification.
+	 *
+	 * @param {Array} tables Table names.
+	 */
+	const handleRecopy = async (tables) => {
+		if (!sessionId) {
+			return;
+		}
+
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/migration/recopy',
+				method: 'POST',
+				data: {
+					session_id: sessionId,
+					tables,
+				},
+			});
+
+			setVerification(null);
+			setConfigUpdateChoice(null);
+			setProgress(response.progress);
+			setIsMigrating(true);
+			rememberSession(sessionId);
+			processChunks(sessionId);
+		} catch (err) {
+			setError(err.message || __('Failed to re-copy tables', 'wp-dbal'));
+		}
+	};
+
 	/**
 	 * Cancel migration.
 	 */
@@ -289,6 +803,8 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			return;
 		}
 
+		chunkLoopId.current++;
+
 		try {
 			await apiFetch({
 				path: '/wp-dbal/v1/migration/cancel',
@@ -301,6 +817,8 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			setIsMigrating(false);
 			setSessionId(null);
 			setProgress(null);
+			forgetSession();
+			notifySessionEnd();
 		} catch (err) {
 			console.error('Failed to cancel migration:', err);
 		}
@@ -322,14 +840,56 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 
 			{!isMigrating && !progress && (
 				<>
+					<SessionRecovery
+						sessions={recoverableSessions}
+						busySessionId={busySessionId}
+						onResume={handleResumeSession}
+						onDiscard={handleDiscardSession}
+					/>
+
 					<DatabaseSelector
 						currentEngine={currentEngine}
 						targetEngine={targetEngine}
-						onTargetEngineChange={setTargetEngine}
+						onTargetEngineChange={handleTargetEngineChange}
 						connectionParams={connectionParams}
 						onConnectionParamsChange={setConnectionParams}
+						fieldErrors={fieldErrors}
 					/>
 
+					{targetEngine && (
+						<TablePicker
+							tables={sourceTables}
+							isLoading={isLoadingTables}
+							selectedTables={selectedTables}
+							onSelectedTablesChange={setSelectedTables}
+							excludeTransients={excludeTransients}
+							onExcludeTransientsChange={setExcludeTransients}
+						/>
+					)}
+
+					{targetEngine && (
+						<ChunkSettings
+							settings={chunkSettings}
+							onChange={setChunkSettings}
+						/>
+					)}
+
+					{targetEngine && (
+						<PreflightReport
+							isRunning={isRunningPreflight}
+							report={preflightReport}
+							onRun={handlePreflight}
+						/>
+					)}
+
+					{targetEngine && (
+						<SchemaDiff
+							targetEngine={targetEngine}
+							connectionParams={connectionParams}
+							tables={selectedTables}
+						/>
+					)}
+
 					<ConnectionValidator
 						isValidating={isValidating}
 						validationResult={validationResult}
@@ -339,7 +899,24 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			)}
 
 			{progress && (
-				<MigrationProgress progress={progress} />
+				<MigrationProgress progress={progress} retry={retryState} />
+			)}
+
+			{progress?.status === 'completed' && (
+				<VerificationReport
+					isVerifying={isVerifying}
+					verification={verification}
+					onVerify={handleVerify}
+					onRecopy={handleRecopy}
+				/>
+			)}
+
+			{progress?.status === 'completed' && migrationParams && (
+				<SchemaDiff
+					targetEngine={migrationParams.targetEngine}
+					connectionParams={migrationParams.connectionParams}
+					tables={progress.selected_tables || []}
+				/>
 			)}
 
 			{progress?.status === 'completed' && !configUpdateChoice && migrationParams && (
@@ -358,8 +935,11 @@ export default function MigrationUI({ currentEngine: propCurrentEngine, onConfig
 			{progress?.status !== 'completed' && (
 				<MigrationControls
 					isMigrating={isMigrating}
-					canStart={!!targetEngine && validationResult?.success}
+					isPausing={isPausing}
+					canStart={!!targetEngine && validationResult?.success && selectedTables.length > 0}
 					onStart={handleStartMigration}
+					onPause={handlePause}
+					onResume={handleResume}
 					onCancel={handleCancel}
 					progress={progress}
 				/>
@@ -0,0 +1,237 @@
+/**
+ * Preflight Report Component
+ *
+ * Runs a dry run and shows how each table will be recreated on the target engine.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, Fragment } from '@wordpress/element';
+import { Button, ButtonGroup, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Render a list of issues.
+ *
+ * @param {Object} props Component props.
+ * @param {Array} props.issues Issues ({ severity, code, message }).
+ * @return {JSX.Element|null} Issue list.
+ */
+function IssueList({ issues }) {
+	if (!issues || issues.length === 0) {
+		return null;
+	}
+
+	return (
+		<ul className="wp-dbal-preflight__issues">
+			{issues.map((issue, index) => (
+				<li key={index} className={`wp-dbal-preflight__issue is-${issue.severity}`}>
+					{issue.message}
+				</li>
+			))}
+		</ul>
+	);
+}
+
+/**
+ * Preflight report component.
+ *
+ * @param {Object} props Component props.
+ * @param {boolean} props.isRunning Whether the dry run is in progress.
+ * @param {Object|null} props.report Compatibility report.
+ * @param {Function} props.onRun Callback to run the dry run.
+ * @return {JSX.Element} Preflight report.
+ */
+export default function PreflightReport({ isRunning, report, onRun }) {
+	const [expandedTables, setExpandedTables] = useState([]);
+
+	/**
+	 * Toggle table details.
+	 *
+	 * @param {string} name Table name.
+	 */
+	const toggleTable = (name) => {
+		setExpandedTables((prev) =>
+			prev.includes(name) ? prev.filter((table) => table !== name) : [...prev, name]
+		);
+	};
+
+	/**
+	 * Download the report as a JSON file.
+	 */
+	const handleDownload = () => {
+		const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+
+		link.href = url;
+		link.download = `wp-dbal-preflight-${report.source_engine}-to-${report.target_engine}.json`;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(url);
+	};
+
+	return (
+		<div className="wp-dbal-preflight">
+			<ButtonGroup>
+				<Button
+					variant="secondary"
+					onClick={onRun}
+					disabled={isRunning}
+				>
+					{__('Dry Run', 'wp-dbal')}
+				</Button>
+
+				{report && !isRunning && (
+					<Button
+						variant="tertiary"
+						onClick={handleDownload}
+					>
+						{__('Download JSON', 'wp-dbal')}
+					</Button>
+				)}
+			</ButtonGroup>
+
+			{isRunning && (
+				<div>
+					<Spinner />
+					<span>{__('Checking schema compatibility…', 'wp-dbal')}</span>
+				</div>
+			)}
+
+			{report && !isRunning && (
+				<>
+					<Notice
+						status={report.summary.warnings > 0 ? 'warning' : 'success'}
+						isDismissible={false}
+					>
+						{sprintf(
+							/* translators: 1: Table count, 2: Column count, 3: Warning count, 4: Dropped index count, 5: Dropped foreign key count. */
+							__('%1$d tables, %2$d columns checked: %3$d warnings, %4$d indexes and %5$d foreign keys dropped.', 'wp-dbal'),
+							report.summary.tables,
+							report.summary.columns,
+							report.summary.warnings,
+							report.summary.dropped_indexes,
+							report.summary.dropped_foreign_keys
+						)}
+					</Notice>
+
+					<table className="widefat wp-dbal-preflight__tables">
+						<thead>
+							<tr>
+								<th>{__('Table', 'wp-dbal')}</th>
+								<th>{__('Columns', 'wp-dbal')}</th>
+								<th>{__('Indexes', 'wp-dbal')}</th>
+								<th>{__('Warnings', 'wp-dbal')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{report.tables.map((table) => (
+								<Fragment key={table.name}>
+									<tr>
+										<td>
+											<Button
+												variant="link"
+												onClick={() => toggleTable(table.name)}
+												aria-expanded={expandedTables.includes(table.name)}
+											>
+												{expandedTables.includes(table.name) ? '▾' : '▸'} {table.name}
+											</Button>
+										</td>
+										<td>{table.columns.length}</td>
+										<td>{table.indexes.length}</td>
+										<td className={table.warnings > 0 ? 'wp-dbal-preflight__count is-warning' : 'wp-dbal-preflight__count'}>
+											{table.warnings}
+										</td>
+									</tr>
+
+									{expandedTables.includes(table.name) && (
+										<tr className="wp-dbal-preflight__details">
+											<td colSpan="4">
+												<table className="widefat striped">
+													<thead>
+														<tr>
+															<th>{__('Column', 'wp-dbal')}</th>
+															<th>{sprintf(
+																/* translators: %s: Source engine. */
+																__('Type (%s)', 'wp-dbal'),
+																report.source_engine
+															)}</th>
+															<th>{sprintf(
+																/* translators: %s: Target engine. */
+																__('Type (%s)', 'wp-dbal'),
+																report.target_engine
+															)}</th>
+															<th>{__('Notes', 'wp-dbal')}</th>
+														</tr>
+													</thead>
+													<tbody>
+														{table.columns.map((column) => (
+															<tr key={column.name}>
+																<td><code>{column.name}</code></td>
+																<td>{column.source_type}</td>
+																<td>{column.target_type}</td>
+																<td><IssueList issues={column.issues} /></td>
+															</tr>
+														))}
+													</tbody>
+												</table>
+
+												{table.indexes.length > 0 && (
+													<table className="widefat striped">
+														<thead>
+															<tr>
+																<th>{__('Index', 'wp-dbal')}</th>
+																<th>{__('Columns', 'wp-dbal')}</th>
+																<th>{__('Status', 'wp-dbal')}</th>
+																<th>{__('Notes', 'wp-dbal')}</th>
+															</tr>
+														</thead>
+														<tbody>
+															{table.indexes.map((index) => (
+																<tr key={index.name}>
+																	<td><code>{index.name}</code></td>
+																	<td>{index.columns.join(', ')}</td>
+																	<td>{index.kept ? __('Kept', 'wp-dbal') : __('Dropped', 'wp-dbal')}</td>
+																	<td><IssueList issues={index.issues} /></td>
+																</tr>
+															))}
+														</tbody>
+													</table>
+												)}
+
+												{table.foreign_keys.length > 0 && (
+													<table className="widefat striped">
+														<thead>
+															<tr>
+																<th>{__('Foreign key', 'wp-dbal')}</th>
+																<th>{__('Columns', 'wp-dbal')}</th>
+																<th>{__('References', 'wp-dbal')}</th>
+																<th>{__('Status', 'wp-dbal')}</th>
+															</tr>
+														</thead>
+														<tbody>
+															{table.foreign_keys.map((fk) => (
+																<tr key={fk.name}>
+																	<td><code>{fk.name}</code></td>
+																	<td>{fk.columns.join(', ')}</td>
+																	<td>{fk.references}</td>
+																	<td>{fk.kept ? __('Kept', 'wp-dbal') : __('Dropped', 'wp-dbal')}</td>
+																</tr>
+															))}
+														</tbody>
+													</table>
+												)}
+											</td>
+										</tr>
+									)}
+								</Fragment>
+							))}
+						</tbody>
+					</table>
+				</>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,330 @@
+/**
+ * Profile Selector Component
+ *
+ * Picks, tests, saves, exports and imports named connection profiles.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, FormFileUpload, Notice, SelectControl, TextControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Remove the profile reference from connection parameters.
+ *
+ * @param {Object} params Connection parameters.
+ * @return {Object} Connection parameters without the profile.
+ */
+const withoutProfile = (params) => {
+	const { profile, ...rest } = params;
+
+	return rest;
+};
+
+/**
+ * Profile selector component.
+ *
+ * A selected profile is kept as a "profile" key in the connection parameters.
+ * Its secrets are never sent to the browser; the server fills them in when the
+ * password or token field is left empty.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.engine Selected database engine.
+ * @param {Object} props.connectionParams Connection parameters.
+ * @param {Function} props.onSelect Callback when a profile is picked (engine, params).
+ * @param {string} props.excludeEngine Engine whose profiles are not offered (optional).
+ * @return {JSX.Element} Profile selector.
+ */
+export default function ProfileSelector({ engine, connectionParams, onSelect, excludeEngine }) {
+	const [profiles, setProfiles] = useState([]);
+	const [name, setName] = useState('');
+	const [busy, setBusy] = useState(null);
+	const [confirmDelete, setConfirmDelete] = useState(false);
+	const [error, setError] = useState(null);
+	const [message, setMessage] = useState(null);
+
+	useEffect(() => {
+		fetchProfiles();
+	}, []);
+
+	const selectedId = connectionParams.profile || '';
+	const selected = profiles.find((profile) => profile.id === selectedId) || null;
+
+	/**
+	 * Fetch the profiles.
+	 */
+	const fetchProfiles = async () => {
+		try {
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/profiles',
+			});
+
+			if (response.success) {
+				setProfiles(response.profiles);
+			}
+		} catch (err) {
+			setError(err.message || __('Failed to load the connection profiles', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Run a profile request.
+	 *
+	 * @param {string} action Name of the running action, used for the busy state.
+	 * @param {Function} request Performs the request and returns the success message.
+	 */
+	const run = async (action, request) => {
+		setBusy(action);
+		setError(null);
+		setMessage(null);
+
+		try {
+			setMessage(await request());
+		} catch (err) {
+			setError(err.message || __('The request failed', 'wp-dbal'));
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	/**
+	 * Pick a profile, or go back to entering the parameters by hand.
+	 *
+	 * @param {string} id Profile ID, or an empty string.
+	 */
+	const handleSelect = (id) => {
+		const profile = profiles.find((item) => item.id === id);
+
+		setConfirmDelete(false);
+		setMessage(null);
+
+		if (!profile) {
+			onSelect(engine, withoutProfile(connectionParams));
+			return;
+		}
+
+		onSelect(profile.engine, { ...profile.params, profile: profile.id });
+	};
+
+	/**
+	 * Save the form as a profile.
+	 *
+	 * @param {string|null} id Profile to update, or null for a new profile.
+	 */
+	const handleSave = (id) => run('save', async () => {
+		const response = await apiFetch({
+			path: '/wp-dbal/v1/profiles/save',
+			method: 'POST',
+			data: {
+				...(id && { id }),
+				name: id ? selected.name : name,
+				engine,
+				connection_params: withoutProfile(connectionParams),
+			},
+		});
+
+		setProfiles(response.profiles);
+		setName('');
+		onSelect(engine, { ...connectionParams, profile: response.profile.id });
+
+		return sprintf(
+			/* translators: %s: Profile name. */
+			__('Profile "%s" saved.', 'wp-dbal'),
+			response.profile.name
+		);
+	});
+
+	/**
+	 * Test the selected profile.
+	 */
+	const handleTest = () => run('test', async () => {
+		const response = await apiFetch({
+			path: '/wp-dbal/v1/migration/validate',
+			method: 'POST',
+			data: {
+				target_engine: selected.engine,
+				connection_params: { profile: selected.id },
+			},
+		});
+
+		return response.message;
+	});
+
+	/**
+	 * Delete the selected profile.
+	 */
+	const handleDelete = () => run('delete', async () => {
+		const response = await apiFetch({
+			path: '/wp-dbal/v1/profiles/delete',
+			method: 'POST',
+			data: { id: selected.id },
+		});
+
+		setProfiles(response.profiles);
+		setConfirmDelete(false);
+		onSelect(engine, withoutProfile(connectionParams));
+
+		return sprintf(
+			/* translators: %s: Profile name. */
+			__('Profile "%s" deleted.', 'wp-dbal'),
+			selected.name
+		);
+	});
+
+	/**
+	 * Download the profiles as a JSON file, without secrets.
+	 */
+	const handleExport = () => run('export', async () => {
+		const response = await apiFetch({
+			path: '/wp-dbal/v1/profiles/export',
+		});
+		const blob = new Blob([JSON.stringify(response.export, null, 2)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+
+		link.href = url;
+		link.download = 'wp-dbal-profiles.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(url);
+
+		return null;
+	});
+
+	/**
+	 * Import profiles from an exported JSON file.
+	 *
+	 * @param {Event} event File input change event.
+	 */
+	const handleImport = (event) => {
+		const file = event.target.files[0];
+
+		// Let the same file be picked again.
+		event.target.value = '';
+
+		if (!file) {
+			return;
+		}
+
+		run('import', async () => {
+			let data;
+
+			try {
+				data = JSON.parse(await file.text());
+			} catch (err) {
+				throw new Error(__('The file is not valid JSON', 'wp-dbal'));
+			}
+
+			const response = await apiFetch({
+				path: '/wp-dbal/v1/profiles/import',
+				method: 'POST',
+				data: { data },
+			});
+
+			setProfiles(response.profiles);
+
+			return sprintf(
+				/* translators: %d: Number of imported profiles. */
+				_n('%d profile imported. Enter the passwords and tokens again; exports never contain them.', '%d profiles imported. Enter the passwords and tokens again; exports never contain them.', response.imported, 'wp-dbal'),
+				response.imported
+			);
+		});
+	};
+
+	const options = profiles
+		.filter((profile) => profile.engine !== excludeEngine)
+		.map((profile) => ({
+			label: `${profile.name} (${profile.engine})`,
+			value: profile.id,
+		}));
+
+	return (
+		<div className="wp-dbal-profiles">
+			{error && (
+				<Notice status="error" onRemove={() => setError(null)}>
+					{error}
+				</Notice>
+			)}
+
+			{message && (
+				<Notice status="success" onRemove={() => setMessage(null)}>
+					{message}
+				</Notice>
+			)}
+
+			<SelectControl
+				label={__('Connection Profile', 'wp-dbal')}
+				value={selectedId}
+				options={[
+					{ label: __('None (enter the parameters below)', 'wp-dbal'), value: '' },
+					...options,
+				]}
+				onChange={handleSelect}
+				help={selected && selected.secrets.length > 0
+					? __('The saved password or token is used unless you enter another one below.', 'wp-dbal')
+					: undefined}
+			/>
+
+			<div className="wp-dbal-profiles__actions">
+				{selected && (
+					<>
+						<Button variant="secondary" onClick={handleTest} disabled={!!busy} isBusy={busy === 'test'}>
+							{__('Test', 'wp-dbal')}
+						</Button>
+						<Button variant="secondary" onClick={() => handleSave(selected.id)} disabled={!!busy || !engine} isBusy={busy === 'save'}>
+							{__('Update Profile', 'wp-dbal')}
+						</Button>
+						<Button variant="secondary" isDestructive onClick={() => setConfirmDelete(true)} disabled={!!busy}>
+							{__('Delete', 'wp-dbal')}
+						</Button>
+					</>
+				)}
+				<Button variant="tertiary" onClick={handleExport} disabled={!!busy || profiles.length === 0}>
+					{__('Export', 'wp-dbal')}
+				</Button>
+				<FormFileUpload accept="application/json,.json" onChange={handleImport} render={({ openFileDialog }) => (
+					<Button variant="tertiary" onClick={openFileDialog} disabled={!!busy} isBusy={busy === 'import'}>
+						{__('Import', 'wp-dbal')}
+					</Button>
+				)} />
+			</div>
+
+			{confirmDelete && selected && (
+				<Notice status="warning" isDismissible={false}>
+					<p>
+						{sprintf(
+							/* translators: %s: Profile name. */
+							__('Delete profile "%s" and its saved secrets?', 'wp-dbal'),
+							selected.name
+						)}
+					</p>
+					<div className="wp-dbal-profiles__actions">
+						<Button variant="primary" isDestructive onClick={handleDelete} disabled={!!busy}>
+							{__('Delete', 'wp-dbal')}
+						</Button>
+						<Button variant="secondary" onClick={() => setConfirmDelete(false)}>
+							{__('Cancel', 'wp-dbal')}
+						</Button>
+					</div>
+				</Notice>
+			)}
+
+			{!selected && engine && (
+				<div className="wp-dbal-profiles__save">
+					<TextControl
+						label={__('Save these parameters as a profile', 'wp-dbal')}
+						value={name}
+						onChange={setName}
+						placeholder={__('Profile name', 'wp-dbal')}
+					/>
+					<Button variant="secondary" onClick={() => handleSave(null)} disabled={!!busy || !name.trim()} isBusy={busy === 'save'}>
+						{__('Save Profile', 'wp-dbal')}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,311 @@
+/**
+ * Schema Diff Component
+ *
+ * Compares the source schemas with the schemas on the target database and applies suggested fixes.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState, Fragment } from '@wordpress/element';
+import { Button, ButtonGroup, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+const STATUS_LABELS = {
+	same: __('Same', 'wp-dbal'),
+	added: __('Only on target', 'wp-dbal'),
+	removed: __('Missing on target', 'wp-dbal'),
+	changed: __('Changed', 'wp-dbal'),
+};
+
+/**
+ * Render one side of a column comparison.
+ *
+ * @param {Object} props Component props.
+ * @param {Object|null} props.column Column attributes ({ type, length, notnull, default }).
+ * @param {Array} props.changes Changed attribute names.
+ * @return {JSX.Element} Column description.
+ */
+function ColumnCell({ column, changes }) {
+	if (!column) {
+		return <span className="wp-dbal-schema-diff__missing">—</span>;
+	}
+
+	const className = (attribute) =>
+		changes.includes(attribute) ? 'wp-dbal-schema-diff__attribute is-changed' : 'wp-dbal-schema-diff__attribute';
+
+	return (
+		<>
+			<span className={className('type')}>{column.type}</span>
+			{column.length !== null && (
+				<span className={className('length')}>({column.length})</span>
+			)}
+			{' '}
+			<span className={className('notnull')}>
+				{column.notnull ? __('NOT NULL', 'wp-dbal') : __('NULL', 'wp-dbal')}
+			</span>
+			{column.default !== null && (
+				<>
+					{' '}
+					<span className={className('default')}>
+						{sprintf(
+							/* translators: %s: Default value. */
+							__("DEFAULT '%s'", 'wp-dbal'),
+							column.default
+						)}
+					</span>
+				</>
+			)}
+		</>
+	);
+}
+
+/**
+ * Render one side of an index comparison.
+ *
+ * @param {Object} props Component props.
+ * @param {Object|null} props.index Index attributes ({ columns, unique, primary }).
+ * @return {JSX.Element|string} Index description.
+ */
+function IndexCell({ index }) {
+	if (!index) {
+		return <span className="wp-dbal-schema-diff__missing">—</span>;
+	}
+
+	let kind = __('Index', 'wp-dbal');
+	if (index.primary) {
+		kind = __('Primary key', 'wp-dbal');
+	} else if (index.unique) {
+		kind = __('Unique', 'wp-dbal');
+	}
+
+	return `${kind} (${index.columns.join(', ')})`;
+}
+
+/**
+ * Schema diff component.
+ *
+ * @param {Object} props Component props.
+ * @param {string} props.targetEngine Target database engine.
+ * @param {Object} props.connectionParams Connection parameters.
+ * @param {Array} props.tables Source tables to compare (empty for all WordPress tables).
+ * @return {JSX.Element} Schema diff.
+ */
+export default function SchemaDiff({ targetEngine, connectionParams, tables }) {
+	const [isComparing, setIsComparing] = useState(false);
+	const [comparison, setComparison] = useState(null);
+	const [applyingFix, setApplyingFix] = useState(null);
+	const [error, setError] = useState(null);
+	const [expandedTables, setExpandedTables] = useState([]);
+
+	/**
+	 * Toggle table details.
+	 *
+	 * @param {string} name Table name.
+	 */
+	const toggleTable = (name) => {
+		setExpandedTables((prev) =>
+			prev.includes(name) ? prev.filter((table) => table !== name) : [...prev, name]
+		);
+	};
+
+	/**
+	 * Request a comparison, optionally applying a fix first.
+	 *
+	 * @param {string} path Endpoint path.
+	 * @param {Object} data Extra request data.
+	 */
+	const requestComparison = async (path, data = {}) => {
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path,
+				method: 'POST',
+				data: {
+					target_engine: targetEngine,
+					connection_params: connectionParams,
+					tables,
+					...data,
+				},
+			});
+
+			if (response.success) {
+				setComparison(response.comparison);
+			}
+		} catch (err) {
+			setError(err.message || __('Schema comparison failed', 'wp-dbal'));
+		}
+	};
+
+	/**
+	 * Compare the schemas.
+	 */
+	const handleCompare = async () => {
+		setIsComparing(true);
+		await requestComparison('/wp-dbal/v1/migration/schema-diff');
+		setIsComparing(false);
+	};
+
+	/**
+	 * Apply a suggested fix.
+	 *
+	 * @param {string} id Fix ID.
+	 */
+	const handleApplyFix = async (id) => {
+		setApplyingFix(id);
+		await requestComparison('/wp-dbal/v1/migration/schema-fix', { fix: id });
+		setApplyingFix(null);
+	};
+
+	const busy = isComparing || applyingFix !== null;
+
+	return (
+		<div className="wp-dbal-schema-diff">
+			<ButtonGroup>
+				<Button
+					variant="secondary"
+					onClick={handleCompare}
+					disabled={!targetEngine || busy}
+				>
+					{__('Compare Schemas', 'wp-dbal')}
+				</Button>
+			</ButtonGroup>
+
+			{isComparing && (
+				<div>
+					<Spinner />
+					<span>{__('Comparing the source and target schemas…', 'wp-dbal')}</span>
+				</div>
+			)}
+
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			{comparison && !isComparing && (
+				<>
+					<Notice
+						status={comparison.summary.same === comparison.tables.length ? 'success' : 'warning'}
+						isDismissible={false}
+					>
+						{sprintf(
+							/* translators: 1: Unchanged table count, 2: Changed table count, 3: Missing table count, 4: Extra table count. */
+							__('%1$d tables match, %2$d differ, %3$d are missing on the target and %4$d exist only on the target.', 'wp-dbal'),
+							comparison.summary.same,
+							comparison.summary.changed,
+							comparison.summary.removed,
+							comparison.summary.added
+						)}
+					</Notice>
+
+					<table className="widefat wp-dbal-schema-diff__tables">
+						<thead>
+							<tr>
+								<th>{__('Table', 'wp-dbal')}</th>
+								<th>{__('Status', 'wp-dbal')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{comparison.tables.map((table) => (
+								<Fragment key={table.name}>
+									<tr className={`wp-dbal-schema-diff__row is-${table.status}`}>
+										<td>
+											<Button
+												variant="link"
+												onClick={() => toggleTable(table.name)}
+												aria-expanded={expandedTables.includes(table.name)}
+											>
+												{expandedTables.includes(table.name) ? '▾' : '▸'} {table.name}
+											</Button>
+										</td>
+										<td>{STATUS_LABELS[table.status]}</td>
+									</tr>
+
+									{expandedTables.includes(table.name) && (
+										<tr className="wp-dbal-schema-diff__details">
+											<td colSpan="2">
+												<table className="widefat">
+													<thead>
+														<tr>
+															<th>{__('Column', 'wp-dbal')}</th>
+															<th>{__('Source', 'wp-dbal')}</th>
+															<th>{__('Target', 'wp-dbal')}</th>
+															<th>{__('Status', 'wp-dbal')}</th>
+														</tr>
+													</thead>
+													<tbody>
+														{table.columns.map((column) => (
+															<tr key={column.name} className={`wp-dbal-schema-diff__row is-${column.status}`}>
+																<td><code>{column.name}</code></td>
+																<td><ColumnCell column={column.source} changes={column.changes} /></td>
+																<td><ColumnCell column={column.target} changes={column.changes} /></td>
+																<td>{STATUS_LABELS[column.status]}</td>
+															</tr>
+														))}
+													</tbody>
+												</table>
+
+												{table.indexes.length > 0 && (
+													<table className="widefat">
+														<thead>
+															<tr>
+																<th>{__('Index', 'wp-dbal')}</th>
+																<th>{__('Source', 'wp-dbal')}</th>
+																<th>{__('Target', 'wp-dbal')}</th>
+																<th>{__('Status', 'wp-dbal')}</th>
+															</tr>
+														</thead>
+														<tbody>
+															{table.indexes.map((index) => (
+																<tr key={`${index.status}-${index.name}`} className={`wp-dbal-schema-diff__row is-${index.status}`}>
+																	<td><code>{index.name}</code></td>
+																	<td><IndexCell index={index.source} /></td>
+																	<td><IndexCell index={index.target} /></td>
+																	<td>{STATUS_LABELS[index.status]}</td>
+																</tr>
+															))}
+														</tbody>
+													</table>
+												)}
+											</td>
+										</tr>
+									)}
+								</Fragment>
+							))}
+						</tbody>
+					</table>
+
+					<h4>{__('Suggested Fixes', 'wp-dbal')}</h4>
+
+					{comparison.fixes.length === 0 ? (
+						<p>{__('There is nothing to fix. Columns and indexes that exist only on the target are never dropped automatically.', 'wp-dbal')}</p>
+					) : (
+						<>
+							<p>
+								{__('Each fix changes the target database as soon as it is applied. Changing a column on SQLite rebuilds its table.', 'wp-dbal')}
+							</p>
+							<ul className="wp-dbal-schema-diff__fixes">
+								{comparison.fixes.map((fix) => (
+									<li key={fix.id}>
+										<span>{fix.description}</span>
+										<Button
+											variant="secondary"
+											onClick={() => handleApplyFix(fix.id)}
+											disabled={busy}
+											isBusy={applyingFix === fix.id}
+										>
+											{__('Apply', 'wp-dbal')}
+										</Button>
+									</li>
+								))}
+							</ul>
+						</>
+					)}
+				</>
+			)}
+		</div>
+	);
+}
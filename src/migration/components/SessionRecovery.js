@@ -0,0 +1,120 @@
+/**
+ * Session Recovery Component
+ *
+ * Offers to resume or discard migrations that were interrupted.
+ *
+ * @package WP_DBAL
+ */
+
+import { Button, ButtonGroup, Notice } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Session recovery component.
+ *
+ * @param {Object} props Component props.
+ * @param {Array} props.sessions Resumable session summaries.
+ * @param {string|null} props.busySessionId Session currently being resumed or discarded.
+ * @param {Function} props.onResume Callback to resume a session.
+ * @param {Function} props.onDiscard Callback to discard a session.
+ * @return {JSX.Element|null} Session recovery notice.
+ */
+export default function SessionRecovery({
+	sessions,
+	busySessionId,
+	onResume,
+	onDiscard,
+}) {
+	if (!sessions || sessions.length === 0) {
+		return null;
+	}
+
+	return (
+		<div className="wp-dbal-session-recovery">
+			<Notice status="warning" isDismissible={false}>
+				<p>
+					<strong>{__('An unfinished migration was found.', 'wp-dbal')}</strong>
+				</p>
+				<p>
+					{__(
+						'The migration stopped before it completed, for example because the page was reloaded. You can resume it where it left off or discard it.',
+						'wp-dbal'
+					)}
+				</p>
+			</Notice>
+
+			{sessions.map((session) => {
+				// A running session that isn't stalled is still driven by another tab.
+				const inProgress = session.status !== 'paused' && !session.stalled;
+
+				return (
+					<div key={session.session_id} className="wp-dbal-session-recovery__session">
+						<p>
+							<strong>
+								{sprintf(
+									/* translators: 1: Source engine, 2: Target engine. */
+									__('%1$s to %2$s', 'wp-dbal'),
+									session.source_engine,
+									session.target_engine
+								)}
+							</strong>
+							{session.status === 'paused' && (
+								<span className="wp-dbal-session-recovery__paused">
+									{__('Paused', 'wp-dbal')}
+								</span>
+							)}
+							{session.stalled && (
+								<span className="wp-dbal-session-recovery__stalled">
+									{__('Stalled', 'wp-dbal')}
+								</span>
+							)}
+							{inProgress && (
+								<span className="wp-dbal-session-recovery__in-progress">
+									{__('In progress in another tab', 'wp-dbal')}
+								</span>
+							)}
+							<br />
+							{sprintf(
+								/* translators: %s: Date and time the migration started. */
+								__('Started: %s', 'wp-dbal'),
+								new Date(session.created_at * 1000).toLocaleString()
+							)}
+							<br />
+							{sprintf(
+								/* translators: %s: Date and time of the last activity. */
+								__('Last activity: %s', 'wp-dbal'),
+								new Date(session.updated_at * 1000).toLocaleString()
+							)}
+							<br />
+							{sprintf(
+								/* translators: 1: Migration step, 2: Rows completed, 3: Total rows. */
+								__('Step: %1$s (%2$d / %3$d rows)', 'wp-dbal'),
+								session.step,
+								session.rows_completed,
+								session.rows_total
+							)}
+						</p>
+						<ButtonGroup>
+							<Button
+								variant="primary"
+								onClick={() => onResume(session)}
+								isBusy={busySessionId === session.session_id}
+								disabled={!!busySessionId || inProgress}
+							>
+								{__('Resume', 'wp-dbal')}
+							</Button>
+							<Button
+								variant="secondary"
+								isDestructive
+								onClick={() => onDiscard(session)}
+								disabled={!!busySessionId}
+							>
+								{__('Discard', 'wp-dbal')}
+							</Button>
+						</ButtonGroup>
+					</div>
+				);
+			})}
+		</div>
+	);
+}
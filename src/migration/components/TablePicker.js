@@ -0,0 +1,148 @@
+/**
+ * Table Picker Component
+ *
+ * Lets the user choose which tables to migrate.
+ *
+ * @package WP_DBAL
+ */
+
+import { useState } from '@wordpress/element';
+import { Button, ButtonGroup, CheckboxControl, Spinner, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Table picker component.
+ *
+ * @param {Object} props Component props.
+ * @param {Array} props.tables Source tables ({ name, rows, prefixed }).
+ * @param {boolean} props.isLoading Whether the table list is loading.
+ * @param {Array} props.selectedTables Selected table names.
+ * @param {Function} props.onSelectedTablesChange Callback when the selection changes.
+ * @param {boolean} props.excludeTransients Whether transients are skipped.
+ * @param {Function} props.onExcludeTransientsChange Callback when the transients option changes.
+ * @return {JSX.Element} Table picker.
+ */
+export default function TablePicker({
+	tables,
+	isLoading,
+	selectedTables,
+	onSelectedTablesChange,
+	excludeTransients,
+	onExcludeTransientsChange,
+}) {
+	const [search, setSearch] = useState('');
+
+	if (isLoading) {
+		return (
+			<div className="wp-dbal-table-picker">
+				<Spinner />
+				<span>{__('Loading tables…', 'wp-dbal')}</span>
+			</div>
+		);
+	}
+
+	if (!tables || tables.length === 0) {
+		return null;
+	}
+
+	const visibleTables = search
+		? tables.filter((table) => table.name.toLowerCase().includes(search.toLowerCase()))
+		: tables;
+
+	const selectedRows = tables
+		.filter((table) => selectedTables.includes(table.name))
+		.reduce((sum, table) => sum + table.rows, 0);
+
+	/**
+	 * Toggle a single table.
+	 *
+	 * @param {string} name Table name.
+	 * @param {boolean} checked Whether the table is selected.
+	 */
+	const toggleTable = (name, checked) => {
+		onSelectedTablesChange(
+			checked
+				? [...selectedTables, name]
+				: selectedTables.filter((table) => table !== name)
+		);
+	};
+
+	return (
+		<div className="wp-dbal-table-picker">
+			<h3>{__('Tables to migrate', 'wp-dbal')}</h3>
+
+			<p className="description">
+				{sprintf(
+					/* translators: 1: Selected table count, 2: Total table count, 3: Selected row count. */
+					__('%1$d of %2$d tables selected (%3$s rows).', 'wp-dbal'),
+					selectedTables.length,
+					tables.length,
+					selectedRows.toLocaleString()
+				)}
+			</p>
+
+			<div className="wp-dbal-table-picker__toolbar">
+				<TextControl
+					placeholder={__('Filter tables…', 'wp-dbal')}
+					value={search}
+					onChange={setSearch}
+				/>
+				<ButtonGroup>
+					<Button
+						variant="secondary"
+						onClick={() => onSelectedTablesChange(tables.map((table) => table.name))}
+					>
+						{__('All', 'wp-dbal')}
+					</Button>
+					<Button
+						variant="secondary"
+						onClick={() => onSelectedTablesChange(tables.filter((table) => table.prefixed).map((table) => table.name))}
+					>
+						{__('WordPress tables', 'wp-dbal')}
+					</Button>
+					<Button
+						variant="secondary"
+						onClick={() => onSelectedTablesChange([])}
+					>
+						{__('None', 'wp-dbal')}
+					</Button>
+				</ButtonGroup>
+			</div>
+
+			<table className="widefat striped wp-dbal-table-picker__list">
+				<thead>
+					<tr>
+						<th>{__('Table', 'wp-dbal')}</th>
+						<th>{__('Rows', 'wp-dbal')}</th>
+					</tr>
+				</thead>
+				<tbody>
+					{visibleTables.map((table) => (
+						<tr key={table.name}>
+							<td>
+								<CheckboxControl
+									label={table.name}
+									checked={selectedTables.includes(table.name)}
+									onChange={(checked) => toggleTable(table.name, checked)}
+								/>
+								{!table.prefixed && (
+									<span className="wp-dbal-table-picker__custom">
+										{__('Custom', 'wp-dbal')}
+									</span>
+								)}
+							</td>
+							<td>{table.rows.toLocaleString()}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+
+			<CheckboxControl
+				label={__('Skip transients', 'wp-dbal')}
+				help={__('Transients are cached values that WordPress regenerates, so they can be left behind.', 'wp-dbal')}
+				checked={excludeTransients}
+				onChange={onExcludeTransientsChange}
+			/>
+		</div>
+	);
+}
@@ -0,0 +1,140 @@
+/**
+ * Verification Report Component
+ *
+ * Compares source and target tables after a migration.
+ *
+ * @package WP_DBAL
+ */
+
+import { Button, Notice, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get the result label of a verified table.
+ *
+ * @param {Object} table Table result.
+ * @return {string} Label.
+ */
+function getResultLabel(table) {
+	if (table.status === 'missing') {
+		return table.missing_on === 'source'
+			? __('Missing on source', 'wp-dbal')
+			: __('Missing on target', 'wp-dbal');
+	}
+
+	return table.status === 'match' ? __('Match', 'wp-dbal') : __('Mismatch', 'wp-dbal');
+}
+
+/**
+ * Verification report component.
+ *
+ * @param {Object} props Component props.
+ * @param {boolean} props.isVerifying Whether verification is in progress.
+ * @param {Object|null} props.verification Verification state from the server.
+ * @param {Function} props.onVerify Callback to start verification.
+ * @param {Function} props.onRecopy Callback to re-copy tables.
+ * @return {JSX.Element} Verification report.
+ */
+export default function VerificationReport({
+	isVerifying,
+	verification,
+	onVerify,
+	onRecopy,
+}) {
+	const tables = verification ? Object.values(verification.tables) : [];
+	const checkedTables = tables.filter((table) => table.status !== 'pending');
+	const mismatched = tables.filter((table) => table.status === 'mismatch');
+	const missing = tables.filter((table) => table.status === 'missing');
+	const isComplete = verification?.status === 'completed';
+
+	return (
+		<div className="wp-dbal-verification">
+			<h3>{__('Verification', 'wp-dbal')}</h3>
+
+			{!verification && !isVerifying && (
+				<>
+					<p>
+						{__('Compare row counts and checksums of every migrated table between the source and the target database.', 'wp-dbal')}
+					</p>
+					<Button variant="secondary" onClick={onVerify}>
+						{__('Verify Migration', 'wp-dbal')}
+					</Button>
+				</>
+			)}
+
+			{isVerifying && (
+				<div>
+					<Spinner />
+					<span>
+						{sprintf(
+							/* translators: 1: Checked table count, 2: Total table count, 3: Current table. */
+							__('Verifying tables (%1$d / %2$d)… %3$s', 'wp-dbal'),
+							checkedTables.length,
+							tables.length,
+							verification?.current_table || ''
+						)}
+					</span>
+				</div>
+			)}
+
+			{isComplete && !isVerifying && (
+				<Notice status={mismatched.length + missing.length > 0 ? 'warning' : 'success'} isDismissible={false}>
+					{mismatched.length + missing.length > 0
+						? sprintf(
+							/* translators: %d: Number of mismatched tables. */
+							__('%d tables differ between source and target.', 'wp-dbal'),
+							mismatched.length + missing.length
+						)
+						: __('All tables match between source and target.', 'wp-dbal')}
+				</Notice>
+			)}
+
+			{checkedTables.length > 0 && (
+				<table className="widefat striped wp-dbal-verification__tables">
+					<thead>
+						<tr>
+							<th>{__('Table', 'wp-dbal')}</th>
+							<th>{__('Source rows', 'wp-dbal')}</th>
+							<th>{__('Target rows', 'wp-dbal')}</th>
+							<th>{__('Result', 'wp-dbal')}</th>
+						</tr>
+					</thead>
+					<tbody>
+						{checkedTables.map((table) => (
+							<tr key={table.table} className={`is-${table.status}`}>
+								<td>{table.table}</td>
+								<td>{table.source_rows?.toLocaleString()}</td>
+								<td>{table.target_rows?.toLocaleString()}</td>
+								<td>
+									{getResultLabel(table)}
+									{table.mismatched_keys.length > 0 && (
+										<div className="wp-dbal-verification__keys">
+											{__('Differing primary keys:', 'wp-dbal')}{' '}
+											<code>{table.mismatched_keys.join(' | ')}</code>
+										</div>
+									)}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+
+			{isComplete && !isVerifying && (
+				<div className="wp-dbal-verification__actions">
+					{mismatched.length > 0 && (
+						<Button
+							variant="primary"
+							onClick={() => onRecopy(mismatched.map((table) => table.table))}
+						>
+							{__('Re-copy Mismatched Tables', 'wp-dbal')}
+						</Button>
+					)}
+					<Button variant="secondary" onClick={onVerify}>
+						{__('Verify Again', 'wp-dbal')}
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,376 @@
+<?php
+/**
+ * Tests for BackupManager - dumping, restoring and resuming interrupted steps.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Backup;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Backup\BackupManager;
+use WP_DBAL\FileDB\Driver;
+
+/**
+ * BackupManager test cases.
+ *
+ * The database is an in-memory SQLite database backed up as a dump, the way
+ * D1 databases are.
+ */
+class BackupManagerTest extends TestCase {
+
+	/**
+	 * Rows of the posts table when the backup is made.
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private const POSTS = [
+		[ 'ID' => 1, 'post_title' => "It's \"quoted\"", 'post_parent' => null ],
+		[ 'ID' => 2, 'post_title' => 'Καλημέρα 😀', 'post_parent' => 1 ],
+		[ 'ID' => 3, 'post_title' => 'C:\\path\\', 'post_parent' => 1 ],
+	];
+
+	/**
+	 * Rows of the log table, which has no primary key, when the backup is made.
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private const LOG = [
+		[ 'message' => 'a' ],
+		[ 'message' => 'b' ],
+		[ 'message' => 'c' ],
+	];
+
+	/**
+	 * Directory holding the backups and the job state.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * Connection to the database.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $connection;
+
+	/**
+	 * BackupManager instance.
+	 *
+	 * @var BackupManager
+	 */
+	protected BackupManager $manager;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+		Functions\when( 'wp_json_encode' )->alias( 'json_encode' );
+		Functions\when( 'wp_cache_flush' )->justReturn( true );
+
+		$GLOBALS['wpdb'] = (object) [ 'prefix' => 'wp_' ];
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-backup-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->connection = DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		] );
+
+		$this->connection->executeStatement( 'CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_title TEXT NOT NULL, post_parent INTEGER)' );
+		$this->connection->executeStatement( 'CREATE TABLE wp_log (message TEXT)' );
+		$this->connection->executeStatement( 'CREATE TABLE other_table (note TEXT)' );
+
+		foreach ( self::POSTS as $row ) {
+			$this->connection->insert( 'wp_posts', $row );
+		}
+		foreach ( self::LOG as $row ) {
+			$this->connection->insert( 'wp_log', $row );
+		}
+		$this->connection->insert( 'other_table', [ 'note' => 'before' ] );
+
+		$this->manager = $this->manager( $this->connection, 'd1' );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->connection->close();
+		unset( $GLOBALS['wpdb'] );
+
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $this->directory, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $files as $file ) {
+			$file->isDir() ? \rmdir( $file->getPathname() ) : \unlink( $file->getPathname() );
+		}
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Get a backup manager storing its backups and job in the test directory.
+	 *
+	 * @param Connection $connection Connection to the database.
+	 * @param string     $engine     Database engine.
+	 * @return BackupManager Backup manager.
+	 */
+	private function manager( Connection $connection, string $engine ): BackupManager {
+		return new BackupManager( $connection, $engine, $this->directory . '/backups', $this->directory . '/job.php' );
+	}
+
+	/**
+	 * Run steps until the job reaches a phase.
+	 *
+	 * @param string $phase Phase to stop at.
+	 * @return array<string, mixed> Job state.
+	 */
+	private function run_until( string $phase ): array {
+		for ( $i = 0; $i < 50; $i++ ) {
+			$job = $this->manager->step( 2 );
+
+			$this->assertNull( $job['error'] );
+
+			if ( $phase === $job['phase'] ) {
+				return $job;
+			}
+		}
+
+		$this->fail( 'The job did not reach the ' . $phase . ' phase.' );
+	}
+
+	/**
+	 * Back up the database.
+	 *
+	 * @return string Backup ID.
+	 */
+	private function backup(): string {
+		$this->manager->startBackup();
+
+		return $this->run_until( 'completed' )['backup'];
+	}
+
+	/**
+	 * Change the job state, as a request that died half way would have left it.
+	 *
+	 * @param array<string, mixed> $changes Job state to change.
+	 */
+	private function update_job( array $changes ): void {
+		\file_put_contents(
+			$this->directory . '/job.php',
+			"<?php exit; ?>\n" . \json_encode( \array_merge( $this->manager->getJob(), $changes ) )
+		);
+	}
+
+	/**
+	 * Change the data after the backup, so a restore has something to undo.
+	 */
+	private function change_data(): void {
+		$this->connection->update( 'wp_posts', [ 'post_title' => 'Changed' ], [ 'ID' => 1 ] );
+		$this->connection->delete( 'wp_posts', [ 'ID' => 3 ] );
+		$this->connection->insert( 'wp_posts', [ 'ID' => 4, 'post_title' => 'New', 'post_parent' => null ] );
+		$this->connection->executeStatement( 'DELETE FROM wp_log' );
+		$this->connection->update( 'other_table', [ 'note' => 'after' ], [ 'note' => 'before' ] );
+	}
+
+	/**
+	 * Assert that the tables hold the rows they had when the backup was made.
+	 */
+	private function assert_restored(): void {
+		$this->assertSame( self::POSTS, $this->connection->fetchAllAssociative( 'SELECT ID, post_title, post_parent FROM wp_posts ORDER BY ID' ) );
+		$this->assertSame( self::LOG, $this->connection->fetchAllAssociative( 'SELECT message FROM wp_log ORDER BY message' ) );
+
+		// Tables without the WordPress prefix are not in the backup.
+		$this->assertSame( 'after', $this->connection->fetchOne( 'SELECT note FROM other_table' ) );
+		$this->assertSame(
+			[],
+			\array_filter( $this->connection->createSchemaManager()->listTableNames(), fn( $table ) => \str_starts_with( $table, 'wpdbal_restore_' ) )
+		);
+	}
+
+	/**
+	 * Test that a dump restores the rows it was made from.
+	 */
+	public function test_dump_and_restore_round_trip(): void {
+		$id = $this->backup();
+
+		$this->assertMatchesRegularExpression( '/^d1-\d{8}-\d{6}-[a-f0-9]{12}\.jsonl$/', $id );
+		$this->assertSame( 'dump', $this->manager->listBackups()[0]['type'] );
+
+		$lines  = \file( $this->directory . '/backups/' . $id );
+		$header = \json_decode( $lines[0], true );
+
+		$this->assertSame( 'wp-dbal-dump', $header['format'] );
+		$this->assertSame( [ 'wp_log' => 3, 'wp_posts' => 3 ], $header['rows'] );
+		$this->assertSame( [ 'wp_log', 'wp_posts' ], \array_keys( $header['schemas'] ) );
+
+		$this->change_data();
+
+		$this->manager->startRestore( $id );
+		$job = $this->run_until( 'completed' );
+
+		$this->assertSame( 6, $job['done'] );
+		$this->assert_restored();
+	}
+
+	/**
+	 * Test that a chunk whose import died half way is imported again without duplicates.
+	 */
+	public function test_interrupted_chunk_with_primary_key_is_retried(): void {
+		$id = $this->backup();
+		$this->change_data();
+
+		$this->manager->startRestore( $id );
+
+		// Schema, then the two lines of log rows.
+		$this->manager->step();
+		$this->manager->step();
+		$job = $this->manager->step();
+
+		$this->assertSame( 3, $job['done'] );
+
+		// The request importing the first posts died after writing one row.
+		$this->connection->insert( 'wpdbal_restore_wp_posts', self::POSTS[0] );
+		$this->update_job( [ 'importing_chunk' => [ 'rows_before' => null ] ] );
+
+		$job = $this->manager->step();
+
+		$this->assertNull( $job['error'] );
+		$this->assertNull( $job['importing_chunk'] );
+		$this->assertSame( 2, (int) $this->connection->fetchOne( 'SELECT COUNT(*) FROM wpdbal_restore_wp_posts' ) );
+
+		$this->run_until( 'completed' );
+		$this->assert_restored();
+	}
+
+	/**
+	 * Test that a chunk without a primary key that was fully imported before dying is not imported twice.
+	 */
+	public function test_interrupted_chunk_without_primary_key_is_skipped_when_complete(): void {
+		$id = $this->backup();
+		$this->change_data();
+
+		$this->manager->startRestore( $id );
+
+		// Schema, then the first line of log rows.
+		$this->manager->step();
+		$this->manager->step();
+
+		// The request importing the last log row died after writing it.
+		$this->connection->insert( 'wpdbal_restore_wp_log', self::LOG[2] );
+		$this->update_job( [ 'importing_chunk' => [ 'rows_before' => 2 ] ] );
+
+		$job = $this->manager->step();
+
+		$this->assertNull( $job['error'] );
+		$this->assertSame( 3, (int) $this->connection->fetchOne( 'SELECT COUNT(*) FROM wpdbal_restore_wp_log' ) );
+
+		$this->run_until( 'completed' );
+		$this->assert_restored();
+	}
+
+	/**
+	 * Test that a swap that failed half way carries on with the tables it didn't replace.
+	 */
+	public function test_interrupted_swap_is_resumed(): void {
+		$id = $this->backup();
+		$this->change_data();
+
+		$this->manager->startRestore( $id );
+		$this->run_until( 'swap' );
+
+		// A view in the way keeps the posts table from being replaced.
+		$this->connection->executeStatement( 'DROP TABLE wp_posts' );
+		$this->connection->executeStatement( 'CREATE VIEW wp_posts AS SELECT 1 AS ID' );
+
+		$job = $this->manager->step();
+
+		$this->assertSame( 'swap', $job['phase'] );
+		$this->assertStringStartsWith( 'Could not replace wp_posts: ', $job['error'] );
+		$this->assertSame( [ 'wp_log' ], $job['swapped'] );
+		$this->assertSame( self::LOG, $this->connection->fetchAllAssociative( 'SELECT message FROM wp_log ORDER BY message' ) );
+
+		try {
+			$this->manager->cancel();
+			$this->fail( 'The restore was cancelled while swapping the tables.' );
+		} catch ( \InvalidArgumentException $e ) {
+			$this->assertSame( 'The restore is replacing the tables and can no longer be cancelled.', $e->getMessage() );
+		}
+
+		$this->connection->executeStatement( 'DROP VIEW wp_posts' );
+
+		$job = $this->manager->step();
+
+		$this->assertNull( $job['error'] );
+		$this->assertSame( 'completed', $job['phase'] );
+		$this->assertSame( [ 'wp_log', 'wp_posts' ], $job['swapped'] );
+		$this->assert_restored();
+	}
+
+	/**
+	 * Archive entries that would be extracted outside the staging directory.
+	 *
+	 * @return array<string, array{0: string}>
+	 */
+	public static function data_unsafe_entries(): array {
+		return [
+			'parent directory'         => [ '../evil.php' ],
+			'parent directory in path' => [ 'tables/../../evil.php' ],
+			'absolute path'            => [ '/evil.php' ],
+		];
+	}
+
+	/**
+	 * Test that a FileDB archive with entries outside the storage is refused.
+	 *
+	 * @dataProvider data_unsafe_entries
+	 *
+	 * @param string $entry Archive entry name.
+	 */
+	public function test_archive_with_unsafe_path_is_refused( string $entry ): void {
+		$storage    = $this->directory . '/filedb/db';
+		$connection = DriverManager::getConnection( [
+			'driverClass' => Driver::class,
+			'path'        => $storage,
+			'format'      => 'json',
+		] );
+
+		$this->manager = $this->manager( $connection, 'filedb' );
+
+		$id = 'filedb-20240101-000000-0123456789ab.zip';
+		\mkdir( $this->directory . '/backups' );
+
+		$zip = new \ZipArchive();
+		$zip->open( $this->directory . '/backups/' . $id, \ZipArchive::CREATE );
+		$zip->addFromString( 'tables/wp_posts/1.json', '{"ID":1}' );
+		$zip->addFromString( $entry, '<?php echo "owned";' );
+		$zip->close();
+
+		$this->manager->startRestore( $id );
+		$job = $this->manager->step();
+		$connection->close();
+
+		$this->assertSame( 'extract', $job['phase'] );
+		$this->assertSame( 0, $job['offset'] );
+		$this->assertSame( 'The archive contains an unsafe path: ' . $entry . '.', $job['error'] );
+		$this->assertFileDoesNotExist( $storage . '-restore/tables/wp_posts/1.json' );
+		$this->assertFileDoesNotExist( $this->directory . '/filedb/evil.php' );
+		$this->assertFileDoesNotExist( $this->directory . '/evil.php' );
+	}
+}
@@ -0,0 +1,258 @@
+<?php
+/**
+ * Tests for ConnectionProfiles - saved connection parameters and their secrets.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\ConnectionProfiles;
+
+/**
+ * ConnectionProfiles test cases.
+ */
+class ConnectionProfilesTest extends TestCase {
+
+	/**
+	 * Directory holding the state file.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * ConnectionProfiles instance.
+	 *
+	 * @var ConnectionProfiles
+	 */
+	protected ConnectionProfiles $profiles;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+		Functions\when( 'wp_salt' )->justReturn( 'first salt' );
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-profiles-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->profiles = new ConnectionProfiles( $this->directory . '/wp-dbal-profiles.php' );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Save a MySQL profile with a password.
+	 *
+	 * @return array<string, mixed> Saved profile.
+	 */
+	private function save_mysql(): array {
+		return $this->profiles->save(
+			null,
+			'Staging',
+			'mysql',
+			[
+				'host'     => 'db.example.com',
+				'user'     => 'wp',
+				'password' => 's3cret',
+			]
+		);
+	}
+
+	/**
+	 * Test that secrets are encrypted at rest and never returned.
+	 */
+	public function test_secrets_are_encrypted(): void {
+		$profile = $this->save_mysql();
+		$content = \file_get_contents( $this->directory . '/wp-dbal-profiles.php' );
+
+		$this->assertStringStartsWith( "<?php exit; ?>\n", $content );
+		$this->assertStringNotContainsString( 's3cret', $content );
+		$this->assertSame( [ 'host' => 'db.example.com', 'user' => 'wp' ], $profile['params'] );
+		$this->assertSame( [ 'password' ], $profile['secrets'] );
+		$this->assertSame( [ $profile ], $this->profiles->all() );
+	}
+
+	/**
+	 * Test that resolve() merges the saved secrets into the parameters.
+	 */
+	public function test_resolve_decrypts_saved_secrets(): void {
+		$profile = $this->save_mysql();
+
+		$params = $this->profiles->resolve(
+			[
+				'profile' => $profile['id'],
+				'host'    => 'db.example.com',
+				'user'    => 'wp',
+			]
+		);
+
+		$this->assertSame( [ 'host' => 'db.example.com', 'user' => 'wp', 'password' => 's3cret' ], $params );
+	}
+
+	/**
+	 * Test that a secret entered in the form takes precedence over the saved one.
+	 */
+	public function test_resolve_keeps_entered_secrets(): void {
+		$profile = $this->save_mysql();
+
+		$params = $this->profiles->resolve( [ 'profile' => $profile['id'], 'password' => 'typed' ] );
+
+		$this->assertSame( 'typed', $params['password'] );
+	}
+
+	/**
+	 * Test that parameters without a profile are returned as they are.
+	 */
+	public function test_resolve_without_profile(): void {
+		$this->assertSame( [ 'path' => '/tmp/wp.db' ], $this->profiles->resolve( [ 'profile' => '', 'path' => '/tmp/wp.db' ] ) );
+	}
+
+	/**
+	 * Test that resolving a deleted profile fails.
+	 */
+	public function test_resolve_unknown_profile(): void {
+		$this->expectException( \InvalidArgumentException::class );
+
+		$this->profiles->resolve( [ 'profile' => 'deadbeefdeadbeef' ] );
+	}
+
+	/**
+	 * Test that a secret encrypted with other salts is reported instead of returned garbled.
+	 */
+	public function test_resolve_after_salts_changed(): void {
+		$profile = $this->save_mysql();
+		Functions\when( 'wp_salt' )->justReturn( 'second salt' );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'can no longer be decrypted' );
+
+		$this->profiles->resolve( [ 'profile' => $profile['id'] ] );
+	}
+
+	/**
+	 * Test that an empty secret keeps the saved one, unless the engine changes.
+	 */
+	public function test_update_keeps_saved_secrets(): void {
+		$profile = $this->save_mysql();
+
+		$updated = $this->profiles->save( $profile['id'], 'Staging', 'mysql', [ 'host' => 'db2.example.com', 'password' => '' ] );
+
+		$this->assertSame( [ 'password' ], $updated['secrets'] );
+		$this->assertSame( 's3cret', $this->profiles->resolve( [ 'profile' => $profile['id'] ] )['password'] );
+
+		$updated = $this->profiles->save( $profile['id'], 'Staging', 'pgsql', [ 'host' => 'db2.example.com' ] );
+
+		$this->assertSame( [], $updated['secrets'] );
+	}
+
+	/**
+	 * Test that two profiles can't share a name.
+	 */
+	public function test_names_are_unique(): void {
+		$this->save_mysql();
+
+		$this->expectException( \InvalidArgumentException::class );
+
+		$this->profiles->save( null, 'staging', 'sqlite', [ 'path' => '/tmp/wp.db' ] );
+	}
+
+	/**
+	 * Test that exports leave the secrets out.
+	 */
+	public function test_export_leaves_secrets_out(): void {
+		$this->save_mysql();
+
+		$export = $this->profiles->export();
+
+		$this->assertSame( ConnectionProfiles::EXPORT_FORMAT, $export['format'] );
+		$this->assertSame(
+			[
+				[
+					'name'   => 'Staging',
+					'engine' => 'mysql',
+					'params' => [ 'host' => 'db.example.com', 'user' => 'wp' ],
+				],
+			],
+			$export['profiles']
+		);
+		$this->assertStringNotContainsString( 's3cret', \json_encode( $export ) );
+	}
+
+	/**
+	 * Test that imported secrets are ignored and saved ones are kept.
+	 */
+	public function test_import_ignores_secrets(): void {
+		$profile = $this->save_mysql();
+
+		$imported = $this->profiles->import(
+			[
+				'format'   => ConnectionProfiles::EXPORT_FORMAT,
+				'profiles' => [
+					[
+						'name'   => 'staging',
+						'engine' => 'mysql',
+						'params' => [ 'host' => 'db3.example.com', 'password' => 'injected' ],
+					],
+					[
+						'name'   => 'Cloudflare',
+						'engine' => 'd1',
+						'params' => [ 'account_id' => 'abc', 'api_token' => 'injected' ],
+					],
+				],
+			]
+		);
+
+		$profiles = \array_column( $this->profiles->all(), null, 'name' );
+
+		$this->assertSame( 2, $imported );
+		$this->assertSame( $profile['id'], $profiles['staging']['id'] );
+		$this->assertSame( [ 'host' => 'db3.example.com' ], $profiles['staging']['params'] );
+		$this->assertSame( 's3cret', $this->profiles->resolve( [ 'profile' => $profile['id'] ] )['password'] );
+		$this->assertSame( [], $profiles['Cloudflare']['secrets'] );
+	}
+
+	/**
+	 * Test that nothing is imported when one profile is invalid.
+	 */
+	public function test_invalid_import_saves_nothing(): void {
+		try {
+			$this->profiles->import(
+				[
+					'format'   => ConnectionProfiles::EXPORT_FORMAT,
+					'profiles' => [
+						[
+							'name'   => 'Local',
+							'engine' => 'sqlite',
+						],
+						[
+							'name'   => 'Oracle',
+							'engine' => 'oci8',
+						],
+					],
+				]
+			);
+			$this->fail( 'The import should have failed.' );
+		} catch ( \InvalidArgumentException $e ) {
+			$this->assertSame( [], $this->profiles->all() );
+		}
+	}
+}
@@ -0,0 +1,230 @@
+<?php
+/**
+ * Tests for DataBrowser - listing FileDB tables and paging through their rows.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\FileDB;
+
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\FileDB\DataBrowser;
+use WP_DBAL\FileDB\Driver;
+
+/**
+ * DataBrowser test cases.
+ */
+class DataBrowserTest extends TestCase {
+
+	/**
+	 * FileDB directory.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * Connection to the FileDB database.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $connection;
+
+	/**
+	 * DataBrowser instance.
+	 *
+	 * @var DataBrowser
+	 */
+	protected DataBrowser $browser;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-browser-test-' . \uniqid();
+
+		$this->connection = DriverManager::getConnection( [
+			'driverClass' => Driver::class,
+			'path'        => $this->directory,
+			'format'      => 'json',
+		] );
+
+		$storage = $this->connection->getNativeConnection();
+		$storage->createTable( 'wp_posts', [
+			'columns'    => [
+				'ID'          => [ 'name' => 'ID', 'type' => 'bigint', 'autoIncrement' => true ],
+				'post_title'  => [ 'name' => 'post_title', 'type' => 'text' ],
+				'post_status' => [ 'name' => 'post_status', 'type' => 'varchar' ],
+			],
+			'primaryKey' => [ 'ID' ],
+		] );
+
+		// Inserted out of order, so the pages have to be sorted.
+		foreach ( [ 5, 3, 1, 4, 2 ] as $id ) {
+			$storage->insertRow( 'wp_posts', [
+				'ID'          => $id,
+				'post_title'  => 'Post ' . $id . ( $id % 2 ? ' odd' : ' even' ),
+				'post_status' => $id < 4 ? 'publish' : 'draft',
+			] );
+		}
+
+		$storage->createTable( 'wp_options', [
+			'columns'    => [
+				'option_id'   => [ 'name' => 'option_id', 'type' => 'bigint', 'autoIncrement' => true ],
+				'option_name' => [ 'name' => 'option_name', 'type' => 'varchar' ],
+			],
+			'primaryKey' => [ 'option_id' ],
+		] );
+		$storage->flush();
+
+		$this->browser = new DataBrowser( $this->connection );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->connection->close();
+
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $this->directory, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $files as $file ) {
+			$file->isDir() ? \rmdir( $file->getPathname() ) : \unlink( $file->getPathname() );
+		}
+		\rmdir( $this->directory );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Get the IDs of a page of posts.
+	 *
+	 * @param array<string, mixed> $result Result of getRows().
+	 * @return list<int> IDs.
+	 */
+	private function ids( array $result ): array {
+		return \array_map( 'intval', \array_column( $result['rows'], 'ID' ) );
+	}
+
+	/**
+	 * Test that tables are listed by name with their row counts and keys.
+	 */
+	public function test_list_tables(): void {
+		$tables = $this->browser->listTables();
+
+		$this->assertSame( [ 'wp_options', 'wp_posts' ], \array_column( $tables, 'name' ) );
+		$this->assertSame( [ 0, 5 ], \array_column( $tables, 'rows' ) );
+		$this->assertSame( [ 2, 3 ], \array_column( $tables, 'columns' ) );
+		$this->assertSame( [ 'ID' ], $tables[1]['primary_key'] );
+		$this->assertSame( 5, $tables[1]['auto_increment'] );
+	}
+
+	/**
+	 * Test that pages are ordered by primary key.
+	 */
+	public function test_pages_are_ordered_by_primary_key(): void {
+		$first  = $this->browser->getRows( 'wp_posts', 1, 2 );
+		$second = $this->browser->getRows( 'wp_posts', 2, 2 );
+		$last   = $this->browser->getRows( 'wp_posts', 3, 2 );
+
+		$this->assertSame( [ 1, 2 ], $this->ids( $first ) );
+		$this->assertSame( [ 3, 4 ], $this->ids( $second ) );
+		$this->assertSame( [ 5 ], $this->ids( $last ) );
+		$this->assertSame( 5, $first['total'] );
+		$this->assertSame( 2, $second['page'] );
+		$this->assertSame( 2, $second['per_page'] );
+	}
+
+	/**
+	 * Test that a page after the last one is empty but keeps the total.
+	 */
+	public function test_page_past_the_end_is_empty(): void {
+		$result = $this->browser->getRows( 'wp_posts', 4, 2 );
+
+		$this->assertSame( [], $result['rows'] );
+		$this->assertSame( 5, $result['total'] );
+	}
+
+	/**
+	 * Test that the page and page size are clamped.
+	 */
+	public function test_page_and_page_size_are_clamped(): void {
+		$low = $this->browser->getRows( 'wp_posts', 0, 0 );
+
+		$this->assertSame( 1, $low['page'] );
+		$this->assertSame( 1, $low['per_page'] );
+		$this->assertSame( [ 1 ], $this->ids( $low ) );
+
+		$high = $this->browser->getRows( 'wp_posts', -3, 10000 );
+
+		$this->assertSame( 1, $high['page'] );
+		$this->assertSame( DataBrowser::MAX_PER_PAGE, $high['per_page'] );
+		$this->assertSame( [ 1, 2, 3, 4, 5 ], $this->ids( $high ) );
+	}
+
+	/**
+	 * Test that a filter matches rows containing the text.
+	 */
+	public function test_filter_matches_substrings(): void {
+		$result = $this->browser->getRows( 'wp_posts', 1, 50, [ 'post_title' => 'odd' ] );
+
+		$this->assertSame( [ 1, 3, 5 ], $this->ids( $result ) );
+		$this->assertSame( 3, $result['total'] );
+	}
+
+	/**
+	 * Test that all filters must match, and the total counts only matching rows.
+	 */
+	public function test_filters_are_combined(): void {
+		$result = $this->browser->getRows(
+			'wp_posts',
+			1,
+			1,
+			[
+				'post_title'  => 'odd',
+				'post_status' => 'publish',
+			]
+		);
+
+		$this->assertSame( [ 1 ], $this->ids( $result ) );
+		$this->assertSame( 2, $result['total'] );
+	}
+
+	/**
+	 * Test that empty filters are ignored.
+	 */
+	public function test_empty_filters_are_ignored(): void {
+		$result = $this->browser->getRows( 'wp_posts', 1, 50, [ 'post_title' => '' ] );
+
+		$this->assertSame( 5, $result['total'] );
+	}
+
+	/**
+	 * Test that a filter on an unknown column is refused.
+	 */
+	public function test_filter_on_unknown_column_is_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+		$this->expectExceptionMessage( 'Column "post_date" does not exist in table "wp_posts".' );
+
+		$this->browser->getRows( 'wp_posts', 1, 50, [ 'post_date' => '2024' ] );
+	}
+
+	/**
+	 * Test that an unknown table is refused.
+	 */
+	public function test_unknown_table_is_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+		$this->expectExceptionMessage( 'Table "wp_users" does not exist.' );
+
+		$this->browser->getRows( 'wp_users' );
+	}
+}
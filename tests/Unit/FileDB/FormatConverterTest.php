@@ -0,0 +1,246 @@
+<?php
+/**
+ * Tests for FormatConverter - converting a FileDB database between formats.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\FileDB;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\FileDB\FormatConverter;
+use WP_DBAL\FileDB\Util\FormatHandler;
+
+/**
+ * FormatConverter test cases.
+ */
+class FormatConverterTest extends TestCase {
+
+	/**
+	 * Rows of the posts table, keyed by primary key.
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private const ROWS = [
+		1 => [
+			'ID'           => 1,
+			'post_title'   => "It's a \"test\" \\o/",
+			'post_content' => "<?php exit; ?>\nΚαλημέρα 😀",
+			'menu_order'   => 0,
+			'post_parent'  => null,
+		],
+		2 => [
+			'ID'           => 2,
+			'post_title'   => 'C:\\path\\',
+			'post_content' => '',
+			'menu_order'   => 2.5,
+			'post_parent'  => 1,
+		],
+	];
+
+	/**
+	 * FileDB directory.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * FormatConverter instance.
+	 *
+	 * @var FormatConverter
+	 */
+	protected FormatConverter $converter;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-conversion-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$json = new FormatHandler( 'json' );
+		$json->write( $this->directory . '/db/_schema/wp_posts.json', [ 'columns' => [ 'ID' => [ 'type' => 'bigint' ] ], 'primaryKey' => [ 'ID' ] ] );
+		$json->write( $this->directory . '/db/_meta/wp_posts.json', [ 'autoIncrement' => 2 ] );
+		$json->write( $this->directory . '/db/_indexes/wp_posts/post_parent.json', [ '__NULL__' => [ 1 ], '1' => [ 2 ] ] );
+		foreach ( self::ROWS as $id => $row ) {
+			$json->write( $this->directory . '/db/tables/wp_posts/' . $id . '.json', $row );
+		}
+
+		$this->converter = new FormatConverter( $this->directory . '/conversion.php' );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $this->directory, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $files as $file ) {
+			$file->isDir() ? \rmdir( $file->getPathname() ) : \unlink( $file->getPathname() );
+		}
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Run steps until the conversion reaches a phase.
+	 *
+	 * @param string $current_format Format the site uses.
+	 * @param string $phase Phase to stop at.
+	 * @return array<string, mixed> State.
+	 */
+	private function run_until( string $current_format, string $phase ): array {
+		for ( $i = 0; $i < 20; $i++ ) {
+			$state = $this->converter->step( $current_format, 2 );
+
+			$this->assertNull( $state['error'] );
+
+			if ( $phase === $state['phase'] ) {
+				return $state;
+			}
+		}
+
+		$this->fail( 'The conversion did not reach the ' . $phase . ' phase.' );
+	}
+
+	/**
+	 * Convert the database to a format and switch to it.
+	 *
+	 * @param string $source Current format.
+	 * @param string $target Format to convert to.
+	 * @return array<string, mixed> State of the finished conversion.
+	 */
+	private function convert( string $source, string $target ): array {
+		$this->converter->start( $this->directory . '/db', $source, $target );
+		$this->run_until( $source, 'ready' );
+		$this->converter->prepareSwitch();
+
+		return $this->run_until( $target, 'completed' );
+	}
+
+	/**
+	 * Get the files of the database, relative to it.
+	 *
+	 * @return list<string> File paths.
+	 */
+	private function files(): array {
+		$files = \glob( $this->directory . '/db/{_schema,_meta,_indexes/*,tables/*}/*', \GLOB_BRACE );
+		$files = \array_map( fn( $file ) => \substr( $file, \strlen( $this->directory . '/db/' ) ), $files );
+		\sort( $files );
+
+		return $files;
+	}
+
+	/**
+	 * Test that converting to PHP and back to JSON keeps every file and value.
+	 */
+	public function test_json_php_json_round_trip(): void {
+		$original = [];
+		foreach ( $this->files() as $file ) {
+			$original[ $file ] = \file_get_contents( $this->directory . '/db/' . $file );
+		}
+
+		$state = $this->convert( 'json', 'php' );
+
+		$this->assertSame( 5, $state['files_total'] );
+		$this->assertSame( [ 'wp_posts' => [ 'source' => 2, 'target' => 2 ] ], $state['counts'] );
+		$this->assertSame(
+			[ '_indexes/wp_posts/post_parent.php', '_meta/wp_posts.php', '_schema/wp_posts.php', 'tables/wp_posts/1.php', 'tables/wp_posts/2.php' ],
+			$this->files()
+		);
+		$this->assertSame( self::ROWS[1], ( new FormatHandler( 'php' ) )->read( $this->directory . '/db/tables/wp_posts/1.php' ) );
+
+		$this->convert( 'php', 'json' );
+
+		$converted = [];
+		foreach ( $this->files() as $file ) {
+			$converted[ $file ] = \file_get_contents( $this->directory . '/db/' . $file );
+		}
+
+		$this->assertSame( $original, $converted );
+	}
+
+	/**
+	 * Test that rows added and deleted during the copy are picked up before the switch.
+	 */
+	public function test_changes_during_the_copy_are_converted(): void {
+		$this->converter->start( $this->directory . '/db', 'json', 'php' );
+		$this->converter->step( 'json', 100 );
+
+		$json = new FormatHandler( 'json' );
+		$json->write( $this->directory . '/db/tables/wp_posts/3.json', [ 'ID' => 3 ] );
+		\unlink( $this->directory . '/db/tables/wp_posts/2.json' );
+
+		$state = $this->converter->step( 'json' );
+
+		$this->assertSame( 'ready', $state['phase'] );
+		$this->assertSame( [ 'wp_posts' => [ 'source' => 2, 'target' => 2 ] ], $state['counts'] );
+		$this->assertSame( [ 'ID' => 3 ], ( new FormatHandler( 'php' ) )->read( $this->directory . '/db/tables/wp_posts/3.php' ) );
+		$this->assertFileDoesNotExist( $this->directory . '/db/tables/wp_posts/2.php' );
+	}
+
+	/**
+	 * Test that a converted row that can't be read is caught by the row counts.
+	 */
+	public function test_unreadable_converted_row_fails_verification(): void {
+		$this->converter->start( $this->directory . '/db', 'json', 'php' );
+		$this->run_until( 'json', 'ready' );
+
+		// The copy is newer than its source, so it isn't converted again.
+		\touch( $this->directory . '/db/tables/wp_posts/1.json', \time() - 60 );
+		\file_put_contents( $this->directory . '/db/tables/wp_posts/1.php', "<?php\n\nreturn false;\n" );
+
+		$state = $this->converter->prepareSwitch();
+
+		$this->assertSame( 'ready', $state['phase'] );
+		$this->assertSame( [ 'wp_posts' => [ 'source' => 2, 'target' => 1 ] ], $state['counts'] );
+		$this->assertSame( 'The number of rows or files differs in: tables/wp_posts.', $state['error'] );
+	}
+
+	/**
+	 * Test that the old files are only deleted once the site uses the new format.
+	 */
+	public function test_old_files_are_kept_until_the_switch(): void {
+		$this->converter->start( $this->directory . '/db', 'json', 'php' );
+		$this->run_until( 'json', 'ready' );
+
+		$this->assertSame( 'ready', $this->converter->step( 'json' )['phase'] );
+		$this->assertFileExists( $this->directory . '/db/tables/wp_posts/1.json' );
+	}
+
+	/**
+	 * Test that a conversion to the same format is refused.
+	 */
+	public function test_same_format_is_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+		$this->expectExceptionMessage( 'Cannot convert from "json" to "json".' );
+
+		$this->converter->start( $this->directory . '/db', 'json', 'json' );
+	}
+
+	/**
+	 * Test that a second conversion can't start while one is running.
+	 */
+	public function test_second_conversion_is_refused(): void {
+		$this->converter->start( $this->directory . '/db', 'json', 'php' );
+
+		$this->expectException( \InvalidArgumentException::class );
+		$this->expectExceptionMessage( 'Another conversion has not finished yet.' );
+
+		$this->converter->start( $this->directory . '/db', 'json', 'php' );
+	}
+}
@@ -0,0 +1,201 @@
+<?php
+/**
+ * Tests for IndexManager - checking, rebuilding and choosing FileDB indexes.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\FileDB\Storage;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\FileDB\Storage\IndexManager;
+use WP_DBAL\FileDB\Util\FormatHandler;
+
+/**
+ * IndexManager test cases.
+ */
+class IndexManagerTest extends TestCase {
+
+	/**
+	 * Rows of the table the tests index.
+	 *
+	 * @var list<array<string, mixed>>
+	 */
+	private const ROWS = [
+		[ 'ID' => 1, 'post_type' => 'post', 'post_status' => 'publish' ],
+		[ 'ID' => 2, 'post_type' => 'page', 'post_status' => 'publish' ],
+		[ 'ID' => 3, 'post_type' => 'post', 'post_status' => null ],
+	];
+
+	/**
+	 * FileDB directory.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * IndexManager instance.
+	 *
+	 * @var IndexManager
+	 */
+	protected IndexManager $indexes;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-indexes-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->indexes = $this->manager();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $this->directory, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $files as $file ) {
+			$file->isDir() ? \rmdir( $file->getPathname() ) : \unlink( $file->getPathname() );
+		}
+		\rmdir( $this->directory );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Get an index manager for the test directory, as a new request would.
+	 *
+	 * @return IndexManager Index manager.
+	 */
+	private function manager(): IndexManager {
+		return new IndexManager( $this->directory, new FormatHandler( 'json' ) );
+	}
+
+	/**
+	 * Get the path of an index file.
+	 *
+	 * @param string $column Column name.
+	 * @return string File path.
+	 */
+	private function index_file( string $column ): string {
+		return $this->directory . '/_indexes/wp_posts/' . $column . '.json';
+	}
+
+	/**
+	 * Test that rebuilt indexes match the rows.
+	 */
+	public function test_rebuilt_indexes_are_ok(): void {
+		$this->indexes->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+
+		$this->assertSame(
+			[ 'ID' => 'ok', 'post_status' => 'ok', 'post_type' => 'ok' ],
+			$this->manager()->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+		$this->assertSame( [ 1, 3 ], $this->manager()->findByValue( 'wp_posts', 'post_type', 'post' ) );
+		$this->assertSame( [ 3 ], $this->manager()->findByValue( 'wp_posts', 'post_status', null ) );
+	}
+
+	/**
+	 * Test that stale, corrupted and missing index files are detected and rebuilt.
+	 */
+	public function test_broken_indexes_are_detected_and_rebuilt(): void {
+		$this->indexes->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+
+		\file_put_contents( $this->index_file( 'post_type' ), '{"post":[1],"page":[2]}' );
+		\file_put_contents( $this->index_file( 'post_status' ), '{"publish":[1,' );
+		\unlink( $this->index_file( 'ID' ) );
+
+		$manager = $this->manager();
+
+		$this->assertSame(
+			[ 'ID' => 'missing', 'post_status' => 'unreadable', 'post_type' => 'stale' ],
+			$manager->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+
+		$manager->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+
+		$this->assertSame(
+			[ 'ID' => 'ok', 'post_status' => 'ok', 'post_type' => 'ok' ],
+			$this->manager()->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+	}
+
+	/**
+	 * Test that an index is stale once the rows change without it.
+	 */
+	public function test_changed_rows_make_the_index_stale(): void {
+		$this->indexes->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+
+		$rows                   = self::ROWS;
+		$rows[1]['post_status'] = 'draft';
+
+		$this->assertSame( 'stale', $this->manager()->checkTable( 'wp_posts', $rows, [ 'ID' ] )['post_status'] );
+	}
+
+	/**
+	 * Test that the chosen columns persist and the other index files are removed.
+	 */
+	public function test_indexed_columns_persist(): void {
+		$this->indexes->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+		$this->indexes->setIndexedColumns( 'wp_posts', [ 'ID', 'post_type', 'post_type' ] );
+
+		$manager = $this->manager();
+
+		$this->assertSame( [ 'ID', 'post_type' ], $manager->getIndexedColumns( 'wp_posts' ) );
+		$this->assertNull( $manager->getIndexedColumns( 'wp_options' ) );
+		$this->assertFalse( $manager->isColumnIndexed( 'wp_posts', 'post_status' ) );
+		$this->assertFileDoesNotExist( $this->index_file( 'post_status' ) );
+		$this->assertSame(
+			[ 'ID' => 'ok', 'post_type' => 'ok' ],
+			$manager->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+
+		// New rows only fill the chosen indexes.
+		$manager->addRow( 'wp_posts', 4, [ 'ID' => 4, 'post_type' => 'post', 'post_status' => 'draft' ] );
+		$manager->flush();
+
+		$this->assertFileDoesNotExist( $this->index_file( 'post_status' ) );
+		$this->assertSame( [ 1, 3, 4 ], $this->manager()->findByValue( 'wp_posts', 'post_type', 'post' ) );
+	}
+
+	/**
+	 * Test that an index file of a column that isn't indexed is reported as unused.
+	 */
+	public function test_index_of_unindexed_column_is_unused(): void {
+		$this->indexes->setIndexedColumns( 'wp_posts', [ 'ID' ] );
+		$this->indexes->rebuildTable( 'wp_posts', self::ROWS, [ 'ID' ] );
+		\file_put_contents( $this->index_file( 'post_type' ), '{"post":[1,3],"page":[2]}' );
+
+		$this->assertSame(
+			[ 'ID' => 'ok', 'post_type' => 'unused' ],
+			$this->manager()->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+	}
+
+	/**
+	 * Test that going back to indexing all columns persists too.
+	 */
+	public function test_indexing_all_columns_again(): void {
+		$this->indexes->setIndexedColumns( 'wp_posts', [ 'ID' ] );
+		$this->indexes->setIndexedColumns( 'wp_posts', null );
+
+		$manager = $this->manager();
+
+		$this->assertNull( $manager->getIndexedColumns( 'wp_posts' ) );
+		$this->assertTrue( $manager->isColumnIndexed( 'wp_posts', 'post_status' ) );
+		$this->assertSame(
+			[ 'ID' => 'missing', 'post_status' => 'missing', 'post_type' => 'missing' ],
+			$manager->checkTable( 'wp_posts', self::ROWS, [ 'ID' ] )
+		);
+	}
+}
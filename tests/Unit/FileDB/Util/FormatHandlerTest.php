@@ -0,0 +1,127 @@
+<?php
+/**
+ * Tests for FormatHandler - reading back what was written in each format.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\FileDB\Util;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\FileDB\Util\FormatHandler;
+
+/**
+ * FormatHandler test cases.
+ */
+class FormatHandlerTest extends TestCase {
+
+	/**
+	 * Directory holding the files.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-format-test-' . \uniqid();
+		\mkdir( $this->directory );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Values that must survive a round trip.
+	 *
+	 * @return array<string, array{0: array<string|int, mixed>}>
+	 */
+	public static function data_values(): array {
+		return [
+			'quotes'        => [ [ 'option_value' => "It's \"quoted\"" ] ],
+			'backslashes'   => [ [ 'path' => 'C:\\wp\\uploads\\', 'regex' => '\\d+\\\'' ] ],
+			'php code'      => [ [ 'post_content' => '<?php echo $x; ?> ${y} {$z}' ] ],
+			'control chars' => [ [ 'value' => "line\nbreak\ttab\r\0null" ] ],
+			'floats'        => [ [ 'a' => 1.0, 'b' => 0.1, 'c' => -2.5e-7, 'd' => 1.0E+25 ] ],
+			'integers'      => [ [ 'ID' => 0, 'max' => \PHP_INT_MAX, 'negative' => -1 ] ],
+			'booleans'      => [ [ 'yes' => true, 'no' => false ] ],
+			'null'          => [ [ 'post_parent' => null, 'empty' => '' ] ],
+			'numeric keys'  => [ [ 5 => 'five', 'ten' => 10, 0 => 'zero' ] ],
+			'nested arrays' => [ [ 'list' => [ 1, [ 2, [ 3 ] ], [] ], 'map' => [ 'a' => [ 'b' => null ] ] ] ],
+			'unicode'       => [ [ 'title' => 'Καλημέρα κόσμε 😀', 'rtl' => 'مرحبا' ] ],
+			'empty'         => [ [] ],
+		];
+	}
+
+	/**
+	 * Test that data written in a format reads back the same.
+	 *
+	 * @dataProvider data_values
+	 *
+	 * @param array<string|int, mixed> $data Data.
+	 */
+	public function test_php_round_trip( array $data ): void {
+		$handler = new FormatHandler( 'php' );
+		$path    = $handler->buildPath( $this->directory . '/row' );
+
+		$this->assertTrue( $handler->write( $path, $data ) );
+		$this->assertStringStartsWith( "<?php\n", \file_get_contents( $path ) );
+		$this->assertSame( $data, $handler->read( $path ) );
+	}
+
+	/**
+	 * Test that data read from JSON, written as PHP and back as JSON is unchanged.
+	 *
+	 * @dataProvider data_values
+	 *
+	 * @param array<string|int, mixed> $data Data.
+	 */
+	public function test_json_php_json_round_trip( array $data ): void {
+		$json = new FormatHandler( 'json' );
+		$php  = new FormatHandler( 'php' );
+
+		$json->write( $this->directory . '/original.json', $data );
+		$original = $json->read( $this->directory . '/original.json' );
+
+		$php->write( $this->directory . '/row.php', $original );
+		$json->write( $this->directory . '/row.json', $php->read( $this->directory . '/row.php' ) );
+
+		$this->assertSame( $original, $json->read( $this->directory . '/row.json' ) );
+		$this->assertSame(
+			\file_get_contents( $this->directory . '/original.json' ),
+			\file_get_contents( $this->directory . '/row.json' )
+		);
+	}
+
+	/**
+	 * Test that an unknown format falls back to JSON.
+	 */
+	public function test_unknown_format_is_json(): void {
+		$this->assertSame( 'json', ( new FormatHandler( 'yaml' ) )->getExtension() );
+	}
+
+	/**
+	 * Test that a missing or invalid file reads as null.
+	 */
+	public function test_invalid_files_read_as_null(): void {
+		\file_put_contents( $this->directory . '/broken.json', '{"a":' );
+		\file_put_contents( $this->directory . '/broken.php', "<?php\n\nreturn 'not an array';\n" );
+
+		$this->assertNull( ( new FormatHandler( 'json' ) )->read( $this->directory . '/missing.json' ) );
+		$this->assertNull( ( new FormatHandler( 'json' ) )->read( $this->directory . '/broken.json' ) );
+		$this->assertNull( ( new FormatHandler( 'php' ) )->read( $this->directory . '/broken.php' ) );
+	}
+}
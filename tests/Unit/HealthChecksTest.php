@@ -0,0 +1,230 @@
+<?php
+/**
+ * Tests for HealthChecks - the results of the checks and their Site Health format.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\HealthChecks;
+
+/**
+ * HealthChecks test cases.
+ */
+class HealthChecksTest extends TestCase {
+
+	/**
+	 * URLs the storage check asked the web server for.
+	 *
+	 * @var array<int, string>
+	 */
+	protected array $requests = [];
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+		Functions\stubEscapeFunctions();
+
+		$this->requests = [];
+
+		Functions\when( 'wp_is_writable' )->justReturn( true );
+		Functions\when( 'wp_normalize_path' )->returnArg();
+		Functions\when( 'site_url' )->alias( fn( $path = '' ) => 'https://example.com/' . $path );
+		Functions\when( 'admin_url' )->alias( fn( $path = '' ) => 'https://example.com/wp-admin/' . $path );
+		Functions\when( 'rest_url' )->alias( fn( $path = '' ) => 'https://example.com/wp-json/' . $path );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		$this->respond( 404 );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Answer the requests of the storage check with a status code.
+	 *
+	 * @param int $code HTTP status code.
+	 */
+	private function respond( int $code ): void {
+		Functions\when( 'wp_remote_head' )->alias(
+			function ( $url ) use ( $code ) {
+				$this->requests[] = $url;
+
+				return [ 'response' => [ 'code' => $code ] ];
+			}
+		);
+		Functions\when( 'wp_remote_retrieve_response_code' )->alias( fn( $response ) => $response['response']['code'] );
+	}
+
+	/**
+	 * Engines and the checks that apply to them.
+	 *
+	 * @return array<string, array{0: string, 1: array<int, string>}>
+	 */
+	public static function data_engines(): array {
+		$common = [ 'dropin', 'dependencies', 'extensions', 'constants' ];
+
+		return [
+			'mysql'   => [ 'mysql', $common ],
+			'pgsql'   => [ 'pgsql', $common ],
+			'sqlite'  => [ 'sqlite', [ ...$common, 'storage', 'sqlite_journal' ] ],
+			'filedb'  => [ 'filedb', [ ...$common, 'storage', 'filedb_indexes' ] ],
+			'd1'      => [ 'd1', [ ...$common, 'd1_token' ] ],
+			'unknown' => [ 'oracle', $common ],
+		];
+	}
+
+	/**
+	 * Test that every check that applies returns a result of the same shape.
+	 *
+	 * @dataProvider data_engines
+	 *
+	 * @param string             $engine Database engine.
+	 * @param array<int, string> $checks Checks that apply to the engine.
+	 */
+	public function test_results_have_the_same_shape( string $engine, array $checks ): void {
+		$results = ( new HealthChecks( $engine ) )->runAll();
+
+		$this->assertSame( $checks, \array_column( $results, 'test' ) );
+
+		foreach ( $results as $result ) {
+			$this->assertSame( [ 'test', 'label', 'status', 'description' ], \array_keys( $result ) );
+			$this->assertContains( $result['status'], [ 'good', 'recommended', 'critical' ] );
+			$this->assertIsString( $result['label'] );
+			$this->assertNotSame( '', $result['label'] );
+			$this->assertIsString( $result['description'] );
+		}
+	}
+
+	/**
+	 * Test that checks for other engines and unknown checks have no result.
+	 */
+	public function test_checks_that_do_not_apply_have_no_result(): void {
+		$checks = new HealthChecks( 'mysql' );
+
+		$this->assertNull( $checks->run( 'storage' ) );
+		$this->assertNull( $checks->run( 'sqlite_journal' ) );
+		$this->assertNull( $checks->run( 'd1_token' ) );
+		$this->assertNull( $checks->run( 'missing' ) );
+		$this->assertNull( ( new HealthChecks( 'sqlite' ) )->run( 'filedb_indexes' ) );
+	}
+
+	/**
+	 * Test that a missing D1 token is critical.
+	 */
+	public function test_missing_d1_token_is_critical(): void {
+		$result = ( new HealthChecks( 'd1' ) )->run( 'd1_token' );
+
+		$this->assertSame( 'critical', $result['status'] );
+		$this->assertSame( 'No Cloudflare D1 API token is configured', $result['label'] );
+	}
+
+	/**
+	 * Test that storage PHP can't write to is critical.
+	 */
+	public function test_storage_that_is_not_writable_is_critical(): void {
+		Functions\when( 'wp_is_writable' )->justReturn( false );
+
+		$result = ( new HealthChecks( 'sqlite' ) )->run( 'storage' );
+
+		$this->assertSame( 'critical', $result['status'] );
+		$this->assertSame( 'The database storage is not writable', $result['label'] );
+		$this->assertSame( [], $this->requests );
+	}
+
+	/**
+	 * Test that a SQLite file the web server hands out is critical.
+	 */
+	public function test_sqlite_file_served_over_http_is_critical(): void {
+		$this->respond( 200 );
+
+		$result = ( new HealthChecks( 'sqlite' ) )->run( 'storage' );
+
+		$this->assertSame( 'critical', $result['status'] );
+		$this->assertSame( 'The database can be downloaded over HTTP', $result['label'] );
+		$this->assertSame( [ 'https://example.com/wp-content/database/.ht.sqlite' ], $this->requests );
+	}
+
+	/**
+	 * Test that a SQLite file the web server refuses to hand out is good.
+	 */
+	public function test_sqlite_file_not_served_over_http_is_good(): void {
+		$this->respond( 403 );
+
+		$result = ( new HealthChecks( 'sqlite' ) )->run( 'storage' );
+
+		$this->assertSame( 'good', $result['status'] );
+		$this->assertCount( 1, $this->requests );
+	}
+
+	/**
+	 * Test that FileDB storage without files is not probed.
+	 */
+	public function test_empty_filedb_storage_is_not_probed(): void {
+		$result = ( new HealthChecks( 'filedb' ) )->run( 'storage' );
+
+		$this->assertSame( 'good', $result['status'] );
+		$this->assertSame( [], $this->requests );
+	}
+
+	/**
+	 * Test the Site Health format of a result.
+	 */
+	public function test_site_health_format(): void {
+		$checks = new HealthChecks( 'd1' );
+		$result = $checks->toSiteHealth( 'd1_token', $checks->run( 'd1_token' ) );
+
+		$this->assertSame( [ 'label', 'status', 'badge', 'description', 'actions', 'test' ], \array_keys( $result ) );
+		$this->assertSame( 'critical', $result['status'] );
+		$this->assertSame( [ 'label' => 'Database', 'color' => 'red' ], $result['badge'] );
+		$this->assertSame( '<p>Define DB_D1_API_TOKEN in wp-config.php.</p>', $result['description'] );
+		$this->assertStringContainsString( 'https://example.com/wp-admin/tools.php?page=wp-dbal', $result['actions'] );
+		$this->assertSame( 'wp_dbal_d1_token', $result['test'] );
+	}
+
+	/**
+	 * Test the Site Health format of a check that doesn't apply.
+	 */
+	public function test_site_health_format_of_check_that_does_not_apply(): void {
+		$result = ( new HealthChecks( 'mysql' ) )->toSiteHealth( 'storage', null );
+
+		$this->assertSame( 'Database storage location: not applicable to this database engine', $result['label'] );
+		$this->assertSame( 'good', $result['status'] );
+		$this->assertSame( 'blue', $result['badge']['color'] );
+		$this->assertSame( '', $result['description'] );
+	}
+
+	/**
+	 * Test that the checks making HTTP requests are registered as asynchronous.
+	 */
+	public function test_register_tests(): void {
+		$tests = ( new HealthChecks( 'sqlite' ) )->registerTests( [ 'direct' => [], 'async' => [] ] );
+
+		$this->assertSame( [ 'wp_dbal_storage', 'wp_dbal_d1_token' ], \array_keys( $tests['async'] ) );
+		$this->assertSame(
+			[ 'wp_dbal_dropin', 'wp_dbal_dependencies', 'wp_dbal_extensions', 'wp_dbal_constants', 'wp_dbal_sqlite_journal', 'wp_dbal_filedb_indexes' ],
+			\array_keys( $tests['direct'] )
+		);
+		$this->assertSame( 'https://example.com/wp-json/wp-dbal/v1/admin/site-health/storage', $tests['async']['wp_dbal_storage']['test'] );
+		$this->assertTrue( $tests['async']['wp_dbal_storage']['has_rest'] );
+
+		$result = ( $tests['direct']['wp_dbal_sqlite_journal']['test'] )();
+
+		$this->assertSame( 'wp_dbal_sqlite_journal', $result['test'] );
+		$this->assertSame( 'recommended', $result['status'] );
+	}
+}
@@ -0,0 +1,256 @@
+<?php
+/**
+ * Tests for CompatibilityReport - pre-flight findings per target engine.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Migration\CompatibilityReport;
+
+/**
+ * CompatibilityReport test cases.
+ */
+class CompatibilityReportTest extends TestCase {
+
+	/**
+	 * Report instance.
+	 *
+	 * @var CompatibilityReport
+	 */
+	protected CompatibilityReport $report;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->report = new CompatibilityReport();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Build a schema definition in the SchemaExporter format.
+	 *
+	 * @param array<int, array<string, mixed>> $columns Column definitions.
+	 * @param array<int, array<string, mixed>> $indexes Index definitions.
+	 * @param array<int, array<string, mixed>> $foreign_keys Foreign key definitions.
+	 * @return array<string, array<string, mixed>> Schemas keyed by table name.
+	 */
+	private function schemas( array $columns, array $indexes = [], array $foreign_keys = [] ): array {
+		return [
+			'wp_posts' => [
+				'name'        => 'wp_posts',
+				'columns'     => $columns,
+				'indexes'     => $indexes,
+				'foreignKeys' => $foreign_keys,
+			],
+		];
+	}
+
+	/**
+	 * Get the issue codes of the first column or index of the report.
+	 *
+	 * @param array<string, mixed> $report Report.
+	 * @param string $section 'columns' or 'indexes'.
+	 * @return array<string, string> Severities keyed by issue code.
+	 */
+	private function issues( array $report, string $section = 'columns' ): array {
+		$issues = [];
+
+		foreach ( $report['tables'][0][ $section ][0]['issues'] as $issue ) {
+			$issues[ $issue['code'] ] = $issue['severity'];
+		}
+
+		return $issues;
+	}
+
+	/**
+	 * Test that a column without lossy conversions has no issues.
+	 */
+	public function test_compatible_column_has_no_issues(): void {
+		$report = $this->report->build(
+			$this->schemas( [ [ 'name' => 'post_title', 'type' => 'text' ] ] ),
+			'mysql',
+			'SQLite'
+		);
+
+		$this->assertSame( 'sqlite', $report['target_engine'] );
+		$this->assertSame( [], $this->issues( $report ) );
+		$this->assertSame( 0, $report['summary']['warnings'] );
+		$this->assertSame( 1, $report['summary']['columns'] );
+	}
+
+	/**
+	 * Test type changes within and across type families.
+	 */
+	public function test_type_changes(): void {
+		$report = $this->report->build(
+			$this->schemas( [
+				[ 'name' => 'ID', 'type' => 'bigint' ],
+				[ 'name' => 'post_date', 'type' => 'datetime' ],
+			] ),
+			'mysql',
+			'sqlite'
+		);
+
+		$columns = $report['tables'][0]['columns'];
+
+		$this->assertSame( 'integer', $columns[0]['target_type'] );
+		$this->assertSame( 'info', $columns[0]['issues'][0]['severity'] );
+		$this->assertSame( 'string', $columns[1]['target_type'] );
+		$this->assertSame( 'warning', $columns[1]['issues'][0]['severity'] );
+		$this->assertSame( 1, $report['summary']['warnings'] );
+	}
+
+	/**
+	 * Test that unsigned columns are flagged on every engine.
+	 */
+	public function test_unsigned_is_flagged(): void {
+		foreach ( [ 'mysql', 'sqlite', 'pgsql' ] as $engine ) {
+			$report = $this->report->build(
+				$this->schemas( [ [ 'name' => 'ID', 'type' => 'bigint', 'unsigned' => true ] ] ),
+				'mysql',
+				$engine
+			);
+
+			$this->assertSame( 'warning', $this->issues( $report )['unsigned'] ?? null, $engine );
+		}
+	}
+
+	/**
+	 * Test ENUM columns.
+	 */
+	public function test_enum_values_are_not_enforced(): void {
+		$report = $this->report->build(
+			$this->schemas( [ [ 'name' => 'status', 'type' => 'enum', 'values' => [ 'draft', 'publish' ] ] ] ),
+			'mysql',
+			'd1'
+		);
+
+		$issue = $report['tables'][0]['columns'][0]['issues'][1];
+
+		$this->assertSame( 'enum', $issue['code'] );
+		$this->assertStringContainsString( 'draft, publish', $issue['message'] );
+	}
+
+	/**
+	 * Test zero date defaults per engine.
+	 */
+	public function test_zero_date_defaults(): void {
+		$columns = [ [ 'name' => 'post_date', 'type' => 'datetime', 'default' => '0000-00-00 00:00:00' ] ];
+
+		// SQLite stores the column as text.
+		$this->assertSame( 'info', $this->issues( $this->report->build( $this->schemas( $columns ), 'mysql', 'sqlite' ) )['zero_date'] );
+
+		// MySQL keeps a datetime column that strict mode rejects.
+		$issues = $this->report->build( $this->schemas( $columns ), 'mysql', 'mysql' )['tables'][0]['columns'][0]['issues'];
+
+		$this->assertSame( 'warning', $issues[0]['severity'] );
+		$this->assertStringContainsString( 'NO_ZERO_DATE', $issues[0]['message'] );
+	}
+
+	/**
+	 * Test collations per engine.
+	 */
+	public function test_collations(): void {
+		$columns = [ [ 'name' => 'post_title', 'type' => 'text', 'collation' => 'utf8mb4_unicode_ci' ] ];
+
+		$this->assertSame( [ 'collation' => 'info' ], $this->issues( $this->report->build( $this->schemas( $columns ), 'mysql', 'filedb' ) ) );
+		$this->assertSame( [ 'collation' => 'warning' ], $this->issues( $this->report->build( $this->schemas( $columns ), 'mysql', 'sqlite' ) ) );
+	}
+
+	/**
+	 * Test that SQLite-based engines rename indexes.
+	 */
+	public function test_indexes_are_renamed_on_sqlite(): void {
+		$indexes = [
+			[ 'name' => 'PRIMARY', 'columns' => [ 'ID' ], 'unique' => true, 'primary' => true ],
+			[ 'name' => 'post_name', 'columns' => [ 'post_name' ], 'unique' => false, 'primary' => false ],
+		];
+
+		$report = $this->report->build( $this->schemas( [], $indexes ), 'mysql', 'sqlite' );
+		$result = $report['tables'][0]['indexes'];
+
+		$this->assertSame( 'PRIMARY', $result[0]['target_name'] );
+		$this->assertSame( 'wp_posts_post_name', $result[1]['target_name'] );
+		$this->assertSame( 'renamed', $result[1]['issues'][0]['code'] );
+
+		$report = $this->report->build( $this->schemas( [], $indexes ), 'mysql', 'mysql' );
+
+		$this->assertSame( 'post_name', $report['tables'][0]['indexes'][1]['target_name'] );
+	}
+
+	/**
+	 * Test FULLTEXT indexes.
+	 */
+	public function test_fulltext_indexes_are_dropped_outside_mysql(): void {
+		$indexes = [
+			[ 'name' => 'wp_posts_content', 'columns' => [ 'post_content' ], 'unique' => false, 'primary' => false, 'flags' => [ 'FULLTEXT' ] ],
+		];
+
+		$report = $this->report->build( $this->schemas( [], $indexes ), 'mysql', 'pgsql' );
+
+		$this->assertFalse( $report['tables'][0]['indexes'][0]['kept'] );
+		$this->assertSame( [ 'unsupported_index' => 'warning' ], $this->issues( $report, 'indexes' ) );
+		$this->assertSame( 1, $report['summary']['dropped_indexes'] );
+
+		$report = $this->report->build( $this->schemas( [], $indexes ), 'mysql', 'filedb' );
+
+		$this->assertTrue( $report['tables'][0]['indexes'][0]['kept'] );
+		$this->assertSame( 0, $report['summary']['dropped_indexes'] );
+	}
+
+	/**
+	 * Test long index prefixes.
+	 */
+	public function test_prefix_lengths_are_dropped(): void {
+		$index = [ 'name' => 'wp_posts_meta_key', 'columns' => [ 'meta_key' ], 'primary' => false, 'lengths' => [ 191 ] ];
+
+		$report = $this->report->build( $this->schemas( [], [ $index + [ 'unique' => false ] ] ), 'mysql', 'sqlite' );
+
+		$this->assertSame( [ 'prefix_length' => 'info' ], $this->issues( $report, 'indexes' ) );
+
+		// On a unique index, the full value now has to be unique.
+		$report = $this->report->build( $this->schemas( [], [ $index + [ 'unique' => true ] ] ), 'mysql', 'sqlite' );
+
+		$this->assertSame( [ 'prefix_length' => 'warning' ], $this->issues( $report, 'indexes' ) );
+	}
+
+	/**
+	 * Test foreign keys.
+	 */
+	public function test_foreign_keys_per_engine(): void {
+		$foreign_keys = [
+			[ 'name' => 'fk_author', 'localColumns' => [ 'post_author' ], 'foreignTable' => 'wp_users', 'foreignColumns' => [ 'ID' ] ],
+		];
+
+		$report = $this->report->build( $this->schemas( [], [], $foreign_keys ), 'mysql', 'd1' );
+
+		$this->assertFalse( $report['tables'][0]['foreign_keys'][0]['kept'] );
+		$this->assertSame( 'wp_users(ID)', $report['tables'][0]['foreign_keys'][0]['references'] );
+		$this->assertSame( 1, $report['summary']['dropped_foreign_keys'] );
+		$this->assertSame( 1, $report['summary']['warnings'] );
+
+		$report = $this->report->build( $this->schemas( [], [], $foreign_keys ), 'mysql', 'pgsql' );
+
+		$this->assertTrue( $report['tables'][0]['foreign_keys'][0]['kept'] );
+		$this->assertSame( 0, $report['summary']['dropped_foreign_keys'] );
+	}
+}
@@ -0,0 +1,213 @@
+<?php
+/**
+ * Tests for ConfigWriter - previews, backups and restores of wp-config.php.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Migration\ConfigWriter;
+
+/**
+ * ConfigWriter test cases.
+ */
+class ConfigWriterTest extends TestCase {
+
+	/**
+	 * Content of the wp-config.php the tests start with.
+	 *
+	 * @var string
+	 */
+	private const CONFIG = <<<'PHP'
+<?php
+define( 'DB_NAME', 'wordpress' );
+define( 'DB_USER', 'wp' );
+define( 'DB_PASSWORD', 'hunter2' );
+define( 'DB_HOST', 'localhost' );
+define( 'AUTH_KEY', 'put-your-unique-phrase-here' );
+define("NONCE_SALT", "double \" quoted");
+
+/* That's all, stop editing! Happy publishing. */
+PHP;
+
+	/**
+	 * Directory holding wp-config.php.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * ConfigWriter instance.
+	 *
+	 * @var ConfigWriter
+	 */
+	protected ConfigWriter $writer;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-config-test-' . \uniqid();
+		\mkdir( $this->directory );
+		\file_put_contents( $this->directory . '/wp-config.php', self::CONFIG );
+
+		$this->writer = new ConfigWriter( $this->directory . '/wp-config.php' );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Get the names of the wp-config.php backups, oldest first.
+	 *
+	 * @return array<int, string> Backup file names.
+	 */
+	private function backups(): array {
+		return \array_map( 'basename', \glob( $this->directory . '/wp-config-backup-*.php' ) );
+	}
+
+	/**
+	 * Test that the database password and salts are masked in both versions.
+	 */
+	public function test_preview_masks_secrets(): void {
+		$preview = $this->writer->previewConfig( 'mysql', [ 'password' => 'correct horse' ] );
+
+		$this->assertTrue( $preview['success'] );
+		$this->assertTrue( $preview['changed'] );
+		$this->assertSame( \hash( 'sha256', self::CONFIG ), $preview['hash'] );
+
+		foreach ( [ $preview['before'], $preview['after'] ] as $content ) {
+			$this->assertStringNotContainsString( 'hunter2', $content );
+			$this->assertStringNotContainsString( 'correct horse', $content );
+			$this->assertStringNotContainsString( 'put-your-unique-phrase-here', $content );
+			$this->assertStringNotContainsString( 'double', $content );
+			$this->assertStringContainsString( "define( 'DB_PASSWORD', '********' );", $content );
+			$this->assertStringContainsString( "define( 'DB_USER', 'wp' );", $content );
+		}
+
+		$this->assertSame( self::CONFIG, \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that the D1 token is masked.
+	 */
+	public function test_preview_masks_d1_token(): void {
+		$preview = $this->writer->previewConfig(
+			'd1',
+			[
+				'account_id'  => '0123456789abcdef0123456789abcdef',
+				'database_id' => '01234567-89ab-cdef-0123-456789abcdef',
+				'api_token'   => 'cf-token-value',
+			]
+		);
+
+		$this->assertStringNotContainsString( 'cf-token-value', $preview['after'] );
+		$this->assertStringContainsString( "define( 'DB_D1_API_TOKEN', '********' );", $preview['after'] );
+		$this->assertStringContainsString( "define( 'DB_D1_ACCOUNT_ID', '0123456789abcdef0123456789abcdef' );", $preview['after'] );
+		$this->assertStringContainsString( "define( 'DB_ENGINE', 'd1' );", $preview['after'] );
+	}
+
+	/**
+	 * Test that a password inside DB_DBAL_OPTIONS is masked.
+	 */
+	public function test_preview_masks_password_in_options(): void {
+		$preview = $this->writer->previewConfig( 'pgsql', [ 'host' => 'pg.example.com', 'password' => 'pg-secret' ] );
+
+		$this->assertStringNotContainsString( 'pg-secret', $preview['after'] );
+		$this->assertStringContainsString( "'password' => '********'", $preview['after'] );
+		$this->assertStringContainsString( "'host' => 'pg.example.com'", $preview['after'] );
+	}
+
+	/**
+	 * Test that an update refuses to write when the file changed after the preview.
+	 */
+	public function test_update_refuses_a_changed_file(): void {
+		$result = $this->writer->updateConfig( 'sqlite', [ 'path' => '/tmp/wp.db' ], \hash( 'sha256', 'other' ) );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertTrue( $result['conflict'] );
+		$this->assertSame( [], $this->backups() );
+	}
+
+	/**
+	 * Test that only the newest backups are kept.
+	 */
+	public function test_only_the_newest_backups_are_kept(): void {
+		$old = [
+			'wp-config-backup-20240101-000000.php',
+			'wp-config-backup-20240102-000000-0123456789abcdef.php',
+			'wp-config-backup-20240103-000000-fedcba9876543210.php',
+		];
+		foreach ( $old as $backup ) {
+			\file_put_contents( $this->directory . '/' . $backup, 'old' );
+		}
+
+		$result = $this->writer->updateConfig( 'sqlite', [ 'path' => '/tmp/wp.db' ] );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertMatchesRegularExpression( '/^wp-config-backup-\d{8}-\d{6}-[0-9a-f]{16}\.php$/', $result['backup'] );
+		$this->assertSame( [ $old[1], $old[2], $result['backup'] ], $this->backups() );
+		$this->assertSame( self::CONFIG, \file_get_contents( $this->directory . '/' . $result['backup'] ) );
+		$this->assertStringContainsString( "define( 'DB_SQLITE_PATH', '/tmp/wp.db' );", \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that a backup written by an update can be restored.
+	 */
+	public function test_restore_backup(): void {
+		$backup = $this->writer->updateConfig( 'sqlite', [ 'path' => '/tmp/wp.db' ] )['backup'];
+
+		$this->assertSame( [ 'success' => true ], $this->writer->restoreBackup( $backup ) );
+		$this->assertSame( self::CONFIG, \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Names that are not wp-config.php backups.
+	 *
+	 * @return array<string, array{0: string}>
+	 */
+	public static function data_invalid_backup_names(): array {
+		return [
+			'other file'             => [ 'other.php' ],
+			'wp-config.php itself'   => [ 'wp-config.php' ],
+			'parent directory'       => [ '../wp-config-backup-20240101-000000.php' ],
+			'absolute path'          => [ '/etc/passwd' ],
+			'suffix after the name'  => [ 'wp-config-backup-20240101-000000.php.txt' ],
+			'suffix that is not hex' => [ 'wp-config-backup-20240101-000000-../../other.php' ],
+		];
+	}
+
+	/**
+	 * Test that only files named like a backup can be restored.
+	 *
+	 * @dataProvider data_invalid_backup_names
+	 *
+	 * @param string $backup Backup name.
+	 */
+	public function test_restore_rejects_other_names( string $backup ): void {
+		\file_put_contents( $this->directory . '/other.php', '<?php // not a backup' );
+		\file_put_contents( $this->directory . '/wp-config-backup-20240101-000000.php.txt', '<?php // not a backup' );
+
+		$this->assertSame( [ 'success' => false, 'error' => 'Backup not found' ], $this->writer->restoreBackup( $backup ) );
+		$this->assertSame( self::CONFIG, \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+}
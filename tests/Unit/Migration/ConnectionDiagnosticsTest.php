@@ -0,0 +1,325 @@
+<?php
+/**
+ * Tests for ConnectionDiagnostics - the step a failed connection is reported at.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Mockery;
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\Connection;
+use WP_DBAL\Migration\ConnectionDiagnostics;
+
+/**
+ * ConnectionDiagnostics test cases.
+ *
+ * The database connection is stubbed, so each case picks the error the
+ * driver throws and checks which step reports it.
+ */
+class ConnectionDiagnosticsTest extends TestCase {
+
+	/**
+	 * MySQL parameters that skip the network checks, since they use a socket.
+	 *
+	 * @var array<string, mixed>
+	 */
+	private const MYSQL_PARAMS = [
+		'driver'   => 'pdo_mysql',
+		'host'     => 'localhost:/var/run/mysqld/mysqld.sock',
+		'dbname'   => 'wordpress',
+		'user'     => 'wp',
+		'password' => 'secret',
+	];
+
+	/**
+	 * D1 parameters.
+	 *
+	 * @var array<string, mixed>
+	 */
+	private const D1_PARAMS = [
+		'driverClass' => 'WP_DBAL\D1\Driver',
+		'account_id'  => '0123456789abcdef0123456789abcdef',
+		'database_id' => '01234567-89ab-cdef-0123-456789abcdef',
+		'api_token'   => 'token',
+	];
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		Mockery::close();
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Get diagnostics that connect with a stub.
+	 *
+	 * @param Connection|\Throwable $connection Connection to hand out, or the error connecting throws.
+	 * @param bool $extension_loaded Whether the PHP extension of the driver is loaded.
+	 * @return ConnectionDiagnostics Diagnostics.
+	 */
+	private function diagnostics( $connection, bool $extension_loaded = true ): ConnectionDiagnostics {
+		return new class( $connection, $extension_loaded ) extends ConnectionDiagnostics {
+
+			/**
+			 * Connection to hand out, or the error connecting throws.
+			 *
+			 * @var Connection|\Throwable
+			 */
+			private $stub;
+
+			/**
+			 * Whether the PHP extension of the driver is loaded.
+			 *
+			 * @var bool
+			 */
+			private bool $extension_loaded;
+
+			/**
+			 * Constructor.
+			 *
+			 * @param Connection|\Throwable $stub Connection to hand out, or the error connecting throws.
+			 * @param bool $extension_loaded Whether the PHP extension of the driver is loaded.
+			 */
+			public function __construct( $stub, bool $extension_loaded ) {
+				$this->stub             = $stub;
+				$this->extension_loaded = $extension_loaded;
+			}
+
+			/**
+			 * Check whether a PHP extension is loaded.
+			 *
+			 * @param string $extension Extension name.
+			 * @return bool Whether the extension is loaded.
+			 */
+			protected function isExtensionLoaded( string $extension ): bool {
+				return $this->extension_loaded;
+			}
+
+			/**
+			 * Hand out the stub connection.
+			 *
+			 * @param array<string, mixed> $params DBAL connection parameters.
+			 * @return Connection Connection.
+			 * @throws \Throwable The stubbed connection error.
+			 */
+			protected function connect( array $params ): Connection {
+				if ( $this->stub instanceof \Throwable ) {
+					throw $this->stub;
+				}
+
+				return $this->stub;
+			}
+		};
+	}
+
+	/**
+	 * Get a connection stub whose test query returns a value or throws.
+	 *
+	 * @param \Throwable|null $error Error the test query throws, if any.
+	 * @return Connection Connection stub.
+	 */
+	private function connection( ?\Throwable $error = null ): Connection {
+		$connection = Mockery::mock( Connection::class );
+		$connection->shouldReceive( 'getNativeConnection' )->andReturn( null );
+		$connection->shouldReceive( 'close' )->andReturn( null );
+
+		if ( null === $error ) {
+			$connection->shouldReceive( 'fetchOne' )->with( 'SELECT 1' )->andReturn( 1 );
+		} else {
+			$connection->shouldReceive( 'fetchOne' )->with( 'SELECT 1' )->andThrow( $error );
+		}
+
+		return $connection;
+	}
+
+	/**
+	 * Get the statuses of the checks, keyed by check ID.
+	 *
+	 * @param array<int, array<string, mixed>> $results Check results.
+	 * @return array<string, string> Statuses.
+	 */
+	private function statuses( array $results ): array {
+		return \array_column( $results, 'status', 'id' );
+	}
+
+	/**
+	 * Get the result of one check.
+	 *
+	 * @param array<int, array<string, mixed>> $results Check results.
+	 * @param string $id Check ID.
+	 * @return array<string, mixed> Check result.
+	 */
+	private function check( array $results, string $id ): array {
+		return \array_column( $results, null, 'id' )[ $id ];
+	}
+
+	/**
+	 * Test that a working connection passes every check.
+	 */
+	public function test_working_connection_passes(): void {
+		$results = $this->diagnostics( $this->connection() )->run( self::MYSQL_PARAMS );
+
+		$this->assertSame(
+			[
+				'extension' => 'pass',
+				'dns'       => 'skip',
+				'port'      => 'skip',
+				'auth'      => 'pass',
+				'database'  => 'pass',
+				'query'     => 'pass',
+			],
+			$this->statuses( $results )
+		);
+	}
+
+	/**
+	 * Test that a missing extension fails first and skips the rest.
+	 */
+	public function test_missing_extension_skips_the_rest(): void {
+		$results = $this->diagnostics( $this->connection(), false )->run( self::MYSQL_PARAMS );
+
+		$this->assertSame( 'fail', $results[0]['status'] );
+		$this->assertStringContainsString( 'pdo_mysql', $results[0]['message'] );
+		$this->assertSame( [ 'skip' ], \array_values( \array_unique( \array_slice( \array_column( $results, 'status' ), 1 ) ) ) );
+	}
+
+	/**
+	 * Login errors and the step they are reported at.
+	 *
+	 * @return array<string, array{0: string, 1: array<string, string>}>
+	 */
+	public static function data_login_errors(): array {
+		return [
+			'MySQL access denied'         => [
+				"SQLSTATE[HY000] [1045] Access denied for user 'wp'@'localhost' (using password: YES)",
+				[ 'auth' => 'fail', 'database' => 'skip', 'query' => 'skip' ],
+			],
+			'PostgreSQL password'         => [
+				'SQLSTATE[08006] [7] FATAL:  password authentication failed for user "wp"',
+				[ 'auth' => 'fail', 'database' => 'skip', 'query' => 'skip' ],
+			],
+			'MySQL unknown database'      => [
+				"SQLSTATE[HY000] [1049] Unknown database 'wordpress'",
+				[ 'auth' => 'pass', 'database' => 'fail', 'query' => 'skip' ],
+			],
+			'PostgreSQL missing database' => [
+				'SQLSTATE[08006] [7] FATAL:  database "wordpress" does not exist',
+				[ 'auth' => 'pass', 'database' => 'fail', 'query' => 'skip' ],
+			],
+			'other error'                 => [
+				'SQLSTATE[HY000] [2002] Connection refused',
+				[ 'auth' => 'fail', 'database' => 'skip', 'query' => 'skip' ],
+			],
+		];
+	}
+
+	/**
+	 * Test that login errors are reported at the step they belong to.
+	 *
+	 * @dataProvider data_login_errors
+	 *
+	 * @param string $message Error message of the driver.
+	 * @param array<string, string> $expected Expected statuses of the login and later checks.
+	 */
+	public function test_login_errors_map_to_steps( string $message, array $expected ): void {
+		$results = $this->diagnostics( new \RuntimeException( $message ) )->run( self::MYSQL_PARAMS );
+
+		$this->assertSame( $expected, \array_slice( $this->statuses( $results ), 3 ) );
+
+		$failed = \array_values( \array_filter( $results, fn( $result ) => 'fail' === $result['status'] ) )[0];
+
+		$this->assertSame( $message, $failed['message'] );
+		$this->assertNotNull( $failed['cause'] );
+		$this->assertNotNull( $failed['fix'] );
+	}
+
+	/**
+	 * Test the causes given for a login error and a missing database.
+	 */
+	public function test_login_error_causes(): void {
+		$results = $this->diagnostics( new \RuntimeException( 'SQLSTATE[28000] [1045] Access denied for user' ) )->run( self::MYSQL_PARAMS );
+
+		$this->assertStringContainsString( 'user@host', $this->check( $results, 'auth' )['fix'] );
+
+		$results = $this->diagnostics( new \RuntimeException( 'SQLSTATE[HY000] [1049] Unknown database' ) )->run( self::MYSQL_PARAMS );
+
+		$this->assertStringContainsString( '"wordpress"', $this->check( $results, 'database' )['cause'] );
+	}
+
+	/**
+	 * Test that a failing test query is reported at the last step.
+	 */
+	public function test_failing_query(): void {
+		$results = $this->diagnostics( $this->connection( new \RuntimeException( 'SELECT command denied' ) ) )->run( self::MYSQL_PARAMS );
+		$query   = $this->check( $results, 'query' );
+
+		$this->assertSame( 'pass', $this->check( $results, 'auth' )['status'] );
+		$this->assertSame( 'fail', $query['status'] );
+		$this->assertSame( 'SELECT command denied', $query['message'] );
+	}
+
+	/**
+	 * Test that a D1 token without the edit permission is told apart from other query errors.
+	 */
+	public function test_d1_token_without_edit_permission(): void {
+		Functions\when( 'wp_safe_remote_get' )->justReturn( [] );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\when( 'wp_remote_retrieve_response_code' )->justReturn( 200 );
+		Functions\when( 'wp_remote_retrieve_body' )->justReturn( '{"result":{"status":"active"}}' );
+
+		$results = $this->diagnostics( new \RuntimeException( 'D1 API error (403): Authentication error' ) )->run( self::D1_PARAMS );
+		$query   = $this->check( $results, 'query' );
+
+		$this->assertSame( [ 'd1_token' => 'pass', 'd1_database' => 'pass', 'query' => 'fail' ], $this->statuses( $results ) );
+		$this->assertStringContainsString( 'Edit', $query['fix'] );
+	}
+
+	/**
+	 * Test that a D1 token that isn't active fails the first step.
+	 */
+	public function test_d1_inactive_token(): void {
+		Functions\when( 'wp_safe_remote_get' )->justReturn( [] );
+		Functions\when( 'is_wp_error' )->justReturn( false );
+		Functions\when( 'wp_remote_retrieve_response_code' )->justReturn( 401 );
+		Functions\when( 'wp_remote_retrieve_body' )->justReturn( '{"errors":[{"message":"Invalid API Token"}]}' );
+
+		$results = $this->diagnostics( $this->connection() )->run( self::D1_PARAMS );
+		$token   = $this->check( $results, 'd1_token' );
+
+		$this->assertSame( [ 'd1_token' => 'fail', 'd1_database' => 'skip', 'query' => 'skip' ], $this->statuses( $results ) );
+		$this->assertSame( 'Cloudflare answered with HTTP 401: Invalid API Token', $token['message'] );
+	}
+
+	/**
+	 * Test that a SQLite file in a missing directory fails before connecting.
+	 */
+	public function test_sqlite_directory_missing(): void {
+		$path    = \sys_get_temp_dir() . '/wp-dbal-missing-' . \uniqid() . '/wp.sqlite';
+		$results = $this->diagnostics( $this->connection() )->run(
+			[
+				'driver' => 'pdo_sqlite',
+				'path'   => $path,
+			]
+		);
+
+		$this->assertSame( [ 'extension' => 'pass', 'directory' => 'fail', 'query' => 'skip' ], $this->statuses( $results ) );
+		$this->assertStringContainsString( \dirname( $path ), $this->check( $results, 'directory' )['message'] );
+	}
+}
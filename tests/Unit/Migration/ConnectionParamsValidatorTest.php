@@ -0,0 +1,193 @@
+<?php
+/**
+ * Tests for ConnectionParamsValidator - per-field checks of connection forms.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Migration\ConnectionParamsValidator;
+
+/**
+ * ConnectionParamsValidator test cases.
+ */
+class ConnectionParamsValidatorTest extends TestCase {
+
+	/**
+	 * Validator instance.
+	 *
+	 * @var ConnectionParamsValidator
+	 */
+	protected ConnectionParamsValidator $validator;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->validator = new ConnectionParamsValidator();
+	}
+
+	/**
+	 * Test that complete parameters pass.
+	 */
+	public function test_valid_params_have_no_errors(): void {
+		$this->assertSame( [], $this->validator->validate( 'mysql', [
+			'host'   => 'localhost:3307',
+			'port'   => 3306,
+			'dbname' => 'wordpress',
+			'user'   => 'root',
+		] ) );
+
+		$this->assertSame( [], $this->validator->validate( 'pgsql', [
+			'host'   => '[::1]',
+			'port'   => '5432',
+			'dbname' => 'wordpress',
+			'user'   => 'postgres',
+		] ) );
+
+		$this->assertSame( [], $this->validator->validate( 'd1', [
+			'account_id'  => '0123456789abcdef0123456789ABCDEF',
+			'database_id' => '01234567-89ab-cdef-0123-456789abcdef',
+			'api_token'   => 'token',
+		] ) );
+	}
+
+	/**
+	 * Test that missing required fields are reported.
+	 */
+	public function test_missing_required_fields(): void {
+		$this->assertSame(
+			[
+				'dbname' => 'required',
+				'user'   => 'required',
+			],
+			$this->validator->validate( 'pgsql', [ 'dbname' => '  ' ] )
+		);
+	}
+
+	/**
+	 * Test port numbers.
+	 */
+	public function test_port_must_be_a_number_in_range(): void {
+		$params = [
+			'dbname' => 'wordpress',
+			'user'   => 'root',
+		];
+
+		$this->assertSame( [ 'port' => 'invalid_number' ], $this->validator->validate( 'mysql', $params + [ 'port' => 'NaN' ] ) );
+		$this->assertSame( [ 'port' => 'out_of_range' ], $this->validator->validate( 'mysql', $params + [ 'port' => 0 ] ) );
+		$this->assertSame( [ 'port' => 'out_of_range' ], $this->validator->validate( 'mysql', $params + [ 'port' => 70000 ] ) );
+	}
+
+	/**
+	 * Test host names, addresses and sockets.
+	 */
+	public function test_host_formats(): void {
+		$params = [
+			'dbname' => 'wordpress',
+			'user'   => 'root',
+		];
+
+		foreach ( [ 'db.example.com', '127.0.0.1', '::1', 'localhost:/tmp/mysql.sock', '/var/run/postgresql' ] as $host ) {
+			$this->assertSame( [], $this->validator->validate( 'mysql', $params + [ 'host' => $host ] ), $host );
+		}
+
+		foreach ( [ 'db host', 'db..example.com', 'localhost:port', '[not-an-ip]' ] as $host ) {
+			$this->assertSame( [ 'host' => 'invalid_hostname' ], $this->validator->validate( 'mysql', $params + [ 'host' => $host ] ), $host );
+		}
+	}
+
+	/**
+	 * Test that paths can't leave their directory.
+	 */
+	public function test_paths_without_parent_segments(): void {
+		$this->assertSame( [], $this->validator->validate( 'sqlite', [ 'path' => 'wp-content/database/.ht.sqlite' ] ) );
+		$this->assertSame( [ 'path' => 'invalid_path' ], $this->validator->validate( 'sqlite', [ 'path' => 'wp-content/../../db.sqlite' ] ) );
+		$this->assertSame( [ 'path' => 'invalid_path' ], $this->validator->validate( 'filedb', [ 'path' => '..\\file-db' ] ) );
+		$this->assertSame( [ 'format' => 'invalid_option' ], $this->validator->validate( 'filedb', [ 'format' => 'xml' ] ) );
+	}
+
+	/**
+	 * Test that storage paths have to stay in WordPress or wp-content.
+	 */
+	public function test_paths_outside_wordpress_are_refused(): void {
+		$this->assertSame( [], $this->validator->validate( 'sqlite', [ 'path' => ABSPATH . 'wp-content/database/.ht.sqlite' ] ) );
+		$this->assertSame( [], $this->validator->validate( 'filedb', [ 'path' => WP_CONTENT_DIR . '/file-db' ] ) );
+		$this->assertSame( [ 'path' => 'path_not_allowed' ], $this->validator->validate( 'sqlite', [ 'path' => '/etc/wp.sqlite' ] ) );
+		$this->assertSame( [ 'path' => 'path_not_allowed' ], $this->validator->validate( 'sqlite', [ 'path' => \rtrim( ABSPATH, '/' ) . '-old/wp.sqlite' ] ) );
+	}
+
+	/**
+	 * Test that directories can be allowed explicitly.
+	 */
+	public function test_explicitly_allowed_paths(): void {
+		$validator = new ConnectionParamsValidator( [ ABSPATH, '/var/lib/wordpress' ] );
+
+		$this->assertSame( [], $validator->validate( 'sqlite', [ 'path' => '/var/lib/wordpress/db/wp.sqlite' ] ) );
+		$this->assertSame( [], $validator->validate( 'filedb', [ 'path' => '/var/lib/wordpress' ] ) );
+		$this->assertSame( [ 'path' => 'path_not_allowed' ], $validator->validate( 'filedb', [ 'path' => '/var/lib/wordpress-2/file-db' ] ) );
+	}
+
+	/**
+	 * Test that a symbolic link can't lead out of an allowed directory.
+	 */
+	public function test_symbolic_links_are_followed(): void {
+		$root = \sys_get_temp_dir() . '/wp-dbal-paths-test-' . \uniqid();
+		\mkdir( $root . '/site', 0777, true );
+		\mkdir( $root . '/outside' );
+		\symlink( $root . '/outside', $root . '/site/link' );
+
+		$validator = new ConnectionParamsValidator( [ $root . '/site' ] );
+
+		try {
+			$this->assertSame( [], $validator->validate( 'sqlite', [ 'path' => $root . '/site/db/wp.sqlite' ] ) );
+			$this->assertSame( [ 'path' => 'path_not_allowed' ], $validator->validate( 'sqlite', [ 'path' => $root . '/site/link/wp.sqlite' ] ) );
+		} finally {
+			\unlink( $root . '/site/link' );
+			\rmdir( $root . '/outside' );
+			\rmdir( $root . '/site' );
+			\rmdir( $root );
+		}
+	}
+
+	/**
+	 * Test D1 IDs and the API token.
+	 */
+	public function test_d1_ids_and_token(): void {
+		$errors = $this->validator->validate( 'd1', [
+			'account_id'  => 'not-an-account',
+			'database_id' => '0123456789abcdef',
+		] );
+
+		$this->assertSame(
+			[
+				'account_id'  => 'invalid_format',
+				'database_id' => 'invalid_format',
+				'api_token'   => 'required',
+			],
+			$errors
+		);
+
+		// A connection profile supplies its saved token.
+		$this->assertSame( [], $this->validator->validate( 'd1', [
+			'account_id'  => '0123456789abcdef0123456789abcdef',
+			'database_id' => '01234567-89ab-cdef-0123-456789abcdef',
+			'profile'     => 'p_123',
+		] ) );
+	}
+
+	/**
+	 * Test engines and options the validator leaves alone.
+	 */
+	public function test_unknown_engines_and_dbal_options_are_skipped(): void {
+		$this->assertSame( [], $this->validator->validate( 'mydriver', [ 'port' => 'NaN' ] ) );
+		$this->assertSame( [], $this->validator->validate( 'pgsql', [ 'dbal_options' => [ 'driver' => 'pdo_pgsql' ] ] ) );
+		$this->assertSame( [ 'dbname' => 'required', 'user' => 'required' ], $this->validator->validate( 'postgresql', [] ) );
+	}
+}
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Tests for DataExporter - skipping transients in exported chunks.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Migration\DataExporter;
+
+/**
+ * DataExporter test cases.
+ */
+class DataExporterTest extends TestCase {
+
+	/**
+	 * DataExporter instance.
+	 *
+	 * @var DataExporter
+	 */
+	protected DataExporter $exporter;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->exporter = new DataExporter();
+	}
+
+	/**
+	 * Test that transients and their timeouts are skipped in the options table.
+	 */
+	public function test_transients_are_skipped_in_options(): void {
+		$rows = [
+			[ 'option_id' => 1, 'option_name' => 'siteurl', 'option_value' => 'https://example.com' ],
+			[ 'option_id' => 2, 'option_name' => '_transient_feed_abc', 'option_value' => 'feed' ],
+			[ 'option_id' => 3, 'option_name' => '_transient_timeout_feed_abc', 'option_value' => '1700000000' ],
+			[ 'option_id' => 4, 'option_name' => '_site_transient_update_core', 'option_value' => 'a:0:{}' ],
+			[ 'option_id' => 5, 'option_name' => 'my_transient_setting', 'option_value' => 'kept' ],
+			[ 'option_id' => 6, 'option_name' => '_transients_cleanup', 'option_value' => 'kept' ],
+		];
+
+		$this->assertSame( [ 1, 5, 6 ], \array_column( $this->exporter->excludeTransients( $rows ), 'option_id' ) );
+	}
+
+	/**
+	 * Test that site transients are skipped in the multisite sitemeta table.
+	 */
+	public function test_site_transients_are_skipped_in_sitemeta(): void {
+		$rows = [
+			[ 'meta_id' => 1, 'site_id' => 1, 'meta_key' => 'site_name', 'meta_value' => 'Network' ],
+			[ 'meta_id' => 2, 'site_id' => 1, 'meta_key' => '_site_transient_update_plugins', 'meta_value' => 'a:0:{}' ],
+			[ 'meta_id' => 3, 'site_id' => 1, 'meta_key' => '_site_transient_timeout_theme_roots', 'meta_value' => '1700000000' ],
+		];
+
+		$this->assertSame( [ 1 ], \array_column( $this->exporter->excludeTransients( $rows ), 'meta_id' ) );
+	}
+
+	/**
+	 * Test that lookalike keys in other meta tables are left alone.
+	 */
+	public function test_other_tables_are_untouched(): void {
+		$postmeta = [
+			[ 'meta_id' => 1, 'post_id' => 7, 'meta_key' => '_transient_timeout_cache', 'meta_value' => '1' ],
+			[ 'meta_id' => 2, 'post_id' => 7, 'meta_key' => '_site_transient_copy', 'meta_value' => '2' ],
+		];
+		$usermeta = [
+			[ 'umeta_id' => 1, 'user_id' => 1, 'meta_key' => '_transient_notice', 'meta_value' => '1' ],
+		];
+
+		$this->assertSame( $postmeta, $this->exporter->excludeTransients( $postmeta ) );
+		$this->assertSame( $usermeta, $this->exporter->excludeTransients( $usermeta ) );
+	}
+
+	/**
+	 * Test which column holds the transient names of a table.
+	 */
+	public function test_transient_column(): void {
+		$this->assertSame( 'option_name', $this->exporter->getTransientColumn( [ 'option_id', 'option_name', 'option_value', 'autoload' ] ) );
+		$this->assertSame( 'meta_key', $this->exporter->getTransientColumn( [ 'meta_id', 'site_id', 'meta_key', 'meta_value' ] ) );
+		$this->assertNull( $this->exporter->getTransientColumn( [ 'meta_id', 'post_id', 'meta_key', 'meta_value' ] ) );
+		$this->assertNull( $this->exporter->getTransientColumn( [ 'ID', 'post_title' ] ) );
+	}
+}
@@ -0,0 +1,126 @@
+<?php
+/**
+ * Tests for DataImporter - retrying chunks whose import was interrupted.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\DriverManager;
+use Doctrine\DBAL\Connection;
+use WP_DBAL\Migration\DataImporter;
+
+/**
+ * DataImporter test cases.
+ */
+class DataImporterTest extends TestCase {
+
+	/**
+	 * SQLite connection.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $connection;
+
+	/**
+	 * DataImporter instance.
+	 *
+	 * @var DataImporter
+	 */
+	protected DataImporter $importer;
+
+	/**
+	 * Rows of the interrupted chunk.
+	 *
+	 * @var array<int, array<string, mixed>>
+	 */
+	private const CHUNK = [
+		[ 'meta_id' => 1, 'meta_key' => 'color', 'meta_value' => 'red' ],
+		[ 'meta_id' => 2, 'meta_key' => 'size', 'meta_value' => 'large' ],
+	];
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->connection = DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		] );
+
+		$this->importer = new DataImporter();
+
+		$this->connection->executeStatement( 'CREATE TABLE with_key (meta_id INTEGER PRIMARY KEY, meta_key TEXT, meta_value TEXT)' );
+		$this->connection->executeStatement( 'CREATE TABLE without_key (meta_id INTEGER, meta_key TEXT, meta_value TEXT)' );
+
+		// A row imported by an earlier chunk.
+		foreach ( [ 'with_key', 'without_key' ] as $table ) {
+			$this->connection->insert( $table, [ 'meta_id' => 0, 'meta_key' => 'shape', 'meta_value' => 'round' ] );
+		}
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->connection->close();
+		parent::tearDown();
+	}
+
+	/**
+	 * Test that the rows of a table with a primary key are deleted before the retry.
+	 */
+	public function test_rows_with_a_primary_key_are_deleted(): void {
+		$this->connection->insert( 'with_key', self::CHUNK[0] );
+
+		$this->assertTrue( $this->importer->prepareChunkRetry( $this->connection, 'with_key', [ 'meta_id' ], self::CHUNK, null ) );
+		$this->assertSame( 1, $this->importer->countRows( $this->connection, 'with_key' ) );
+		$this->assertSame( 'shape', $this->connection->fetchOne( 'SELECT meta_key FROM with_key' ) );
+	}
+
+	/**
+	 * Test a table without a primary key that the interrupted import didn't write to.
+	 */
+	public function test_chunk_without_a_primary_key_is_imported_again_if_nothing_was_written(): void {
+		$this->assertTrue( $this->importer->prepareChunkRetry( $this->connection, 'without_key', [], self::CHUNK, 1 ) );
+		$this->assertSame( 1, $this->importer->countRows( $this->connection, 'without_key' ) );
+	}
+
+	/**
+	 * Test a table without a primary key that already holds the whole chunk.
+	 */
+	public function test_chunk_without_a_primary_key_is_skipped_if_it_was_written(): void {
+		foreach ( self::CHUNK as $row ) {
+			$this->connection->insert( 'without_key', $row );
+		}
+
+		$this->assertFalse( $this->importer->prepareChunkRetry( $this->connection, 'without_key', [], self::CHUNK, 1 ) );
+		$this->assertSame( 3, $this->importer->countRows( $this->connection, 'without_key' ) );
+	}
+
+	/**
+	 * Test a table without a primary key that holds part of the chunk.
+	 */
+	public function test_partial_chunk_without_a_primary_key_is_refused(): void {
+		$this->connection->insert( 'without_key', self::CHUNK[0] );
+
+		$this->expectException( \RuntimeException::class );
+
+		$this->importer->prepareChunkRetry( $this->connection, 'without_key', [], self::CHUNK, 1 );
+	}
+
+	/**
+	 * Test a table without a primary key when the row count wasn't recorded.
+	 */
+	public function test_chunk_without_a_primary_key_and_row_count_is_refused(): void {
+		$this->expectException( \RuntimeException::class );
+
+		$this->importer->prepareChunkRetry( $this->connection, 'without_key', [], self::CHUNK, null );
+	}
+}
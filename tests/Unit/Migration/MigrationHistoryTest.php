@@ -0,0 +1,154 @@
+<?php
+/**
+ * Tests for MigrationHistory - the record of finished migration sessions.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\Migration\MigrationHistory;
+
+/**
+ * MigrationHistory test cases.
+ */
+class MigrationHistoryTest extends TestCase {
+
+	/**
+	 * Directory holding the history file.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * MigrationHistory instance.
+	 *
+	 * @var MigrationHistory
+	 */
+	protected MigrationHistory $history;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\when( 'get_userdata' )->justReturn( (object) [ 'display_name' => 'Admin' ] );
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-history-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->history = new MigrationHistory( $this->directory );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Build the progress of a finished session.
+	 *
+	 * @param string $session_id Session ID.
+	 * @return array<string, mixed> Progress.
+	 */
+	private function progress( string $session_id = 'abc' ): array {
+		return [
+			'session_id'    => $session_id,
+			'user_id'       => 1,
+			'source_engine' => 'mysql',
+			'target_engine' => 'sqlite',
+			'status'        => 'completed',
+			'step'          => 'done',
+			'created_at'    => 1700000000,
+			'updated_at'    => 1700000060,
+			'source_params' => [ 'password' => 's3cret' ],
+			'errors'        => [ 'wp_options: Duplicate entry' ],
+			'table_rows'    => [
+				'wp_options' => [ 'total' => 10, 'exported' => 10, 'imported' => 10 ],
+			],
+			'verification'  => [
+				'status' => 'completed',
+				'tables' => [
+					'wp_options' => [ 'status' => 'match' ],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Test that a recorded entry is read back in full.
+	 */
+	public function test_recorded_entry_is_read_back(): void {
+		$this->assertTrue( $this->history->record( $this->progress() ) );
+
+		$entry = ( new MigrationHistory( $this->directory ) )->get( 'abc' );
+
+		$this->assertSame( 'completed', $entry['status'] );
+		$this->assertSame( 'Admin', $entry['user'] );
+		$this->assertSame( 10, $entry['rows_imported'] );
+		$this->assertTrue( $entry['verified'] );
+		$this->assertSame( [ 'wp_options: Duplicate entry' ], $entry['errors'] );
+		$this->assertSame( 'match', $entry['tables']['wp_options']['verification'] );
+		$this->assertNull( ( new MigrationHistory( $this->directory ) )->get( 'missing' ) );
+	}
+
+	/**
+	 * Test that the history file can't be served and holds no credentials.
+	 */
+	public function test_history_file_is_protected(): void {
+		$this->history->record( $this->progress() );
+
+		$content = \file_get_contents( $this->directory . '/history.php' );
+
+		$this->assertStringStartsWith( "<?php exit; ?>\n", $content );
+		$this->assertStringNotContainsString( 's3cret', $content );
+		$this->assertFileDoesNotExist( $this->directory . '/history.json' );
+	}
+
+	/**
+	 * Test that a history kept by earlier versions is read and moved to the protected file.
+	 */
+	public function test_legacy_history_is_moved(): void {
+		$legacy = new MigrationHistory( $this->directory );
+		$legacy->record( $this->progress( 'old' ) );
+		\file_put_contents(
+			$this->directory . '/history.json',
+			\substr( \file_get_contents( $this->directory . '/history.php' ), \strlen( "<?php exit; ?>\n" ) )
+		);
+		\unlink( $this->directory . '/history.php' );
+
+		$this->assertSame( [ 'old' ], \array_column( $this->history->all(), 'session_id' ) );
+
+		$this->history->record( $this->progress( 'new' ) );
+
+		$this->assertFileDoesNotExist( $this->directory . '/history.json' );
+		$this->assertSame( [ 'old', 'new' ], \array_column( $this->history->all(), 'session_id' ) );
+	}
+
+	/**
+	 * Test that entries are listed without their details, most recent first.
+	 */
+	public function test_all_leaves_details_out(): void {
+		$this->history->record( $this->progress( 'first' ) );
+		$this->history->record( [ 'created_at' => 1800000000 ] + $this->progress( 'second' ) );
+
+		$entries = $this->history->all();
+
+		$this->assertSame( [ 'second', 'first' ], \array_column( $entries, 'session_id' ) );
+		$this->assertArrayNotHasKey( 'tables', $entries[0] );
+		$this->assertArrayNotHasKey( 'errors', $entries[0] );
+	}
+}
@@ -0,0 +1,231 @@
+<?php
+/**
+ * Tests for MigrationManager - replayed and interrupted chunk requests.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\DriverManager;
+use Doctrine\DBAL\Connection;
+use WP_DBAL\Migration\MigrationManager;
+
+/**
+ * MigrationManager test cases.
+ */
+class MigrationManagerTest extends TestCase {
+
+	/**
+	 * Directory holding the progress files.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * MigrationManager instance.
+	 *
+	 * @var MigrationManager
+	 */
+	protected MigrationManager $manager;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-migration-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		Functions\when( 'wp_upload_dir' )->justReturn( [ 'basedir' => $this->directory ] );
+		Functions\when( 'wp_mkdir_p' )->alias( fn( $dir ) => \mkdir( $dir, 0777, true ) );
+		Functions\when( 'sanitize_file_name' )->returnArg();
+		Functions\when( 'wp_json_encode' )->alias( 'json_encode' );
+		Functions\when( 'get_current_user_id' )->justReturn( 1 );
+
+		$this->manager = new MigrationManager();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $this->directory, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $files as $file ) {
+			$file->isDir() ? \rmdir( $file->getPathname() ) : \unlink( $file->getPathname() );
+		}
+		\rmdir( $this->directory );
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Build the progress of a session that is importing a chunk of wp_log.
+	 *
+	 * @param array<string, mixed> $progress Progress to merge in.
+	 * @return array<string, mixed> Progress.
+	 */
+	private function progress( array $progress = [] ): array {
+		return $progress + [
+			'session_id'     => 'test',
+			'user_id'        => 1,
+			'status'         => 'running',
+			'step'           => 'data_import',
+			'last_chunk_seq' => 5,
+			'schemas'        => [
+				'wp_log' => [
+					'name'    => 'wp_log',
+					'columns' => [],
+					'indexes' => [],
+				],
+			],
+			'data_chunks'    => [
+				[
+					'table' => 'wp_log',
+					'data'  => [
+						[ 'message' => 'first' ],
+						[ 'message' => 'second' ],
+					],
+					'bytes' => 40,
+				],
+			],
+			'rows_imported'  => 0,
+			'table_rows'     => [
+				'wp_log' => [ 'total' => 2, 'exported' => 2, 'imported' => 0 ],
+			],
+		];
+	}
+
+	/**
+	 * Import the first queued chunk, as the data_import step does.
+	 *
+	 * @param array<string, mixed> $progress Progress.
+	 * @param Connection $target Target connection.
+	 * @return array<string, mixed> Updated progress.
+	 */
+	private function import_data( array $progress, Connection $target ): array {
+		$method = new \ReflectionMethod( MigrationManager::class, 'importData' );
+
+		return $method->invoke( $this->manager, 'test', $progress, $target, $target );
+	}
+
+	/**
+	 * Get a target database with an empty wp_log table, which has no primary key.
+	 *
+	 * @return Connection Target connection.
+	 */
+	private function target(): Connection {
+		$connection = DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		] );
+
+		$connection->executeStatement( 'CREATE TABLE wp_log (message TEXT)' );
+
+		return $connection;
+	}
+
+	/**
+	 * Test that a chunk request sent again after a lost response isn't processed twice.
+	 */
+	public function test_replayed_chunk_sequence_is_not_processed_again(): void {
+		$this->manager->saveProgress( 'test', $this->progress() );
+
+		$result = $this->manager->processChunk( 'test', 5 );
+
+		$this->assertFalse( $result['complete'] );
+		$this->assertSame( 'running', $result['progress']['status'] );
+		$this->assertCount( 1, $result['progress']['data_chunks'] );
+		$this->assertSame( 5, $this->manager->getProgress( 'test' )['last_chunk_seq'] );
+	}
+
+	/**
+	 * Test that a request for a session another request is working on is turned away.
+	 */
+	public function test_locked_session_is_busy(): void {
+		$this->manager->saveProgress( 'test', $this->progress() );
+
+		$lock = \fopen( $this->directory . '/.wp-dbal-migrations/migration-test.json.lock', 'c' );
+		\flock( $lock, LOCK_EX );
+
+		$result = $this->manager->processChunk( 'test', 6 );
+
+		\flock( $lock, LOCK_UN );
+		\fclose( $lock );
+
+		$this->assertTrue( $result['busy'] );
+		$this->assertSame( 5, $this->manager->getProgress( 'test' )['last_chunk_seq'] );
+	}
+
+	/**
+	 * Test a chunk that was fully imported before the progress could be saved.
+	 */
+	public function test_imported_chunk_without_primary_key_is_not_duplicated(): void {
+		$target = $this->target();
+		$target->executeStatement( "INSERT INTO wp_log (message) VALUES ('first'), ('second')" );
+
+		$progress = $this->import_data( $this->progress( [ 'importing_chunk' => [ 'rows_before' => 0 ] ] ), $target );
+
+		$this->assertSame( 2, (int) $target->fetchOne( 'SELECT COUNT(*) FROM wp_log' ) );
+		$this->assertSame( [], $progress['data_chunks'] );
+		$this->assertNull( $progress['importing_chunk'] );
+		$this->assertSame( 2, $progress['rows_imported'] );
+	}
+
+	/**
+	 * Test a chunk that was interrupted before it wrote anything.
+	 */
+	public function test_interrupted_chunk_without_primary_key_is_imported_once(): void {
+		$target = $this->target();
+
+		$progress = $this->import_data( $this->progress( [ 'importing_chunk' => [ 'rows_before' => 0 ] ] ), $target );
+
+		$this->assertSame( 2, (int) $target->fetchOne( 'SELECT COUNT(*) FROM wp_log' ) );
+		$this->assertSame( 'running', $progress['status'] );
+	}
+
+	/**
+	 * Test a chunk that left part of its rows behind in a table without a primary key.
+	 */
+	public function test_partially_imported_chunk_without_primary_key_fails(): void {
+		$target = $this->target();
+		$target->executeStatement( "INSERT INTO wp_log (message) VALUES ('first')" );
+
+		$progress = $this->import_data( $this->progress( [ 'importing_chunk' => [ 'rows_before' => 0 ] ] ), $target );
+
+		$this->assertSame( 'failed', $progress['status'] );
+		$this->assertSame( 1, (int) $target->fetchOne( 'SELECT COUNT(*) FROM wp_log' ) );
+		$this->assertStringContainsString( 'no primary key', $progress['error'] );
+	}
+
+	/**
+	 * Test that the row count is recorded before a chunk of a table without a primary key is imported.
+	 */
+	public function test_row_count_is_recorded_before_import(): void {
+		$target = $this->target();
+		$target->executeStatement( "INSERT INTO wp_log (message) VALUES ('earlier')" );
+
+		// Fail the import after the marker has been saved.
+		$progress = $this->progress();
+
+		$progress['data_chunks'][0]['data'] = [ [ 'missing_column' => 'x' ] ];
+
+		$this->import_data( $progress, $target );
+
+		$this->assertSame( [ 'rows_before' => 1 ], $this->manager->getProgress( 'test' )['importing_chunk'] );
+	}
+}
@@ -0,0 +1,264 @@
+<?php
+/**
+ * Tests for SchemaComparator - differences between source and target schemas.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\DBAL\Schema\Table;
+use WP_DBAL\Migration\SchemaComparator;
+use WP_DBAL\Migration\SchemaExporter;
+
+/**
+ * SchemaComparator test cases.
+ *
+ * The source and target schemas are Doctrine schemas built in memory and
+ * exported the way SchemaExporter exports a live database.
+ */
+class SchemaComparatorTest extends TestCase {
+
+	/**
+	 * Comparator instance.
+	 *
+	 * @var SchemaComparator
+	 */
+	protected SchemaComparator $comparator;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->comparator = new SchemaComparator();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Add a posts table to a schema.
+	 *
+	 * @param Schema $schema Schema.
+	 * @return Table Posts table.
+	 */
+	private function add_posts_table( Schema $schema ): Table {
+		$table = $schema->createTable( 'wp_posts' );
+		$table->addColumn( 'ID', 'bigint', [ 'unsigned' => true, 'autoincrement' => true ] );
+		$table->addColumn( 'post_title', 'text' );
+		$table->addColumn( 'post_name', 'string', [ 'length' => 200, 'default' => '' ] );
+		$table->setPrimaryKey( [ 'ID' ] );
+		$table->addIndex( [ 'post_name' ], 'post_name' );
+
+		return $table;
+	}
+
+	/**
+	 * Export the tables of a schema.
+	 *
+	 * @param Schema $schema Schema.
+	 * @return array<string, array<string, mixed>> Schema definitions keyed by table name.
+	 */
+	private function export( Schema $schema ): array {
+		$tables = \array_map(
+			function ( Table $table ) {
+				return $table->getName();
+			},
+			\array_values( $schema->getTables() )
+		);
+
+		return ( new SchemaExporter() )->exportFromSchema( $schema, $tables );
+	}
+
+	/**
+	 * Compare two schemas.
+	 *
+	 * @param Schema $source Source schema.
+	 * @param Schema $target Target schema.
+	 * @param string $target_engine Target engine.
+	 * @return array<string, mixed> Comparison.
+	 */
+	private function compare( Schema $source, Schema $target, string $target_engine = 'mysql' ): array {
+		return $this->comparator->compare( $this->export( $source ), $this->export( $target ), $target_engine );
+	}
+
+	/**
+	 * Get the comparisons of a table's columns or indexes, keyed by name.
+	 *
+	 * @param array<string, mixed> $comparison Comparison.
+	 * @param string $section 'columns' or 'indexes'.
+	 * @return array<string, array<string, mixed>> Comparisons keyed by name.
+	 */
+	private function items( array $comparison, string $section ): array {
+		return \array_column( $comparison['tables'][0][ $section ], null, 'name' );
+	}
+
+	/**
+	 * Test that identical schemas have no differences.
+	 */
+	public function test_identical_schemas(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source );
+		$this->add_posts_table( $target );
+
+		$comparison = $this->compare( $source, $target );
+
+		$this->assertSame( 'mysql', $comparison['target_engine'] );
+		$this->assertSame( [ 'same' => 1, 'added' => 0, 'removed' => 0, 'changed' => 0 ], $comparison['summary'] );
+		$this->assertSame( 'same', $comparison['tables'][0]['status'] );
+		$this->assertSame( [], $comparison['fixes'] );
+	}
+
+	/**
+	 * Test that a table missing from the target gets a fix and an extra one doesn't.
+	 */
+	public function test_missing_and_extra_tables(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source );
+		$target->createTable( 'wp_custom' )->addColumn( 'id', 'integer' );
+
+		$comparison = $this->compare( $source, $target );
+		$tables     = \array_column( $comparison['tables'], 'status', 'name' );
+
+		$this->assertSame( [ 'wp_custom' => 'added', 'wp_posts' => 'removed' ], $tables );
+		$this->assertSame( [ 'create_table:wp_posts' ], \array_column( $comparison['fixes'], 'id' ) );
+	}
+
+	/**
+	 * Test that missing columns are added and extra columns are left alone.
+	 */
+	public function test_missing_and_extra_columns(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source )->addColumn( 'post_excerpt', 'text' );
+		$this->add_posts_table( $target )->addColumn( 'legacy_flag', 'boolean' );
+
+		$comparison = $this->compare( $source, $target );
+		$columns    = $this->items( $comparison, 'columns' );
+
+		$this->assertSame( 'changed', $comparison['tables'][0]['status'] );
+		$this->assertSame( 'removed', $columns['post_excerpt']['status'] );
+		$this->assertSame( 'added', $columns['legacy_flag']['status'] );
+		$this->assertSame( [ 'add_column:wp_posts:post_excerpt' ], \array_column( $comparison['fixes'], 'id' ) );
+	}
+
+	/**
+	 * Test that column names are matched regardless of their case.
+	 */
+	public function test_column_names_are_case_insensitive(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$source->createTable( 'wp_links' )->addColumn( 'Link_ID', 'integer' );
+		$target->createTable( 'wp_links' )->addColumn( 'link_id', 'integer' );
+
+		$this->assertSame( 'same', $this->compare( $source, $target )['tables'][0]['status'] );
+	}
+
+	/**
+	 * Test that changed column attributes are listed and get a fix.
+	 */
+	public function test_changed_column_attributes(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source );
+		$table = $this->add_posts_table( $target );
+		$table->modifyColumn( 'post_name', [ 'length' => 255, 'notnull' => false, 'default' => null ] );
+
+		$comparison = $this->compare( $source, $target );
+		$column     = $this->items( $comparison, 'columns' )['post_name'];
+
+		$this->assertSame( 'changed', $column['status'] );
+		$this->assertSame( [ 'length', 'notnull', 'default' ], $column['changes'] );
+		$this->assertSame( 200, $column['source']['length'] );
+		$this->assertSame( 255, $column['target']['length'] );
+		$this->assertSame( [ 'modify_column:wp_posts:post_name' ], \array_column( $comparison['fixes'], 'id' ) );
+	}
+
+	/**
+	 * Test that types mapped by the importer for the target engine are not reported.
+	 */
+	public function test_mapped_types_are_not_changes(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$source->createTable( 'wp_users' )->addColumn( 'ID', 'bigint' );
+		$target->createTable( 'wp_users' )->addColumn( 'ID', 'integer' );
+
+		$this->assertSame( 'same', $this->compare( $source, $target, 'sqlite' )['tables'][0]['status'] );
+
+		$comparison = $this->compare( $source, $target, 'mysql' );
+
+		$this->assertSame( [ 'type' ], $this->items( $comparison, 'columns' )['ID']['changes'] );
+	}
+
+	/**
+	 * Test that indexes are matched by their columns rather than their names.
+	 */
+	public function test_indexes_are_matched_by_columns(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source );
+		$table = $this->add_posts_table( $target );
+		$table->renameIndex( 'post_name', 'wp_posts_post_name' );
+
+		$comparison = $this->compare( $source, $target );
+		$indexes    = $this->items( $comparison, 'indexes' );
+
+		$this->assertSame( 'same', $indexes['post_name']['status'] );
+		$this->assertSame( 'wp_posts_post_name', $indexes['post_name']['target']['name'] );
+		$this->assertSame( [], $comparison['fixes'] );
+	}
+
+	/**
+	 * Test that a missing index gets a fix and a missing primary key doesn't.
+	 */
+	public function test_missing_indexes(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$this->add_posts_table( $source );
+
+		$table = $target->createTable( 'wp_posts' );
+		$table->addColumn( 'ID', 'bigint', [ 'unsigned' => true, 'autoincrement' => true ] );
+		$table->addColumn( 'post_title', 'text' );
+		$table->addColumn( 'post_name', 'string', [ 'length' => 200, 'default' => '' ] );
+
+		$comparison = $this->compare( $source, $target );
+		$indexes    = \array_column( $comparison['tables'][0]['indexes'], 'status' );
+
+		$this->assertSame( [ 'removed', 'removed' ], $indexes );
+		$this->assertSame( [ 'add_index:wp_posts:post_name' ], \array_column( $comparison['fixes'], 'id' ) );
+	}
+
+	/**
+	 * Test that a unique index on the same columns is reported as changed.
+	 */
+	public function test_index_uniqueness_change(): void {
+		$source = new Schema();
+		$target = new Schema();
+		$source->createTable( 'wp_terms' )->addColumn( 'slug', 'string', [ 'length' => 200 ] );
+		$source->getTable( 'wp_terms' )->addUniqueIndex( [ 'slug' ], 'slug' );
+		$target->createTable( 'wp_terms' )->addColumn( 'slug', 'string', [ 'length' => 200 ] );
+		$target->getTable( 'wp_terms' )->addIndex( [ 'slug' ], 'slug' );
+
+		$comparison = $this->compare( $source, $target );
+
+		$this->assertSame( 'changed', $this->items( $comparison, 'indexes' )['slug']['status'] );
+		$this->assertSame( 'changed', $comparison['tables'][0]['status'] );
+	}
+}
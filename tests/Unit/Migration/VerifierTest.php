@@ -0,0 +1,181 @@
+<?php
+/**
+ * Tests for Verifier - row counts and checksums of migrated tables.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Migration;
+
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\DriverManager;
+use Doctrine\DBAL\Connection;
+use WP_DBAL\Migration\Verifier;
+
+/**
+ * Verifier test cases.
+ *
+ * Compares two in-memory SQLite databases that stand in for the source and
+ * the target of a migration.
+ */
+class VerifierTest extends TestCase {
+
+	/**
+	 * Source connection.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $source;
+
+	/**
+	 * Target connection.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $target;
+
+	/**
+	 * Verifier instance.
+	 *
+	 * @var Verifier
+	 */
+	protected Verifier $verifier;
+
+	/**
+	 * Compared columns.
+	 *
+	 * @var array<int, string>
+	 */
+	private const COLUMNS = [ 'option_id', 'option_name', 'option_value' ];
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->verifier = new Verifier();
+
+		foreach ( [ 'source', 'target' ] as $side ) {
+			$this->$side = DriverManager::getConnection( [
+				'driver' => 'pdo_sqlite',
+				'memory' => true,
+			] );
+
+			$this->$side->executeStatement( '
+				CREATE TABLE wp_options (
+					option_id INTEGER PRIMARY KEY,
+					option_name TEXT,
+					option_value TEXT
+				)
+			' );
+
+			$this->$side->executeStatement( "
+				INSERT INTO wp_options (option_id, option_name, option_value) VALUES
+				(1, 'siteurl', 'https://example.com'),
+				(2, 'blogname', 'Example'),
+				(3, '_transient_doing_cron', '1700000000')
+			" );
+		}
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->source->close();
+		$this->target->close();
+		parent::tearDown();
+	}
+
+	/**
+	 * Checksum the whole table on one side.
+	 *
+	 * @param Connection $connection Database connection.
+	 * @param string|null $transient_column Column to skip transients by.
+	 * @return array{rows: int, hash: string, row_hashes: array<string, string>}
+	 */
+	private function checksum( Connection $connection, ?string $transient_column = null ): array {
+		return $this->verifier->checksumChunk( $connection, 'wp_options', self::COLUMNS, [ 'option_id' ], 0, 100, $transient_column );
+	}
+
+	/**
+	 * Test that identical tables match.
+	 */
+	public function test_matching_tables(): void {
+		$this->assertNull( $this->verifier->findMissingSide( $this->source, $this->target, 'wp_options' ) );
+		$this->assertSame( 3, $this->verifier->countRows( $this->source, 'wp_options' ) );
+		$this->assertSame( 3, $this->verifier->countRows( $this->target, 'wp_options' ) );
+
+		$source = $this->checksum( $this->source );
+		$target = $this->checksum( $this->target );
+
+		$this->assertSame( 3, $source['rows'] );
+		$this->assertSame( $source['hash'], $target['hash'] );
+		$this->assertSame( [], $this->verifier->findDifferingKeys( $source['row_hashes'], $target['row_hashes'], 10 ) );
+	}
+
+	/**
+	 * Test that a changed, a missing and an extra row are found.
+	 */
+	public function test_mismatched_tables(): void {
+		$this->target->executeStatement( "UPDATE wp_options SET option_value = 'Changed' WHERE option_id = 2" );
+		$this->target->executeStatement( 'DELETE FROM wp_options WHERE option_id = 1' );
+		$this->target->executeStatement( "INSERT INTO wp_options (option_id, option_name, option_value) VALUES (4, 'extra', '')" );
+
+		$source = $this->checksum( $this->source );
+		$target = $this->checksum( $this->target );
+
+		$this->assertNotSame( $source['hash'], $target['hash'] );
+		$this->assertSame( [ '1', '2', '4' ], $this->verifier->findDifferingKeys( $source['row_hashes'], $target['row_hashes'], 10 ) );
+		$this->assertSame( [ '1', '2' ], $this->verifier->findDifferingKeys( $source['row_hashes'], $target['row_hashes'], 2 ) );
+	}
+
+	/**
+	 * Test that the row count differs when rows are missing.
+	 */
+	public function test_row_counts_differ(): void {
+		$this->target->executeStatement( 'DELETE FROM wp_options WHERE option_id = 3' );
+
+		$this->assertSame( 3, $this->verifier->countRows( $this->source, 'wp_options' ) );
+		$this->assertSame( 2, $this->verifier->countRows( $this->target, 'wp_options' ) );
+	}
+
+	/**
+	 * Test that excluded transients are skipped on both sides.
+	 */
+	public function test_transients_are_skipped(): void {
+		$this->target->executeStatement( 'DELETE FROM wp_options WHERE option_id = 3' );
+
+		$this->assertSame( 2, $this->verifier->countRows( $this->source, 'wp_options', 'option_name' ) );
+		$this->assertSame(
+			$this->checksum( $this->source, 'option_name' )['hash'],
+			$this->checksum( $this->target, 'option_name' )['hash']
+		);
+	}
+
+	/**
+	 * Test tables that exist on one side only.
+	 */
+	public function test_tables_missing_from_one_side(): void {
+		$this->target->executeStatement( 'CREATE TABLE wp_extra (id INTEGER PRIMARY KEY)' );
+
+		$this->assertSame( 'source', $this->verifier->findMissingSide( $this->source, $this->target, 'wp_extra' ) );
+
+		$this->target->executeStatement( 'DROP TABLE wp_options' );
+
+		$this->assertSame( 'target', $this->verifier->findMissingSide( $this->source, $this->target, 'wp_options' ) );
+	}
+
+	/**
+	 * Test that numbers hash the same whatever type the driver returns.
+	 */
+	public function test_numbers_are_normalized(): void {
+		$this->source->executeStatement( "UPDATE wp_options SET option_value = '1.50' WHERE option_id = 1" );
+		$this->target->executeStatement( "UPDATE wp_options SET option_value = '1.5' WHERE option_id = 1" );
+
+		$this->assertSame( $this->checksum( $this->source )['hash'], $this->checksum( $this->target )['hash'] );
+	}
+}
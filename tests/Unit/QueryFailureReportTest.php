@@ -0,0 +1,187 @@
+<?php
+/**
+ * Tests for QueryFailureReport - grouping failed queries.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\QueryFailureReport;
+
+/**
+ * QueryFailureReport test cases.
+ */
+class QueryFailureReportTest extends TestCase {
+
+	/**
+	 * Directory holding the report.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * QueryFailureReport instance.
+	 *
+	 * @var QueryFailureReport
+	 */
+	protected QueryFailureReport $report;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-failure-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->report = $this->report();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Get a report for a request, writing to the test directory.
+	 *
+	 * @param string $dbEngine Engine the queries are translated for.
+	 * @return QueryFailureReport Report.
+	 */
+	private function report( string $dbEngine = 'sqlite' ): QueryFailureReport {
+		return new QueryFailureReport( $this->directory . '/wp-dbal-query-failures.php', $dbEngine );
+	}
+
+	/**
+	 * Record a failure of a post lookup.
+	 *
+	 * @param QueryFailureReport $report Report.
+	 * @param int $id Post ID in the query.
+	 * @return void
+	 */
+	private function record_lookup( QueryFailureReport $report, int $id ): void {
+		$report->record(
+			"SELECT * FROM wp_posts WHERE ID = {$id} AND post_title = 'Secret {$id}'",
+			"SELECT * FROM \"wp_posts\" WHERE \"ID\" = {$id} AND \"post_title\" = 'Secret {$id}'",
+			'execution',
+			'no such column: post_title',
+			new \RuntimeException( 'no such column: post_title', 1 )
+		);
+	}
+
+	/**
+	 * Test that reporting is off until it is switched on.
+	 */
+	public function test_reporting_is_opt_in(): void {
+		$this->assertFalse( $this->report->isEnabled() );
+
+		$this->assertTrue( $this->report->setEnabled( true ) );
+		$this->assertTrue( $this->report()->isEnabled() );
+
+		$this->report->setEnabled( false );
+		$this->assertFalse( $this->report()->isEnabled() );
+	}
+
+	/**
+	 * Test that queries differing only in their values are counted as one failure.
+	 */
+	public function test_failures_are_grouped_by_fingerprint(): void {
+		$this->record_lookup( $this->report, 1 );
+		$this->record_lookup( $this->report, 2 );
+		$this->report->flush();
+
+		$failures = $this->report->all();
+
+		$this->assertCount( 1, $failures );
+		$this->assertSame( 2, $failures[0]['count'] );
+		$this->assertSame( 'SELECT * FROM wp_posts WHERE ID = ? AND post_title = ?', $failures[0]['fingerprint'] );
+		$this->assertSame( 'execution', $failures[0]['stage'] );
+		$this->assertSame( 'RuntimeException', $failures[0]['error_class'] );
+		$this->assertSame( 1, $failures[0]['error_code'] );
+		$this->assertFalse( $failures[0]['known'] );
+	}
+
+	/**
+	 * Test that the values of the queries are not stored.
+	 */
+	public function test_values_are_not_stored(): void {
+		$this->record_lookup( $this->report, 42 );
+		$this->report->flush();
+
+		$failure = $this->report->all()[0];
+
+		$this->assertArrayNotHasKey( 'query', $failure );
+		$this->assertSame( 'SELECT * FROM "wp_posts" WHERE "ID" = ? AND "post_title" = ?', $failure['translated'] );
+		$this->assertStringNotContainsString( 'Secret', \file_get_contents( $this->directory . '/wp-dbal-query-failures.php' ) );
+	}
+
+	/**
+	 * Test that double-quoted strings are removed when the engine doesn't use them for identifiers.
+	 */
+	public function test_double_quoted_strings_are_removed_for_mysql(): void {
+		$report = $this->report( 'filedb' );
+		$report->record( 'SELECT "Secret"', 'SELECT "Secret"', 'execution', 'Unknown column' );
+		$report->flush();
+
+		$this->assertSame( 'SELECT ?', $report->all()[0]['translated'] );
+	}
+
+	/**
+	 * Test that the failures of later requests are merged into the report.
+	 */
+	public function test_failures_of_later_requests_are_merged(): void {
+		$this->record_lookup( $this->report, 1 );
+		$this->report->flush();
+
+		$key = $this->report->all()[0]['key'];
+		$this->assertTrue( $this->report->markKnown( $key, true ) );
+
+		$report = $this->report();
+		$this->record_lookup( $report, 2 );
+		$report->record( 'SELECT ID FROM wp_users', '', 'translation', 'Unsupported syntax' );
+		$report->flush();
+
+		$failures = \array_column( $report->all(), null, 'key' );
+
+		$this->assertCount( 2, $failures );
+		$this->assertSame( 2, $failures[ $key ]['count'] );
+		$this->assertTrue( $failures[ $key ]['known'] );
+		$this->assertLessThanOrEqual( $failures[ $key ]['last_seen'], $failures[ $key ]['first_seen'] );
+	}
+
+	/**
+	 * Test that a request records at most MAX_PENDING distinct failures.
+	 */
+	public function test_pending_failures_are_capped(): void {
+		for ( $i = 0; $i < QueryFailureReport::MAX_PENDING + 5; $i++ ) {
+			$this->report->record( "SELECT * FROM wp_table_{$i}", '', 'translation', 'Unsupported syntax' );
+		}
+
+		// A failure already seen in this request is still counted.
+		$this->report->record( 'SELECT * FROM wp_table_0', '', 'translation', 'Unsupported syntax' );
+		$this->report->flush();
+
+		$failures = \array_column( $this->report->all(), 'count', 'fingerprint' );
+
+		$this->assertCount( QueryFailureReport::MAX_PENDING, $failures );
+		$this->assertSame( 2, $failures['SELECT * FROM wp_table_0'] );
+	}
+
+	/**
+	 * Test that marking an unknown failure fails.
+	 */
+	public function test_mark_unknown_failure(): void {
+		$this->assertFalse( $this->report->markKnown( \str_repeat( '0', 32 ), true ) );
+	}
+}
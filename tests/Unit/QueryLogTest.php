@@ -0,0 +1,255 @@
+<?php
+/**
+ * Tests for QueryLog - fingerprints, query origins and the log files.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\QueryLog;
+
+/**
+ * QueryLog test cases.
+ */
+class QueryLogTest extends TestCase {
+
+	/**
+	 * Directory holding the log files.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * QueryLog instance.
+	 *
+	 * @var QueryLog
+	 */
+	protected QueryLog $log;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-query-log-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		$this->log = new QueryLog( $this->directory );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Record a successful query.
+	 *
+	 * @param string $query The query.
+	 * @return void
+	 */
+	private function record( string $query ): void {
+		$this->log->record( $query, $query, 0.0001, 0.002, 1, '', 'get_option' );
+	}
+
+	/**
+	 * Queries and their fingerprints.
+	 *
+	 * @return array<string, array{0: string, 1: string}>
+	 */
+	public static function data_fingerprints(): array {
+		return [
+			'single-quoted string'   => [
+				"SELECT * FROM wp_posts WHERE post_title = 'Hello'",
+				'SELECT * FROM wp_posts WHERE post_title = ?',
+			],
+			'escaped quotes'         => [
+				"SELECT * FROM wp_posts WHERE a = 'It\\'s' AND b = 'x''y'",
+				'SELECT * FROM wp_posts WHERE a = ? AND b = ?',
+			],
+			'double-quoted string'   => [
+				'SELECT * FROM wp_options WHERE option_name = "siteurl"',
+				'SELECT * FROM wp_options WHERE option_name = ?',
+			],
+			'numbers'                => [
+				'SELECT * FROM wp_posts WHERE ID = 42 AND menu_order > -3.5 LIMIT 10',
+				'SELECT * FROM wp_posts WHERE ID = ? AND menu_order > ? LIMIT ?',
+			],
+			'digits in identifiers'  => [
+				'SELECT t1.meta_value FROM wp_2_postmeta AS t1 WHERE `col2` = 7',
+				'SELECT t1.meta_value FROM wp_2_postmeta AS t1 WHERE `col2` = ?',
+			],
+			'list of numbers'        => [
+				'SELECT * FROM wp_posts WHERE ID IN (1, 2, 3)',
+				'SELECT * FROM wp_posts WHERE ID IN (?+)',
+			],
+			'list of strings'        => [
+				"SELECT * FROM wp_posts WHERE post_type IN ('post','page')",
+				'SELECT * FROM wp_posts WHERE post_type IN (?+)',
+			],
+			'single value in parens' => [
+				'SELECT * FROM wp_posts WHERE ID IN (5)',
+				'SELECT * FROM wp_posts WHERE ID IN (?)',
+			],
+			'whitespace'             => [
+				"SELECT  *\n\tFROM wp_options ",
+				'SELECT * FROM wp_options',
+			],
+		];
+	}
+
+	/**
+	 * Test that values are replaced and whitespace collapsed.
+	 *
+	 * @dataProvider data_fingerprints
+	 *
+	 * @param string $query    The query.
+	 * @param string $expected Expected fingerprint.
+	 */
+	public function test_fingerprint( string $query, string $expected ): void {
+		$this->assertSame( $expected, QueryLog::fingerprint( $query ) );
+	}
+
+	/**
+	 * Test that double-quoted identifiers are kept with ANSI quotes.
+	 */
+	public function test_fingerprint_with_ansi_quotes(): void {
+		$this->assertSame(
+			'SELECT "option_value" FROM "wp_options" WHERE "option_name" = ?',
+			QueryLog::fingerprint( "SELECT \"option_value\" FROM \"wp_options\" WHERE \"option_name\" = 'siteurl'", true )
+		);
+	}
+
+	/**
+	 * Backtraces and the origin found in them.
+	 *
+	 * @return array<string, array{0: array<int, array<string, mixed>>, 1: array{type: string, name: string}}>
+	 */
+	public static function data_origins(): array {
+		$root = ABSPATH;
+		$own  = \dirname( __DIR__, 2 ) . '/includes/class-wp-dbal-db.php';
+
+		return [
+			'plugin'                  => [
+				[
+					[ 'file' => $own ],
+					[ 'file' => $root . 'wp-includes/class-wpdb.php' ],
+					[ 'file' => $root . 'wp-content/plugins/woocommerce/includes/class-wc-cart.php' ],
+					[ 'file' => $root . 'wp-settings.php' ],
+				],
+				[ 'type' => 'plugin', 'name' => 'woocommerce' ],
+			],
+			'single-file mu-plugin'   => [
+				[ [ 'file' => $root . 'wp-content/mu-plugins/loader.php' ] ],
+				[ 'type' => 'mu-plugin', 'name' => 'loader' ],
+			],
+			'theme'                   => [
+				[ [ 'file' => $root . 'wp-content/themes/twentytwentyfour/functions.php' ] ],
+				[ 'type' => 'theme', 'name' => 'twentytwentyfour' ],
+			],
+			'plugin called from core' => [
+				[
+					[ 'file' => $root . 'wp-includes/option.php' ],
+					[ 'file' => $root . 'wp-content/plugins/hello.php' ],
+				],
+				[ 'type' => 'plugin', 'name' => 'hello' ],
+			],
+			'core'                    => [
+				[
+					[ 'file' => $root . 'wp-includes/class-wpdb.php' ],
+					[ 'function' => 'call_user_func' ],
+					[ 'file' => $root . 'wp-includes/option.php' ],
+					[ 'file' => $root . 'wp-settings.php' ],
+				],
+				[ 'type' => 'core', 'name' => 'wp-includes/option.php' ],
+			],
+			'core outside ABSPATH'    => [
+				[ [ 'file' => '/srv/bin/wp-cli.php' ] ],
+				[ 'type' => 'core', 'name' => 'wp-cli.php' ],
+			],
+			'no caller'               => [
+				[ [ 'file' => $own ] ],
+				[ 'type' => 'core', 'name' => 'WordPress' ],
+			],
+		];
+	}
+
+	/**
+	 * Test that the plugin, theme or core file that sent a query is found.
+	 *
+	 * @dataProvider data_origins
+	 *
+	 * @param array<int, array<string, mixed>> $backtrace Backtrace.
+	 * @param array{type: string, name: string} $expected Expected origin.
+	 */
+	public function test_detect_origin( array $backtrace, array $expected ): void {
+		$this->assertSame( $expected, QueryLog::detectOrigin( $backtrace ) );
+	}
+
+	/**
+	 * Test that the entries of several requests are appended.
+	 */
+	public function test_entries_are_appended(): void {
+		$this->record( 'SELECT 1' );
+		$this->log->flush();
+
+		$this->record( 'SELECT 2' );
+		$this->log->flush();
+
+		$entries = $this->log->getEntries();
+
+		$this->assertSame( [ 'SELECT 1', 'SELECT 2' ], \array_column( $entries, 'query' ) );
+		$this->assertSame( 'SELECT ?', $entries[0]['fingerprint'] );
+		$this->assertStringStartsWith( "<?php exit; ?>\n", \file_get_contents( $this->directory . '/wp-dbal-query-log.php' ) );
+	}
+
+	/**
+	 * Test that a request records at most MAX_PENDING entries.
+	 */
+	public function test_pending_entries_are_capped(): void {
+		for ( $i = 0; $i < QueryLog::MAX_PENDING + 10; $i++ ) {
+			$this->record( 'SELECT ' . $i );
+		}
+		$this->log->flush();
+
+		$entries = $this->log->getEntries();
+
+		$this->assertCount( QueryLog::MAX_PENDING, $entries );
+		$this->assertSame( 'SELECT 0', $entries[0]['query'] );
+	}
+
+	/**
+	 * Test that a full log file is rotated and both files are read.
+	 */
+	public function test_full_log_is_rotated(): void {
+		// The query is stored three times: as sent, translated and fingerprinted.
+		$query = 'SELECT ' . \str_repeat( 'x', (int) ( QueryLog::MAX_FILE_SIZE / 8 ) );
+
+		for ( $i = 0; $i < 3; $i++ ) {
+			$this->record( $query );
+			$this->log->flush();
+		}
+
+		$this->record( 'SELECT 1' );
+		$this->log->flush();
+
+		$this->assertFileExists( $this->directory . '/wp-dbal-query-log-previous.php' );
+		$this->assertCount( 4, $this->log->getEntries() );
+		$this->assertSame( 'SELECT 1', $this->log->getEntries()[3]['query'] );
+
+		$this->log->clear();
+
+		$this->assertSame( [], $this->log->getEntries() );
+	}
+}
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Tests for SQLiteMaintenance - statistics, integrity checks and journal modes.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Doctrine\DBAL\Connection;
+use Doctrine\DBAL\DriverManager;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\SQLiteMaintenance;
+
+/**
+ * SQLiteMaintenance test cases.
+ */
+class SQLiteMaintenanceTest extends TestCase {
+
+	/**
+	 * Path of the database file.
+	 *
+	 * @var string
+	 */
+	protected string $path;
+
+	/**
+	 * Connection to the database file.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $connection;
+
+	/**
+	 * SQLiteMaintenance instance.
+	 *
+	 * @var SQLiteMaintenance
+	 */
+	protected SQLiteMaintenance $maintenance;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+		Monkey\setUp();
+		Functions\stubTranslationFunctions();
+
+		$this->path = \sys_get_temp_dir() . '/wp-dbal-sqlite-test-' . \uniqid() . '.db';
+
+		$this->connection = DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'path'   => $this->path,
+		] );
+
+		$this->connection->executeStatement( 'CREATE TABLE wp_posts (ID INTEGER PRIMARY KEY, post_content TEXT)' );
+		$this->connection->executeStatement( 'CREATE INDEX post_content ON wp_posts (post_content)' );
+		$this->connection->executeStatement( 'CREATE TABLE wp_options (option_id INTEGER PRIMARY KEY, option_name TEXT)' );
+
+		for ( $i = 1; $i <= 50; $i++ ) {
+			$this->connection->insert( 'wp_posts', [ 'post_content' => \str_repeat( 'x', 1000 ) . $i ] );
+		}
+
+		$this->maintenance = new SQLiteMaintenance( $this->connection );
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->connection->close();
+
+		foreach ( [ '', '-wal', '-shm', '-journal' ] as $suffix ) {
+			if ( \file_exists( $this->path . $suffix ) ) {
+				\unlink( $this->path . $suffix );
+			}
+		}
+
+		Monkey\tearDown();
+		parent::tearDown();
+	}
+
+	/**
+	 * Test that connections other than SQLite files are refused.
+	 */
+	public function test_in_memory_database_is_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+		$this->expectExceptionMessage( 'SQLite maintenance only works with SQLite database files.' );
+
+		new SQLiteMaintenance( DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		] ) );
+	}
+
+	/**
+	 * Test that the statistics describe the file and its tables.
+	 */
+	public function test_stats(): void {
+		$this->connection->executeStatement( 'DELETE FROM wp_posts WHERE ID > 10' );
+
+		$stats = $this->maintenance->getStats();
+
+		$this->assertSame( $this->path, $stats['path'] );
+		$this->assertSame( \filesize( $this->path ), $stats['file_size'] );
+		$this->assertSame( $stats['page_size'] * $stats['page_count'], $stats['file_size'] );
+		$this->assertGreaterThan( 0, $stats['freelist_count'] );
+		$this->assertSame( $stats['freelist_count'] * $stats['page_size'], $stats['freelist_size'] );
+		$this->assertSame( 'delete', $stats['journal_mode'] );
+		$this->assertMatchesRegularExpression( '/^3\.\d+\.\d+/', $stats['sqlite_version'] );
+		$this->assertSame( [ 'wp_options', 'wp_posts' ], \array_column( $stats['tables'], 'name' ) );
+		$this->assertSame( [ 0, 10 ], \array_column( $stats['tables'], 'rows' ) );
+
+		foreach ( $stats['tables'] as $table ) {
+			$stats['dbstat'] ? $this->assertIsInt( $table['size'] ) : $this->assertNull( $table['size'] );
+		}
+	}
+
+	/**
+	 * Test that vacuuming returns the free pages to the file system.
+	 */
+	public function test_vacuum_shrinks_the_file(): void {
+		$this->connection->executeStatement( 'DELETE FROM wp_posts' );
+
+		$result = $this->maintenance->vacuum();
+
+		$this->assertLessThan( $result['size_before'], $result['size_after'] );
+		$this->assertSame( 0, $this->maintenance->getStats()['freelist_count'] );
+	}
+
+	/**
+	 * Test that an intact database passes both integrity checks.
+	 */
+	public function test_integrity_check_of_intact_database(): void {
+		foreach ( [ false, true ] as $quick ) {
+			$result = $this->maintenance->checkIntegrity( $quick );
+
+			$this->assertTrue( $result['ok'] );
+			$this->assertSame( [], $result['errors'] );
+			$this->assertIsFloat( $result['time'] );
+		}
+	}
+
+	/**
+	 * Test that an index that no longer matches its table is reported by the full check only.
+	 */
+	public function test_integrity_check_reports_broken_index(): void {
+		// Declare the index on another column, so none of its entries match the rows.
+		$this->connection->executeStatement( 'PRAGMA writable_schema = ON' );
+		$this->connection->executeStatement( "UPDATE sqlite_master SET sql = 'CREATE INDEX post_content ON wp_posts (ID)' WHERE name = 'post_content'" );
+		$this->connection->executeStatement( 'PRAGMA writable_schema = OFF' );
+		$this->connection->close();
+
+		$result = $this->maintenance->checkIntegrity();
+
+		$this->assertFalse( $result['ok'] );
+		$this->assertCount( 50, $result['errors'] );
+		$this->assertSame( 'row 1 missing from index post_content', $result['errors'][0] );
+		$this->assertTrue( $this->maintenance->checkIntegrity( true )['ok'] );
+	}
+
+	/**
+	 * Test that the journal mode can be switched to WAL and back.
+	 */
+	public function test_set_journal_mode(): void {
+		$this->assertSame( 'wal', $this->maintenance->setJournalMode( 'WAL' ) );
+		$this->assertSame( 'wal', $this->maintenance->getJournalMode() );
+		$this->assertSame( 'delete', $this->maintenance->setJournalMode( 'delete' ) );
+		$this->assertSame( 'delete', $this->maintenance->getJournalMode() );
+	}
+
+	/**
+	 * Journal modes that can't be chosen.
+	 *
+	 * @return array<string, array{0: string}>
+	 */
+	public static function data_unsupported_journal_modes(): array {
+		return [
+			'off'      => [ 'off' ],
+			'memory'   => [ 'memory' ],
+			'truncate' => [ 'truncate' ],
+			'persist'  => [ 'persist' ],
+			'injected' => [ 'wal; DROP TABLE wp_posts' ],
+			'empty'    => [ '' ],
+		];
+	}
+
+	/**
+	 * Test that unsupported journal modes are refused without changing the mode.
+	 *
+	 * @dataProvider data_unsupported_journal_modes
+	 *
+	 * @param string $mode Journal mode.
+	 */
+	public function test_unsupported_journal_mode_is_refused( string $mode ): void {
+		try {
+			$this->maintenance->setJournalMode( $mode );
+			$this->fail( 'The journal mode was accepted.' );
+		} catch ( \InvalidArgumentException $e ) {
+			$this->assertSame( 'Unsupported journal mode "' . $mode . '".', $e->getMessage() );
+		}
+
+		$this->assertSame( 'delete', $this->maintenance->getJournalMode() );
+		$this->assertSame( 50, (int) $this->connection->fetchOne( 'SELECT COUNT(*) FROM wp_posts' ) );
+	}
+}
@@ -0,0 +1,236 @@
+<?php
+/**
+ * Tests for SwitchGuard - rolling back configuration changes that break the site.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit;
+
+use Mockery;
+use PHPUnit\Framework\TestCase;
+use WP_DBAL\SwitchGuard;
+use WP_DBAL\WP_DBAL_DB;
+
+/**
+ * SwitchGuard test cases.
+ */
+class SwitchGuardTest extends TestCase {
+
+	/**
+	 * Directory holding the state file and wp-config.php.
+	 *
+	 * @var string
+	 */
+	protected string $directory;
+
+	/**
+	 * SwitchGuard instance.
+	 *
+	 * @var SwitchGuard
+	 */
+	protected SwitchGuard $guard;
+
+	/**
+	 * Request start time before the test.
+	 *
+	 * @var float|null
+	 */
+	private ?float $requestTime;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->directory = \sys_get_temp_dir() . '/wp-dbal-switch-test-' . \uniqid();
+		\mkdir( $this->directory );
+
+		\file_put_contents( $this->directory . '/wp-config.php', 'new' );
+		\file_put_contents( $this->directory . '/wp-config-backup.php', 'old' );
+
+		$this->guard       = new SwitchGuard( $this->directory . '/wp-dbal-switch.php' );
+		$this->requestTime = $_SERVER['REQUEST_TIME_FLOAT'] ?? null;
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		\array_map( 'unlink', \glob( $this->directory . '/*' ) );
+		\rmdir( $this->directory );
+
+		$_SERVER['REQUEST_TIME_FLOAT'] = $this->requestTime;
+
+		Mockery::close();
+		parent::tearDown();
+	}
+
+	/**
+	 * Start guarding a switch to SQLite.
+	 *
+	 * @param int $timeout Seconds the site has to come back healthy.
+	 * @return string|null Token.
+	 */
+	private function begin( int $timeout = SwitchGuard::DEFAULT_TIMEOUT ): ?string {
+		return $this->guard->begin(
+			$this->directory . '/wp-config.php',
+			$this->directory . '/wp-config-backup.php',
+			'sqlite',
+			$timeout
+		);
+	}
+
+	/**
+	 * Get a database instance whose connection succeeds or fails.
+	 *
+	 * The drop-in's class isn't autoloadable, so Mockery declares it.
+	 *
+	 * @param bool $connects Whether db_connect() succeeds.
+	 * @return WP_DBAL_DB Database instance.
+	 */
+	private function wpdb( bool $connects ): WP_DBAL_DB {
+		$wpdb = Mockery::mock( WP_DBAL_DB::class );
+		$wpdb->shouldReceive( 'db_connect' )->with( false )->andReturn( $connects );
+		$wpdb->last_error = 'unable to open database file';
+
+		return $wpdb;
+	}
+
+	/**
+	 * Test that a switch is recorded as pending in a file that can't be read over HTTP.
+	 */
+	public function test_begin_records_a_pending_switch(): void {
+		$token = $this->begin();
+		$state = $this->guard->getState();
+
+		$this->assertMatchesRegularExpression( '/^[0-9a-f]{32}$/', $token );
+		$this->assertStringStartsWith( "<?php exit; ?>\n", \file_get_contents( $this->directory . '/wp-dbal-switch.php' ) );
+		$this->assertSame( 'pending', $state['status'] );
+		$this->assertSame( $token, $state['token'] );
+		$this->assertSame( 'sqlite', $state['target_engine'] );
+		$this->assertNull( $state['error'] );
+	}
+
+	/**
+	 * Test that a pending switch whose database connects is left alone.
+	 */
+	public function test_pending_switch_that_connects_is_kept(): void {
+		$this->begin();
+
+		$this->assertFalse( $this->guard->check( $this->wpdb( true ) ) );
+		$this->assertSame( 'pending', $this->guard->getState()['status'] );
+		$this->assertSame( 'new', \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that only a request started after the switch confirms it.
+	 */
+	public function test_switch_is_confirmed_by_a_later_request(): void {
+		$this->begin();
+		$startedAt = $this->guard->getState()['started_at'];
+
+		$_SERVER['REQUEST_TIME_FLOAT'] = $startedAt - 1;
+		$this->guard->confirm();
+
+		$this->assertSame( 'pending', $this->guard->getState()['status'] );
+
+		$_SERVER['REQUEST_TIME_FLOAT'] = $startedAt + 1;
+		$this->guard->confirm();
+
+		$this->assertSame( 'confirmed', $this->guard->getState()['status'] );
+	}
+
+	/**
+	 * Test that a confirmed switch is never rolled back.
+	 */
+	public function test_confirmed_switch_is_not_rolled_back(): void {
+		$this->begin( -1 );
+
+		$_SERVER['REQUEST_TIME_FLOAT'] = $this->guard->getState()['started_at'] + 1;
+		$this->guard->confirm();
+
+		$this->assertFalse( $this->guard->check( $this->wpdb( false ) ) );
+		$this->assertSame( 'confirmed', $this->guard->getState()['status'] );
+		$this->assertSame( 'new', \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that a switch past its deadline that still connects is confirmed.
+	 */
+	public function test_expired_switch_that_connects_is_confirmed(): void {
+		$this->begin( -1 );
+
+		$this->assertFalse( $this->guard->check( $this->wpdb( true ) ) );
+		$this->assertSame( 'confirmed', $this->guard->getState()['status'] );
+		$this->assertSame( 'new', \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that a switch past its deadline that can't connect is rolled back.
+	 */
+	public function test_expired_switch_that_cannot_connect_is_rolled_back(): void {
+		$this->begin( -1 );
+
+		$this->assertTrue( $this->guard->check( $this->wpdb( false ) ) );
+
+		$state = $this->guard->getState();
+
+		$this->assertSame( 'rolled_back', $state['status'] );
+		$this->assertStringContainsString( 'unable to open database file', $state['error'] );
+		$this->assertSame( 'old', \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that a switch to a database that can't be reached is rolled back.
+	 */
+	public function test_switch_that_cannot_connect_is_rolled_back(): void {
+		$this->begin();
+
+		$this->assertTrue( $this->guard->check( $this->wpdb( false ) ) );
+
+		$state = $this->guard->getState();
+
+		$this->assertSame( 'rolled_back', $state['status'] );
+		$this->assertStringContainsString( 'unable to open database file', $state['error'] );
+		$this->assertSame( 'old', \file_get_contents( $this->directory . '/wp-config.php' ) );
+	}
+
+	/**
+	 * Test that a rollback without a backup tells how to recover.
+	 */
+	public function test_rollback_without_backup_is_reported(): void {
+		$this->begin();
+		\unlink( $this->directory . '/wp-config-backup.php' );
+
+		$this->assertTrue( $this->guard->check( $this->wpdb( false ) ) );
+		$this->assertStringContainsString( 'restore wp-config-backup.php manually', $this->guard->getState()['error'] );
+	}
+
+	/**
+	 * Test that the state is only handed out for the token of the switch.
+	 */
+	public function test_wrong_token_finds_no_switch(): void {
+		$this->assertNull( $this->guard->getStateForToken( '' ) );
+
+		$token = $this->begin();
+
+		$this->assertNull( $this->guard->getStateForToken( \str_repeat( '0', 32 ) ) );
+		$this->assertNull( $this->guard->getStateForToken( '' ) );
+		$this->assertSame( $token, $this->guard->getStateForToken( $token )['token'] );
+	}
+
+	/**
+	 * Test that a cleared switch is forgotten.
+	 */
+	public function test_clear_forgets_the_switch(): void {
+		$token = $this->begin();
+		$this->guard->clear();
+
+		$this->assertNull( $this->guard->getState() );
+		$this->assertNull( $this->guard->getStateForToken( $token ) );
+	}
+}
@@ -811,4 +811,42 @@ class FunctionMapperTest extends TestCase {
 		$result = $this->execute_expression( "SUBSTR('Hello World', 1, 5)" );
 		$this->assertEquals( 'Hello', $result );
 	}
+
+	// =========================================================================
+	// APPLIED MAPPINGS TESTS
+	// =========================================================================
+
+	/**
+	 * Test that translated functions are recorded.
+	 */
+	public function test_applied_mappings(): void {
+		$this->mapper->recordMappings();
+		$this->mapper->translate( "SELECT NOW(), CONCAT('a', 'b')" );
+
+		$applied = $this->mapper->getAppliedMappings();
+
+		$this->assertContains( 'NOW()', $applied );
+		$this->assertContains( 'CONCAT()', $applied );
+		$this->assertNotContains( 'IFNULL()', $applied );
+	}
+
+	/**
+	 * Test that resetting forgets the recorded functions.
+	 */
+	public function test_reset_applied_mappings(): void {
+		$this->mapper->recordMappings();
+		$this->mapper->translate( 'SELECT NOW()' );
+		$this->mapper->resetAppliedMappings();
+
+		$this->assertSame( [], $this->mapper->getAppliedMappings() );
+	}
+
+	/**
+	 * Test that nothing is recorded unless recording was started.
+	 */
+	public function test_mappings_are_not_recorded_by_default(): void {
+		$this->mapper->translate( 'SELECT NOW()' );
+
+		$this->assertSame( [], $this->mapper->getAppliedMappings() );
+	}
 }
@@ -0,0 +1,111 @@
+<?php
+/**
+ * Tests for QueryLab - running inspected queries without changing data.
+ *
+ * @package WP_DBAL
+ */
+
+declare(strict_types=1);
+
+namespace WP_DBAL\Tests\Unit\Translator;
+
+use PHPUnit\Framework\TestCase;
+use Doctrine\DBAL\DriverManager;
+use Doctrine\DBAL\Connection;
+use WP_DBAL\Translator\QueryLab;
+
+/**
+ * QueryLab test cases.
+ */
+class QueryLabTest extends TestCase {
+
+	/**
+	 * SQLite connection.
+	 *
+	 * @var Connection
+	 */
+	protected Connection $connection;
+
+	/**
+	 * QueryLab instance.
+	 *
+	 * @var QueryLab
+	 */
+	protected QueryLab $lab;
+
+	/**
+	 * Set up test fixtures.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->connection = DriverManager::getConnection( [
+			'driver' => 'pdo_sqlite',
+			'memory' => true,
+		] );
+
+		$this->connection->executeStatement( 'CREATE TABLE wp_options (option_id INTEGER PRIMARY KEY, option_name TEXT, option_value TEXT)' );
+		$this->connection->executeStatement( "INSERT INTO wp_options (option_name, option_value) VALUES ('siteurl', 'https://example.com'), ('blogname', 'Example')" );
+
+		$this->lab = new QueryLab();
+	}
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	protected function tearDown(): void {
+		$this->connection->close();
+		parent::tearDown();
+	}
+
+	/**
+	 * Test that a SELECT is translated and run.
+	 */
+	public function test_select_is_run(): void {
+		$result = $this->lab->run( $this->connection, "SELECT option_value FROM wp_options WHERE option_name = 'blogname'" );
+
+		$this->assertSame( [ 'option_value' ], $result['columns'] );
+		$this->assertSame( [ [ 'option_value' => 'Example' ] ], $result['rows'] );
+		$this->assertFalse( $result['truncated'] );
+	}
+
+	/**
+	 * Test that statements other than SELECT are refused.
+	 */
+	public function test_writes_are_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+
+		$this->lab->run( $this->connection, "UPDATE wp_options SET option_value = 'Changed'" );
+	}
+
+	/**
+	 * Test that several statements are refused.
+	 */
+	public function test_several_statements_are_refused(): void {
+		$this->expectException( \InvalidArgumentException::class );
+
+		$this->lab->run( $this->connection, 'SELECT 1; DELETE FROM wp_options' );
+	}
+
+	/**
+	 * Test that the connection accepts writes again after a query was run.
+	 */
+	public function test_connection_is_writable_afterwards(): void {
+		$this->lab->run( $this->connection, 'SELECT COUNT(*) FROM wp_options' );
+
+		$this->connection->executeStatement( "INSERT INTO wp_options (option_name, option_value) VALUES ('home', 'https://example.com')" );
+
+		$this->assertSame( 3, (int) $this->connection->fetchOne( 'SELECT COUNT(*) FROM wp_options' ) );
+		$this->assertSame( '0', (string) $this->connection->fetchOne( 'PRAGMA query_only' ) );
+	}
+
+	/**
+	 * Test that the translated functions are reported per engine.
+	 */
+	public function test_translate_reports_mappings(): void {
+		$result = $this->lab->translate( 'SELECT NOW()' );
+
+		$this->assertContains( 'NOW()', $result['translations']['sqlite']['mappings'] );
+		$this->assertSame( [], $result['translations']['mysql']['mappings'] );
+	}
+}
@@ -51,6 +51,10 @@ if ( 'integration' === $test_type ) {
 		define( 'WP_CONTENT_DIR', ABSPATH . 'wp-content' );
 	}
 
+	if ( ! defined( 'DAY_IN_SECONDS' ) ) {
+		define( 'DAY_IN_SECONDS', 86400 );
+	}
+
 	if ( ! defined( 'WP_DBAL_PLUGIN_DIR' ) ) {
 		define( 'WP_DBAL_PLUGIN_DIR', dirname( __DIR__ ) . '/' );
 	}
@@ -91,6 +91,12 @@ final class Plugin
 		\add_action('admin_notices', [ $this, 'adminNotices' ]);
 		\add_action('rest_api_init', [ $this, 'registerRestAPI' ]);
 		\add_action('admin_enqueue_scripts', [ $this, 'enqueueScripts' ]);
+		\add_action('wp_loaded', [ $this, 'confirmSwitch' ]);
+
+		// Site Health tests and debug information.
+		$healthChecks = new HealthChecks();
+		\add_filter('site_status_tests', [ $healthChecks, 'registerTests' ]);
+		\add_filter('debug_information', [ $healthChecks, 'addDebugInformation' ]);
 	}
 
 	/**
@@ -226,6 +232,28 @@ final class Plugin
 			\esc_html_e('Go to settings', 'wp-dbal');
 			echo '</a></p></div>';
 		}
+
+		// A configuration change was rolled back while nobody was watching.
+		$switchGuard = new SwitchGuard();
+		$switch = $switchGuard->getState();
+		if ($switch && 'rolled_back' === $switch['status'] && \current_user_can('manage_options')) {
+			$switchGuard->clear();
+			echo '<div class="notice notice-error"><p>';
+			\esc_html_e('WP-DBAL: The last database configuration change did not work and the previous wp-config.php was restored.', 'wp-dbal');
+			echo ' <code>' . \esc_html($switch['error']) . '</code></p></div>';
+		}
+	}
+
+	/**
+	 * Confirm a pending database switch once WordPress has loaded on the new configuration.
+	 *
+	 * @return void
+	 */
+	public function confirmSwitch(): void
+	{
+		if (\is_blog_installed()) {
+			( new SwitchGuard() )->confirm();
+		}
 	}
 
 	/**
@@ -242,6 +270,34 @@ final class Plugin
 		// Admin REST API.
 		$adminController = new \WP_DBAL\REST\AdminController();
 		$adminController->registerRoutes();
+
+		// Query Lab REST API.
+		$queryLabController = new \WP_DBAL\REST\QueryLabController();
+		$queryLabController->registerRoutes();
+
+		// Query Log REST API.
+		$queryLogController = new \WP_DBAL\REST\QueryLogController();
+		$queryLogController->registerRoutes();
+
+		// Query Failure REST API.
+		$queryFailureController = new \WP_DBAL\REST\QueryFailureController();
+		$queryFailureController->registerRoutes();
+
+		// FileDB REST API.
+		$fileDbController = new \WP_DBAL\REST\FileDBController();
+		$fileDbController->registerRoutes();
+
+		// SQLite REST API.
+		$sqliteController = new \WP_DBAL\REST\SQLiteController();
+		$sqliteController->registerRoutes();
+
+		// Backup REST API.
+		$backupController = new \WP_DBAL\REST\BackupController();
+		$backupController->registerRoutes();
+
+		// Connection profile REST API.
+		$profileController = new \WP_DBAL\REST\ProfileController();
+		$profileController->registerRoutes();
 	}
 
 	/**
@@ -273,7 +329,7 @@ final class Plugin
 			\wp_enqueue_script(
 				'wp-dbal-admin',
 				WP_DBAL_PLUGIN_URL . 'build/admin.js',
-				[ 'wp-element', 'wp-i18n', 'wp-components', 'wp-api-fetch' ],
+				[ 'wp-element', 'wp-i18n', 'wp-components', 'wp-api-fetch', 'wp-hooks' ],
 				WP_DBAL_VERSION,
 				true
 			);
@@ -293,6 +349,9 @@ final class Plugin
 			'wpDbalAdmin',
 			[
 				'restNonce' => \wp_create_nonce('wp_rest'),
+				'restUrl' => \esc_url_raw(\rest_url()),
+				'siteHealthUrl' => \esc_url_raw(\admin_url('site-health.php')),
+				'storagePaths' => \WP_DBAL\Migration\ConnectionParamsValidator::getAllowedPaths(),
 			]
 		);
 	}